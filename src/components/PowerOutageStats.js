@@ -7,6 +7,9 @@
  */
 
 import { outageService } from '../services/OutageService.js';
+import { powerCorrelationService } from '../services/PowerCorrelationService.js';
+import { outageEventService, OUTAGE_EVENT_CSV_HEADERS, RELIABILITY_CSV_HEADERS } from '../services/OutageEventService.js';
+import { stormModeService } from '../services/StormModeService.js';
 import { getOrCreateNoticeContainer } from '../utils/noticeContainer.js';
 
 /**
@@ -19,6 +22,28 @@ const log = {
     error: (...args) => console.error(...args)
 };
 
+const RELIABILITY_PERIODS = {
+    'this-month': { label: 'This month' },
+    'last-month': { label: 'Last month' },
+    'last-30-days': { label: 'Last 30 days' }
+};
+
+// Outages that started in the selected period
+const getReliabilityRange = (period, now = new Date()) => {
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    if (period === 'last-month') {
+        return { since: new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime(), until: monthStart };
+    }
+    if (period === 'last-30-days') {
+        return { since: now.getTime() - 30 * 24 * 60 * 60 * 1000, until: Infinity };
+    }
+    return { since: monthStart, until: Infinity };
+};
+
+const formatMinutes = (minutes) => minutes >= 120
+    ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+    : `${minutes} min`;
+
 /**
  * PowerOutageStatsComponent - Web Component for displaying power outage statistics
  * 
@@ -35,18 +60,24 @@ const log = {
 export class PowerOutageStatsComponent extends HTMLElement {
     constructor() {
         super();
-        this.outagesData = {
-            cullman: []
-        };
+        // One entry per provider in API_CONFIG.OUTAGES, keyed by provider id
+        this.providers = outageService.getProviders();
+        this.outagesData = {};
+        this.lastKnownCounts = {};
+        // Track individual outages by ID for specific notifications
+        this.lastKnownOutages = {};
+        this.providers.forEach(provider => {
+            this.outagesData[provider.id] = [];
+            this.lastKnownCounts[provider.id] = null;
+            this.lastKnownOutages[provider.id] = new Set();
+        });
         this.isVisible = false;
         this.isInitialLoad = true;
-        this.lastKnownCounts = {
-            cullman: null
-        };
-        // Track individual outages by ID for specific notifications
-        this.lastKnownOutages = {
-            cullman: new Set()
-        };
+        this.reportPeriod = 'this-month';
+    }
+
+    isOutageLayer(layerId) {
+        return this.providers.some(provider => provider.layerId === layerId);
     }
 
     connectedCallback() {
@@ -67,14 +98,14 @@ export class PowerOutageStatsComponent extends HTMLElement {
     setupEventListeners() {
         // Listen for layer visibility changes
         document.addEventListener('layerVisibilityChanged', (event) => {
-            if (event.detail.layerId === 'cullman-outages') {
+            if (this.isOutageLayer(event.detail.layerId)) {
                 this.updateStats();
             }
         });
 
         // Listen for layer data updates (when polling updates the layers)
         document.addEventListener('layerDataUpdated', (event) => {
-            if (event.detail.layerId === 'cullman-outages') {
+            if (this.isOutageLayer(event.detail.layerId)) {
                 this.updateStats();
             }
         });
@@ -83,99 +114,108 @@ export class PowerOutageStatsComponent extends HTMLElement {
         document.addEventListener('powerOutageDataUpdated', () => {
             this.updateStats();
         });
+
+        // Subscriber counts per outage come from the offline/outage correlation - no refetch needed
+        document.addEventListener('powerCorrelationUpdated', (event) => {
+            outageEventService.linkSubscribers(event.detail?.byOutage);
+            this.renderStats();
+        });
     }
 
     async updateStats(skipNotification = false) {
         try {
-            // Get data from existing layers instead of fetching directly
-            const layerManager = window.app?.services?.layerManager;
-            let cullmanData = { data: [] };
+            const results = await Promise.all(this.providers.map(provider => this.getProviderOutages(provider)));
+
+            this.providers.forEach((provider, index) => {
+                this.outagesData[provider.id] = results[index].data || [];
 
-            if (layerManager) {
-                const cullmanLayer = layerManager.getLayer('cullman-outages');
+                // A failed feed looks like every outage was restored - only record real lists
+                if (!results[index].error) {
+                    outageEventService.recordOutages(provider, this.outagesData[provider.id]);
+                }
 
-                log.info(`🔌 Layer manager found. Cullman layer: ${!!cullmanLayer}`);
+                const currentOutages = new Set(this.outagesData[provider.id].map(o => o.outage_id).filter(id => id));
 
-                if (cullmanLayer) {
-                    log.info(`🔌 Cullman layer details: graphics=${!!cullmanLayer.graphics}, graphics.items=${cullmanLayer.graphics?.items?.length || 'none'}`);
+                // Show notification for specific outage changes
+                if (!skipNotification && !this.isInitialLoad) {
+                    this.checkAndNotifyOutageChanges(
+                        provider,
+                        this.lastKnownOutages[provider.id],
+                        currentOutages,
+                        this.outagesData[provider.id]
+                    );
                 }
 
-                if (cullmanLayer && cullmanLayer.graphics && cullmanLayer.graphics.items) {
-                    // Extract data from layer graphics and deduplicate by outage_id
-                    const outageMap = new Map();
+                this.lastKnownCounts[provider.id] = this.outagesData[provider.id].length;
+                this.lastKnownOutages[provider.id] = currentOutages;
+            });
+            this.isInitialLoad = false;
 
-                    cullmanLayer.graphics.items.forEach(graphic => {
-                        const attributes = graphic.attributes || {};
-                        const geometry = graphic.geometry;
+            this.renderStats();
+        } catch (error) {
+            log.error('Failed to update outage stats:', error);
+            this.renderError();
+        }
+    }
 
-                        const outageId = attributes.outage_id || attributes.id || 'unknown';
+    // Get data from the provider's existing layer instead of fetching directly
+    async getProviderOutages(provider) {
+        const layerManager = window.app?.services?.layerManager;
+        if (!layerManager) {
+            // Fallback for when layer manager is not available
+            log.info(`🔌 Layer manager not available, fetching ${provider.name} directly (early initialization)`);
+            return outageService.getOutages(provider.id);
+        }
 
-                        if (outageMap.has(outageId)) {
-                            return;
-                        }
+        const outageLayer = layerManager.getLayer(provider.layerId);
+        const data = outageLayer?.graphics?.items ? this.extractLayerOutages(outageLayer) : [];
 
-                        let latitude, longitude;
-                        if (geometry) {
-                            if (geometry.type === 'point') {
-                                latitude = geometry.latitude || geometry.y;
-                                longitude = geometry.longitude || geometry.x;
-                            } else if (geometry.type === 'polygon' && geometry.centroid) {
-                                latitude = geometry.centroid.latitude || geometry.centroid.y;
-                                longitude = geometry.centroid.longitude || geometry.centroid.x;
-                            } else if (geometry.extent) {
-                                latitude = geometry.extent.center.latitude || geometry.extent.center.y;
-                                longitude = geometry.extent.center.longitude || geometry.extent.center.x;
-                            }
-                        }
+        // If no layer data available, fall back to direct fetch
+        if (data.length === 0) {
+            log.info(`🔌 No ${provider.name} layer data available, fetching directly (initialization only)`);
+            return outageService.getOutages(provider.id);
+        }
 
-                        outageMap.set(outageId, {
-                            ...attributes,
-                            latitude: latitude || attributes.latitude,
-                            longitude: longitude || attributes.longitude
-                        });
-                    });
+        log.info(`🔌 Using layer data - ${provider.name}: ${data.length} outages (deduplicated)`);
+        return { data };
+    }
 
-                    cullmanData.data = Array.from(outageMap.values());
-                    log.info(`🔌 Cullman deduplication: ${cullmanLayer.graphics.items.length} graphics → ${cullmanData.data.length} unique outages`);
-                }
+    // Extract data from layer graphics and deduplicate by outage_id (polygons also carry a centroid marker)
+    extractLayerOutages(outageLayer) {
+        const outageMap = new Map();
 
-                // If no layer data available, fall back to direct fetch
-                if (!cullmanData.data || cullmanData.data.length === 0) {
-                    log.info('🔌 No layer data available, fetching directly (initialization only)');
-                    cullmanData = await outageService.getCullmanOutages();
-                } else {
-                    log.info(`🔌 Using layer data - Cullman: ${cullmanData.data?.length || 0} outages (deduplicated)`);
-                }
-            } else {
-                // Fallback for when layer manager is not available
-                log.info('🔌 Layer manager not available, fetching directly (early initialization)');
-                cullmanData = await outageService.getCullmanOutages();
-            }
+        outageLayer.graphics.items.forEach(graphic => {
+            const attributes = graphic.attributes || {};
+            const geometry = graphic.geometry;
 
-            this.outagesData.cullman = cullmanData.data || [];
+            const outageId = attributes.outage_id || attributes.id || 'unknown';
 
-            const currentCullmanCount = this.outagesData.cullman.length;
-            const currentCullmanOutages = new Set(this.outagesData.cullman.map(o => o.outage_id).filter(id => id));
+            if (outageMap.has(outageId)) {
+                return;
+            }
 
-            // Show notification for specific outage changes
-            if (!skipNotification && !this.isInitialLoad) {
-                this.checkAndNotifyOutageChanges(
-                    'Cullman',
-                    this.lastKnownOutages.cullman,
-                    currentCullmanOutages,
-                    this.outagesData.cullman
-                );
+            let latitude, longitude;
+            if (geometry) {
+                if (geometry.type === 'point') {
+                    latitude = geometry.latitude || geometry.y;
+                    longitude = geometry.longitude || geometry.x;
+                } else if (geometry.type === 'polygon' && geometry.centroid) {
+                    latitude = geometry.centroid.latitude || geometry.centroid.y;
+                    longitude = geometry.centroid.longitude || geometry.centroid.x;
+                } else if (geometry.extent) {
+                    latitude = geometry.extent.center.latitude || geometry.extent.center.y;
+                    longitude = geometry.extent.center.longitude || geometry.extent.center.x;
+                }
             }
 
-            this.lastKnownCounts.cullman = currentCullmanCount;
-            this.lastKnownOutages.cullman = new Set(currentCullmanOutages);
-            this.isInitialLoad = false;
+            outageMap.set(outageId, {
+                ...attributes,
+                latitude: latitude || attributes.latitude,
+                longitude: longitude || attributes.longitude
+            });
+        });
 
-            this.renderStats();
-        } catch (error) {
-            log.error('Failed to update outage stats:', error);
-            this.renderError();
-        }
+        return Array.from(outageMap.values());
     }
 
     render() {
@@ -195,9 +235,6 @@ export class PowerOutageStatsComponent extends HTMLElement {
         const statsContent = this.querySelector('.stats-content');
         if (!statsContent) return;
 
-        const cullmanCount = this.outagesData.cullman.length;
-        const cullmanCustomers = this.outagesData.cullman.reduce((sum, outage) => sum + (outage.customers_affected || 0), 0);
-
         const currentTime = new Date().toLocaleTimeString('en-US', {
             hour: 'numeric',
             minute: '2-digit',
@@ -205,19 +242,19 @@ export class PowerOutageStatsComponent extends HTMLElement {
         });
 
         // Combine all outages, filter out resolved outages, and sort by customer count
-        const allOutages = [
-            ...this.outagesData.cullman.map(o => ({ ...o, company: 'Cullman' }))
-        ]
+        const allOutages = this.providers
+            .flatMap(provider => this.outagesData[provider.id].map(o => ({ ...o, company: provider.id })))
             .filter(outage => (outage.customers_affected || 0) > 0)
             .sort((a, b) => (b.customers_affected || 0) - (a.customers_affected || 0));
 
-        const filteredCullmanCount = this.outagesData.cullman.filter(o => (o.customers_affected || 0) === 0).length;
-        const totalFiltered = filteredCullmanCount;
+        const totalFiltered = this.providers
+            .reduce((sum, provider) => sum + this.outagesData[provider.id].filter(o => (o.customers_affected || 0) === 0).length, 0);
 
         statsContent.innerHTML = `
             <!-- Static Summary Section -->
             <div class="power-stats-summary" style="margin-bottom: 16px; flex-shrink: 0;">
-                ${this.renderCompanySummary('Cullman', cullmanCount, cullmanCustomers)}
+                ${this.providers.map(provider => this.renderCompanySummary(provider)).join('')}
+                ${this.renderCorrelationSummary()}
                 <div style="text-align: center; font-size: 11px; color: var(--calcite-color-text-3); margin-top: 8px;">
                     Last updated: ${currentTime}
                 </div>
@@ -246,16 +283,96 @@ export class PowerOutageStatsComponent extends HTMLElement {
             }
                 </calcite-list>
             </div>
+
+            <!-- Reliability Report -->
+            <div class="reliability-report" style="border-top: 1px solid var(--calcite-color-border-2); margin-top: 12px; padding-top: 12px; flex-shrink: 0;">
+                <div style="font-size: 12px; font-weight: 600; color: var(--calcite-color-text-2); margin-bottom: 8px; text-transform: uppercase;">
+                    Reliability Report
+                </div>
+                <calcite-select id="reliability-period-select" label="Report period" scale="s">
+                    ${Object.entries(RELIABILITY_PERIODS).map(([value, period]) =>
+                `<calcite-option value="${value}" ${value === this.reportPeriod ? 'selected' : ''}>${period.label}</calcite-option>`).join('')}
+                </calcite-select>
+                <div id="reliability-summary" style="font-size: 12px; color: var(--calcite-color-text-2); margin: 8px 0;">Loading...</div>
+                <div style="display: flex; gap: 8px;">
+                    <calcite-button id="export-outage-events-btn" icon-start="export" scale="s" appearance="outline" width="half">
+                        Outage Events CSV
+                    </calcite-button>
+                    <calcite-button id="export-mttr-report-btn" icon-start="file-report" scale="s" appearance="outline" width="half">
+                        MTTR Report CSV
+                    </calcite-button>
+                </div>
+            </div>
         `;
 
         this.setupOutageListeners();
+        this.setupReliabilityReport();
+    }
+
+    // Monthly MTTR summary and CSV exports from the outage event store
+    setupReliabilityReport() {
+        const select = this.querySelector('#reliability-period-select');
+        select?.addEventListener('calciteSelectChange', () => {
+            this.reportPeriod = select.value;
+            this.updateReliabilitySummary();
+        });
+
+        this.querySelector('#export-outage-events-btn')?.addEventListener('click', (event) =>
+            this.exportReliabilityCSV(event.currentTarget, 'events'));
+        this.querySelector('#export-mttr-report-btn')?.addEventListener('click', (event) =>
+            this.exportReliabilityCSV(event.currentTarget, 'report'));
+
+        this.updateReliabilitySummary();
+    }
+
+    async updateReliabilitySummary() {
+        const summary = this.querySelector('#reliability-summary');
+        if (!summary) return;
+
+        const events = await outageEventService.getEvents(getReliabilityRange(this.reportPeriod));
+        const report = outageEventService.getReliabilityReport(events);
+        const topCause = report.byCause.find(entry => entry.mttrMinutes !== null);
+
+        summary.textContent = report.outages === 0
+            ? 'No outages recorded in this period'
+            : `${report.outages} outage${report.outages === 1 ? '' : 's'}, ${report.restored} restored` +
+            (report.estimatedRestores > 0 ? ` (${report.estimatedRestores} estimated, not in MTTR)` : '') +
+            (report.mttrMinutes !== null ? ` · MTTR ${formatMinutes(report.mttrMinutes)}` : '') +
+            (topCause ? ` · ${topCause.value}: ${formatMinutes(topCause.mttrMinutes)}` : '');
+    }
+
+    async exportReliabilityCSV(button, kind) {
+        const { authService } = await import('../services/AuthService.js');
+        if (!authService.can('export-csv')) {
+            window.app?.showNotification?.('warning', 'CSV export is not available for your role', 4000);
+            return;
+        }
+
+        button.setAttribute('loading', '');
+        try {
+            const { CSVExportService } = await import('../utils/csvExport.js');
+            const events = await outageEventService.getEvents(getReliabilityRange(this.reportPeriod));
+
+            if (kind === 'events') {
+                await CSVExportService.exportToCSV(outageEventService.formatEventRows(events), OUTAGE_EVENT_CSV_HEADERS, `outage_events_${this.reportPeriod}`);
+            } else {
+                const rows = outageEventService.formatReportRows(outageEventService.getReliabilityReport(events));
+                await CSVExportService.exportToCSV(rows, RELIABILITY_CSV_HEADERS, `outage_mttr_${this.reportPeriod}`);
+            }
+        } catch (error) {
+            log.error('Failed to export reliability report:', error);
+            window.app?.showNotification?.('warning', error.message === 'No data found to export'
+                ? 'No outages recorded in this period' : 'Reliability export failed', 4000);
+        } finally {
+            button.removeAttribute('loading');
+        }
     }
 
-    renderCompanySummary(company, outageCount, customerCount) {
-        const bgColor = 'rgba(74, 124, 89, 0.1)';
-        const layerId = 'cullman-outages';
-        const logoPath = '/logos/cec-logo.png';
-        const companyFullName = 'Cullman Electric';
+    renderCompanySummary(provider) {
+        const outages = this.outagesData[provider.id] || [];
+        const outageCount = outages.length;
+        const customerCount = outages.reduce((sum, outage) => sum + (outage.customers_affected || 0), 0);
+        const layerId = provider.layerId;
 
         let isChecked = true;
         try {
@@ -268,12 +385,12 @@ export class PowerOutageStatsComponent extends HTMLElement {
         }
 
         return `
-            <calcite-card class="power-company-card" data-company="cullman">
+            <calcite-card class="power-company-card" data-company="${provider.id}">
                 <div class="company-header">
                     <div class="company-info">
-                        <img src="${logoPath}" alt="${company} Logo" class="company-logo">
+                        ${this.renderProviderLogo(provider, 'company-logo')}
                         <div class="company-details">
-                            <div class="company-name">${companyFullName}</div>
+                            <div class="company-name">${provider.name}</div>
                             <div class="customers-affected">${customerCount.toLocaleString()} affected</div>
                         </div>
                     </div>
@@ -285,7 +402,7 @@ export class PowerOutageStatsComponent extends HTMLElement {
                         <calcite-switch scale="s" ${isChecked ? 'checked' : ''} 
                             class="power-company-toggle" 
                             data-layer-id="${layerId}"
-                            data-company="${company}"
+                            data-company="${provider.id}"
                             id="toggle-${layerId}">
                         </calcite-switch>
                     </div>
@@ -294,21 +411,56 @@ export class PowerOutageStatsComponent extends HTMLElement {
         `;
     }
 
+    // Offline subscribers not explained by any power outage need a truck roll
+    renderCorrelationSummary() {
+        const correlation = powerCorrelationService.lastResult;
+        if (!correlation) return '';
+
+        return `
+            <div class="power-correlation-summary" style="display: flex; justify-content: space-between; gap: 8px; margin-top: 8px; padding: 8px 12px; border: 1px solid var(--calcite-color-border-2); border-radius: var(--calcite-border-radius); font-size: 12px;">
+                <span title="Offline fiber subscribers inside an active power outage">
+                    <calcite-icon icon="flash" scale="s" style="color: var(--calcite-color-status-warning);"></calcite-icon>
+                    ${correlation.powerRelatedCount.toLocaleString()} power-related
+                </span>
+                <span title="Offline fiber subscribers outside every power outage">
+                    <calcite-icon icon="wrench" scale="s" style="color: var(--calcite-color-status-danger);"></calcite-icon>
+                    ${correlation.fiberOnlyCount.toLocaleString()} fiber-only (truck roll)
+                </span>
+            </div>
+        `;
+    }
+
+    // Providers without a local logo get a flash icon in their layer color
+    renderProviderLogo(provider, className, slot = '') {
+        const slotAttr = slot ? `slot="${slot}"` : '';
+        if (provider.logo) {
+            // List items have no logo class in style.css, so size them inline
+            const sizeStyle = slot ? 'style="width: 20px; height: 20px; object-fit: contain;"' : '';
+            return `<img ${slotAttr} src="${provider.logo}" alt="${provider.name} Logo" class="${className}" ${sizeStyle}>`;
+        }
+        const [r, g, b] = provider.color || [255, 140, 0];
+        return `<calcite-icon ${slotAttr} icon="flash" scale="s" class="${className}" style="color: rgb(${r}, ${g}, ${b});"></calcite-icon>`;
+    }
+
     renderCalciteOutageItem(outage) {
-        const logoPath = '/logos/cec-logo.png';
-        const companyFullName = 'Cullman Electric';
+        const provider = this.providers.find(p => p.id === outage.company) || this.providers[0];
+        const offlineSubscribers = powerCorrelationService.getSubscriberCount(provider.id, outage.outage_id);
+        const description = offlineSubscribers > 0
+            ? `${provider.name} · ${offlineSubscribers.toLocaleString()} fiber subscriber${offlineSubscribers === 1 ? '' : 's'} offline`
+            : provider.name;
 
         return `
             <calcite-list-item
                 label="${(outage.customers_affected || 0).toLocaleString()} customers affected"
-                description="${companyFullName}"
+                description="${description}"
                 class="outage-item clickable-outage"
                 data-outage-id="${outage.outage_id}"
+                data-company="${provider.id}"
                 data-lat="${outage.latitude}"
                 data-lng="${outage.longitude}"
                 style="cursor: pointer;"
                 title="Click to view on map">
-                <img slot="content-start" src="${logoPath}" alt="${outage.company} Logo" style="width: 20px; height: 20px; object-fit: contain;">
+                ${this.renderProviderLogo(provider, 'outage-logo', 'content-start')}
             </calcite-list-item>
         `;
     }
@@ -324,7 +476,7 @@ export class PowerOutageStatsComponent extends HTMLElement {
                 const outageId = item.dataset.outageId;
 
                 if (lat && lng && window.mapView) {
-                    this.flyToOutage(lat, lng, outageId);
+                    this.flyToOutage(lat, lng, outageId, item.dataset.company);
                 }
             });
         });
@@ -385,7 +537,7 @@ export class PowerOutageStatsComponent extends HTMLElement {
         }, 100);
     }
 
-    async flyToOutage(lat, lng, outageId) {
+    async flyToOutage(lat, lng, outageId, providerId) {
         if (!window.mapView) {
             log.error('Map view not available');
             return;
@@ -397,7 +549,8 @@ export class PowerOutageStatsComponent extends HTMLElement {
                 zoom: 15
             });
 
-            const cullmanLayer = window.app?.services?.layerManager?.getLayer('cullman-outages');
+            const provider = this.providers.find(p => p.id === providerId);
+            const outageLayer = provider ? window.app?.services?.layerManager?.getLayer(provider.layerId) : null;
 
             let targetLayer = null;
             let targetFeatures = [];
@@ -410,17 +563,17 @@ export class PowerOutageStatsComponent extends HTMLElement {
                 });
             };
 
-            if (cullmanLayer && cullmanLayer.visible) {
-                if (typeof cullmanLayer.queryFeatures === 'function') {
-                    const cullmanResults = await cullmanLayer.queryFeatures({ where: `outage_id = '${outageId}'`, returnGeometry: true, outFields: ['*'] });
-                    if (cullmanResults?.features?.length) {
-                        targetLayer = cullmanLayer;
-                        targetFeatures = cullmanResults.features;
+            if (outageLayer && outageLayer.visible) {
+                if (typeof outageLayer.queryFeatures === 'function') {
+                    const results = await outageLayer.queryFeatures({ where: `outage_id = '${outageId}'`, returnGeometry: true, outFields: ['*'] });
+                    if (results?.features?.length) {
+                        targetLayer = outageLayer;
+                        targetFeatures = results.features;
                     }
                 } else {
-                    const matches = collectMatchingGraphics(cullmanLayer);
+                    const matches = collectMatchingGraphics(outageLayer);
                     if (matches.length) {
-                        targetLayer = cullmanLayer;
+                        targetLayer = outageLayer;
                         targetFeatures = matches;
                     }
                 }
@@ -437,22 +590,24 @@ export class PowerOutageStatsComponent extends HTMLElement {
         }
     }
 
-    checkAndNotifyOutageChanges(company, previousOutages, currentOutages, currentOutageData) {
+    checkAndNotifyOutageChanges(provider, previousOutages, currentOutages, currentOutageData) {
         const newOutages = [...currentOutages].filter(id => !previousOutages.has(id));
         const resolvedOutages = [...previousOutages].filter(id => !currentOutages.has(id));
 
         if (newOutages.length > 0 || resolvedOutages.length > 0) {
-            this.showSpecificOutageNotification(company, newOutages, resolvedOutages, currentOutageData);
+            this.showSpecificOutageNotification(provider, newOutages, resolvedOutages, currentOutageData);
         }
     }
 
-    showSpecificOutageNotification(company, newOutages, resolvedOutages, currentOutageData) {
-        const existingNotice = document.querySelector('#outage-update-notice');
+    showSpecificOutageNotification(provider, newOutages, resolvedOutages, currentOutageData) {
+        // One notice per provider so simultaneous updates from different utilities don't replace each other
+        const noticeId = `outage-update-notice-${provider.id}`;
+        const existingNotice = document.getElementById(noticeId);
         if (existingNotice) {
             existingNotice.remove();
         }
 
-        const companyFullName = 'Cullman Electric';
+        const companyFullName = provider.name;
         let title = '';
         let message = '';
         let kind = 'info';
@@ -502,6 +657,12 @@ export class PowerOutageStatsComponent extends HTMLElement {
 
         message = notifications.join('. ');
 
+        // Storm mode batches outage changes into its digest
+        if (stormModeService.enabled) {
+            stormModeService.queueMessage(kind, message);
+            return;
+        }
+
         // Skip on mobile devices
         if (/Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent) || window.innerWidth <= 768) {
             console.log('📱 Mobile outage notification skipped');
@@ -511,7 +672,7 @@ export class PowerOutageStatsComponent extends HTMLElement {
         const noticeContainer = getOrCreateNoticeContainer();
 
         const notice = document.createElement('calcite-notice');
-        notice.id = 'outage-update-notice';
+        notice.id = noticeId;
         notice.setAttribute('open', '');
         notice.setAttribute('kind', kind);
         notice.setAttribute('closable', '');
@@ -29,9 +29,117 @@ export const API_CONFIG = {
         MST_FIBER: null
     },
 
-    // Supabase Storage URLs for Power Outage Data
+    // Power outage providers - one entry per utility serving our footprint
+    // Each provider gets its own map layer ('<id>-outages'), stats card and notifications.
+    // fieldMap maps our outage fields to the provider's GeoJSON property names; an array lists
+    // fallbacks tried in order. Providers with a null url are skipped until a feed is available.
+    // Every provider needs a fixture at tests/fixtures/outages/<id>.geojson for the mapping tests.
     OUTAGES: {
-        // Cullman Electric power outages
-        CULLMAN: 'https://crguystmaihtfdttybkf.supabase.co/storage/v1/object/public/cec_power_outages/outages/cullman_outages.geojson'
+        CULLMAN: {
+            id: 'cullman',
+            name: 'Cullman Electric',
+            shortName: 'Cullman',
+            url: 'https://crguystmaihtfdttybkf.supabase.co/storage/v1/object/public/cec_power_outages/outages/cullman_outages.geojson',
+            logo: '/logos/cec-logo.png', // Saved locally to avoid CORS issues with ArcGIS PictureMarkerSymbol
+            color: [255, 140, 0],
+            fieldMap: {
+                outage_id: 'outage_id',
+                customers_affected: 'customers_affected',
+                customers_restored: 'customers_restored',
+                cause: ['cause', 'suspected_cause'],
+                status: 'status',
+                start_time: 'start_time',
+                estimated_restoration: 'estimated_restoration',
+                last_update: 'last_update',
+                crew_assigned: 'crew_assigned',
+                verified: 'verified',
+                is_planned: 'is_planned',
+                substation: 'substation',
+                feeder: 'feeder',
+                district: 'district',
+                equipment: 'troubled_element'
+            }
+        },
+        ALABAMA_POWER: {
+            id: 'alabama-power',
+            name: 'Alabama Power',
+            shortName: 'Alabama Power',
+            url: null, // Storage sync for the Alabama Power outage map is not set up yet
+            logo: null,
+            color: [0, 114, 206],
+            fieldMap: {
+                outage_id: ['OUTAGE_ID', 'incidentId'],
+                customers_affected: ['CUSTOMERS_OUT', 'customersAffected'],
+                cause: ['CAUSE', 'cause'],
+                status: ['STATUS', 'crewStatus'],
+                start_time: ['START_TIME', 'startTime'],
+                estimated_restoration: ['ETR', 'estimatedRestoration'],
+                last_update: ['LAST_UPDATED', 'lastUpdated'],
+                crew_assigned: ['CREW_ASSIGNED', 'crewAssigned']
+            }
+        }
+    },
+
+    // Trouble tickets created from map popups (see TicketService)
+    // FORMAT 'rest' posts the ticket object as JSON; 'webhook' wraps it as { text, ticket } for chat-style hooks.
+    // In development the Vite dev server answers /api/mock-tickets so the flow works without a ticketing system.
+    // No ticketing credentials live in the bundle: requests carry the signed-in user's Supabase access token,
+    // so ENDPOINT should be a server-side proxy (e.g. an edge function) that verifies it and forwards the ticket.
+    TICKETS: {
+        ENDPOINT: import.meta.env.VITE_TICKET_ENDPOINT || (import.meta.env.DEV ? '/api/mock-tickets' : null),
+        FORMAT: import.meta.env.VITE_TICKET_FORMAT || 'rest',
+        RETRY_INTERVAL: 60000 // Queued tickets are retried on reconnect and on this interval
+    },
+
+    // Node site health thresholds and alert rules (see NodeAlertService)
+    // Thresholds are percent offline. A node uses its NODES entry if it has one, otherwise the
+    // first matching PROFILES entry, otherwise GLOBAL. Settings saved from the Alert Rules panel
+    // override GLOBAL, MIN_SUBSCRIBERS, the new-offline rule and QUIET_HOURS on that device.
+    // WEBHOOK_ENDPOINT receives each hit with the signed-in user's Supabase access token; like the
+    // ticket endpoint it should be a server-side proxy that verifies the token and holds the webhook URL.
+    NODE_ALERTS: {
+        GLOBAL: { critical: 50, warning: 25, fair: 10 },
+        PROFILES: [
+            // Business customers are hurt sooner - alert at lower percentages
+            { id: 'business', name: 'Business nodes', minBusinessCount: 25, thresholds: { critical: 30, warning: 15, fair: 5 } },
+            // On big nodes the same percentage is many more households
+            { id: 'large', name: 'Large nodes', minSubscribers: 500, thresholds: { critical: 35, warning: 20, fair: 8 } }
+        ],
+        NODES: {
+            // 'Hamilton': { critical: 40, warning: 20, fair: 8 }
+        },
+        MIN_SUBSCRIBERS: 10, // Rules ignore nodes smaller than this - a few drops there are noise
+        RULES: [
+            { id: 'health-critical', type: 'health', level: 'critical', name: 'Node critical' },
+            { id: 'health-warning', type: 'health', level: 'warning', name: 'Node warning' },
+            { id: 'new-offline', type: 'new-offline', count: 10, minutes: 15, level: 'warning', name: 'Offline surge' }
+        ],
+        QUIET_HOURS: { start: null, end: null, allowCritical: true }, // Local 'HH:MM'; null disables
+        WEBHOOK_ENDPOINT: import.meta.env.VITE_NODE_ALERT_ENDPOINT || null,
+        POLL_INTERVAL: 5 * 60 * 1000 // Background node metric checks while enabled
+    },
+
+    // Sign-in through Supabase Auth (see AuthService)
+    // The role is read from the user's app_metadata, which only the service role can write, so
+    // users cannot promote themselves. Users without a known role get DEFAULT_ROLE.
+    // Disabled, the app behaves as before: anon key, every feature available.
+    AUTH: {
+        ENABLED: import.meta.env.VITE_AUTH_ENABLED === 'true',
+        ROLE_CLAIM: 'role',
+        DEFAULT_ROLE: 'contractor',
+        ROLES: {
+            noc: { label: 'NOC', permissions: ['view-pii', 'export-csv', 'track-vehicles'] },
+            'field-tech': { label: 'Field Tech', permissions: ['view-pii', 'track-vehicles'] },
+            contractor: { label: 'Contractor (read-only)', permissions: [] }
+        },
+        OFFLINE_GRACE: 12 * 60 * 60 * 1000 // How long an expired session stays usable while the device is offline
+    },
+
+    // Storm mode (header button): faster polling, event layers on, live summary panel, batched notifications
+    STORM_MODE: {
+        SUBSCRIBER_POLL_INTERVAL: 15000,
+        OUTAGE_POLL_INTERVAL: 30000,
+        DIGEST_INTERVAL: 2 * 60 * 1000, // Subscriber and outage toasts are merged into one notice this often
+        LAYERS: ['rainviewer-radar', 'electric-trucks', 'fiber-trucks'] // Power outage layers are always turned on too
     }
 };
@@ -1,6 +1,8 @@
 // layerConfigs.js - Open/Closed: Extend through configuration
 import { subscriberDataService } from '../dataService.js';
 import { infrastructureService } from '../services/InfrastructureService.js';
+import { API_CONFIG } from './apiConfig.js';
+import { redactionService } from '../services/RedactionService.js';
 
 // Renderer configurations
 // Offline renderer - excludes electric offline (those are in a separate layer)
@@ -329,6 +331,18 @@ const createSproutHutPopup = () => ({
             title: 'Get Directions',
             icon: 'pin-tear',
             type: 'button'
+        },
+        {
+            id: 'pin-favorite',
+            title: 'Pin to Search',
+            icon: 'bookmark',
+            type: 'button'
+        },
+        {
+            id: 'create-ticket',
+            title: 'Create Ticket',
+            icon: 'flag',
+            type: 'button'
         }
     ]
 });
@@ -366,15 +380,21 @@ const createSproutHutLabeling = () => [
     }
 ];
 
+// Customer name as the popup title, or the account when the name is hidden or masked
+const createSubscriberTitle = ({ graphic }) => {
+    const attributes = redactionService.redactAttributes(graphic.attributes) || {};
+    return attributes.name || attributes.customer_name || attributes.account || 'Subscriber';
+};
+
 // Enhanced popup templates for field workers (updated for actual database schema)
 const createSubscriberPopup = (status) => ({
-    title: '{name}',
+    title: createSubscriberTitle,
     content: [
         {
             type: 'custom',
             outFields: ['*'],
             creator: function (feature) {
-                const attributes = feature.graphic.attributes;
+                const attributes = redactionService.redactAttributes(feature.graphic.attributes);
 
                 // Get MST value from multiple possible field names
                 const mstValue = attributes.mst || attributes.MST || attributes.MapNumber || attributes.mapnumber || attributes.mst_terminal || 'N/A';
@@ -402,6 +422,13 @@ const createSubscriberPopup = (status) => ({
                     { fieldName: 'last_update', label: 'Last Update', format: { dateFormat: 'short-date-short-time' } }
                 ];
 
+                // Power/fiber classification from PowerCorrelationService
+                if (attributes.power_outage_id) {
+                    fieldsConfig.splice(2, 0, { fieldName: 'power_outage_id', label: 'Power Outage' });
+                } else if (attributes.truck_roll === 'Yes') {
+                    fieldsConfig.splice(2, 0, { fieldName: 'truck_roll', label: 'Truck Roll' });
+                }
+
                 // Use clipboard utility if available
                 if (window.clipboardUtils && window.clipboardUtils.createPopupWithCopyButtons) {
                     return window.clipboardUtils.createPopupWithCopyButtons(normalizedAttributes, fieldsConfig);
@@ -442,6 +469,30 @@ const createSubscriberPopup = (status) => ({
             title: 'Get Directions',
             icon: 'pin-tear',
             type: 'button'
+        },
+        {
+            id: 'trace-upstream',
+            title: 'Trace Upstream',
+            icon: 'utility-network-trace',
+            type: 'button'
+        },
+        {
+            id: 'nearest-trucks',
+            title: 'Nearest Trucks',
+            icon: 'car',
+            type: 'button'
+        },
+        {
+            id: 'pin-favorite',
+            title: 'Pin to Search',
+            icon: 'bookmark',
+            type: 'button'
+        },
+        {
+            id: 'create-ticket',
+            title: 'Create Ticket',
+            icon: 'flag',
+            type: 'button'
         }
     ]
 });
@@ -475,6 +526,12 @@ const subscriberFields = [
     { name: 'has_electric', type: 'string', alias: 'Electric Available' },
     { name: 'electricOut', type: 'string', alias: 'Electric Out' },
     { name: 'electric_out', type: 'string', alias: 'Electric Out' }, // Alternative field name
+    // Set client-side by PowerCorrelationService
+    { name: 'power_correlated', type: 'string', alias: 'Inside Power Outage' },
+    { name: 'power_provider', type: 'string', alias: 'Power Provider' },
+    { name: 'power_outage_id', type: 'string', alias: 'Power Outage' },
+    { name: 'outage_type', type: 'string', alias: 'Outage Type' },
+    { name: 'truck_roll', type: 'string', alias: 'Truck Roll' },
     { name: 'fiber_distance', type: 'string', alias: 'Fiber Distance' },
     { name: 'light', type: 'string', alias: 'Light Level' },
     { name: 'bip', type: 'string', alias: 'BIP' },
@@ -819,6 +876,12 @@ const createMainLineFiberPopup = () => ({
             title: 'Copy Cable Info',
             icon: 'duplicate',
             type: 'button'
+        },
+        {
+            id: 'create-ticket',
+            title: 'Create Ticket',
+            icon: 'flag',
+            type: 'button'
         }
     ]
 });
@@ -843,6 +906,12 @@ const createMainLineOldPopup = () => ({
             title: 'Copy Cable Info',
             icon: 'duplicate',
             type: 'button'
+        },
+        {
+            id: 'create-ticket',
+            title: 'Create Ticket',
+            icon: 'flag',
+            type: 'button'
         }
     ]
 });
@@ -984,6 +1053,30 @@ const createMSTTerminalPopup = () => ({
             title: 'Get Directions',
             icon: 'pin-tear',
             type: 'button'
+        },
+        {
+            id: 'trace-upstream',
+            title: 'Trace Upstream',
+            icon: 'utility-network-trace',
+            type: 'button'
+        },
+        {
+            id: 'nearest-trucks',
+            title: 'Nearest Trucks',
+            icon: 'car',
+            type: 'button'
+        },
+        {
+            id: 'pin-favorite',
+            title: 'Pin to Search',
+            icon: 'bookmark',
+            type: 'button'
+        },
+        {
+            id: 'create-ticket',
+            title: 'Create Ticket',
+            icon: 'flag',
+            type: 'button'
         }
     ]
 });
@@ -1013,6 +1106,12 @@ const createPolePopup = () => ({
             title: 'Get Directions',
             icon: 'pin-tear',
             type: 'button'
+        },
+        {
+            id: 'create-ticket',
+            title: 'Create Ticket',
+            icon: 'flag',
+            type: 'button'
         }
     ]
 });
@@ -1145,6 +1244,12 @@ const createSplitterPopup = () => ({
             title: 'Get Directions',
             icon: 'pin-tear',
             type: 'button'
+        },
+        {
+            id: 'create-ticket',
+            title: 'Create Ticket',
+            icon: 'flag',
+            type: 'button'
         }
     ]
 });
@@ -1164,6 +1269,12 @@ const createClosurePopup = () => ({
             title: 'Get Directions',
             icon: 'pin-tear',
             type: 'button'
+        },
+        {
+            id: 'create-ticket',
+            title: 'Create Ticket',
+            icon: 'flag',
+            type: 'button'
         }
     ]
 });
@@ -1224,6 +1335,12 @@ const createSlackLoopPopup = () => ({
             title: 'Get Directions',
             icon: 'pin-tear',
             type: 'button'
+        },
+        {
+            id: 'create-ticket',
+            title: 'Create Ticket',
+            icon: 'flag',
+            type: 'button'
         }
     ]
 });
@@ -1444,6 +1561,12 @@ const createTruckPopup = (truckType) => {
                 title: 'Track Vehicle',
                 icon: 'locate',
                 type: 'button'
+            },
+            {
+                id: 'trip-history',
+                title: 'Trip History',
+                icon: 'footprint',
+                type: 'button'
             }
         ]
     };
@@ -1466,6 +1589,139 @@ const createTruckFields = () => [
 ];
 
 // Layer configurations
+// Power outage layers - one per provider in API_CONFIG.OUTAGES
+// Supports both Point geometries (small outages) and Polygon geometries (larger outage areas)
+export const createPowerOutageLayerConfig = (provider) => {
+    const color = provider.color || [255, 140, 0];
+    return {
+        id: `${provider.id}-outages`,
+        title: `${provider.shortName || provider.name} Power Outages`,
+        layerType: 'GeoJSONLayer',
+        dataUrl: null, // Data loaded dynamically via OutageService
+        geometryType: 'mixed', // Supports both Point and Polygon
+        // Point renderer for small outages (default - most common)
+        pointRenderer: {
+            type: 'simple',
+            symbol: {
+                type: 'simple-marker',
+                style: 'circle',
+                size: 14,
+                color: [...color, 0.85],
+                outline: {
+                    color: [255, 255, 255, 1], // White outline
+                    width: 2
+                }
+            }
+        },
+        // Polygon renderer for larger outage areas
+        polygonRenderer: {
+            type: 'simple',
+            symbol: {
+                type: 'simple-fill',
+                color: [...color, 0.3],
+                outline: {
+                    color: [...color, 0.9],
+                    width: 2
+                }
+            }
+        },
+        // Default renderer (will be overridden based on geometry type)
+        renderer: {
+            type: 'simple',
+            symbol: {
+                type: 'simple-marker',
+                style: 'circle',
+                size: 14,
+                color: [...color, 0.85],
+                outline: {
+                    color: [255, 255, 255, 1], // White outline
+                    width: 2
+                }
+            }
+        },
+        popupTemplate: {
+            title: 'Power Outage: {outage_id}',
+            content: [
+                {
+                    type: 'fields',
+                    fieldInfos: [
+                        { fieldName: 'outage_id', label: 'Outage ID' },
+                        { fieldName: 'customers_affected', label: 'Customers Affected' },
+                        {
+                            fieldName: 'status',
+                            label: 'Status',
+                            format: {
+                                places: 0,
+                                digitSeparator: false
+                            }
+                        },
+                        { fieldName: 'cause', label: 'Cause' },
+                        {
+                            fieldName: 'start_time',
+                            label: 'Start Time',
+                            format: {
+                                dateFormat: 'short-date-long-time'
+                            }
+                        },
+                        {
+                            fieldName: 'estimated_restoration',
+                            label: 'Estimated Restoration',
+                            format: {
+                                dateFormat: 'short-date-long-time'
+                            }
+                        },
+                        {
+                            fieldName: 'estimated_restore',
+                            label: 'Estimated Restoration',
+                            format: {
+                                dateFormat: 'short-date-long-time'
+                            }
+                        },
+                        {
+                            fieldName: 'crew_assigned',
+                            label: 'Crew Assigned'
+                        },
+                        {
+                            fieldName: 'is_planned',
+                            label: 'Planned Outage'
+                        },
+                        {
+                            fieldName: 'last_update',
+                            label: 'Last Update',
+                            format: {
+                                dateFormat: 'short-date-long-time'
+                            }
+                        }
+                    ]
+                }
+            ],
+            actions: [
+                {
+                    id: 'nearest-trucks',
+                    title: 'Nearest Trucks',
+                    icon: 'car',
+                    type: 'button'
+                }
+            ]
+        },
+        visible: true, // Visible by default
+        zOrder: 2, // Below all markers and OSP data, above service boundaries
+        fields: [
+            { name: 'outage_id', type: 'string', alias: 'Outage ID' },
+            { name: 'customers_affected', type: 'integer', alias: 'Customers Affected' },
+            { name: 'status', type: 'string', alias: 'Status' },
+            { name: 'cause', type: 'string', alias: 'Cause' },
+            { name: 'start_time', type: 'date', alias: 'Start Time' },
+            { name: 'estimated_restoration', type: 'date', alias: 'Estimated Restoration' },
+            { name: 'estimated_restore', type: 'date', alias: 'Estimated Restoration' }, // Alternative field name
+            { name: 'crew_assigned', type: 'string', alias: 'Crew Assigned' }, // Boolean stored as string
+            { name: 'is_planned', type: 'string', alias: 'Planned Outage' }, // Boolean stored as string
+            { name: 'last_update', type: 'date', alias: 'Last Update' }
+        ],
+        provider
+    };
+};
+
 export const layerConfigs = {
     offlineSubscribers: {
         id: 'offline-subscribers',
@@ -1728,103 +1984,143 @@ export const layerConfigs = {
         // No dataServiceMethod needed - handled by service
     },
 
-    // Power Outage Layer (Cullman Electric)
-    // Supports both Point geometries (small outages) and Polygon geometries (larger outage areas)
-    cullmanOutages: {
-        id: 'cullman-outages',
-        title: 'Cullman Power Outages',
-        layerType: 'GeoJSONLayer',
-        dataUrl: null, // Data loaded dynamically via OutageService
-        geometryType: 'mixed', // Supports both Point and Polygon
-        // Point renderer for small outages (default - most common)
-        pointRenderer: {
-            type: 'simple',
-            symbol: {
+    // Power Outage Layer (Cullman Electric) - other providers are built with createPowerOutageLayerConfig
+    cullmanOutages: createPowerOutageLayerConfig(API_CONFIG.OUTAGES.CULLMAN),
+
+    // Likely upstream failure points inferred by OutageClusterService
+    // GraphicsLayer so resolved suspects can be cleared without recreating the layer
+    outageClusters: {
+        id: 'outage-clusters',
+        title: 'Likely Failure Points',
+        layerType: 'GraphicsLayer',
+        symbols: {
+            mst: {
                 type: 'simple-marker',
-                style: 'circle',
-                size: 14,
-                color: [255, 140, 0, 0.85], // Orange with slight transparency
-                outline: {
-                    color: [255, 255, 255, 1], // White outline
-                    width: 2
-                }
+                style: 'triangle',
+                size: 18,
+                color: [220, 38, 38, 0.9], // Red
+                outline: { color: [255, 255, 255, 1], width: 2 }
+            },
+            splitter: {
+                type: 'simple-marker',
+                style: 'diamond',
+                size: 22,
+                color: [147, 51, 234, 0.9], // Purple (matches splitter legend)
+                outline: { color: [220, 38, 38, 1], width: 3 }
+            },
+            da: {
+                type: 'simple-marker',
+                style: 'square',
+                size: 24,
+                color: [0, 0, 0, 0],
+                outline: { color: [220, 38, 38, 1], width: 4 }
             }
         },
-        // Polygon renderer for larger outage areas
-        polygonRenderer: {
-            type: 'simple',
-            symbol: {
-                type: 'simple-fill',
-                color: [255, 140, 0, 0.3], // Orange fill with transparency
-                outline: {
-                    color: [255, 140, 0, 0.9], // Orange outline
-                    width: 2
+        popupTemplate: {
+            title: 'Likely Failed {level_label}: {name}',
+            content: [
+                {
+                    type: 'fields',
+                    fieldInfos: [
+                        { fieldName: 'level_label', label: 'Failure Point' },
+                        { fieldName: 'da', label: 'DA' },
+                        { fieldName: 'subscriber_count', label: 'Offline Subscribers' },
+                        { fieldName: 'mst_count', label: 'Affected MSTs' },
+                        { fieldName: 'affected_msts', label: 'MST Terminals' },
+                        { fieldName: 'confidence_pct', label: 'Confidence (%)' },
+                        {
+                            fieldName: 'last_update',
+                            label: 'Analyzed',
+                            format: {
+                                dateFormat: 'short-date-long-time'
+                            }
+                        }
+                    ]
                 }
-            }
+            ]
         },
-        // Default renderer (will be overridden based on geometry type)
-        renderer: {
-            type: 'simple',
-            symbol: {
+        visible: true,
+        zOrder: 129 // Above offline subscriber clusters, below vehicles
+    },
+
+    // Online subscribers with degraded receive light, from OpticalSignalService
+    // Built on demand - the analysis needs the full online subscriber set
+    degradedOptical: {
+        id: 'degraded-optical',
+        title: 'Degraded Optical Signal',
+        layerType: 'GraphicsLayer',
+        symbols: {
+            critical: {
                 type: 'simple-marker',
                 style: 'circle',
-                size: 14,
-                color: [255, 140, 0, 0.85], // Orange with slight transparency
-                outline: {
-                    color: [255, 255, 255, 1], // White outline
-                    width: 2
-                }
+                size: 9,
+                color: [220, 38, 38, 0.9], // Red
+                outline: { color: [255, 255, 255, 1], width: 1 }
+            },
+            low: {
+                type: 'simple-marker',
+                style: 'circle',
+                size: 8,
+                color: [249, 115, 22, 0.9], // Orange
+                outline: { color: [255, 255, 255, 1], width: 1 }
+            },
+            'high-loss': {
+                type: 'simple-marker',
+                style: 'circle',
+                size: 8,
+                color: [234, 179, 8, 0.9], // Yellow
+                outline: { color: [255, 255, 255, 1], width: 1 }
+            },
+            hot: {
+                type: 'simple-marker',
+                style: 'circle',
+                size: 8,
+                color: [147, 51, 234, 0.9], // Purple
+                outline: { color: [255, 255, 255, 1], width: 1 }
+            },
+            cluster: {
+                type: 'simple-marker',
+                style: 'triangle',
+                size: 18,
+                color: [0, 0, 0, 0],
+                outline: { color: [249, 115, 22, 1], width: 3 }
             }
         },
         popupTemplate: {
-            title: 'Power Outage: {outage_id}',
+            title: createSubscriberTitle,
             content: [
                 {
                     type: 'fields',
                     fieldInfos: [
-                        { fieldName: 'outage_id', label: 'Outage ID' },
-                        { fieldName: 'customers_affected', label: 'Customers Affected' },
-                        {
-                            fieldName: 'status',
-                            label: 'Status',
-                            format: {
-                                places: 0,
-                                digitSeparator: false
-                            }
-                        },
-                        { fieldName: 'cause', label: 'Cause' },
-                        {
-                            fieldName: 'start_time',
-                            label: 'Start Time',
-                            format: {
-                                dateFormat: 'short-date-long-time'
-                            }
-                        },
-                        {
-                            fieldName: 'estimated_restoration',
-                            label: 'Estimated Restoration',
-                            format: {
-                                dateFormat: 'short-date-long-time'
-                            }
-                        },
-                        {
-                            fieldName: 'estimated_restore',
-                            label: 'Estimated Restoration',
-                            format: {
-                                dateFormat: 'short-date-long-time'
-                            }
-                        },
-                        {
-                            fieldName: 'crew_assigned',
-                            label: 'Crew Assigned'
-                        },
-                        {
-                            fieldName: 'is_planned',
-                            label: 'Planned Outage'
-                        },
+                        { fieldName: 'signal_label', label: 'Signal' },
+                        { fieldName: 'light_dbm', label: 'Light Level (dBm)' },
+                        { fieldName: 'expected_dbm', label: 'Expected for Distance (dBm)' },
+                        { fieldName: 'excess_loss_db', label: 'Excess Loss (dB)' },
+                        { fieldName: 'fiber_distance_km', label: 'Fiber Distance (km)' },
+                        { fieldName: 'account', label: 'Account' },
+                        { fieldName: 'full_address', label: 'Address' },
+                        { fieldName: 'ont', label: 'ONT' },
+                        { fieldName: 'ta5k', label: 'TA5K' },
+                        { fieldName: 'mst', label: 'MST' }
+                    ]
+                }
+            ]
+        },
+        clusterPopupTemplate: {
+            title: 'Degraded Signal at MST {name}',
+            content: [
+                {
+                    type: 'fields',
+                    fieldInfos: [
+                        { fieldName: 'degraded_count', label: 'Degraded Subscribers' },
+                        { fieldName: 'online_count', label: 'Online Subscribers on MST' },
+                        { fieldName: 'worst_label', label: 'Worst Reading' },
+                        { fieldName: 'average_dbm', label: 'Average Light (dBm)' },
+                        { fieldName: 'min_dbm', label: 'Lowest Light (dBm)' },
+                        { fieldName: 'da', label: 'DA' },
                         {
                             fieldName: 'last_update',
-                            label: 'Last Update',
+                            label: 'Analyzed',
                             format: {
                                 dateFormat: 'short-date-long-time'
                             }
@@ -1833,20 +2129,8 @@ export const layerConfigs = {
                 }
             ]
         },
-        visible: true, // Visible by default
-        zOrder: 2, // Below all markers and OSP data, above service boundaries
-        fields: [
-            { name: 'outage_id', type: 'string', alias: 'Outage ID' },
-            { name: 'customers_affected', type: 'integer', alias: 'Customers Affected' },
-            { name: 'status', type: 'string', alias: 'Status' },
-            { name: 'cause', type: 'string', alias: 'Cause' },
-            { name: 'start_time', type: 'date', alias: 'Start Time' },
-            { name: 'estimated_restoration', type: 'date', alias: 'Estimated Restoration' },
-            { name: 'estimated_restore', type: 'date', alias: 'Estimated Restoration' }, // Alternative field name
-            { name: 'crew_assigned', type: 'string', alias: 'Crew Assigned' }, // Boolean stored as string
-            { name: 'is_planned', type: 'string', alias: 'Planned Outage' }, // Boolean stored as string
-            { name: 'last_update', type: 'date', alias: 'Last Update' }
-        ]
+        visible: false,
+        zOrder: 129 // Over the subscriber clusters they come from
     }
 
     // Additional layers can be added here as needed
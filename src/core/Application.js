@@ -5,9 +5,19 @@ import { LayerManager } from '../services/LayerManager.js';
 import { PopupManager } from '../services/PopupManager.js';
 import { WidgetController } from '../services/WidgetController.js';
 import { hoverHighlightService } from '../services/HoverHighlightService.js';
+import { outageClusterService } from '../services/OutageClusterService.js';
+import { statusHistoryService } from '../services/StatusHistoryService.js';
+import { subscriberRealtimeService } from '../services/SubscriberRealtimeService.js';
+import { outageService } from '../services/OutageService.js';
+import { powerCorrelationService } from '../services/PowerCorrelationService.js';
+import { savedViewService } from '../services/SavedViewService.js';
+import { authService } from '../services/AuthService.js';
+import { redactionService } from '../services/RedactionService.js';
+import { stormModeService } from '../services/StormModeService.js';
+import { enhancedSearchService } from '../services/EnhancedSearchService.js';
 // RainViewerService will be lazy-loaded
 import { subscriberDataService, pollingManager } from '../dataService.js';
-import { getLayerConfig } from '../config/layerConfigs.js';
+import { getLayerConfig, createPowerOutageLayerConfig } from '../config/layerConfigs.js';
 import { API_CONFIG } from '../config/apiConfig.js';
 import { getCurrentServiceArea, getServiceAreaBounds, getSearchSettings } from '../config/searchConfig.js';
 // geotabService will be lazy-loaded
@@ -25,6 +35,13 @@ import { createLogger } from '../utils/logger.js';
 // Initialize logger for this module
 const log = createLogger('Application');
 
+// Layers the panel switches can toggle; also the layers recorded in saved views and links
+const TOGGLEABLE_LAYER_IDS = new Set(['offline-subscribers', 'online-subscribers', 'electric-offline-subscribers', 'sprout-huts', 'rainviewer-radar', 'fsa-boundaries', 'main-line-fiber', 'main-line-old', 'mst-terminals', 'splitters', 'poles', 'closures', 'electric-trucks', 'fiber-trucks', 'outage-clusters', 'degraded-optical']);
+
+// Attributes that identify a selected feature across reloads, before falling back to the object id.
+// Record ids and equipment names only - links and saved views must not carry account numbers.
+const FEATURE_KEY_FIELDS = ['equipmentn', 'id'];
+
 export class Application {
     constructor() {
         this.services = {};
@@ -33,6 +50,7 @@ export class Application {
         this._onlineLayerLoadingPromise = null;
         this._cleanupHandlers = [];
         this.geotabEnabled = import.meta.env.VITE_GEOTAB_ENABLED === 'true';
+        this.subscriberRealtimeEnabled = import.meta.env.VITE_SUBSCRIBER_REALTIME_ENABLED === 'true';
         this.businessFilterEnabled = false; // Track business filter state for lazy-loaded layers
         this._syncingBusinessFilter = false; // Re-entrancy guard for switch sync
 
@@ -59,6 +77,7 @@ export class Application {
 
         this.pollingManager = pollingManager;
 
+        this.pollIntervals = {}; // Normal interval per polled data type; storm mode overrides while on
         this.activeTruckLayers = new Set();
         this.geotabFeed = null;
         this.geotabReady = false;
@@ -66,6 +85,10 @@ export class Application {
         window.themeManager = this.services.themeManager;
         window.clipboardUtils = clipboardUtils;
 
+        // Sign in before any data loads so requests carry the user's token
+        await this.initializeAuth();
+        this.setupRedactionToggle();
+
         // Parallelize core service initialization
         // These services are independent and can be initialized concurrently
         await Promise.all([
@@ -128,7 +151,7 @@ export class Application {
         ];
 
         // Initialize Geotab early if enabled so vehicle layers can use a ready service
-        if (this.geotabEnabled) {
+        if (this.geotabEnabled && authService.can('track-vehicles')) {
             initTasks.push(this.initializeGeotabService());
         }
 
@@ -145,6 +168,14 @@ export class Application {
 
         if (this.services.mapController.view) {
             this.services.popupManager.initialize(this.services.mapController.view);
+
+            // Right-click or long-press the map for what's nearby
+            import('../ui/ProximityPanel.js')
+                .then(({ proximityPanel }) => {
+                    this.services.proximityPanel = proximityPanel;
+                    proximityPanel.initialize(this.services.mapController.view);
+                })
+                .catch(error => log.warn('Proximity search unavailable:', error));
         }
 
         // Search widget configuration is now handled in WidgetController.loadWidgets()
@@ -161,17 +192,411 @@ export class Application {
         }, 1500);
 
         this.initialLoadComplete = true;
+        this.updateOutageClusters();
         this.startSubscriberPolling();
         this.startPowerOutagePolling();
+        this.setupStormMode();
         const triggerImmediateRefresh = () => {
             try { this.pollingManager.performUpdate('subscribers'); } catch { }
             try { this.pollingManager.performUpdate('power-outages'); } catch { }
         };
         document.addEventListener('visibilitychange', () => { if (!document.hidden) triggerImmediateRefresh(); });
         window.addEventListener('online', triggerImmediateRefresh);
+        this.startTicketRetry();
+        // Links restore after the default layers are up
+        this.restoreViewFromUrl().catch(error => log.warn('Could not restore view from link:', error));
+    }
+
+    // Supabase Auth sign-in gate; a no-op unless VITE_AUTH_ENABLED is set
+    async initializeAuth() {
+        if (!authService.enabled) return;
+
+        await authService.initialize();
+        this._authListener = (event) => this.handleAuthChanged(event.detail || {});
+        document.addEventListener('authChanged', this._authListener);
+        document.getElementById('auth-signout-btn')?.addEventListener('click', () => authService.signOut());
+
+        if (!authService.isAuthenticated()) {
+            const { authDialog } = await import('../ui/AuthDialog.js');
+            await authDialog.open();
+        }
+        this.updateAuthChip();
+    }
+
+    async handleAuthChanged({ reason }) {
+        this.updateAuthChip();
+        await this.refreshCustomerDisplay();
+
+        if (!authService.can('track-vehicles')) {
+            for (const layerId of ['electric-trucks', 'fiber-trucks']) {
+                if (!this.services.layerManager?.getLayer(layerId)?.visible) continue;
+                await this.services.layerManager.toggleLayerVisibility(layerId, false);
+                this.syncToggleStates(layerId, false);
+                await this.manageTruckLayerState(this.getLayerDisplayName(layerId), false);
+            }
+        }
+
+        if (reason === 'signed-out' || (reason === 'role-changed' && !authService.can('view-pii'))) {
+            await this.clearCustomerData();
+        }
+
+        if (reason === 'expired' || reason === 'signed-out') {
+            // The shell and map stay loaded; only the session is replaced
+            const { authDialog } = await import('../ui/AuthDialog.js');
+            await authDialog.open({ expired: reason === 'expired' });
+        } else if (reason === 'signed-in') {
+            try { this.pollingManager.performUpdate('subscribers'); } catch { }
+        }
+    }
+
+    // Customer records cached on this device must not outlive the session that could see them:
+    // status history, field mode bundles and the in-memory subscriber lists. Queued tickets are
+    // kept - they are the user's unsent reports and only leave the device with a signed-in session.
+    async clearCustomerData() {
+        subscriberDataService.clearCache();
+        enhancedSearchService.clear();
+        try {
+            await statusHistoryService.clearHistory();
+            const { offlineBundleService } = await import('../services/OfflineBundleService.js');
+            for (const bundle of await offlineBundleService.getBundles()) {
+                await offlineBundleService.deleteBundle(bundle.id);
+            }
+            log.info('🧹 Cleared cached customer data after sign-out or role change');
+        } catch (error) {
+            log.error('Failed to clear cached customer data:', error);
+        }
+    }
+
+    // Header button that masks customer names, phone numbers and accounts for screen sharing
+    setupRedactionToggle() {
+        const button = document.getElementById('redaction-toggle');
+        const render = () => {
+            if (!button) return;
+            const enabled = redactionService.enabled;
+            button.iconStart = enabled ? 'view-hide' : 'view-visible';
+            button.appearance = enabled ? 'solid' : 'transparent';
+            button.title = enabled ? 'Customer data is redacted - click to show' : 'Redact customer data for screen sharing';
+        };
+
+        button?.addEventListener('click', () => redactionService.toggle());
+        this._redactionListener = async (event) => {
+            render();
+            await this.refreshCustomerDisplay();
+            this.showNotification('info', event.detail?.enabled
+                ? 'Customer names, phone numbers and accounts are now redacted'
+                : 'Customer data is visible again', 3000);
+        };
+        document.addEventListener('redactionChanged', this._redactionListener);
+        render();
+    }
+
+    // Re-render customer data shown with the previous role or redaction setting
+    async refreshCustomerDisplay() {
+        const view = this.services.mapController?.view;
+        if (view?.popup?.visible) view.popup.close();
+
+        const layerManager = this.services.layerManager;
+        if (layerManager?.getLayer('degraded-optical')) {
+            const { opticalSignalService } = await import('../services/OpticalSignalService.js');
+            if (opticalSignalService.lastResult) layerManager.updateOpticalSignalLayer('degraded-optical', opticalSignalService.lastResult);
+        }
+    }
+
+    getPollInterval(dataType) {
+        if (!stormModeService.enabled) return this.pollIntervals[dataType];
+        const storm = API_CONFIG.STORM_MODE;
+        const stormInterval = dataType === 'subscribers' ? storm.SUBSCRIBER_POLL_INTERVAL : storm.OUTAGE_POLL_INTERVAL;
+        return Math.min(stormInterval, this.pollIntervals[dataType] ?? stormInterval);
+    }
+
+    // Header button for major weather events
+    setupStormMode() {
+        const button = document.getElementById('storm-mode-toggle');
+        if (!button) return;
+        button.disabled = false;
+        button.addEventListener('click', () => this.setStormMode(!stormModeService.enabled));
+    }
+
+    /**
+     * Storm mode: faster subscriber and outage polling, radar/outage/truck layers on, the side
+     * panel reduced to a live summary and toasts batched into a digest. Leaving it puts the
+     * polling and any layers it turned on back the way they were.
+     * @param {boolean} enabled
+     */
+    async setStormMode(enabled) {
+        if (stormModeService.enabled === enabled || this._stormModeChanging) return;
+        this._stormModeChanging = true;
+        const button = document.getElementById('storm-mode-toggle');
+        button?.setAttribute('loading', '');
+
+        try {
+            stormModeService.setEnabled(enabled);
+
+            // Realtime subscriber updates already arrive immediately - leave the reconciliation pass alone
+            if (!this.subscriberRealtimeEnabled || !subscriberRealtimeService.isConnected()) {
+                this.pollingManager.changeInterval('subscribers', this.getPollInterval('subscribers'));
+            }
+            this.pollingManager.changeInterval('power-outages', this.getPollInterval('power-outages'));
+
+            if (enabled) {
+                this._stormLayersEnabled = await this.enableStormLayers();
+                this.updateStormSummary({});
+                this._stormDigestTimer = setInterval(() => this.showStormDigest(), API_CONFIG.STORM_MODE.DIGEST_INTERVAL);
+                try { this.pollingManager.performUpdate('subscribers'); } catch { }
+                try { this.pollingManager.performUpdate('power-outages'); } catch { }
+            } else {
+                clearInterval(this._stormDigestTimer);
+                this._stormDigestTimer = null;
+                this.showStormDigest();
+                for (const layerId of this._stormLayersEnabled || []) await this.setStormLayerVisible(layerId, false);
+                this._stormLayersEnabled = [];
+            }
+
+            this.services.layerPanel?.setStormMode(enabled);
+            if (button) {
+                button.appearance = enabled ? 'solid' : 'transparent';
+                button.kind = enabled ? 'danger' : 'brand';
+                button.title = enabled ? 'Storm mode is on - click to return to normal' : 'Storm mode';
+            }
+            this.showNotification(enabled ? 'warning' : 'info', enabled
+                ? 'Storm mode on: faster updates, notifications batched into a digest'
+                : 'Storm mode off', 4000);
+        } catch (error) {
+            log.error('Failed to switch storm mode:', error);
+        } finally {
+            this._stormModeChanging = false;
+            button?.removeAttribute('loading');
+        }
+    }
+
+    // Turn on radar, power outages and trucks; returns the layers that were off so they can be turned back off
+    async enableStormLayers() {
+        const layerIds = [...API_CONFIG.STORM_MODE.LAYERS, ...outageService.getProviders().map(provider => provider.layerId)];
+        const enabled = [];
+        for (const layerId of layerIds) {
+            if (this.services.layerManager.getLayer(layerId)?.visible) continue;
+            if ((layerId === 'electric-trucks' || layerId === 'fiber-trucks') && !authService.can('track-vehicles')) continue;
+            if (await this.setStormLayerVisible(layerId, true)) enabled.push(layerId);
+        }
+        return enabled;
+    }
+
+    async setStormLayerVisible(layerId, visible) {
+        // Power outage layers are switched from the PowerOutageStats cards, not the panel toggles
+        const outageSwitch = document.getElementById(`toggle-${layerId}`);
+        if (outageService.getProviders().some(provider => provider.layerId === layerId)) {
+            if (!this.services.layerManager.getLayer(layerId)) return false;
+            await this.services.layerManager.toggleLayerVisibility(layerId, visible);
+            if (outageSwitch) outageSwitch.checked = visible;
+            return true;
+        }
+
+        const element = this.findLayerToggle(layerId);
+        if (!element) return false;
+        element.checked = visible;
+        await this.handleLayerToggle(element, visible);
+        return !!this.services.layerManager.getLayer(layerId)?.visible === visible;
+    }
+
+    updateStormSummary(changes) {
+        if (!stormModeService.enabled) return;
+        const trucks = ['electric-trucks', 'fiber-trucks']
+            .map(layerId => this.services.layerManager.getLayer(layerId))
+            .filter(layer => layer?.visible)
+            .reduce((sum, layer) => sum + (layer.graphics?.length || 0), 0);
+        stormModeService.updateSummary({ ...changes, trucks });
+        document.dispatchEvent(new CustomEvent('stormSummaryUpdated', { detail: stormModeService.summary }));
+    }
+
+    // One notice for everything queued since the last digest
+    showStormDigest() {
+        const digest = stormModeService.takeDigest();
+        if (!digest) return;
+
+        const existing = document.getElementById('storm-digest-notice');
+        if (existing) existing.remove();
+
+        const noticeContainer = getOrCreateNoticeContainer();
+        const notice = document.createElement('calcite-notice');
+        notice.id = 'storm-digest-notice';
+        notice.setAttribute('open', '');
+        notice.setAttribute('kind', digest.kind);
+        notice.setAttribute('closable', '');
+        notice.setAttribute('icon', 'rain-thunder');
+        notice.setAttribute('width', 'auto');
+
+        const titleDiv = document.createElement('div');
+        titleDiv.slot = 'title';
+        titleDiv.textContent = `Storm digest · ${new Date().toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+        const messageDiv = document.createElement('div');
+        messageDiv.slot = 'message';
+        digest.lines.forEach(line => {
+            const lineDiv = document.createElement('div');
+            lineDiv.textContent = line;
+            messageDiv.appendChild(lineDiv);
+        });
+
+        notice.appendChild(titleDiv);
+        notice.appendChild(messageDiv);
+        noticeContainer.appendChild(notice);
+        notice.addEventListener('calciteNoticeClose', () => {
+            notice.remove();
+            if (noticeContainer.children.length === 0) noticeContainer.remove();
+        });
+    }
+
+    updateAuthChip() {
+        const chip = document.getElementById('auth-user-chip');
+        const signOut = document.getElementById('auth-signout-btn');
+        const signedIn = authService.enabled && !!authService.session;
+        if (chip) {
+            chip.hidden = !signedIn;
+            chip.textContent = signedIn ? authService.getRoleLabel() : '';
+            chip.title = signedIn ? authService.session.user?.email || '' : '';
+        }
+        if (signOut) signOut.hidden = !signedIn;
+    }
+
+    // Send trouble tickets that were queued while offline, and report when they go out
+    startTicketRetry() {
+        document.addEventListener('ticketQueueChanged', (event) => {
+            const { sent = 0, dropped = 0 } = event.detail || {};
+            if (sent > 0) this.showNotification('success', `${sent} queued ticket${sent === 1 ? '' : 's'} sent`);
+            if (dropped > 0) this.showNotification('danger', `${dropped} queued ticket${dropped === 1 ? ' was' : 's were'} rejected by the ticket system`, 10000);
+        });
+        import('../services/TicketService.js')
+            .then(({ ticketService }) => ticketService.startAutoRetry())
+            .catch(error => log.warn('Ticket retry queue unavailable:', error));
+    }
+
+    /**
+     * Current view state for saved views and share links
+     * @returns {Object|null} See SavedViewService
+     */
+    captureViewState() {
+        const view = this.services.mapController?.view;
+        if (!view?.center) return null;
+
+        return {
+            center: [view.center.longitude, view.center.latitude],
+            zoom: view.zoom,
+            layers: [...TOGGLEABLE_LAYER_IDS].filter(id => this.services.layerManager?.getLayer(id)?.visible),
+            businessFilter: this.businessFilterEnabled,
+            feature: this.getSelectedFeatureKey(view),
+            tab: this.services.layerPanel?.activeContent || 'layers'
+        };
+    }
+
+    // Layer id plus a stable attribute for the feature open in the popup. Subscribers are always
+    // left out: their record id is the account number, and a link must not point at one customer
+    getSelectedFeatureKey(view) {
+        const graphic = view.popup?.visible ? view.popup.selectedFeature : null;
+        const layer = graphic?.layer;
+        if (!layer?.id || !this.services.layerManager?.getLayer(layer.id)) return null;
+        if (layer.id.includes('subscribers')) return null;
+
+        const attributes = graphic.attributes || {};
+        const field = FEATURE_KEY_FIELDS.find(key => attributes[key] !== undefined && attributes[key] !== null && attributes[key] !== '')
+            || layer.objectIdField;
+        if (!field || attributes[field] === undefined || attributes[field] === null) return null;
+        return { layerId: layer.id, field, value: String(attributes[field]) };
+    }
+
+    /**
+     * Restore a view state: business filter, layers, panel tab, extent, then the selected feature
+     * @param {Object} state - From captureViewState or SavedViewService.decode
+     */
+    async applyViewState(state) {
+        if (!state) return;
+        this._applyingViewState = true;
+        try {
+            if (typeof state.businessFilter === 'boolean' && state.businessFilter !== this.businessFilterEnabled) {
+                await this.toggleBusinessInternetFilter(state.businessFilter);
+                ['business-internet-filter-switch', 'mobile-business-internet-filter-switch'].forEach(id => {
+                    const element = document.getElementById(id);
+                    if (element) element.checked = state.businessFilter;
+                });
+            }
+
+            // Go through the panel toggles so lazy layers (online, radar, optical) load as they do on a click
+            if (Array.isArray(state.layers)) {
+                const wanted = new Set(state.layers);
+                for (const layerId of TOGGLEABLE_LAYER_IDS) {
+                    const visible = wanted.has(layerId);
+                    if (!!this.services.layerManager.getLayer(layerId)?.visible === visible) continue;
+                    const element = this.findLayerToggle(layerId);
+                    if (!element) continue;
+                    element.checked = visible;
+                    await this.handleLayerToggle(element, visible);
+                }
+            }
+
+            if (state.tab) this.services.layerPanel?.selectContent(state.tab);
+
+            const view = this.services.mapController?.view;
+            if (view && state.center) {
+                try {
+                    await view.goTo({ center: state.center, ...(Number.isFinite(state.zoom) ? { zoom: state.zoom } : {}) }, { animate: false });
+                } catch (error) {
+                    log.warn('Could not restore map extent:', error);
+                }
+            }
+
+            if (state.feature) await this.openFeatureByKey(state.feature);
+        } finally {
+            this._applyingViewState = false;
+        }
+    }
+
+    findLayerToggle(layerId) {
+        const toggles = document.querySelectorAll('#layers-content calcite-switch, #osp-content calcite-switch, #vehicles-content calcite-switch, #network-parent-content calcite-switch, #tools-content calcite-switch');
+        return [...toggles].find(element => this.getLayerIdFromElement(element) === layerId) || null;
+    }
+
+    async openFeatureByKey({ layerId, field, value }) {
+        const view = this.services.mapController?.view;
+        const layer = this.services.layerManager.getLayer(layerId);
+        if (!view || !layer) { log.warn(`Linked feature layer not available: ${layerId}`); return; }
+
+        try {
+            let feature = null;
+            if (layer.type === 'graphics') {
+                feature = layer.graphics.find(graphic => String(graphic.attributes?.[field]) === value) || null;
+            } else if (typeof layer.queryFeatures === 'function') {
+                await layer.load?.();
+                const fieldType = layer.fields?.find(f => f.name === field)?.type;
+                const numeric = ['oid', 'integer', 'small-integer', 'big-integer', 'long', 'double', 'single'].includes(fieldType);
+                const where = numeric ? `${field} = ${Number(value)}` : `${field} = '${value.replace(/'/g, "''")}'`;
+                const result = await layer.queryFeatures({ where, outFields: ['*'], returnGeometry: true, num: 1 });
+                feature = result.features[0] || null;
+            }
+
+            if (!feature?.geometry) { log.warn(`Linked feature not found: ${layerId} ${field}=${value}`); return; }
+            const location = feature.geometry.type === 'point' ? feature.geometry : feature.geometry.extent?.center;
+            view.openPopup({ features: [feature], location });
+        } catch (error) {
+            log.warn('Could not open linked feature:', error);
+        }
     }
 
+    // Apply view parameters from the link the app was opened with, once per page load
+    async restoreViewFromUrl() {
+        if (this._viewRestoreStarted) return;
+        this._viewRestoreStarted = true;
 
+        const state = savedViewService.decode(window.location.search);
+        if (!state) return;
+
+        try {
+            log.info('🔗 Restoring view from link');
+            await this.applyViewState(state);
+        } catch (error) {
+            log.error('Failed to restore view from link:', error);
+        }
+        // The link has been applied; a reload should not jump back to it
+        const others = savedViewService.stripViewParams(window.location.search);
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${others ? `?${others}` : ''}${window.location.hash}`);
+    }
 
     async initializeSubscriberLayers() {
         try {
@@ -300,20 +725,19 @@ export class Application {
                 }
             }
 
-            // Initialize Power Outage Layer using GraphicsLayer for mixed geometry support (Point + Polygon)
-            // Uses CEC logo from: https://cullmanec.com/sites/default/files/NRECA_Circle_Transparent_0.png
-            const cullmanOutagesConfig = getLayerConfig('cullmanOutages');
-            if (cullmanOutagesConfig) {
+            // Initialize one Power Outage Layer per provider using GraphicsLayer for mixed geometry support (Point + Polygon)
+            for (const provider of outageService.getProviders()) {
                 try {
                     // Create empty power outage layer (GraphicsLayer) - will be populated by polling
-                    const layer = await this.services.layerManager.createPowerOutageLayer(cullmanOutagesConfig, null);
+                    const outageConfig = createPowerOutageLayerConfig(provider);
+                    const layer = await this.services.layerManager.createPowerOutageLayer(outageConfig, null);
                     if (layer) {
-                        layer.visible = cullmanOutagesConfig.visible;
-                        this.services.mapController.addLayer(layer, cullmanOutagesConfig.zOrder);
-                        log.info('✅ Power outage layer initialized (GraphicsLayer, ready for updates)');
+                        layer.visible = outageConfig.visible;
+                        this.services.mapController.addLayer(layer, outageConfig.zOrder);
+                        log.info(`✅ ${provider.name} power outage layer initialized (GraphicsLayer, ready for updates)`);
                     }
                 } catch (error) {
-                    log.error('Failed to initialize power outage layer:', error);
+                    log.error(`Failed to initialize ${provider.name} power outage layer:`, error);
                 }
             }
 
@@ -510,10 +934,10 @@ export class Application {
             if (result && result.layer) {
                 result.layer.visible = true;
 
-                // Apply business filter if it was enabled before layer was loaded
-                if (this.businessFilterEnabled) {
-                    result.layer.definitionExpression = "service_type = 'BUSINESS INTERNET'";
-                    log.info('✅ Applied business filter to newly loaded online subscribers layer');
+                // Apply business/node site filters if they were enabled before layer was loaded
+                if (this.businessFilterEnabled || this.nodeSiteFilter) {
+                    result.layer.definitionExpression = this.getSubscriberFilter();
+                    log.info('✅ Applied subscriber filter to newly loaded online subscribers layer');
                 }
 
                 this.services.mapController.addLayer(result.layer, onlineConfig.zOrder);
@@ -546,7 +970,9 @@ export class Application {
                 'offline-subscribers-switch',
                 'business-internet-filter-switch',
                 'mobile-business-internet-filter-switch',
-                'electric-offline-switch'
+                'electric-offline-switch',
+                'outage-clusters-switch',
+                'degraded-optical-switch'
             ];
 
             if (!handledByIdSwitches.includes(switchElement.id)) {
@@ -888,10 +1314,45 @@ export class Application {
         if (desktopExportAllBtn) desktopExportAllBtn.addEventListener('click', async () => { await this.handleCSVExport(desktopExportAllBtn, 'all'); });
         const ta5kReportsBtn = document.getElementById('export-ta5k-reports-btn');
         if (ta5kReportsBtn) ta5kReportsBtn.addEventListener('click', async () => { await this.handleCSVExport(ta5kReportsBtn, 'ta5k-reports'); });
+        const nodeHealthBtn = document.getElementById('node-health-dashboard-btn');
+        if (nodeHealthBtn) nodeHealthBtn.addEventListener('click', async () => {
+            try {
+                const { nodeHealthDashboard } = await import('../ui/NodeHealthDashboard.js');
+                await nodeHealthDashboard.open();
+            } catch (error) {
+                log.error('Failed to open node health dashboard:', error);
+                this.showNotification('error', 'Failed to open node health dashboard', 3000);
+            }
+        });
+    }
+
+    // Background node site checks for the alert rules; the dashboard runs the same rules when open
+    async startNodeAlerts() {
+        const [{ nodeAlertService }, { nodeHealthService }] = await Promise.all([
+            import('../services/NodeAlertService.js'),
+            import('../services/NodeHealthService.js')
+        ]);
+        const schedule = () => {
+            if (this._nodeAlertTimer) clearInterval(this._nodeAlertTimer);
+            this._nodeAlertTimer = null;
+            if (!nodeAlertService.settings.enabled) return;
+            this._nodeAlertTimer = setInterval(() => {
+                if (navigator.onLine) nodeHealthService.poll({ trendSamples: 2 });
+            }, API_CONFIG.NODE_ALERTS.POLL_INTERVAL);
+        };
+        if (!this._nodeAlertListener) {
+            this._nodeAlertListener = () => schedule();
+            document.addEventListener('nodeAlertSettingsChanged', this._nodeAlertListener);
+        }
+        schedule();
     }
 
     async handleCSVExport(button, exportType = 'offline') {
         if (!button) return;
+        if (!authService.can('export-csv')) {
+            this.showNotification('warning', 'CSV export is not available for your role', 4000);
+            return;
+        }
         const originalText = button.textContent;
         const originalIcon = button.getAttribute('icon-start');
         try {
@@ -980,6 +1441,8 @@ export class Application {
         const businessFilterSwitch = document.getElementById('business-internet-filter-switch');
         const mobileBusinessFilterSwitch = document.getElementById('mobile-business-internet-filter-switch');
         const electricOfflineSwitch = document.getElementById('electric-offline-switch');
+        const outageClustersSwitch = document.getElementById('outage-clusters-switch');
+        const degradedOpticalSwitch = document.getElementById('degraded-optical-switch');
 
         // All switches use the same pattern
         if (onlineSwitch) onlineSwitch.addEventListener('calciteSwitchChange', (e) => { this.handleLayerToggle(e.target, e.target.checked); });
@@ -987,6 +1450,8 @@ export class Application {
         if (businessFilterSwitch) businessFilterSwitch.addEventListener('calciteSwitchChange', (e) => { this.handleLayerToggle(e.target, e.target.checked); });
         if (mobileBusinessFilterSwitch) mobileBusinessFilterSwitch.addEventListener('calciteSwitchChange', (e) => { this.handleLayerToggle(e.target, e.target.checked); });
         if (electricOfflineSwitch) electricOfflineSwitch.addEventListener('calciteSwitchChange', (e) => { this.handleLayerToggle(e.target, e.target.checked); });
+        if (outageClustersSwitch) outageClustersSwitch.addEventListener('calciteSwitchChange', (e) => { this.handleLayerToggle(e.target, e.target.checked); });
+        if (degradedOpticalSwitch) degradedOpticalSwitch.addEventListener('calciteSwitchChange', (e) => { this.handleLayerToggle(e.target, e.target.checked); });
 
         this.setupLayerSwitchesForAllSections();
         this.setupClickableListItems();
@@ -1029,7 +1494,6 @@ export class Application {
     async updateSubscriberStatistics() {
         try {
             const summary = await subscriberDataService.getSubscribersSummary();
-            this.services.dashboard.updateOfflineCount(summary.offline || 0);
             this.services.dashboard.updateLastUpdatedTime();
             const onlineCountEl = document.getElementById('online-count-display');
             const offlineCountEl = document.getElementById('offline-count-display');
@@ -1044,9 +1508,12 @@ export class Application {
             const mobileOfflineCountEl = document.getElementById('mobile-offline-count-display');
             const mobileElectricOfflineCountEl = document.getElementById('mobile-electric-offline-count-display');
             
-            const regularOffline = summary.offline || 0;
-            const electricOffline = summary.electricOffline || 0;
+            // Server counts use the electricOut flag - shift subscribers found inside live outage polygons
+            const powerCorrelated = Math.min(powerCorrelationService.getPowerRelatedCount(), summary.offline || 0);
+            const regularOffline = (summary.offline || 0) - powerCorrelated;
+            const electricOffline = (summary.electricOffline || 0) + powerCorrelated;
             const totalOffline = regularOffline + electricOffline;
+            this.services.dashboard.updateOfflineCount(regularOffline);
             
             if (onlineCountEl) onlineCountEl.textContent = summary.online?.toLocaleString() || '0';
             if (offlineCountEl) offlineCountEl.textContent = totalOffline.toLocaleString();
@@ -1193,12 +1660,19 @@ export class Application {
             return;
         }
 
-        const VALID_LAYER_IDS = new Set(['offline-subscribers', 'online-subscribers', 'electric-offline-subscribers', 'sprout-huts', 'rainviewer-radar', 'fsa-boundaries', 'main-line-fiber', 'main-line-old', 'mst-terminals', 'splitters', 'poles', 'closures', 'electric-trucks', 'fiber-trucks']);
-        if (!layerId || !VALID_LAYER_IDS.has(layerId)) { log.warn(`Invalid or unsupported layer ID: ${layerId}`); return; }
+        if (!layerId || !TOGGLEABLE_LAYER_IDS.has(layerId)) { log.warn(`Invalid or unsupported layer ID: ${layerId}`); return; }
+        if (checked && (layerId === 'electric-trucks' || layerId === 'fiber-trucks') && !authService.can('track-vehicles')) {
+            element.checked = false;
+            this.showNotification('warning', 'Vehicle tracking is not available for your role', 4000);
+            return;
+        }
         if (layerId) {
             if (layerId === 'online-subscribers' && checked && !this.onlineLayerLoaded) {
                 const loaded = await this.loadOnlineSubscribersLayer();
                 if (!loaded) { element.checked = false; return; }
+            } else if (layerId === 'degraded-optical' && checked && !this.services.layerManager.getLayer(layerId)) {
+                const loaded = await this.updateOpticalSignal(null, true);
+                if (!loaded) { element.checked = false; return; }
             } else if (layerId === 'rainviewer-radar' && checked) {
                 try {
                     // If layer already exists, just show it
@@ -1250,6 +1724,78 @@ export class Application {
         }
     }
 
+    // Definition expression for the subscriber layers from the active filters
+    getSubscriberFilter() {
+        const clauses = [];
+        if (this.businessFilterEnabled) clauses.push("service_type = 'BUSINESS INTERNET'");
+        if (this.nodeSiteFilter?.ta5kValues.length) {
+            clauses.push(`ta5k IN (${this.nodeSiteFilter.ta5kValues.map(value => `'${String(value).replace(/'/g, "''")}'`).join(', ')})`);
+        }
+        return clauses.length > 0 ? clauses.map(clause => `(${clause})`).join(' AND ') : null;
+    }
+
+    /**
+     * Show only one node site's subscribers and zoom to them (node health dashboard drill-down)
+     * @param {string} nodeSiteName
+     * @param {Array<string>} ta5kValues - From NodeSiteMetricsService.getTA5KValuesForNodeSite
+     */
+    async applyNodeSiteFilter(nodeSiteName, ta5kValues) {
+        this.nodeSiteFilter = { nodeSiteName, ta5kValues };
+        const where = this.getSubscriberFilter();
+        const layers = ['offline-subscribers', 'online-subscribers']
+            .map(id => this.services.layerManager.getLayer(id))
+            .filter(Boolean);
+        layers.forEach(layer => { layer.definitionExpression = where; });
+        log.info(`📊 Subscriber layers filtered to node site ${nodeSiteName}`);
+
+        try {
+            const extents = await Promise.all(layers
+                .filter(layer => layer.visible && typeof layer.queryExtent === 'function')
+                .map(layer => layer.queryExtent({ where }).catch(() => null)));
+            const extent = extents.filter(result => result?.count > 0 && result.extent)
+                .map(result => result.extent)
+                .reduce((combined, current) => combined ? combined.union(current) : current.clone(), null);
+            if (extent) await this.services.mapController.view.goTo(extent.expand(1.2));
+        } catch (error) {
+            log.warn('Could not zoom to node site subscribers:', error);
+        }
+
+        this.showNodeSiteFilterNotice(nodeSiteName);
+    }
+
+    clearNodeSiteFilter() {
+        if (!this.nodeSiteFilter) return;
+        this.nodeSiteFilter = null;
+        const where = this.getSubscriberFilter();
+        ['offline-subscribers', 'online-subscribers'].forEach(id => {
+            const layer = this.services.layerManager.getLayer(id);
+            if (layer) layer.definitionExpression = where;
+        });
+        document.getElementById('node-site-filter-notice')?.remove();
+        log.info('📊 Node site filter cleared');
+    }
+
+    // Stays open while the filter is active; closing it shows all subscribers again
+    showNodeSiteFilterNotice(nodeSiteName) {
+        document.getElementById('node-site-filter-notice')?.remove();
+        const notice = document.createElement('calcite-notice');
+        notice.id = 'node-site-filter-notice';
+        notice.setAttribute('open', '');
+        notice.setAttribute('kind', 'brand');
+        notice.setAttribute('icon', 'filter');
+        notice.setAttribute('closable', '');
+        const title = document.createElement('div');
+        title.slot = 'title';
+        title.textContent = `Showing ${nodeSiteName} subscribers`;
+        const message = document.createElement('div');
+        message.slot = 'message';
+        message.textContent = 'Close to show all node sites again.';
+        notice.appendChild(title);
+        notice.appendChild(message);
+        notice.addEventListener('calciteNoticeClose', () => this.clearNodeSiteFilter());
+        getOrCreateNoticeContainer().appendChild(notice);
+    }
+
     /**
      * Toggle business internet filter on subscriber layers
      * @param {boolean} enabled - Whether to enable business-only filter
@@ -1265,19 +1811,19 @@ export class Application {
             const onlineLayer = this.services.layerManager.getLayer('online-subscribers');
             const offlineLayer = this.services.layerManager.getLayer('offline-subscribers');
 
-            // Definition expression to filter for business internet only
-            const businessFilter = "service_type = 'BUSINESS INTERNET'";
+            // Business filter combined with any node site drill-down filter
+            const subscriberFilter = this.getSubscriberFilter();
 
             // Apply or remove the filter from both layers (if they exist)
             if (onlineLayer) {
-                onlineLayer.definitionExpression = enabled ? businessFilter : null;
+                onlineLayer.definitionExpression = subscriberFilter;
                 log.info(`Online layer filter ${enabled ? 'applied' : 'removed'}`);
             } else if (enabled && !this.onlineLayerLoaded) {
                 log.info('ℹ️ Online layer not loaded yet - filter will be applied when loaded');
             }
 
             if (offlineLayer) {
-                offlineLayer.definitionExpression = enabled ? businessFilter : null;
+                offlineLayer.definitionExpression = subscriberFilter;
                 log.info(`Offline layer filter ${enabled ? 'applied' : 'removed'}`);
             }
 
@@ -1298,6 +1844,8 @@ export class Application {
         if (element.id === 'online-subscribers-switch') return 'online-subscribers';
         if (element.id === 'offline-subscribers-switch') return 'offline-subscribers';
         if (element.id === 'electric-offline-switch') return 'electric-offline-subscribers';
+        if (element.id === 'outage-clusters-switch') return 'outage-clusters';
+        if (element.id === 'degraded-optical-switch') return 'degraded-optical';
         // Business filter switches - return consistent identifier
         if (element.id === 'business-internet-filter-switch' || element.id === 'mobile-business-internet-filter-switch') {
             return 'business-internet-filter';
@@ -1319,7 +1867,7 @@ export class Application {
 
     syncToggleStates(layerId, checked) {
         const labelMapping = {
-            'offline-subscribers': 'Offline Subscribers', 'online-subscribers': 'Online Subscribers', 'sprout-huts': 'Node Sites', 'rainviewer-radar': 'Weather Radar', 'cec-service-boundary': 'CEC Service Boundary', 'fsa-boundaries': 'DA Boundaries', 'main-line-fiber': 'Main Line Fiber', 'main-line-old': 'Main Line Old', 'mst-terminals': 'MST Terminals', 'splitters': 'Splitters', 'poles': 'Poles', 'closures': 'Slack Loops', 'slack-loops': 'Slack Loops', 'electric-trucks': 'Electric Trucks', 'fiber-trucks': 'Fiber Trucks'
+            'offline-subscribers': 'Offline Subscribers', 'online-subscribers': 'Online Subscribers', 'sprout-huts': 'Node Sites', 'rainviewer-radar': 'Weather Radar', 'cec-service-boundary': 'CEC Service Boundary', 'fsa-boundaries': 'DA Boundaries', 'main-line-fiber': 'Main Line Fiber', 'main-line-old': 'Main Line Old', 'mst-terminals': 'MST Terminals', 'splitters': 'Splitters', 'poles': 'Poles', 'closures': 'Slack Loops', 'slack-loops': 'Slack Loops', 'electric-trucks': 'Electric Trucks', 'fiber-trucks': 'Fiber Trucks', 'outage-clusters': 'Likely Failure Points', 'degraded-optical': 'Degraded Optical Signal'
         };
         const labelText = labelMapping[layerId]; if (!labelText) return;
         const desktopCheckboxes = document.querySelectorAll('#layers-content calcite-checkbox, #osp-content calcite-checkbox, #vehicles-content calcite-checkbox, #network-parent-content calcite-checkbox, #tools-content calcite-checkbox');
@@ -1357,13 +1905,20 @@ export class Application {
 
         // Mobile: 5 minutes (users typically don't leave app running)
         // Desktop: 30 seconds (users monitor actively)
-        const subscriberPollInterval = isMobile ? 300000 : 30000;
+        this.pollIntervals.subscribers = isMobile ? 300000 : 30000;
+        const subscriberPollInterval = this.getPollInterval('subscribers');
 
         log.info(`🔄 Starting subscriber data polling(${isMobile ? 'mobile' : 'desktop'}: ${subscriberPollInterval / 1000}s interval)`);
         let previousOfflineCount = null;
         let previousOnlineCount = null;
         const handleSubscriberUpdate = async (data) => {
             try {
+                // Timeline playback owns the subscriber layers until the user returns to live
+                if (statusHistoryService.isReplaying) return;
+                // Full poll results are the baseline realtime row changes are applied on top of
+                if (this.subscriberRealtimeEnabled) subscriberRealtimeService.seed(data);
+                // Offline subscribers inside live power outage polygons move to the electric offline set
+                data = this.applyPowerCorrelation(data);
                 if (data.offline || data.electricOffline || data.online) {
                     if (!window._isManualRefresh && data.offline) loadingIndicator.showLoading('offline-subscribers-update', 'Offline Subscribers');
                     if (!window._isManualRefresh && data.electricOffline) loadingIndicator.showLoading('electric-offline-subscribers-update', 'Electric Offline Subscribers');
@@ -1393,6 +1948,9 @@ export class Application {
                     }
                     previousOfflineCount = currentOfflineCount;
                     previousOnlineCount = currentOnlineCount;
+                    if (data.offline && data.electricOffline) this.updateStormSummary({ offline: currentOfflineCount, electricOffline: currentElectricOfflineCount });
+                    if (data.offline) this.updateOutageClusters(data.offline);
+                    if (data.online?.features && this.services.layerManager.getLayer('degraded-optical')) this.updateOpticalSignal(data.online);
                     await this.updateSubscriberStatistics();
                 }
             } catch (error) {
@@ -1405,7 +1963,41 @@ export class Application {
                 }
             }
         };
+        // Realtime changes have already been applied to the layers - only refresh the dependent views
+        const handleRealtimeUpdate = async (data) => {
+            try {
+                // Snapshot the raw offline set, as the polling path does, before power correlation moves subscribers out of it
+                if (data.offline) {
+                    statusHistoryService.recordSnapshot(data.offline, { electricOffline: subscriberRealtimeService.getResult('electricOffline')?.count || 0 });
+                }
+                // The electric-offline layer also shows power-related subscribers from the offline set,
+                // so a change to either set re-runs correlation over both before anything is drawn
+                const { seeded } = subscriberRealtimeService;
+                if ((data.offline || data.electricOffline) && seeded.offline && seeded.electricOffline && powerCorrelationService.outageAreas.length > 0) {
+                    data = this.applyPowerCorrelation({
+                        ...data,
+                        offline: data.offline || subscriberRealtimeService.getResult('offline'),
+                        electricOffline: data.electricOffline || subscriberRealtimeService.getResult('electricOffline')
+                    });
+                }
+                await subscriberRealtimeService.applyToLayers(data);
+                const currentOfflineCount = data.offline ? data.offline.count : previousOfflineCount;
+                const currentOnlineCount = data.online ? data.online.count : previousOnlineCount;
+                if (previousOfflineCount !== null && previousOnlineCount !== null &&
+                    (currentOfflineCount !== previousOfflineCount || currentOnlineCount !== previousOnlineCount)) {
+                    this.showSubscriberUpdateToast(previousOfflineCount, currentOfflineCount, previousOnlineCount, currentOnlineCount);
+                }
+                previousOfflineCount = currentOfflineCount;
+                previousOnlineCount = currentOnlineCount;
+                if (data.offline && data.electricOffline) this.updateStormSummary({ offline: data.offline.count, electricOffline: data.electricOffline.count });
+                if (data.offline) this.updateOutageClusters(data.offline);
+                await this.updateSubscriberStatistics();
+            } catch (error) {
+                log.error('Failed to handle realtime subscriber update:', error);
+            }
+        };
         this.pollingManager.startPolling('subscribers', handleSubscriberUpdate, subscriberPollInterval);
+        if (this.subscriberRealtimeEnabled) this.startSubscriberRealtime(handleSubscriberUpdate, handleRealtimeUpdate, subscriberPollInterval);
         // Setup mobile refresh button - matches desktop header refresh functionality
         // Note: The desktop Actions panel #refresh-data button was removed on 2025-01-22
         // Desktop users now use the header #refresh-dashboard button (DashboardManager.js)
@@ -1456,6 +2048,7 @@ export class Application {
 
         this.setupCSVExport();
         this.setupSubscriberStatistics();
+        this.startNodeAlerts();
         const testSubscriberButton = document.getElementById('test-subscriber-update');
         if (testSubscriberButton && typeof isDevelopment !== 'undefined' && isDevelopment) {
             testSubscriberButton.style.display = 'block';
@@ -1476,68 +2069,187 @@ export class Application {
 
         // Mobile: 5 minutes (users typically don't leave app running)
         // Desktop: 1 minute (users monitor actively)
-        const outagePollInterval = isMobile ? 300000 : 60000;
+        this.pollIntervals['power-outages'] = isMobile ? 300000 : 60000;
+        const outagePollInterval = this.getPollInterval('power-outages');
 
         log.info(`⚡ Starting power outage data polling(${isMobile ? 'mobile' : 'desktop'}: ${outagePollInterval / 1000}s interval)`);
         const handlePowerOutageUpdate = async (data) => {
-            try {
-                if (data && data.features) {
+            if (!data?.providers) return;
+            const counts = {};
+            for (const provider of outageService.getProviders()) {
+                const result = data.providers[provider.id];
+                if (!result?.features) continue;
+                const loadingKey = `${provider.layerId}-update`;
+                const loadingLabel = `${provider.shortName || provider.name} Power Outages`;
+                try {
                     if (!window._isManualRefresh) {
-                        loadingIndicator.showLoading('cullman-outages-update', 'Cullman Power Outages');
+                        loadingIndicator.showLoading(loadingKey, loadingLabel);
                     }
-                    let cullmanLayer = this.services.layerManager.getLayer('cullman-outages');
+                    let outageLayer = this.services.layerManager.getLayer(provider.layerId);
 
                     // Create layer if it doesn't exist (uses GraphicsLayer for mixed geometry support)
-                    if (!cullmanLayer) {
-                        const cullmanOutagesConfig = getLayerConfig('cullmanOutages');
-                        if (cullmanOutagesConfig) {
-                            cullmanLayer = await this.services.layerManager.createPowerOutageLayer(cullmanOutagesConfig, data);
-                            if (cullmanLayer) {
-                                cullmanLayer.visible = cullmanOutagesConfig.visible;
-                                this.services.mapController.addLayer(cullmanLayer, cullmanOutagesConfig.zOrder);
-                                log.info('✅ Power outage layer created during polling (GraphicsLayer)');
-                            }
+                    if (!outageLayer) {
+                        const outageConfig = createPowerOutageLayerConfig(provider);
+                        outageLayer = await this.services.layerManager.createPowerOutageLayer(outageConfig, result);
+                        if (outageLayer) {
+                            outageLayer.visible = outageConfig.visible;
+                            this.services.mapController.addLayer(outageLayer, outageConfig.zOrder);
+                            log.info(`✅ ${provider.name} power outage layer created during polling (GraphicsLayer)`);
                         }
-                    }
-
-                    if (cullmanLayer && data) {
+                    } else {
                         // Convert to GeoJSON format for layer update
-                        const cullmanGeoJSON = {
+                        await this.services.layerManager.updateLayerData(provider.layerId, {
                             type: 'FeatureCollection',
-                            features: data.features || []
-                        };
-                        await this.services.layerManager.updateLayerData('cullman-outages', cullmanGeoJSON);
+                            features: result.features || []
+                        });
                     }
-                    if (data && !window._isManualRefresh) {
-                        loadingIndicator.showNetwork('cullman-outages-update', 'Cullman Power Outages');
+                    counts[provider.id] = result.count || 0;
+                    if (!window._isManualRefresh) {
+                        loadingIndicator.showNetwork(loadingKey, loadingLabel);
                     }
-                    // Dispatch event for PowerOutageStats component to update
-                    document.dispatchEvent(new CustomEvent('powerOutageDataUpdated', {
-                        detail: {
-                            cullmanCount: data?.count || 0
-                        }
-                    }));
-                    const powerOutageStatsComponent = document.querySelector('power-outage-stats');
-                    if (powerOutageStatsComponent && powerOutageStatsComponent.updateStats) {
-                        powerOutageStatsComponent.updateStats(true);
+                } catch (error) {
+                    log.error(`Failed to handle ${provider.name} power outage update:`, error);
+                    try {
+                        (await import('../services/ErrorService.js')).errorService.report(error, {
+                            module: 'Application',
+                            action: 'handlePowerOutageUpdate',
+                            provider: provider.id
+                        });
+                    } catch { }
+                    if (!window._isManualRefresh) {
+                        loadingIndicator.showError(loadingKey, loadingLabel, 'Update failed');
                     }
                 }
-            } catch (error) {
-                log.error('Failed to handle power outage update:', error);
-                try {
-                    (await import('../services/ErrorService.js')).errorService.report(error, {
-                        module: 'Application',
-                        action: 'handlePowerOutageUpdate'
-                    });
-                } catch { }
-                if (!window._isManualRefresh) {
-                    loadingIndicator.showError('cullman-outages-update', 'Cullman Power Outages', 'Update failed');
-                }
+            }
+
+            const activeOutages = Object.values(data.providers).flatMap(result => result?.data || [])
+                .filter(outage => (outage.customers_affected || 0) > 0);
+            this.updateStormSummary({
+                outages: activeOutages.length,
+                customersOut: activeOutages.reduce((sum, outage) => sum + outage.customers_affected, 0),
+                crewsAssigned: activeOutages.filter(outage => outage.crew_assigned).length
+            });
+
+            // New or cleared outage polygons change which offline subscribers are power-related
+            if (powerCorrelationService.setOutages(data)) {
+                try { this.pollingManager.performUpdate('subscribers'); } catch { }
+            }
+
+            // Dispatch event for PowerOutageStats component to update
+            document.dispatchEvent(new CustomEvent('powerOutageDataUpdated', {
+                detail: { counts, totalCount: data.count || 0 }
+            }));
+            const powerOutageStatsComponent = document.querySelector('power-outage-stats');
+            if (powerOutageStatsComponent && powerOutageStatsComponent.updateStats) {
+                powerOutageStatsComponent.updateStats(true);
             }
         };
         this.pollingManager.startPolling('power-outages', handlePowerOutageUpdate, outagePollInterval);
     }
 
+    /**
+     * Reclassify offline subscribers against the active power outage polygons
+     * @param {Object} data - Subscriber polling result { offline, electricOffline, online }
+     * @returns {Object} Result with power-related subscribers moved to electricOffline
+     */
+    applyPowerCorrelation(data) {
+        const correlated = powerCorrelationService.apply(data);
+        if (correlated !== data) {
+            document.dispatchEvent(new CustomEvent('powerCorrelationUpdated', {
+                detail: powerCorrelationService.lastResult
+            }));
+        }
+        return correlated;
+    }
+
+    /**
+     * Re-run outage clustering and refresh the "Likely Failure Points" layer
+     * @param {Object} [offlineData] - Offline subscriber result from polling, reused to avoid a second query
+     */
+    async updateOutageClusters(offlineData = null) {
+        try {
+            const previousSuspects = outageClusterService.lastResult?.suspects || [];
+            const result = await outageClusterService.analyze(offlineData);
+            if (result.error) return;
+
+            const config = getLayerConfig('outageClusters');
+            const layerManager = this.services.layerManager;
+            if (!config || !layerManager) return;
+
+            if (layerManager.getLayer(config.id)) {
+                layerManager.updateOutageClusterLayer(config.id, result.suspects);
+            } else {
+                const clusterSwitch = document.getElementById('outage-clusters-switch');
+                const visible = clusterSwitch ? clusterSwitch.checked : config.visible;
+                const layer = layerManager.createOutageClusterLayer({ ...config, visible }, result.suspects);
+                if (layer) this.services.mapController.addLayer(layer, config.zOrder);
+            }
+
+            const newSuspects = outageClusterService.getNewSuspects(previousSuspects, result.suspects);
+            if (newSuspects.length > 0 && !window._isManualRefresh) {
+                const top = newSuspects[0];
+                const summary = `${top.levelLabel} ${top.name}${top.da ? ` (DA ${top.da})` : ''}: ${top.subscriberCount} offline subscribers`;
+                const message = newSuspects.length === 1
+                    ? `Likely failure point - ${summary}`
+                    : `${newSuspects.length} likely failure points detected. Largest - ${summary}`;
+                this.showNotification('warning', message, 10000);
+            }
+
+            document.dispatchEvent(new CustomEvent('outageClustersUpdated', {
+                detail: { count: result.count, suspects: result.suspects }
+            }));
+        } catch (error) {
+            log.error('Failed to update outage clusters:', error);
+        }
+    }
+
+    // Degraded optical signal layer - created on first toggle, then refreshed with online subscriber polls
+    async updateOpticalSignal(onlineData = null, visible = false) {
+        try {
+            const { opticalSignalService } = await import('../services/OpticalSignalService.js');
+            const previousClusters = opticalSignalService.lastResult?.clusters || [];
+            const isFirstRun = !opticalSignalService.lastResult;
+            if (isFirstRun) loadingIndicator.showLoading('degraded-optical', 'Degraded Optical Signal');
+
+            const result = await opticalSignalService.analyze(onlineData);
+            if (result.error) {
+                loadingIndicator.showError('degraded-optical', 'Degraded Optical Signal', 'Analysis failed');
+                return false;
+            }
+
+            const config = getLayerConfig('degradedOptical');
+            const layerManager = this.services.layerManager;
+            if (!config || !layerManager) return false;
+
+            if (layerManager.getLayer(config.id)) {
+                layerManager.updateOpticalSignalLayer(config.id, result);
+            } else {
+                const layer = layerManager.createOpticalSignalLayer({ ...config, visible }, result);
+                if (!layer) return false;
+                this.services.mapController.addLayer(layer, config.zOrder);
+            }
+            if (isFirstRun) loadingIndicator.showNetwork('degraded-optical', 'Degraded Optical Signal');
+
+            const newClusters = isFirstRun ? result.clusters : opticalSignalService.getNewClusters(previousClusters, result.clusters);
+            if (newClusters.length > 0 && !window._isManualRefresh) {
+                const top = newClusters[0];
+                const summary = `MST ${top.name}${top.da ? ` (DA ${top.da})` : ''}: ${top.degradedCount} of ${top.onlineCount} subscribers, lowest ${top.minDbm} dBm`;
+                const message = newClusters.length === 1
+                    ? `Degraded optical signal - ${summary}`
+                    : `${newClusters.length} MSTs with degraded optical signal. Worst - ${summary}`;
+                this.showNotification('warning', message, 10000);
+            }
+
+            document.dispatchEvent(new CustomEvent('opticalSignalUpdated', {
+                detail: { count: result.count, clusters: result.clusters }
+            }));
+            return true;
+        } catch (error) {
+            log.error('Failed to update degraded optical signal layer:', error);
+            return false;
+        }
+    }
+
     async initializeGeotabService() {
         if (!this.geotabEnabled) {
             log.warn('🚛 GeotabService is disabled (VITE_GEOTAB_ENABLED=false)');
@@ -1605,10 +2317,33 @@ export class Application {
                     }
                 });
             }
+            feedData.forEach(feed => { if (feed.data && feed.type === 'truck_data') this.checkGeofences(feed.data); });
         } catch (error) { log.error('🚛 Failed to handle GeotabFeed update:', error); }
     }
 
+    // Enter/exit/dwell alerts for the latest truck positions (see GeofenceService)
+    async checkGeofences(truckData) {
+        try {
+            const { geofenceService } = await import('../services/GeofenceService.js');
+            const events = await geofenceService.checkTruckData(truckData);
+            events.forEach(event => {
+                loadingIndicator.show({
+                    id: `geofence-${event.vehicleId}-${event.fenceId}`,
+                    message: geofenceService.formatEvent(event),
+                    type: event.type === 'dwell' ? 'alert' : 'event',
+                    dataType: 'Geofence'
+                });
+            });
+            if (events.length > 0) document.dispatchEvent(new CustomEvent('geofenceEventsLogged', { detail: { count: events.length } }));
+        } catch (error) { log.error('📍 Failed to check geofences:', error); }
+    }
+
     showSubscriberUpdateToast(prevOffline, currOffline, prevOnline, currOnline) {
+        // Storm mode collects these into the periodic digest instead
+        if (stormModeService.enabled) {
+            stormModeService.queueCountChange('offline', 'Offline subscribers', prevOffline, currOffline);
+            return;
+        }
         const existingNotice = document.querySelector('#subscriber-update-notice');
         if (existingNotice) existingNotice.remove();
         const offlineChange = currOffline - prevOffline;
@@ -1647,11 +2382,37 @@ export class Application {
         setTimeout(() => { if (document.body.contains(notice)) { notice.setAttribute('open', 'false'); setTimeout(() => { notice.remove(); if (noticeContainer.children.length === 0) noticeContainer.remove(); }, 300); } }, 5000);
     }
 
+    /**
+     * Switch subscriber updates to the Supabase Realtime channel, keeping polling as the fallback.
+     * While the channel is connected polling only runs as a slow reconciliation pass; when it
+     * drops, polling returns to the normal interval until the channel reconnects.
+     */
+    startSubscriberRealtime(handleSubscriberUpdate, handleRealtimeUpdate, pollInterval) {
+        const RECONCILE_INTERVAL = 15 * 60 * 1000;
+
+        subscriberRealtimeService.start({
+            layerManager: this.services.layerManager,
+            onConnected: () => {
+                log.info(`📡 Subscriber realtime connected - polling reduced to ${RECONCILE_INTERVAL / 60000} min reconciliation`);
+                this.pollingManager.startPolling('subscribers', handleSubscriberUpdate, RECONCILE_INTERVAL);
+                // Resync once so changes missed while disconnected are picked up and the baseline is seeded
+                this.pollingManager.performUpdate('subscribers');
+            },
+            onDisconnected: (reason) => {
+                const interval = this.getPollInterval('subscribers') || pollInterval;
+                log.warn(`📡 Subscriber realtime unavailable (${reason}) - falling back to ${interval / 1000}s polling`);
+                this.pollingManager.startPolling('subscribers', handleSubscriberUpdate, interval);
+            },
+            onUpdate: handleRealtimeUpdate
+        });
+    }
+
     stopPolling() { log.info('⏹️ Stopping all polling'); this.pollingManager.stopAll(); }
 
     cleanup() {
         log.info('🧹 Cleaning up application resources...');
         if (this.pollingManager) this.pollingManager.stopAll();
+        if (this.subscriberRealtimeEnabled) subscriberRealtimeService.stop();
         if (this.geotabFeed && typeof this.geotabFeed.stop === 'function') this.geotabFeed.stop();
         const geotab = this.services?.geotabService;
         if (geotab && typeof geotab.cleanup === 'function') geotab.cleanup();
@@ -1682,6 +2443,27 @@ export class Application {
         if (hoverHighlightService) {
             hoverHighlightService.destroy();
         }
+        this.services.proximityPanel?.destroy();
+        if (this._nodeAlertTimer) {
+            clearInterval(this._nodeAlertTimer);
+            this._nodeAlertTimer = null;
+        }
+        if (this._nodeAlertListener) {
+            document.removeEventListener('nodeAlertSettingsChanged', this._nodeAlertListener);
+            this._nodeAlertListener = null;
+        }
+        if (this._stormDigestTimer) {
+            clearInterval(this._stormDigestTimer);
+            this._stormDigestTimer = null;
+        }
+        if (this._redactionListener) {
+            document.removeEventListener('redactionChanged', this._redactionListener);
+            this._redactionListener = null;
+        }
+        if (this._authListener) {
+            document.removeEventListener('authChanged', this._authListener);
+            this._authListener = null;
+        }
         if (loadingIndicator) loadingIndicator.destroy();
         this._cleanupHandlers.forEach(handler => { try { handler(); } catch (error) { log.error('Cleanup handler error:', error); } });
         this.services = {}; this._cleanupHandlers = []; this.geotabFeed = null; this.activeTruckLayers.clear(); this.geotabReady = false;
@@ -3,6 +3,8 @@ import { cacheService } from './services/CacheService.js'
 import { createLogger } from './utils/logger.js'
 import { geoJSONTransformService } from './services/GeoJSONTransformService.js'
 import { infrastructureService } from './services/InfrastructureService.js'
+import { statusHistoryService } from './services/StatusHistoryService.js'
+import { applySubscriberSetFilter, ELECTRIC_OUT_FILTER, NOT_ELECTRIC_OUT_FILTER } from './utils/subscriberFilters.js'
 
 // Initialize Supabase client
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
@@ -150,6 +152,17 @@ export class SubscriberDataService {
         };
     }
 
+    // Subscribers from downloaded field mode bundles (null when nothing is downloaded)
+    async _getBundledSubscribers(setName) {
+        try {
+            const { offlineBundleService } = await import('./services/OfflineBundleService.js')
+            return await offlineBundleService.getBundledSubscribers(setName)
+        } catch (error) {
+            log.warn('Offline bundle lookup failed:', error)
+            return null
+        }
+    }
+
     // Check if cached data is still valid
     isCacheValid(key) {
         const versionedKey = `${key}_${this.APP_VERSION}`;
@@ -219,17 +232,19 @@ export class SubscriberDataService {
     // Excludes electric offline markers (electricOut='YES') - those are in a separate layer
     async getOfflineSubscribers() {
         try {
+            // Field mode: skip the network entirely when the device reports no connection
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                const bundled = await this._getBundledSubscribers('offline')
+                if (bundled) return bundled
+            }
+
             log.info('📡 Fetching offline subscribers from Supabase... (realtime - no cache)')
 
             // Select all fields for feature layer creation
-            // Exclude electric offline markers (electricOut='YES') - they have their own layer
-            const { data, error, count } = await supabase
+            // Exclude electric offline markers (electricOut starting with 'yes') - they have their own layer
+            const { data, error, count } = await applySubscriberSetFilter(supabase
                 .from('fiber_subscriber_status_live')
-                .select('*', { count: 'exact' })
-                .eq('Status', 'Offline')
-                .or('electricOut.is.null,electricOut.neq.YES,electricOut.ilike.no%')
-                .not('lat', 'is', null)
-                .not('lon', 'is', null)
+                .select('*', { count: 'exact' }), 'offline')
 
             if (isDevelopment) {
                 log.info('📊 Supabase response:')
@@ -300,6 +315,8 @@ export class SubscriberDataService {
             return result
         } catch (error) {
             log.error('Failed to fetch offline subscribers:', error)
+            const bundled = await this._getBundledSubscribers('offline')
+            if (bundled) return bundled
             throw error
         }
     }
@@ -308,17 +325,19 @@ export class SubscriberDataService {
     // Only includes markers where electricOut='YES' AND Status='Offline'
     async getElectricOfflineSubscribers() {
         try {
+            // Field mode: skip the network entirely when the device reports no connection
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                const bundled = await this._getBundledSubscribers('electricOffline')
+                if (bundled) return bundled
+            }
+
             log.info('📡 Fetching electric offline subscribers from Supabase... (realtime - no cache)')
 
             // Select all fields for feature layer creation
-            // Only include markers where electricOut='YES' AND Status='Offline'
-            const { data, error, count } = await supabase
+            // Only include markers where Status='Offline' AND electricOut starts with 'yes'
+            const { data, error, count } = await applySubscriberSetFilter(supabase
                 .from('fiber_subscriber_status_live')
-                .select('*', { count: 'exact' })
-                .eq('Status', 'Offline')
-                .ilike('electricOut', 'yes%')
-                .not('lat', 'is', null)
-                .not('lon', 'is', null)
+                .select('*', { count: 'exact' }), 'electricOffline')
 
             if (isDevelopment) {
                 log.info('📊 Supabase response (electric offline):')
@@ -372,6 +391,8 @@ export class SubscriberDataService {
             return result
         } catch (error) {
             log.error('Failed to fetch electric offline subscribers:', error)
+            const bundled = await this._getBundledSubscribers('electricOffline')
+            if (bundled) return bundled
             throw error
         }
     }
@@ -379,15 +400,18 @@ export class SubscriberDataService {
     // Get online subscribers for map display (includes geometry) - REALTIME (no caching)
     async getOnlineSubscribers() {
         try {
+            // Field mode: skip the network entirely when the device reports no connection
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                const bundled = await this._getBundledSubscribers('online')
+                if (bundled) return bundled
+            }
+
             log.info('📡 Fetching online subscribers from Supabase... (realtime - no cache)')
 
             // Select all fields for feature layer creation
-            const { data, error, count } = await supabase
+            const { data, error, count } = await applySubscriberSetFilter(supabase
                 .from('fiber_subscriber_status_live')
-                .select('*', { count: 'exact' })
-                .eq('Status', 'Online')
-                .not('lat', 'is', null)
-                .not('lon', 'is', null)
+                .select('*', { count: 'exact' }), 'online')
 
             if (isDevelopment) {
                 log.info('📊 Online subscribers response:')
@@ -436,6 +460,8 @@ export class SubscriberDataService {
             return result
         } catch (error) {
             log.error('Failed to fetch online subscribers:', error)
+            const bundled = await this._getBundledSubscribers('online')
+            if (bundled) return bundled
             throw error
         }
     }
@@ -509,12 +535,12 @@ export class SubscriberDataService {
                 supabase.from('fiber_subscriber_status_live')
                     .select('account', { count: 'exact', head: true })
                     .ilike('Status', 'offline%')
-                    .or('electricOut.is.null,electricOut.neq.YES,electricOut.ilike.no%'),
+                    .or(NOT_ELECTRIC_OUT_FILTER),
                 supabase.from('fiber_subscriber_status_live').select('account', { count: 'exact', head: true }).ilike('Status', 'online%'),
                 // Unknown includes null/empty/explicit 'Unknown'
                 supabase.from('fiber_subscriber_status_live').select('account', { count: 'exact', head: true }).or('Status.is.null,Status.eq.,Status.ilike.unknown%'),
                 // Electric offline: Status is Offline AND electricOut is YES
-                supabase.from('fiber_subscriber_status_live').select('account', { count: 'exact', head: true }).ilike('Status', 'offline%').ilike('electricOut', 'yes%')
+                supabase.from('fiber_subscriber_status_live').select('account', { count: 'exact', head: true }).ilike('Status', 'offline%').ilike(...ELECTRIC_OUT_FILTER)
             ])
 
             if (totalError || offlineError || onlineError || unknownError || electricOfflineError) {
@@ -982,6 +1008,19 @@ export class PollingManager {
         this.pollingIntervals.set(dataType, intervalId)
     }
 
+    // Change how often an active poll runs, keeping its callback and skipping the first-update logic
+    changeInterval(dataType, interval) {
+        const intervalId = this.pollingIntervals.get(dataType)
+        if (!intervalId) return false
+
+        clearInterval(intervalId)
+        this.pollingIntervals.set(dataType, setInterval(() => {
+            this.performUpdate(dataType)
+        }, interval))
+        log.info(`🔄 Polling for ${dataType} now every ${interval / 1000} seconds`)
+        return true
+    }
+
     // Stop polling for a specific data type
     stopPolling(dataType) {
         const intervalId = this.pollingIntervals.get(dataType)
@@ -1081,12 +1120,17 @@ export class PollingManager {
                         log.warn('📊 No subscriber layers exist or are loaded, skipping data fetch');
                     }
 
+                    // Keep status changes for timeline playback before this poll replaces the previous state
+                    if (offline) {
+                        statusHistoryService.recordSnapshot(offline, { electricOffline: electricOffline?.count || 0 })
+                    }
+
                     data = { offline, electricOffline, online }
                     break
                 case 'power-outages':
                     // Import outageService dynamically to avoid circular dependencies
                     const { outageService } = await import('./services/OutageService.js')
-                    data = await outageService.getCullmanOutages()
+                    data = await outageService.getAllOutages()
                     break
                 default:
                     log.warn(`Unknown data type for polling: ${dataType}`)
@@ -88,6 +88,8 @@ async function initializeApp() {
     import('@esri/calcite-components/dist/components/calcite-list-item'),
     import('@esri/calcite-components/dist/components/calcite-autocomplete'),
     import('@esri/calcite-components/dist/components/calcite-autocomplete-item'),
+    import('@esri/calcite-components/dist/components/calcite-autocomplete-item-group'),
+    import('@esri/calcite-components/dist/components/calcite-list-item-group'),
     // Mobile tab bar components (needed early to prevent componentOnReady errors)
     import('@esri/calcite-components/dist/components/calcite-segmented-control'),
     import('@esri/calcite-components/dist/components/calcite-segmented-control-item'),
@@ -159,7 +161,8 @@ async function initializeApp() {
       import('@esri/calcite-components/dist/components/calcite-label'),
       import('@esri/calcite-components/dist/components/calcite-card'),
       import('@esri/calcite-components/dist/components/calcite-select'),
-      import('@esri/calcite-components/dist/components/calcite-option')
+      import('@esri/calcite-components/dist/components/calcite-option'),
+      import('@esri/calcite-components/dist/components/calcite-slider')
     ]);
     desktopCalciteLoaded = true;
   };
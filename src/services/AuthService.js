@@ -0,0 +1,218 @@
+// AuthService.js - Supabase Auth sign-in, roles and permission checks
+import { API_CONFIG } from '../config/apiConfig.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('AuthService');
+
+// Customer attributes hidden from roles without the view-pii permission
+export const PII_FIELDS = [
+    'name', 'customer_name', 'Name',
+    'phone', 'phone_number', 'Phone',
+    'full_address', 'address', 'service_address'
+];
+
+/**
+ * AuthService - Who is signed in and what their role may do
+ *
+ * The Supabase client is shared with dataService, so once a user signs in every data request
+ * carries their token and row level security applies. The session is persisted by supabase-js;
+ * when it expires and cannot be refreshed, `authChanged` fires with reason 'expired' and the
+ * shell asks the user to sign in again without reloading. While the device is offline an
+ * expired session stays usable for OFFLINE_GRACE so field crews keep their cached map.
+ */
+export class AuthService {
+    constructor(config = API_CONFIG.AUTH, client = null) {
+        this.config = config || {};
+        this.client = client;
+        this.session = null;
+        this.role = null;
+        this.expiryTimer = null;
+        this.signingOut = false;
+        this.initialized = false;
+    }
+
+    get enabled() {
+        return !!this.config.ENABLED;
+    }
+
+    async getClient() {
+        if (!this.client) {
+            const { supabase } = await import('../dataService.js');
+            this.client = supabase;
+        }
+        return this.client;
+    }
+
+    async initialize() {
+        if (this.initialized || !this.enabled) return;
+        this.initialized = true;
+
+        try {
+            const client = await this.getClient();
+            const { data } = await client.auth.getSession();
+            this.setSession(data?.session || null);
+
+            client.auth.onAuthStateChange((event, session) => this.handleAuthChange(event, session));
+            window.addEventListener('online', () => this.checkExpiry());
+            document.addEventListener('visibilitychange', () => { if (!document.hidden) this.checkExpiry(); });
+
+            log.info(this.session ? `🔐 Signed in as ${this.session.user?.email} (${this.role})` : '🔐 No active session');
+        } catch (error) {
+            log.error('Failed to initialize authentication:', error);
+        }
+    }
+
+    /**
+     * Sign in with email and password
+     * @returns {Promise<{user: Object|null, role: string|null, error?: boolean, errorMessage?: string}>}
+     */
+    async signIn(email, password) {
+        try {
+            const client = await this.getClient();
+            const { data, error } = await client.auth.signInWithPassword({ email: String(email || '').trim(), password });
+            if (error) throw error;
+
+            this.setSession(data.session);
+            this.dispatch('signed-in');
+            return { user: data.user, role: this.role };
+        } catch (error) {
+            log.warn('Sign in failed:', error.message);
+            return { user: null, role: null, error: true, errorMessage: error.message };
+        }
+    }
+
+    async signOut() {
+        this.signingOut = true;
+        try {
+            const client = await this.getClient();
+            await client.auth.signOut();
+        } catch (error) {
+            log.warn('Sign out failed, clearing the local session anyway:', error);
+        } finally {
+            this.signingOut = false;
+            this.setSession(null);
+            this.dispatch('signed-out');
+        }
+    }
+
+    handleAuthChange(event, session) {
+        if (event === 'SIGNED_OUT') {
+            if (this.signingOut || !this.session) return;
+            // Not user-initiated: the refresh token was rejected or revoked
+            this.setSession(null);
+            this.dispatch('expired');
+            return;
+        }
+        if (session && ['SIGNED_IN', 'TOKEN_REFRESHED', 'USER_UPDATED', 'INITIAL_SESSION'].includes(event)) {
+            const previousRole = this.role;
+            this.setSession(session);
+            if (previousRole !== this.role) this.dispatch('role-changed');
+        }
+    }
+
+    setSession(session) {
+        this.session = session;
+        this.role = session ? this.resolveRole(session.user) : null;
+        this.scheduleExpiryCheck();
+    }
+
+    /**
+     * Role from the user's app_metadata, falling back to DEFAULT_ROLE
+     * @param {Object} user - Supabase user
+     * @returns {string}
+     */
+    resolveRole(user) {
+        const claim = user?.app_metadata?.[this.config.ROLE_CLAIM || 'role'];
+        const role = typeof claim === 'string' ? claim.trim().toLowerCase() : '';
+        return this.config.ROLES?.[role] ? role : this.config.DEFAULT_ROLE;
+    }
+
+    getRoleLabel(role = this.role) {
+        return this.config.ROLES?.[role]?.label || role || '';
+    }
+
+    isAuthenticated() {
+        return !this.enabled || !!this.session;
+    }
+
+    /**
+     * Whether the current user may use a feature
+     * @param {string} permission - 'view-pii', 'export-csv' or 'track-vehicles'
+     * @returns {boolean} Always true while auth is disabled
+     */
+    can(permission) {
+        if (!this.enabled) return true;
+        if (!this.session) return false;
+        return (this.config.ROLES?.[this.role]?.permissions || []).includes(permission);
+    }
+
+    /**
+     * Copy of feature attributes with PII removed when the role may not see it
+     * @param {Object} attributes
+     * @returns {Object}
+     */
+    redactAttributes(attributes) {
+        if (!attributes || this.can('view-pii')) return attributes;
+        const redacted = { ...attributes };
+        PII_FIELDS.forEach(field => {
+            if (field in redacted) redacted[field] = null;
+        });
+        return redacted;
+    }
+
+    /**
+     * Whether a session is past its expiry
+     * @param {Object} session
+     * @param {number} [now]
+     * @returns {boolean}
+     */
+    isExpired(session, now = Date.now()) {
+        return !!session?.expires_at && session.expires_at * 1000 <= now;
+    }
+
+    scheduleExpiryCheck() {
+        clearTimeout(this.expiryTimer);
+        this.expiryTimer = null;
+        if (!this.session?.expires_at) return;
+
+        // supabase-js refreshes ahead of expiry; check just after it in case that failed
+        const delay = Math.max(this.session.expires_at * 1000 - Date.now() + 5000, 1000);
+        this.expiryTimer = setTimeout(() => this.checkExpiry(), Math.min(delay, 2 ** 31 - 1));
+    }
+
+    async checkExpiry(now = Date.now()) {
+        if (!this.session || !this.isExpired(this.session, now)) return;
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            if (now - this.session.expires_at * 1000 < (this.config.OFFLINE_GRACE || 0)) {
+                log.info('🔐 Session expired while offline - refreshing when back online');
+                return;
+            }
+        } else {
+            try {
+                const client = await this.getClient();
+                const { data, error } = await client.auth.refreshSession();
+                if (!error && data?.session) {
+                    this.setSession(data.session);
+                    return;
+                }
+            } catch (error) {
+                log.warn('Session refresh failed:', error);
+            }
+        }
+
+        log.warn('🔐 Session expired');
+        this.setSession(null);
+        this.dispatch('expired');
+    }
+
+    dispatch(reason) {
+        document.dispatchEvent(new CustomEvent('authChanged', {
+            detail: { reason, role: this.role, email: this.session?.user?.email || null, authenticated: !!this.session }
+        }));
+    }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
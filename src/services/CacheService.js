@@ -18,6 +18,51 @@ class CacheService {
       metadata: 'key, value'
     });
 
+    // v2: subscriber status history (keyframes + deltas, see StatusHistoryService)
+    this.db.version(2).stores({
+      ospData: 'id, dataType, timestamp, data',
+      metadata: 'key, value',
+      statusSnapshots: '++id, timestamp'
+    });
+
+    // v3: field mode bundles (per-DA subscribers, infrastructure and tile list, see OfflineBundleService)
+    this.db.version(3).stores({
+      ospData: 'id, dataType, timestamp, data',
+      metadata: 'key, value',
+      statusSnapshots: '++id, timestamp',
+      offlineBundles: 'id, createdAt'
+    });
+
+    // v4: trouble tickets waiting to be sent (see TicketService)
+    this.db.version(4).stores({
+      ospData: 'id, dataType, timestamp, data',
+      metadata: 'key, value',
+      statusSnapshots: '++id, timestamp',
+      offlineBundles: 'id, createdAt',
+      ticketQueue: '++id, createdAt'
+    });
+
+    // v5: custom geofences drawn on the map (see GeofenceService)
+    this.db.version(5).stores({
+      ospData: 'id, dataType, timestamp, data',
+      metadata: 'key, value',
+      statusSnapshots: '++id, timestamp',
+      offlineBundles: 'id, createdAt',
+      ticketQueue: '++id, createdAt',
+      geofences: 'id, createdAt'
+    });
+
+    // v6: power outage lifecycle records for MTTR reporting (see OutageEventService)
+    this.db.version(6).stores({
+      ospData: 'id, dataType, timestamp, data',
+      metadata: 'key, value',
+      statusSnapshots: '++id, timestamp',
+      offlineBundles: 'id, createdAt',
+      ticketQueue: '++id, createdAt',
+      geofences: 'id, createdAt',
+      outageEvents: 'key, providerId, startedAt'
+    });
+
     // Open the database
     this.db.open().then(() => {
       log.info('✅ IndexedDB (FiberOMSCache) opened successfully');
@@ -165,6 +210,183 @@ class CacheService {
     }
   }
 
+  // Store a subscriber status snapshot (history is kept separately from OSP data)
+  async addStatusSnapshot(snapshot) {
+    try {
+      return await this.db.statusSnapshots.add(snapshot);
+    } catch (error) {
+      log.error('Error writing status snapshot:', error);
+      return null;
+    }
+  }
+
+  // Get status snapshots recorded at or after the given time, oldest first
+  async getStatusSnapshots(sinceTimestamp = 0) {
+    try {
+      return await this.db.statusSnapshots.where('timestamp').aboveOrEqual(sinceTimestamp).sortBy('timestamp');
+    } catch (error) {
+      log.error('Error reading status snapshots:', error);
+      return [];
+    }
+  }
+
+  // Delete status snapshots older than the given time
+  async pruneStatusSnapshots(beforeTimestamp) {
+    try {
+      const removed = await this.db.statusSnapshots.where('timestamp').below(beforeTimestamp).delete();
+      if (removed > 0) log.info(`🗑️ Pruned ${removed} status snapshots`);
+      return removed;
+    } catch (error) {
+      log.error('Error pruning status snapshots:', error);
+      return 0;
+    }
+  }
+
+  // Clear all status history
+  async clearStatusSnapshots() {
+    try {
+      await this.db.statusSnapshots.clear();
+      log.info('🗑️ Cleared subscriber status history');
+    } catch (error) {
+      log.error('Error clearing status history:', error);
+    }
+  }
+
+  // Store or replace a downloaded field mode bundle
+  async putOfflineBundle(bundle) {
+    try {
+      await this.db.offlineBundles.put(bundle);
+      return true;
+    } catch (error) {
+      log.error('Error writing offline bundle:', error);
+      return false;
+    }
+  }
+
+  // Get all downloaded field mode bundles, newest first
+  async getOfflineBundles() {
+    try {
+      return await this.db.offlineBundles.orderBy('createdAt').reverse().toArray();
+    } catch (error) {
+      log.error('Error reading offline bundles:', error);
+      return [];
+    }
+  }
+
+  async deleteOfflineBundle(id) {
+    try {
+      await this.db.offlineBundles.delete(id);
+      log.info(`🗑️ Deleted offline bundle ${id}`);
+    } catch (error) {
+      log.error('Error deleting offline bundle:', error);
+    }
+  }
+
+  // Queue a trouble ticket for a later send attempt
+  async addQueuedTicket(entry) {
+    try {
+      return await this.db.ticketQueue.add(entry);
+    } catch (error) {
+      log.error('Error queueing ticket:', error);
+      return null;
+    }
+  }
+
+  // Get queued trouble tickets, oldest first
+  async getQueuedTickets() {
+    try {
+      return await this.db.ticketQueue.orderBy('createdAt').toArray();
+    } catch (error) {
+      log.error('Error reading ticket queue:', error);
+      return [];
+    }
+  }
+
+  async updateQueuedTicket(id, changes) {
+    try {
+      await this.db.ticketQueue.update(id, changes);
+    } catch (error) {
+      log.error('Error updating queued ticket:', error);
+    }
+  }
+
+  async deleteQueuedTicket(id) {
+    try {
+      await this.db.ticketQueue.delete(id);
+    } catch (error) {
+      log.error('Error removing queued ticket:', error);
+    }
+  }
+
+  async putGeofence(geofence) {
+    try {
+      await this.db.geofences.put(geofence);
+      return true;
+    } catch (error) {
+      log.error('Error saving geofence:', error);
+      return false;
+    }
+  }
+
+  // Get custom geofences, oldest first
+  async getGeofences() {
+    try {
+      return await this.db.geofences.orderBy('createdAt').toArray();
+    } catch (error) {
+      log.error('Error reading geofences:', error);
+      return [];
+    }
+  }
+
+  async deleteGeofence(id) {
+    try {
+      await this.db.geofences.delete(id);
+    } catch (error) {
+      log.error('Error deleting geofence:', error);
+    }
+  }
+
+  async putOutageEvents(events) {
+    try {
+      await this.db.outageEvents.bulkPut(events);
+      return true;
+    } catch (error) {
+      log.error('Error saving outage events:', error);
+      return false;
+    }
+  }
+
+  // Get outage events that started at or after the given time, oldest first
+  async getOutageEvents(sinceTimestamp = 0) {
+    try {
+      return await this.db.outageEvents.where('startedAt').aboveOrEqual(sinceTimestamp).sortBy('startedAt');
+    } catch (error) {
+      log.error('Error reading outage events:', error);
+      return [];
+    }
+  }
+
+  // Get a provider's outage events that are still open or were restored at or after the given time
+  async getOpenOutageEvents(providerId, restoredSince = Infinity) {
+    try {
+      return await this.db.outageEvents.where('providerId').equals(providerId)
+        .filter(event => !event.restoredAt || event.restoredAt >= restoredSince)
+        .toArray();
+    } catch (error) {
+      log.error('Error reading open outage events:', error);
+      return [];
+    }
+  }
+
+  async pruneOutageEvents(beforeTimestamp) {
+    try {
+      return await this.db.outageEvents.where('startedAt').below(beforeTimestamp).delete();
+    } catch (error) {
+      log.error('Error pruning outage events:', error);
+      return 0;
+    }
+  }
+
   // Helper functions
   getAgeString(timestamp) {
     const age = Date.now() - timestamp;
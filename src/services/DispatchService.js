@@ -0,0 +1,103 @@
+// DispatchService.js - Rank Geotab trucks by distance and estimated drive time to a location
+import { geotabService } from './GeotabService.js';
+import { haversineMeters } from '../utils/geoUtils.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('DispatchService');
+
+const DEFAULT_OPTIONS = {
+    averageSpeedMph: 35, // Rural road average used for the drive time estimate
+    roadFactor: 1.3      // Roads are longer than the straight line between two points
+};
+
+const METERS_PER_MILE = 1609.344;
+
+/**
+ * DispatchService - Suggests the nearest available truck for an outage, subscriber or MST
+ *
+ * Drive time is an estimate from straight-line distance; no routing service is called.
+ * Offline trucks are still listed, after every truck that is reporting.
+ */
+export class DispatchService {
+    constructor(geotab = geotabService, options = {}) {
+        this.geotab = geotab;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Fetch current truck positions and rank them against a target
+     * @param {Array<number>} target - [lon, lat]
+     * @param {Object} [options]
+     * @param {Function} [options.getStatus] - vehicle => 'Online' | 'Idle' | 'Offline' (LayerPanel.getVehicleStatus)
+     * @returns {Promise<Object>} { count, data, lastUpdated, error?, errorMessage? }
+     */
+    async getRankedTrucks(target, { getStatus } = {}) {
+        try {
+            const truckData = await this.geotab.getTruckData();
+            const trucks = [
+                ...(truckData?.fiber || []).map(truck => ({ ...truck, vehicle_type: 'fiber' })),
+                ...(truckData?.electric || []).map(truck => ({ ...truck, vehicle_type: 'electric' }))
+            ];
+            const data = this.rankTrucks(target, trucks, { getStatus });
+            log.info(`🚚 Ranked ${data.length} trucks for dispatch`);
+            return { count: data.length, data, lastUpdated: new Date() };
+        } catch (error) {
+            log.error('Failed to rank trucks:', error);
+            return { count: 0, data: [], lastUpdated: new Date(), error: true, errorMessage: error.message };
+        }
+    }
+
+    /**
+     * Rank trucks by estimated drive time, reporting trucks first
+     * @param {Array<number>} target - [lon, lat]
+     * @param {Array} trucks - GeotabService truck records
+     * @param {Object} [options]
+     * @param {Function} [options.getStatus]
+     * @returns {Array<{truck, status, meters, miles, driveMinutes}>}
+     */
+    rankTrucks(target, trucks = [], { getStatus = () => 'Unknown' } = {}) {
+        const [targetLon, targetLat] = target;
+
+        return trucks
+            .filter(truck => Number.isFinite(parseFloat(truck.latitude)) && Number.isFinite(parseFloat(truck.longitude)))
+            .map(truck => {
+                const meters = haversineMeters(parseFloat(truck.longitude), parseFloat(truck.latitude), targetLon, targetLat);
+                const miles = meters / METERS_PER_MILE;
+                return {
+                    truck,
+                    status: getStatus(truck) || 'Unknown',
+                    meters,
+                    miles,
+                    driveMinutes: this.estimateDriveMinutes(miles)
+                };
+            })
+            .sort((a, b) => {
+                const aOffline = a.status === 'Offline' ? 1 : 0;
+                const bOffline = b.status === 'Offline' ? 1 : 0;
+                return aOffline - bOffline || a.meters - b.meters;
+            });
+    }
+
+    estimateDriveMinutes(miles) {
+        return Math.max(1, Math.round(miles * this.options.roadFactor / this.options.averageSpeedMph * 60));
+    }
+
+    /**
+     * Directions link from a truck's position to the target
+     * @param {Object} truck - Truck record with latitude/longitude
+     * @param {Array<number>} target - [lon, lat]
+     * @param {boolean} [apple] - Use Apple Maps instead of Google Maps
+     * @returns {string}
+     */
+    getDirectionsUrl(truck, target, apple = false) {
+        const origin = `${truck.latitude},${truck.longitude}`;
+        const destination = `${target[1]},${target[0]}`;
+        return apple
+            ? `https://maps.apple.com/?saddr=${origin}&daddr=${destination}&dirflg=d`
+            : `https://www.google.com/maps/dir/?api=1&origin=${origin}&destination=${destination}&travelmode=driving`;
+    }
+}
+
+// Export singleton instance
+export const dispatchService = new DispatchService();
@@ -3,6 +3,10 @@
 
 import Fuse from 'fuse.js';
 import { subscriberDataService, supabase } from '../dataService.js';
+import { infrastructureSearchService } from './InfrastructureSearchService.js';
+import { subscriberQueryService } from './SubscriberQueryService.js';
+import { locationSearchService } from './LocationSearchService.js';
+import { haversineMeters } from '../utils/geoUtils.js';
 import { createLogger } from '../utils/logger.js';
 
 const log = createLogger('EnhancedSearchService');
@@ -299,6 +303,39 @@ export class EnhancedSearchService {
 
         const term = searchTerm.trim();
 
+        // Type prefixes ("splitter:", "da:", "hut:", "sub:" ...) search only that type
+        const prefixed = infrastructureSearchService.parsePrefix(term);
+        if (prefixed) {
+            const results = prefixed.type === 'subscriber'
+                ? this._searchSubscribers(prefixed.query)
+                : await this._searchInfrastructure(prefixed.query, { types: [prefixed.type], limit: 25 });
+            return {
+                results,
+                count: results.length,
+                searchTerm: term,
+                searchType: prefixed.type
+            };
+        }
+
+        // Field queries ("status:offline light<-27"), including one whose next value is still being typed
+        const suggestions = subscriberQueryService.suggest(term, this.allSubscribers);
+        if (subscriberQueryService.isQuery(term) || suggestions.length > 0) {
+            const query = subscriberQueryService.parse(term);
+            const results = query.clauses.length > 0 ? subscriberQueryService.filter(this.allSubscribers, query) : [];
+            return {
+                results,
+                count: results.length,
+                searchTerm: term,
+                searchType: 'query',
+                query,
+                suggestions
+            };
+        }
+
+        // Coordinates and USNG/MGRS grids: the point plus what is closest to it
+        const point = locationSearchService.locatePoint(term);
+        if (point) return this._locationResults(term, point);
+
         // Check if this is a pole search
         const poleMatch = term.match(/^pole(?:\s*|\s+)([pP]?\d*\S*)?/i);
         if (poleMatch) {
@@ -372,11 +409,17 @@ export class EnhancedSearchService {
             }
         }
 
-        // General fuzzy subscriber search
-        const searchResults = this.fuse
-            .search(term)
-            .filter(result => result.score && result.score < 0.8)
-            .map(result => result.item);
+        // General fuzzy subscriber search, followed by matching infrastructure grouped by type
+        const searchResults = [
+            ...this._searchSubscribers(term),
+            ...await this._searchInfrastructure(term)
+        ];
+
+        // Street intersections go to the geocoder only when nothing in our own data matched
+        if (searchResults.length === 0) {
+            const intersection = await locationSearchService.locateIntersection(term);
+            if (intersection) return this._locationResults(term, intersection);
+        }
 
         return {
             results: searchResults,
@@ -387,14 +430,89 @@ export class EnhancedSearchService {
     }
 
     /**
-     * Refresh the subscriber cache
+     * Subscribers closest to a point
+     * @param {Object} point - { latitude, longitude }
+     * @param {number} [limit]
+     * @param {number} [maxMeters]
+     * @returns {Array<Object>} Subscribers with distanceMeters, nearest first
+     */
+    nearestSubscribers({ latitude, longitude }, limit = 5, maxMeters = Infinity) {
+        return this.allSubscribers
+            .filter(subscriber => subscriber.latitude && subscriber.longitude)
+            .map(subscriber => ({
+                ...subscriber,
+                distanceMeters: haversineMeters(longitude, latitude, parseFloat(subscriber.longitude), parseFloat(subscriber.latitude))
+            }))
+            .filter(subscriber => subscriber.distanceMeters <= maxMeters)
+            .sort((a, b) => a.distanceMeters - b.distanceMeters)
+            .slice(0, limit);
+    }
+
+    async _locationResults(term, location) {
+        const results = [
+            { id: 'location', type: 'location', name: location.label, format: location.format, latitude: location.latitude, longitude: location.longitude },
+            ...this.nearestSubscribers(location),
+            ...await this._nearestInfrastructure(location)
+        ];
+        return {
+            results,
+            count: results.length,
+            searchTerm: term,
+            searchType: 'location',
+            location
+        };
+    }
+
+    async _nearestInfrastructure({ latitude, longitude }) {
+        try {
+            return await infrastructureSearchService.nearest([longitude, latitude], { types: ['pole', 'mst'], limit: 5 });
+        } catch (error) {
+            log.warn('Nearby infrastructure lookup failed:', error);
+            return [];
+        }
+    }
+
+    _searchSubscribers(term) {
+        if (!term) return [];
+        return this.fuse
+            .search(term)
+            .filter(result => result.score && result.score < 0.8)
+            .map(result => result.item);
+    }
+
+    /**
+     * Infrastructure name matches - a dataset that fails to load must not break subscriber search
+     */
+    async _searchInfrastructure(term, options) {
+        try {
+            return await infrastructureSearchService.search(term, options);
+        } catch (error) {
+            log.warn('Infrastructure search failed:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Refresh the subscriber cache and the infrastructure index
      */
     async refresh() {
         this.isInitialized = false;
         this.lastFetchTime = null;
+        infrastructureSearchService.clear();
         await this.initialize();
     }
 
+    /**
+     * Drop the cached subscriber list; the next search fetches it again
+     */
+    clear() {
+        this.allSubscribers = [];
+        this.fuse = null;
+        this.accountFuse = null;
+        this.isInitialized = false;
+        this.lastFetchTime = null;
+    }
+
     /**
      * Get all subscribers (for debugging)
      */
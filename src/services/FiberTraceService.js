@@ -0,0 +1,458 @@
+// FiberTraceService.js - Traces a subscriber or MST back through the fiber plant to its serving hut
+import { infrastructureService } from './InfrastructureService.js';
+import { createLogger } from '../utils/logger.js';
+import { haversineMeters, getFeaturePosition, pointToSegmentMeters } from '../utils/geoUtils.js';
+
+// Initialize logger for this module
+const log = createLogger('FiberTrace');
+
+const DEFAULT_OPTIONS = {
+    snapToleranceMeters: 15,       // Cable ends this close to another cable are treated as spliced
+    maxDropDistanceMeters: 300,    // Longest expected drop from an MST to a premise
+    maxStartDistanceMeters: 300,   // Start point to the nearest cable
+    maxHutDistanceMeters: 150,     // Hut to the nearest cable vertex
+    equipmentToleranceMeters: 20   // Splitters and slack loops this close to the path are listed
+};
+
+// A degree of longitude is ~80km or more at our latitudes - used to size grid searches conservatively
+const MIN_METERS_PER_DEGREE = 80000;
+
+const normalizeName = (value) => (value === null || value === undefined) ? '' : String(value).trim().toUpperCase();
+
+// Minimal binary heap keyed by distance for Dijkstra
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(node, distance) {
+        this.items.push({ node, distance });
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.items[parent].distance <= this.items[index].distance) break;
+            [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let index = 0;
+            for (; ;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.items[left].distance < this.items[smallest].distance) smallest = left;
+                if (right < this.items.length && this.items[right].distance < this.items[smallest].distance) smallest = right;
+                if (smallest === index) break;
+                [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * FiberTraceService - Upstream trace over the OSP GeoJSON layers
+ *
+ * MST fiber and main line fiber are turned into a routing graph (shared vertices join cables,
+ * cable ends within the snap tolerance are treated as splices). The trace starts at the
+ * subscriber's MST (or the MST itself), snaps onto the nearest cable and runs a shortest-path
+ * search until it reaches a vertex next to a Sprout Hut. Splitters and slack loops along the
+ * path are reported as equipment crossed.
+ */
+export class FiberTraceService {
+    constructor(infrastructure = infrastructureService, options = {}) {
+        this.infrastructure = infrastructure;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.graph = null;
+        this.graphSignature = null;
+    }
+
+    /**
+     * Trace a subscriber or MST upstream to the serving hut
+     * @param {Object} feature - GeoJSON-like feature ({ geometry: Point, properties })
+     * @param {'subscriber'|'mst'} kind - What the feature is
+     * @returns {Promise<Object>} Trace result, or { found: false, reason } / { found: false, error: true, errorMessage }
+     */
+    async trace(feature, kind = 'subscriber') {
+        try {
+            const [mainLine, mstFiber, msts, splitters, slackLoops, huts] = await Promise.all([
+                this.infrastructure.getMainLineFiber(),
+                this.infrastructure.getMSTFiber(),
+                this.infrastructure.getMSTTerminals(),
+                this.infrastructure.getSplitters(),
+                this.infrastructure.getSlackLoops(),
+                this.infrastructure.getSproutHuts()
+            ]);
+
+            return this.traceUpstream({
+                feature,
+                kind,
+                // Each fetch of the plant layers gets a new lastUpdated, so edits and re-splices rebuild the graph
+                dataVersion: [mstFiber, mainLine, huts].map(result => result?.lastUpdated || '').join('|'),
+                cables: [
+                    ...(mstFiber?.features || []).map(f => ({ feature: f, category: 'MST Fiber' })),
+                    ...(mainLine?.features || []).map(f => ({ feature: f, category: 'Main Line' }))
+                ],
+                msts: msts?.features || [],
+                splitters: splitters?.features || [],
+                slackLoops: slackLoops?.features || [],
+                huts: huts?.features || []
+            });
+        } catch (error) {
+            log.error('Fiber trace failed:', error);
+            return {
+                found: false,
+                error: true,
+                errorMessage: error.message
+            };
+        }
+    }
+
+    /**
+     * Pure trace over already loaded plant data
+     * @param {Object} input
+     * @param {Object} input.feature - Start feature
+     * @param {'subscriber'|'mst'} input.kind
+     * @param {Array<{feature: Object, category: string}>} input.cables - Line features to route over
+     * @param {Array<Object>} input.msts
+     * @param {Array<Object>} input.splitters
+     * @param {Array<Object>} input.slackLoops
+     * @param {Array<Object>} input.huts
+     * @param {string} [input.dataVersion] - Changes whenever cables or huts change; without it the graph is rebuilt
+     * @returns {Object} { found, hut, start, path, cables, equipment, totalMeters, cableMeters, dropMeters }
+     */
+    traceUpstream({ feature, kind, cables, msts = [], splitters = [], slackLoops = [], huts = [], dataVersion = null }) {
+        const position = getFeaturePosition(feature);
+        if (!position) return { found: false, reason: 'The selected feature has no location' };
+        if (cables.length === 0) return { found: false, reason: 'No fiber cable data is loaded' };
+
+        // Subscribers are traced from their MST; the drop itself is not in the plant data
+        let start = { type: kind === 'mst' ? 'MST' : 'Subscriber', name: this.getStartName(feature, kind), position };
+        let dropMeters = 0;
+        if (kind !== 'mst') {
+            const mst = this.findMst(feature, position, msts);
+            if (mst) {
+                dropMeters = haversineMeters(position[0], position[1], mst.position[0], mst.position[1]);
+                start = { type: 'MST', name: mst.name, position: mst.position, subscriber: start.name };
+            }
+        }
+
+        const graph = this.getGraph(cables, huts, dataVersion);
+        const startNode = this.findNearestNode(graph, start.position, this.options.maxStartDistanceMeters);
+        if (startNode === null) {
+            return { found: false, reason: `No fiber cable within ${this.options.maxStartDistanceMeters} m of ${start.name || 'the start point'}` };
+        }
+        if (graph.hutNodes.size === 0) {
+            return { found: false, reason: 'No Sprout Hut is connected to the fiber cable data' };
+        }
+
+        const search = this.findNearestHut(graph, startNode);
+        if (!search) {
+            return { found: false, reason: 'The cable network from this point does not reach a Sprout Hut' };
+        }
+
+        const startGapMeters = haversineMeters(start.position[0], start.position[1], graph.positions[startNode][0], graph.positions[startNode][1]);
+        const { path, edges } = this.buildPath(graph, search);
+        const cablesCrossed = this.summarizeCables(edges);
+        const cableMeters = edges.reduce((sum, edge) => sum + edge.meters, 0);
+
+        return {
+            found: true,
+            start,
+            hut: search.hut,
+            path: [start.position, ...path],
+            cables: cablesCrossed,
+            equipment: this.findEquipmentOnPath(path, splitters, slackLoops),
+            cableMeters: Math.round(cableMeters),
+            dropMeters: Math.round(dropMeters),
+            totalMeters: Math.round(cableMeters + startGapMeters + dropMeters)
+        };
+    }
+
+    getStartName(feature, kind) {
+        const props = feature.properties || {};
+        if (kind === 'mst') return props.equipmentn || props.EQUIPMENTN || 'MST';
+        return props.name || props.customer_name || props.account || 'Subscriber';
+    }
+
+    // Prefer the MST recorded on the subscriber, otherwise the nearest MST within drop distance
+    findMst(feature, position, msts) {
+        const props = feature.properties || {};
+        const mstValue = normalizeName(props.mst || props.MST || props.MapNumber || props.mapnumber || props.mst_terminal);
+
+        let nearest = null;
+        let nearestDistance = this.options.maxDropDistanceMeters;
+
+        for (const mst of msts) {
+            const mstProps = mst?.properties || {};
+            const mstPosition = getFeaturePosition(mst);
+            if (!mstPosition) continue;
+
+            const name = mstProps.equipmentn || mstProps.EQUIPMENTN || '';
+            if (mstValue && normalizeName(name) === mstValue) {
+                return { name, position: mstPosition };
+            }
+
+            const distance = haversineMeters(position[0], position[1], mstPosition[0], mstPosition[1]);
+            if (distance <= nearestDistance) {
+                nearest = { name: name || 'MST', position: mstPosition };
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    // Graph is rebuilt only when the plant data changes
+    getGraph(cables, huts, dataVersion = null) {
+        if (!this.graph || dataVersion === null || this.graphSignature !== dataVersion) {
+            const startedAt = Date.now();
+            this.graph = this.buildGraph(cables, huts);
+            this.graphSignature = dataVersion;
+            log.info(`🧵 Built fiber trace graph: ${this.graph.positions.length} vertices from ${cables.length} cables in ${Date.now() - startedAt}ms`);
+        }
+        return this.graph;
+    }
+
+    buildGraph(cables, huts) {
+        const cellSize = Math.max(0.0001, this.options.snapToleranceMeters / MIN_METERS_PER_DEGREE);
+        const graph = {
+            cellSize,
+            positions: [],
+            nodeCable: [],  // First cable index seen at each vertex, used to avoid self-snapping
+            adjacency: [],
+            cells: new Map(),
+            nodeIds: new Map(),
+            cables: [],
+            hutNodes: new Map()
+        };
+
+        const getNode = (position, cableIndex) => {
+            // ~10cm precision merges vertices shared between cables
+            const key = `${position[0].toFixed(6)},${position[1].toFixed(6)}`;
+            let id = graph.nodeIds.get(key);
+            if (id === undefined) {
+                id = graph.positions.length;
+                graph.nodeIds.set(key, id);
+                graph.positions.push(position);
+                graph.nodeCable.push(cableIndex);
+                graph.adjacency.push([]);
+                const cellKey = this.getCellKey(position, cellSize);
+                if (!graph.cells.has(cellKey)) graph.cells.set(cellKey, []);
+                graph.cells.get(cellKey).push(id);
+            }
+            return id;
+        };
+
+        const addEdge = (from, to, meters, cableIndex) => {
+            graph.adjacency[from].push({ to, meters, cable: cableIndex });
+            graph.adjacency[to].push({ to: from, meters, cable: cableIndex });
+        };
+
+        const lineEnds = [];
+
+        cables.forEach(({ feature, category }) => {
+            const lines = this.getLines(feature?.geometry);
+            if (lines.length === 0) return;
+
+            const props = feature.properties || {};
+            const cableIndex = graph.cables.length;
+            graph.cables.push({
+                name: props.cable_name || props.CABLE_NAME || props.name || `${category} cable`,
+                fiberCount: parseInt(props.fiber_count || props.FIBER_COUNT, 10) || null,
+                category: props.cable_category || category,
+                placement: props.placement || null
+            });
+
+            lines.forEach(line => {
+                let previous = null;
+                line.forEach(coord => {
+                    const position = [Number(coord[0]), Number(coord[1])];
+                    if (!Number.isFinite(position[0]) || !Number.isFinite(position[1])) return;
+                    const node = getNode(position, cableIndex);
+                    if (previous !== null && previous !== node) {
+                        const [lon1, lat1] = graph.positions[previous];
+                        addEdge(previous, node, haversineMeters(lon1, lat1, position[0], position[1]), cableIndex);
+                    }
+                    previous = node;
+                });
+                if (previous !== null) {
+                    lineEnds.push({ node: getNode([Number(line[0][0]), Number(line[0][1])], cableIndex), cableIndex });
+                    lineEnds.push({ node: previous, cableIndex });
+                }
+            });
+        });
+
+        // Splice cable ends onto the nearest vertex of another cable within tolerance
+        lineEnds.forEach(({ node, cableIndex }) => {
+            const target = this.findNearestNode(graph, graph.positions[node], this.options.snapToleranceMeters,
+                candidate => candidate !== node && graph.nodeCable[candidate] !== cableIndex);
+            if (target !== null) {
+                const [lon1, lat1] = graph.positions[node];
+                const [lon2, lat2] = graph.positions[target];
+                addEdge(node, target, haversineMeters(lon1, lat1, lon2, lat2), null);
+            }
+        });
+
+        huts.forEach(hut => {
+            const position = getFeaturePosition(hut);
+            if (!position) return;
+            const node = this.findNearestNode(graph, position, this.options.maxHutDistanceMeters);
+            if (node !== null && !graph.hutNodes.has(node)) {
+                const props = hut.properties || {};
+                graph.hutNodes.set(node, { name: props.name || props.Name || 'Sprout Hut', id: props.id ?? null, position });
+            }
+        });
+
+        return graph;
+    }
+
+    getLines(geometry) {
+        if (geometry?.type === 'LineString') return [geometry.coordinates];
+        if (geometry?.type === 'MultiLineString') return geometry.coordinates;
+        return [];
+    }
+
+    getCellKey([lon, lat], cellSize) {
+        return `${Math.floor(lon / cellSize)}:${Math.floor(lat / cellSize)}`;
+    }
+
+    findNearestNode(graph, position, maxMeters, accept = null) {
+        const rings = Math.ceil(maxMeters / (graph.cellSize * MIN_METERS_PER_DEGREE));
+        const [cellX, cellY] = this.getCellKey(position, graph.cellSize).split(':').map(Number);
+
+        let nearest = null;
+        let nearestDistance = maxMeters;
+
+        for (let dx = -rings; dx <= rings; dx++) {
+            for (let dy = -rings; dy <= rings; dy++) {
+                const candidates = graph.cells.get(`${cellX + dx}:${cellY + dy}`);
+                if (!candidates) continue;
+                for (const candidate of candidates) {
+                    if (accept && !accept(candidate)) continue;
+                    const [lon, lat] = graph.positions[candidate];
+                    const distance = haversineMeters(position[0], position[1], lon, lat);
+                    if (distance <= nearestDistance) {
+                        nearest = candidate;
+                        nearestDistance = distance;
+                    }
+                }
+            }
+        }
+
+        return nearest;
+    }
+
+    // Dijkstra from the start vertex until the first hut vertex is settled
+    findNearestHut(graph, startNode) {
+        const distances = new Map([[startNode, 0]]);
+        const previous = new Map();
+        const visited = new Set();
+        const heap = new MinHeap();
+        heap.push(startNode, 0);
+
+        while (heap.size > 0) {
+            const { node, distance } = heap.pop();
+            if (visited.has(node)) continue;
+            visited.add(node);
+
+            if (graph.hutNodes.has(node)) {
+                return { node, hut: graph.hutNodes.get(node), previous, startNode };
+            }
+
+            for (const edge of graph.adjacency[node]) {
+                const next = distance + edge.meters;
+                if (next < (distances.get(edge.to) ?? Infinity)) {
+                    distances.set(edge.to, next);
+                    previous.set(edge.to, { node, edge });
+                    heap.push(edge.to, next);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    buildPath(graph, { node, previous, startNode }) {
+        const nodes = [node];
+        const edges = [];
+        let current = node;
+        while (current !== startNode) {
+            const step = previous.get(current);
+            edges.unshift(step.edge);
+            nodes.unshift(step.node);
+            current = step.node;
+        }
+
+        return {
+            path: nodes.map(id => graph.positions[id]),
+            edges: edges.map(edge => ({ meters: edge.meters, cable: edge.cable === null ? null : graph.cables[edge.cable] }))
+        };
+    }
+
+    // Group consecutive edges on the same cable; splice hops between cables are not listed
+    summarizeCables(edges) {
+        const cables = [];
+        edges.forEach(({ meters, cable }) => {
+            if (!cable) return;
+            const last = cables[cables.length - 1];
+            if (last && last.cable === cable) {
+                last.meters += meters;
+            } else {
+                cables.push({ cable, meters });
+            }
+        });
+
+        return cables.map(({ cable, meters }) => ({ ...cable, meters: Math.round(meters) }));
+    }
+
+    findEquipmentOnPath(path, splitters, slackLoops) {
+        const tolerance = this.options.equipmentToleranceMeters;
+        const nearPath = (position) => {
+            for (let i = 1; i < path.length; i++) {
+                if (pointToSegmentMeters(position, path[i - 1], path[i]) <= tolerance) return true;
+            }
+            return false;
+        };
+
+        const equipment = [];
+        splitters.forEach(feature => {
+            const position = getFeaturePosition(feature);
+            if (!position || !nearPath(position)) return;
+            const props = feature.properties || {};
+            equipment.push({
+                type: 'Splitter',
+                name: props.equipmentn || props.EQUIPMENTN || 'Splitter',
+                detail: props.outputport || props.OUTPUTPORT ? `1x${props.outputport || props.OUTPUTPORT}` : null,
+                position
+            });
+        });
+        slackLoops.forEach(feature => {
+            const position = getFeaturePosition(feature);
+            if (!position || !nearPath(position)) return;
+            const props = feature.properties || {};
+            equipment.push({
+                type: 'Slack Loop',
+                name: props.structure || props.cable || 'Slack Loop',
+                detail: props.length ? `${props.length} slack` : null,
+                position
+            });
+        });
+
+        return equipment;
+    }
+}
+
+// Export singleton instance
+export const fiberTraceService = new FiberTraceService();
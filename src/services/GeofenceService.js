@@ -0,0 +1,275 @@
+// GeofenceService.js - Vehicle enter/exit/dwell alerts against hut, DA and custom polygons
+import { cacheService } from './CacheService.js';
+import { infrastructureService } from './InfrastructureService.js';
+import { createCirclePolygon, getFeaturePosition, getGeometryBounds, isPointInPolygon, isPositionInBounds } from '../utils/geoUtils.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('GeofenceService');
+
+const SETTINGS_KEY = 'geofence-settings';
+
+const DEFAULT_SETTINGS = {
+    huts: true,             // Circle around each Sprout Hut
+    das: false,             // DA boundaries - large, so enter/exit only
+    dwellLimitMinutes: 60   // Dwell-too-long alert for hut and custom fences
+};
+
+const DEFAULT_OPTIONS = {
+    hutRadiusMeters: 150,
+    maxEvents: 2000
+};
+
+export const GEOFENCE_EVENT_LABELS = {
+    enter: 'Entered',
+    exit: 'Left',
+    dwell: 'Dwell limit exceeded'
+};
+
+/**
+ * GeofenceService - Checks each realtime truck update against the active geofences
+ *
+ * Per-vehicle state records which fences a truck is inside and since when. The first update
+ * for a vehicle only seeds that state, so loading the app doesn't raise an "entered" alert for
+ * every parked truck. The event log lives for the session and is capped at maxEvents.
+ */
+export class GeofenceService {
+    constructor(cache = cacheService, infrastructure = infrastructureService, options = {}) {
+        this.cache = cache;
+        this.infrastructure = infrastructure;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.settings = this.loadSettings();
+        this.fences = [];
+        this.fencesLoaded = false;
+        this.vehicleState = new Map(); // vehicleId -> Map(fenceId -> { enteredAt, dwellAlerted })
+        this.events = [];
+    }
+
+    loadSettings() {
+        try {
+            const saved = typeof localStorage !== 'undefined' ? JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null') : null;
+            return { ...DEFAULT_SETTINGS, ...(saved || {}) };
+        } catch {
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * Update and persist settings; fences are rebuilt on the next check
+     * @param {Object} changes - Partial settings ({ huts, das, dwellLimitMinutes })
+     */
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            log.warn('Could not save geofence settings:', error);
+        }
+        this.fencesLoaded = false;
+    }
+
+    /**
+     * Build the active fence list from huts, DA boundaries and saved custom areas
+     * @returns {Promise<Array>} Fences ({ id, name, source, geometry, bounds, dwellLimitMs })
+     */
+    async loadFences() {
+        const dwellLimitMs = this.settings.dwellLimitMinutes > 0 ? this.settings.dwellLimitMinutes * 60000 : null;
+        const fences = [];
+
+        try {
+            if (this.settings.huts) {
+                const huts = await this.infrastructure.getSproutHuts();
+                (huts?.features || []).forEach((hut, index) => {
+                    const position = getFeaturePosition(hut);
+                    if (!position) return;
+                    const props = hut.properties || {};
+                    const name = props.name || props.Name || `Sprout Hut ${index + 1}`;
+                    fences.push(this.createFence(`hut:${name}`, name, 'hut',
+                        createCirclePolygon(position, this.options.hutRadiusMeters), dwellLimitMs));
+                });
+            }
+
+            if (this.settings.das) {
+                const boundaries = await this.infrastructure.getFSABoundaries();
+                (boundaries?.features || []).forEach((boundary, index) => {
+                    const name = boundary.properties?.areaname || boundary.properties?.AREANAME || `DA ${index + 1}`;
+                    fences.push(this.createFence(`da:${name}`, `DA ${name}`, 'da', boundary.geometry, null));
+                });
+            }
+
+            const custom = await this.cache.getGeofences();
+            custom.forEach(fence => {
+                fences.push(this.createFence(fence.id, fence.name, 'custom', fence.geometry, dwellLimitMs));
+            });
+        } catch (error) {
+            log.error('Failed to load geofences:', error);
+        }
+
+        this.fences = fences.filter(fence => fence.bounds);
+        this.fencesLoaded = true;
+        log.info(`📍 Loaded ${this.fences.length} geofences`);
+        return this.fences;
+    }
+
+    createFence(id, name, source, geometry, dwellLimitMs) {
+        return { id, name, source, geometry, bounds: getGeometryBounds(geometry), dwellLimitMs };
+    }
+
+    /**
+     * Save a drawn area as a custom geofence
+     * @param {string} name
+     * @param {Object} geometry - GeoJSON Polygon in lon/lat
+     * @returns {Promise<Object|null>} The saved fence record
+     */
+    async addCustomFence(name, geometry) {
+        const fence = {
+            id: `custom:${Date.now().toString(36)}`,
+            name: name?.trim() || 'Custom area',
+            geometry,
+            createdAt: Date.now()
+        };
+        const saved = await this.cache.putGeofence(fence);
+        this.fencesLoaded = false;
+        return saved ? fence : null;
+    }
+
+    async deleteCustomFence(id) {
+        await this.cache.deleteGeofence(id);
+        this.vehicleState.forEach(state => state.delete(id));
+        this.fencesLoaded = false;
+    }
+
+    async getCustomFences() {
+        return this.cache.getGeofences();
+    }
+
+    /**
+     * Check a realtime truck update against the fences
+     * @param {Object} truckData - { fiber: [], electric: [] } from GeotabService
+     * @param {number} [now] - Epoch ms
+     * @returns {Promise<Array>} New events
+     */
+    async checkTruckData(truckData, now = Date.now()) {
+        if (!this.fencesLoaded) await this.loadFences();
+        const trucks = [...(truckData?.fiber || []), ...(truckData?.electric || [])];
+        return this.checkVehicles(trucks, now);
+    }
+
+    /**
+     * Compare each vehicle's position with its previous fence state
+     * @param {Array} trucks - Truck records ({ id, name, latitude, longitude })
+     * @param {number} now - Epoch ms
+     * @returns {Array<{type, vehicleId, vehicleName, fenceId, fenceName, source, time, dwellMs}>}
+     */
+    checkVehicles(trucks, now) {
+        const events = [];
+
+        trucks.forEach(truck => {
+            const position = [parseFloat(truck.longitude), parseFloat(truck.latitude)];
+            if (!truck.id || !Number.isFinite(position[0]) || !Number.isFinite(position[1])) return;
+
+            const inside = new Set(this.fences
+                .filter(fence => isPositionInBounds(position, fence.bounds) && isPointInPolygon(position, fence.geometry))
+                .map(fence => fence.id));
+
+            const firstSeen = !this.vehicleState.has(truck.id);
+            const state = this.vehicleState.get(truck.id) || new Map();
+            this.vehicleState.set(truck.id, state);
+
+            const event = (type, fence, extra = {}) => events.push({
+                type,
+                vehicleId: truck.id,
+                vehicleName: truck.name || truck.id,
+                fenceId: fence.id,
+                fenceName: fence.name,
+                source: fence.source,
+                time: now,
+                dwellMs: null,
+                ...extra
+            });
+
+            // Exits first so a truck moving between adjacent DAs logs "left" before "entered"
+            state.forEach((visit, fenceId) => {
+                if (inside.has(fenceId)) return;
+                const fence = this.fences.find(item => item.id === fenceId);
+                state.delete(fenceId);
+                if (fence) event('exit', fence, { dwellMs: now - visit.enteredAt });
+            });
+
+            inside.forEach(fenceId => {
+                const fence = this.fences.find(item => item.id === fenceId);
+                const visit = state.get(fenceId);
+                if (!visit) {
+                    state.set(fenceId, { enteredAt: now, dwellAlerted: false });
+                    if (!firstSeen) event('enter', fence);
+                    return;
+                }
+                if (fence.dwellLimitMs && !visit.dwellAlerted && now - visit.enteredAt >= fence.dwellLimitMs) {
+                    visit.dwellAlerted = true;
+                    event('dwell', fence, { dwellMs: now - visit.enteredAt });
+                }
+            });
+        });
+
+        if (events.length > 0) {
+            this.events.push(...events);
+            if (this.events.length > this.options.maxEvents) {
+                this.events.splice(0, this.events.length - this.options.maxEvents);
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Session event log, newest first
+     * @param {string} [vehicleId] - Only this vehicle's events
+     * @returns {Array}
+     */
+    getEvents(vehicleId = null) {
+        return this.events
+            .filter(event => !vehicleId || event.vehicleId === vehicleId)
+            .slice()
+            .reverse();
+    }
+
+    /**
+     * Vehicles that have at least one logged event
+     * @returns {Array<{id, name}>}
+     */
+    getLoggedVehicles() {
+        const vehicles = new Map();
+        this.events.forEach(event => vehicles.set(event.vehicleId, event.vehicleName));
+        return [...vehicles].map(([id, name]) => ({ id, name })).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    formatEvent(event) {
+        const dwell = event.dwellMs !== null ? ` after ${Math.round(event.dwellMs / 60000)} min` : '';
+        return `${event.vehicleName} ${GEOFENCE_EVENT_LABELS[event.type].toLowerCase()} ${event.fenceName}${dwell}`;
+    }
+
+    /**
+     * Download the event log as CSV
+     * @param {string} [vehicleId] - Only this vehicle's events
+     * @returns {Promise<boolean>}
+     */
+    async exportEvents(vehicleId = null) {
+        const { CSVExportService } = await import('../utils/csvExport.js');
+        const rows = this.getEvents(vehicleId).reverse().map(event => ({
+            'Time': new Date(event.time).toLocaleString(),
+            'Vehicle': event.vehicleName,
+            'Vehicle ID': event.vehicleId,
+            'Event': GEOFENCE_EVENT_LABELS[event.type],
+            'Geofence': event.fenceName,
+            'Geofence Type': event.source,
+            'Dwell (min)': event.dwellMs !== null ? String(Math.round(event.dwellMs / 60000)) : ''
+        }));
+        const headers = ['Time', 'Vehicle', 'Vehicle ID', 'Event', 'Geofence', 'Geofence Type', 'Dwell (min)'];
+        const vehicleName = vehicleId ? this.getLoggedVehicles().find(vehicle => vehicle.id === vehicleId)?.name : null;
+        const filename = vehicleName ? `geofence_events_${vehicleName.replace(/[^a-z0-9]+/gi, '_')}` : 'geofence_events';
+        return CSVExportService.exportToCSV(rows, headers, filename);
+    }
+}
+
+// Export singleton instance
+export const geofenceService = new GeofenceService();
@@ -233,6 +233,46 @@ export class GeotabService {
         }
     }
 
+    /**
+     * Get GPS log records for one vehicle over a time window
+     * @param {string} deviceId - Geotab device id
+     * @param {Date|string} fromDate
+     * @param {Date|string} toDate
+     * @returns {Promise<Array>} LogRecords ({ dateTime, latitude, longitude, speed }) in time order
+     */
+    async getLogRecords(deviceId, fromDate, toDate) {
+        if (!this.isAuthenticated) {
+            await this.initialize();
+        }
+        if (!this.isAuthenticated || !this.api) {
+            throw new Error('GeotabService not authenticated');
+        }
+
+        if (this.isCurrentlyRateLimited()) {
+            const timeRemaining = Math.ceil((this.rateLimitResetTime - Date.now()) / 1000);
+            throw new Error(`MyGeotab rate limit reached - try again in ${timeRemaining}s`);
+        }
+
+        try {
+            const result = await this.api.call('Get', {
+                typeName: 'LogRecord',
+                search: {
+                    deviceSearch: { id: deviceId },
+                    fromDate: new Date(fromDate).toISOString(),
+                    toDate: new Date(toDate).toISOString()
+                }
+            });
+            log.info(`🚛 getLogRecords result for ${deviceId}:`, Array.isArray(result) ? `${result.length} records` : typeof result);
+
+            return (Array.isArray(result) ? result : [])
+                .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+        } catch (error) {
+            log.error('❌ Failed to get log records:', error);
+            this.handleRateLimitError(error);
+            throw error;
+        }
+    }
+
     /**
      * Get processed truck data categorized by type
      */
@@ -0,0 +1,262 @@
+// InfrastructureSearchService.js - Indexed name search across the InfrastructureService datasets
+import { infrastructureService } from './InfrastructureService.js';
+import { createLogger } from '../utils/logger.js';
+import { getFeaturePosition, haversineMeters } from '../utils/geoUtils.js';
+
+// Initialize logger for this module
+const log = createLogger('InfrastructureSearch');
+
+/**
+ * Searchable infrastructure types, in the order their groups are listed.
+ * nameFields: first non-empty value is the display name; searchFields: also matched;
+ * detailFields: [label, field] pairs shown in the result description and popup.
+ * onDemand types are only searched with their prefix (poles are a large table).
+ */
+export const INFRASTRUCTURE_SEARCH_TYPES = {
+    hut: {
+        label: 'Sprout Huts',
+        singular: 'Hut',
+        prefixes: ['hut', 'huts'],
+        load: (source) => source.getSproutHuts(),
+        nameFields: ['name', 'Name'],
+        searchFields: ['description'],
+        detailFields: [['Description', 'description']],
+        icon: 'organization',
+        color: [138, 43, 226, 1],
+        zoom: 16
+    },
+    da: {
+        label: 'Distribution Areas',
+        singular: 'DA',
+        prefixes: ['da', 'fsa', 'area'],
+        load: (source) => source.getFSABoundaries(),
+        nameFields: ['areaname', 'distribution_area'],
+        searchFields: ['distribution_area'],
+        detailFields: [['Area', 'areaname']],
+        icon: 'polygon',
+        color: [0, 122, 194, 1],
+        zoom: 14
+    },
+    mst: {
+        label: 'MST Terminals',
+        singular: 'MST',
+        prefixes: ['mst', 'msts'],
+        load: (source) => source.getMSTTerminals(),
+        nameFields: ['equipmentn'],
+        searchFields: ['distributi', 'partnumber'],
+        detailFields: [['DA', 'distributi'], ['Model', 'modelnumbe'], ['Ports', 'outputport']],
+        icon: 'nodes-link',
+        color: [75, 142, 245, 1],
+        zoom: 18
+    },
+    splitter: {
+        label: 'Splitters',
+        singular: 'Splitter',
+        prefixes: ['splitter', 'splitters', 'spl'],
+        load: (source) => source.getSplitters(),
+        nameFields: ['equipmentn'],
+        searchFields: ['distributi', 'partnumber'],
+        detailFields: [['DA', 'distributi'], ['Ports', 'outputport']],
+        icon: 'split',
+        color: [255, 140, 0, 1],
+        zoom: 18
+    },
+    slack: {
+        label: 'Slack Loops & Closures',
+        singular: 'Slack Loop',
+        prefixes: ['slack', 'closure', 'closures', 'sl'],
+        load: (source) => source.getSlackLoops(),
+        nameFields: ['structure'],
+        searchFields: ['cable', 'type'],
+        detailFields: [['Type', 'type'], ['Cable', 'cable'], ['Length', 'length']],
+        icon: 'circle-area',
+        color: [0, 160, 120, 1],
+        zoom: 18
+    },
+    pole: {
+        label: 'Poles',
+        singular: 'Pole',
+        prefixes: ['pole', 'poles'],
+        load: (source) => source.getPoles(),
+        nameFields: ['wmElementN'],
+        searchFields: [],
+        detailFields: [],
+        icon: 'pin',
+        color: [139, 69, 19, 1],
+        zoom: 18,
+        onDemand: true
+    }
+};
+
+// Prefixes handled by EnhancedSearchService rather than the infrastructure index
+const SUBSCRIBER_PREFIXES = ['sub', 'subscriber', 'customer'];
+
+const normalize = (value) => String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const firstValue = (properties, fields) => {
+    for (const field of fields) {
+        const value = properties[field];
+        if (value !== null && value !== undefined && String(value).trim() !== '') return String(value).trim();
+    }
+    return '';
+};
+
+/**
+ * InfrastructureSearchService - One search over huts, DAs, MSTs, splitters, slack loops and poles
+ *
+ * Each type is indexed the first time it is searched: names and extra fields are normalized
+ * once and features are reduced to a position, so typing only does string comparisons.
+ * Matches rank exact name, then name prefix, then word prefix, then substring.
+ */
+export class InfrastructureSearchService {
+    constructor(source = infrastructureService, types = INFRASTRUCTURE_SEARCH_TYPES) {
+        this.source = source;
+        this.types = types;
+        this.indexes = new Map(); // type -> Promise<Array<entry>>
+    }
+
+    /**
+     * Split a "type:query" search term
+     * @param {string} term - e.g. "splitter: HP072" or "da:Cullman"
+     * @returns {Object|null} { type, query } where type is a search type key or 'subscriber'
+     */
+    parsePrefix(term) {
+        const match = String(term || '').match(/^\s*([a-z]+)\s*:\s*(.*)$/i);
+        if (!match) return null;
+
+        const prefix = match[1].toLowerCase();
+        const query = match[2].trim();
+        if (SUBSCRIBER_PREFIXES.includes(prefix)) return { type: 'subscriber', query };
+
+        const type = Object.keys(this.types).find(key => this.types[key].prefixes.includes(prefix));
+        return type ? { type, query } : null;
+    }
+
+    getIndex(type) {
+        if (!this.indexes.has(type)) {
+            const index = this.buildIndex(type).catch(error => {
+                log.error(`Failed to index ${type}:`, error);
+                this.indexes.delete(type);
+                return [];
+            });
+            this.indexes.set(type, index);
+        }
+        return this.indexes.get(type);
+    }
+
+    async buildIndex(type) {
+        const config = this.types[type];
+        const data = await config.load(this.source);
+        const entries = [];
+
+        (data?.features || []).forEach(feature => {
+            const properties = feature.properties || {};
+            const name = firstValue(properties, config.nameFields);
+            const position = getFeaturePosition(feature);
+            if (!name || !position) return;
+
+            const extra = config.searchFields.map(field => properties[field]).filter(Boolean);
+            entries.push({
+                name,
+                nameKey: normalize(name),
+                searchText: normalize([name, ...extra].join(' ')),
+                position,
+                properties
+            });
+        });
+
+        log.info(`🔎 Indexed ${entries.length} ${config.label.toLowerCase()}`);
+        return entries;
+    }
+
+    /**
+     * Search infrastructure by name
+     * @param {string} term
+     * @param {Object} [options] - { types: type keys (default: all except onDemand), limit: per type }
+     * @returns {Promise<Array<Object>>} Results grouped in type order, best match first within a type
+     */
+    async search(term, { types = null, limit = 5 } = {}) {
+        const query = normalize(term);
+        if (!query) return [];
+
+        const searchTypes = types || Object.keys(this.types).filter(type => !this.types[type].onDemand);
+        const words = query.split(' ');
+
+        const groups = await Promise.all(searchTypes.map(async type => {
+            const entries = await this.getIndex(type);
+            return entries
+                .map(entry => ({ entry, rank: this.rank(entry, query, words) }))
+                .filter(match => match.rank !== null)
+                .sort((a, b) => a.rank - b.rank || a.entry.name.localeCompare(b.entry.name, undefined, { numeric: true }))
+                .slice(0, limit)
+                .map(match => this.toResult(type, match.entry));
+        }));
+
+        return groups.flat();
+    }
+
+    /**
+     * Closest features of each type to a point
+     * @param {Array<number>} position - [longitude, latitude]
+     * @param {Object} [options] - { types: type keys (default: all except onDemand), limit: per type, maxMeters }
+     * @returns {Promise<Array<Object>>} Results with distanceMeters, grouped in type order, nearest first
+     */
+    async nearest([longitude, latitude], { types = null, limit = 5, maxMeters = Infinity } = {}) {
+        const searchTypes = types || Object.keys(this.types).filter(type => !this.types[type].onDemand);
+
+        const groups = await Promise.all(searchTypes.map(async type => {
+            const entries = await this.getIndex(type);
+            return entries
+                .map(entry => ({ entry, distance: haversineMeters(longitude, latitude, entry.position[0], entry.position[1]) }))
+                .filter(match => match.distance <= maxMeters)
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, limit)
+                .map(match => ({ ...this.toResult(type, match.entry), distanceMeters: match.distance }));
+        }));
+
+        return groups.flat();
+    }
+
+    rank(entry, query, words) {
+        if (entry.nameKey === query) return 0;
+        if (entry.nameKey.startsWith(query)) return 1;
+        if (entry.searchText.split(/[\s\-_/.]+/).some(token => token.startsWith(query))) return 2;
+        if (entry.searchText.includes(query)) return 3;
+        if (words.length > 1 && words.every(word => entry.searchText.includes(word))) return 4;
+        return null;
+    }
+
+    toResult(type, entry) {
+        const config = this.types[type];
+        const details = config.detailFields
+            .map(([label, field]) => {
+                const value = entry.properties[field];
+                return value !== null && value !== undefined && value !== '' ? { label, value: String(value) } : null;
+            })
+            .filter(Boolean);
+
+        return {
+            id: `${type}:${entry.name}`,
+            type,
+            infrastructure: true,
+            name: entry.name,
+            typeLabel: config.singular,
+            groupLabel: config.label,
+            icon: config.icon,
+            color: config.color,
+            zoom: config.zoom,
+            details,
+            latitude: entry.position[1],
+            longitude: entry.position[0],
+            originalData: entry.properties
+        };
+    }
+
+    // Drop the indexes so the next search picks up refreshed datasets
+    clear() {
+        this.indexes.clear();
+    }
+}
+
+// Export singleton instance
+export const infrastructureSearchService = new InfrastructureSearchService();
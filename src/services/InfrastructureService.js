@@ -44,6 +44,17 @@ export class InfrastructureService {
         log.info('InfrastructureService memory cache cleared');
     }
 
+    // Features from downloaded field mode bundles (null when nothing is downloaded)
+    async getBundledData(cacheKey) {
+        try {
+            const { offlineBundleService } = await import('./OfflineBundleService.js');
+            return await offlineBundleService.getBundledInfrastructure(cacheKey);
+        } catch (error) {
+            log.warn('Offline bundle lookup failed:', error);
+            return null;
+        }
+    }
+
     // Generic OSP data fetcher with persistent caching
     async fetchOSPData(url, cacheKey, memoryKey, description) {
         // Check IndexedDB cache first
@@ -150,6 +161,9 @@ export class InfrastructureService {
                     fromCache: true
                 };
             }
+            // Field mode: features for downloaded areas
+            const bundled = await this.getBundledData(cacheKey);
+            if (bundled) return bundled;
             return {
                 count: 0,
                 features: [],
@@ -342,6 +356,9 @@ export class InfrastructureService {
                     fromCache: true
                 };
             }
+            // Field mode: features for downloaded areas
+            const bundled = await this.getBundledData(cacheKey);
+            if (bundled) return bundled;
             return {
                 count: 0,
                 features: [],
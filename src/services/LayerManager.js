@@ -9,6 +9,7 @@ import Polygon from '@arcgis/core/geometry/Polygon';
 import Point from '@arcgis/core/geometry/Point';
 import * as reactiveUtils from '@arcgis/core/core/reactiveUtils';
 import { errorService } from './ErrorService.js';
+import { redactionService } from './RedactionService.js';
 import { createLogger } from '../utils/logger.js';
 
 // Initialize logger for this module
@@ -40,6 +41,8 @@ export class LayerManager {
             'splitters': 60,
             'offline-subscribers': 128, // Highest priority - offline markers/clusters render above online
             'electric-offline-subscribers': 127, // Second highest - electric offline markers/clusters render above online, below regular offline
+            'outage-clusters': 129, // Inferred failure points sit on top of the offline clusters they explain
+            'degraded-optical': 129,
             vehicles: 130,
             'sprout-huts': 100, // Node sites - well below subscriber clusters so cluster labels render above
             weatherRadar: 140
@@ -372,49 +375,37 @@ export class LayerManager {
             const features = data?.features || [];
             const graphics = [];
 
-            // Company symbol configurations - CEC (Cullman Electric Cooperative)
-            // Logo downloaded from: https://cullmanec.com/sites/default/files/NRECA_Circle_Transparent_0.png
-            // Saved locally to avoid CORS issues with ArcGIS PictureMarkerSymbol
-            const companyConfigs = {
-                'cullman': {
-                    pointSymbol: {
-                        type: 'picture-marker',
-                        url: '/logos/cec-logo.png',
-                        width: '28px',
-                        height: '28px'
-                    },
-                    // Fallback simple marker if logo not available
-                    pointSymbolFallback: {
-                        type: 'simple-marker',
-                        style: 'circle',
-                        size: 16,
-                        color: [255, 140, 0, 0.9], // Orange
-                        outline: {
-                            color: [255, 255, 255, 1],
-                            width: 2
-                        }
-                    },
-                    polygonSymbol: {
-                        type: 'simple-fill',
-                        color: [255, 140, 0, 0.35], // Orange with transparency
-                        outline: {
-                            color: [255, 100, 0, 0.9],
-                            width: 3,
-                            style: 'solid'
-                        }
-                    }
+            // Provider symbols come from API_CONFIG.OUTAGES - logos are served locally to avoid
+            // CORS issues with ArcGIS PictureMarkerSymbol; providers without one get a colored marker
+            const provider = layerConfig.provider || {};
+            const color = provider.color || [255, 140, 0];
+            const pointSymbol = provider.logo ? {
+                type: 'picture-marker',
+                url: provider.logo,
+                width: '28px',
+                height: '28px'
+            } : {
+                type: 'simple-marker',
+                style: 'circle',
+                size: 16,
+                color: [...color, 0.9],
+                outline: {
+                    color: [255, 255, 255, 1],
+                    width: 2
+                }
+            };
+            const polygonSymbol = {
+                type: 'simple-fill',
+                color: [...color, 0.35],
+                outline: {
+                    color: [...color, 0.9],
+                    width: 3,
+                    style: 'solid'
                 }
             };
-
-            // Determine company from layer ID
-            const company = layerConfig.id.includes('cullman') ? 'cullman' : 'cullman';
-            const companyConfig = companyConfigs[company];
 
             let pointCount = 0, polygonCount = 0;
 
-            // Use the CEC logo as the point symbol
-            const pointSymbol = companyConfig.pointSymbol;
-
             // Process each feature
             for (const feature of features) {
                 if (!feature.geometry) continue;
@@ -441,7 +432,7 @@ export class LayerManager {
                         rings: rings,
                         spatialReference: { wkid: 4326 }
                     });
-                    symbol = companyConfig.polygonSymbol;
+                    symbol = polygonSymbol;
                     polygonCount++;
 
                     // Create polygon graphic
@@ -546,6 +537,168 @@ export class LayerManager {
         return false;
     }
 
+    // Create GraphicsLayer for inferred outage failure points (MST / splitter / DA suspects)
+    createOutageClusterLayer(layerConfig, suspects = []) {
+        try {
+            const layer = new GraphicsLayer({
+                id: layerConfig.id,
+                title: layerConfig.title,
+                graphics: this.createOutageClusterGraphics(layerConfig, suspects),
+                listMode: layerConfig.visible ? 'show' : 'hide',
+                visible: layerConfig.visible !== undefined ? layerConfig.visible : true
+            });
+
+            this.layers.set(layerConfig.id, layer);
+            this.layerConfigs.set(layerConfig.id, layerConfig);
+
+            log.info(`✅ Created ${layerConfig.title} with ${suspects.length} suspects`);
+            return layer;
+        } catch (error) {
+            log.error(`Failed to create outage cluster layer ${layerConfig.id}:`, error);
+            errorService.report(error, { module: 'LayerManager', action: 'createOutageClusterLayer', id: layerConfig?.id });
+            return null;
+        }
+    }
+
+    // Replace graphics in place - empty updates are valid here (suspects resolve)
+    updateOutageClusterLayer(layerId, suspects = []) {
+        const layer = this.layers.get(layerId);
+        const config = this.layerConfigs.get(layerId);
+        if (!layer || !config) {
+            log.warn(`Layer ${layerId} not found for update`);
+            return false;
+        }
+
+        try {
+            layer.removeAll();
+            layer.addMany(this.createOutageClusterGraphics(config, suspects));
+            return true;
+        } catch (error) {
+            log.error(`Failed to update outage cluster layer ${layerId}:`, error);
+            errorService.report(error, { module: 'LayerManager', action: 'updateOutageClusterLayer', id: layerId });
+            return false;
+        }
+    }
+
+    createOutageClusterGraphics(layerConfig, suspects) {
+        const analyzedAt = Date.now();
+        return suspects
+            .filter(suspect => Number.isFinite(suspect.longitude) && Number.isFinite(suspect.latitude))
+            .map(suspect => new Graphic({
+                geometry: new Point({
+                    longitude: suspect.longitude,
+                    latitude: suspect.latitude,
+                    spatialReference: { wkid: 4326 }
+                }),
+                symbol: layerConfig.symbols?.[suspect.level] || layerConfig.symbols?.mst,
+                attributes: {
+                    suspect_id: suspect.id,
+                    level: suspect.level,
+                    level_label: suspect.levelLabel,
+                    name: suspect.name,
+                    da: suspect.da || 'Unknown',
+                    subscriber_count: suspect.subscriberCount,
+                    mst_count: suspect.mstCount,
+                    affected_msts: suspect.affectedMsts.join(', '),
+                    confidence_pct: Math.round(suspect.confidence * 100),
+                    last_update: analyzedAt
+                },
+                popupTemplate: layerConfig.popupTemplate
+            }));
+    }
+
+    // Create GraphicsLayer for degraded optical signal subscribers and their MST clusters
+    createOpticalSignalLayer(layerConfig, analysis = {}) {
+        try {
+            const layer = new GraphicsLayer({
+                id: layerConfig.id,
+                title: layerConfig.title,
+                graphics: this.createOpticalSignalGraphics(layerConfig, analysis),
+                listMode: layerConfig.visible ? 'show' : 'hide',
+                visible: layerConfig.visible !== undefined ? layerConfig.visible : true
+            });
+
+            this.layers.set(layerConfig.id, layer);
+            this.layerConfigs.set(layerConfig.id, layerConfig);
+
+            log.info(`✅ Created ${layerConfig.title} with ${analysis.subscribers?.length || 0} subscribers`);
+            return layer;
+        } catch (error) {
+            log.error(`Failed to create optical signal layer ${layerConfig.id}:`, error);
+            errorService.report(error, { module: 'LayerManager', action: 'createOpticalSignalLayer', id: layerConfig?.id });
+            return null;
+        }
+    }
+
+    updateOpticalSignalLayer(layerId, analysis = {}) {
+        const layer = this.layers.get(layerId);
+        const config = this.layerConfigs.get(layerId);
+        if (!layer || !config) {
+            log.warn(`Layer ${layerId} not found for update`);
+            return false;
+        }
+
+        try {
+            layer.removeAll();
+            layer.addMany(this.createOpticalSignalGraphics(config, analysis));
+            return true;
+        } catch (error) {
+            log.error(`Failed to update optical signal layer ${layerId}:`, error);
+            errorService.report(error, { module: 'LayerManager', action: 'updateOpticalSignalLayer', id: layerId });
+            return false;
+        }
+    }
+
+    createOpticalSignalGraphics(layerConfig, { subscribers = [], clusters = [] } = {}) {
+        const analyzedAt = Date.now();
+        const point = (item) => new Point({ longitude: item.longitude, latitude: item.latitude, spatialReference: { wkid: 4326 } });
+        const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+        const subscriberGraphics = subscribers
+            .filter(subscriber => Number.isFinite(subscriber.longitude) && Number.isFinite(subscriber.latitude))
+            .map(subscriber => new Graphic({
+                geometry: point(subscriber),
+                symbol: layerConfig.symbols?.[subscriber.signalClass],
+                // Redacted when built; the layer is rebuilt on every subscriber poll
+                attributes: redactionService.redactAttributes({
+                    customer_name: subscriber.name || subscriber.account || 'Subscriber',
+                    account: subscriber.account,
+                    full_address: subscriber.address,
+                    ont: subscriber.ont,
+                    ta5k: subscriber.ta5k,
+                    mst: subscriber.mst || 'Unknown',
+                    signal_class: subscriber.signalClass,
+                    signal_label: subscriber.signalLabel,
+                    light_dbm: subscriber.lightDbm,
+                    expected_dbm: subscriber.expectedDbm,
+                    excess_loss_db: subscriber.excessLossDb,
+                    fiber_distance_km: round(subscriber.distanceKm)
+                }),
+                popupTemplate: layerConfig.popupTemplate
+            }));
+
+        const clusterGraphics = clusters
+            .filter(cluster => Number.isFinite(cluster.longitude) && Number.isFinite(cluster.latitude))
+            .map(cluster => new Graphic({
+                geometry: point(cluster),
+                symbol: layerConfig.symbols?.cluster,
+                attributes: {
+                    cluster_id: cluster.id,
+                    name: cluster.name,
+                    da: cluster.da || 'Unknown',
+                    degraded_count: cluster.degradedCount,
+                    online_count: cluster.onlineCount,
+                    worst_label: cluster.worstLabel,
+                    average_dbm: cluster.averageDbm,
+                    min_dbm: cluster.minDbm,
+                    last_update: analyzedAt
+                },
+                popupTemplate: layerConfig.clusterPopupTemplate
+            }));
+
+        return [...subscriberGraphics, ...clusterGraphics];
+    }
+
     // Create truck FeatureLayer for smooth real-time updates
     async createTruckFeatureLayer(layerConfig, data) {
         const originalFeatures = data.features;
@@ -1027,7 +1180,7 @@ export class LayerManager {
 
     // Get layer with proper z-order
     getZOrder(layerId) {
-        return this.zOrder[layerId] || 0;
+        return this.zOrder[layerId] || this.layerConfigs.get(layerId)?.zOrder || 0;
     }
 
     // Clean up layers
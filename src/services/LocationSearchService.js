@@ -0,0 +1,264 @@
+// LocationSearchService.js - Turns radioed-in coordinates, USNG/MGRS grids and street intersections into a map point
+import { getServiceAreaBoundsBase, getServiceAreaCenter } from '../config/searchConfig.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('LocationSearch');
+
+const GEOCODE_URL = 'https://geocode.arcgis.com/arcgis/rest/services/World/GeocodeServer';
+const MIN_GEOCODE_SCORE = 80;
+
+// WGS84 / UTM constants
+const A = 6378137;
+const F = 1 / 298.257223563;
+const K0 = 0.9996;
+const E2 = F * (2 - F);
+const EP2 = E2 / (1 - E2);
+
+// MGRS lettering: latitude bands, 100 km column letters per zone set, row letters
+const BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+const COLUMN_SETS = ['STUVWXYZ', 'ABCDEFGH', 'JKLMNPQR']; // zone % 3 = 0, 1, 2
+const ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+// Lowest 100 km northing in each band, which picks the 2,000 km row cycle
+const BAND_MIN_NORTHING = {
+    C: 1100000, D: 2000000, E: 2800000, F: 3700000, G: 4600000, H: 5500000, J: 6400000, K: 7300000,
+    L: 8200000, M: 9100000, N: 0, P: 800000, Q: 1700000, R: 2600000, S: 3500000, T: 4400000,
+    U: 5300000, V: 6200000, W: 7000000, X: 7900000
+};
+
+const STREET_SUFFIX = /\b(st|street|rd|road|ave|avenue|dr|drive|ln|lane|hwy|highway|blvd|boulevard|way|pkwy|parkway|cir|circle|ct|court|trl|trail|pl|place|pike)\.?$/i;
+
+const isLatitude = (value) => Number.isFinite(value) && Math.abs(value) <= 90;
+const isLongitude = (value) => Number.isFinite(value) && Math.abs(value) <= 180;
+
+/**
+ * Parse one coordinate: decimal degrees, degrees decimal minutes or degrees minutes seconds
+ * @param {string} part - e.g. "-86.9", "N34 07.5", "34°07'30\"N"
+ * @returns {Object|null} { value, axis: 'lat'|'lon'|null, dms }
+ */
+const parseAngle = (part) => {
+    const text = part.trim().toUpperCase();
+    // Anything beyond numbers, degree/minute/second marks and one hemisphere letter is not a coordinate
+    if (!text || /[^\d.\-\s°º'′"″:NSEW]/.test(text)) return null;
+
+    const hemispheres = text.match(/[NSEW]/g) || [];
+    const numbers = text.match(/-?\d+(\.\d+)?/g) || [];
+    if (hemispheres.length > 1 || numbers.length === 0 || numbers.length > 3) return null;
+
+    const [degrees, minutes = 0, seconds = 0] = numbers.map(Number);
+    if (minutes < 0 || minutes >= 60 || seconds < 0 || seconds >= 60) return null;
+
+    const hemisphere = hemispheres[0];
+    const magnitude = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+    const negative = numbers[0].startsWith('-') || hemisphere === 'S' || hemisphere === 'W';
+    return {
+        value: negative ? -magnitude : magnitude,
+        axis: hemisphere ? (hemisphere === 'N' || hemisphere === 'S' ? 'lat' : 'lon') : null,
+        dms: numbers.length > 1 || /[°º'′"″]/.test(text)
+    };
+};
+
+/**
+ * Parse "lat, lon" in decimal degrees, DMS or degrees decimal minutes
+ * Hemisphere letters decide the axes. Without them, latitude then longitude is assumed unless
+ * swapping the order or restoring a dropped minus sign is what lands in the service area.
+ * @param {string} term
+ * @param {Object} [bounds] - Service area { xmin, ymin, xmax, ymax }
+ * @returns {Object|null} { latitude, longitude, format: 'decimal'|'dms' }
+ */
+export const parseCoordinates = (term, bounds = getServiceAreaBoundsBase()) => {
+    const text = String(term || '').trim().toUpperCase();
+    if (!/\d/.test(text)) return null;
+
+    // Split into two halves: at a comma, at the second hemisphere letter, or between two bare numbers
+    let parts = text.split(/\s*[,;]\s*/);
+    if (parts.length !== 2) {
+        const match = text.match(/^([NSEW][^NSEW]+?)\s*([NSEW].+)$/)
+            || text.match(/^(.+?[NSEW])\s*(.+)$/)
+            || text.match(/^(-?\d+(?:\.\d+)?)\s+(-?\d+(?:\.\d+)?)$/);
+        parts = match ? [match[1], match[2]] : null;
+    }
+    if (!parts) return null;
+
+    const first = parseAngle(parts[0]);
+    const second = parseAngle(parts[1]);
+    if (!first || !second) return null;
+
+    const hasHemisphere = first.axis || second.axis;
+    // Bare whole numbers ("2 3") are far more likely to be a search than a position
+    if (!hasHemisphere && !first.dms && !second.dms && !parts.every(part => part.includes('.'))) return null;
+
+    let candidates;
+    if (hasHemisphere) {
+        candidates = [first.axis === 'lon' || second.axis === 'lat' ? [second.value, first.value] : [first.value, second.value]];
+    } else {
+        // Latitude first is the norm; longitude first, or a longitude radioed without its minus
+        // sign, is only assumed when that is what puts the point in the service area
+        candidates = [
+            [first.value, second.value],
+            [second.value, first.value],
+            [first.value, -second.value],
+            [second.value, -first.value]
+        ];
+    }
+    candidates = candidates.filter(([lat, lon]) => isLatitude(lat) && isLongitude(lon));
+    if (candidates.length === 0) return null;
+
+    const inArea = ([lat, lon]) => bounds && lon >= bounds.xmin && lon <= bounds.xmax && lat >= bounds.ymin && lat <= bounds.ymax;
+    const [latitude, longitude] = candidates.find(inArea) || candidates[0];
+
+    return { latitude, longitude, format: first.dms || second.dms ? 'dms' : 'decimal' };
+};
+
+/**
+ * UTM to latitude/longitude (Snyder's inverse Transverse Mercator series)
+ * @returns {Object} { latitude, longitude }
+ */
+export const utmToLatLon = (zone, easting, northing, southern = false) => {
+    const x = easting - 500000;
+    const y = southern ? northing - 10000000 : northing;
+    const e4 = E2 * E2;
+    const mu = (y / K0) / (A * (1 - E2 / 4 - 3 * e4 / 64 - 5 * e4 * E2 / 256));
+    const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+
+    const phi1 = mu
+        + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu)
+        + (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu)
+        + (151 * e1 ** 3 / 96) * Math.sin(6 * mu)
+        + (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+    const sinPhi1 = Math.sin(phi1);
+    const cosPhi1 = Math.cos(phi1);
+    const tanPhi1 = Math.tan(phi1);
+    const n1 = A / Math.sqrt(1 - E2 * sinPhi1 ** 2);
+    const t1 = tanPhi1 ** 2;
+    const c1 = EP2 * cosPhi1 ** 2;
+    const r1 = A * (1 - E2) / (1 - E2 * sinPhi1 ** 2) ** 1.5;
+    const d = x / (n1 * K0);
+
+    const phi = phi1 - (n1 * tanPhi1 / r1) * (d ** 2 / 2
+        - (5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * EP2) * d ** 4 / 24
+        + (61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * EP2 - 3 * c1 ** 2) * d ** 6 / 720);
+    const lambda = (d
+        - (1 + 2 * t1 + c1) * d ** 3 / 6
+        + (5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * EP2 + 24 * t1 ** 2) * d ** 5 / 120) / cosPhi1;
+
+    const centralMeridian = (zone - 1) * 6 - 180 + 3;
+    return {
+        latitude: phi * 180 / Math.PI,
+        longitude: centralMeridian + lambda * 180 / Math.PI
+    };
+};
+
+/**
+ * Parse a USNG / MGRS grid reference such as "16S EC 12345 67890" or "16SEC1234567890"
+ * Partial references (fewer digits) resolve to the center of the grid square they name.
+ * @param {string} term
+ * @returns {Object|null} { latitude, longitude, format: 'usng' }
+ */
+export const parseMgrs = (term) => {
+    const text = String(term || '').toUpperCase().replace(/\s+/g, '');
+    const match = text.match(/^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/);
+    if (!match) return null;
+
+    const [, zoneText, band, columnLetter, rowLetter, digits] = match;
+    const zone = parseInt(zoneText, 10);
+    if (zone < 1 || zone > 60 || digits.length % 2 !== 0 || digits.length > 10) return null;
+
+    const column = COLUMN_SETS[zone % 3].indexOf(columnLetter);
+    if (column === -1) return null;
+
+    // Even zones start their row lettering at F
+    const rowOffset = zone % 2 === 0 ? 5 : 0;
+    const row = (ROW_LETTERS.indexOf(rowLetter) - rowOffset + ROW_LETTERS.length) % ROW_LETTERS.length;
+
+    const precision = digits.length / 2;
+    const cell = 10 ** (5 - precision);
+    const half = precision < 5 ? cell / 2 : 0;
+    const easting = (column + 1) * 100000 + (precision ? parseInt(digits.slice(0, precision), 10) * cell : 0) + half;
+    let northing = row * 100000 + (precision ? parseInt(digits.slice(precision), 10) * cell : 0) + half;
+    while (northing < BAND_MIN_NORTHING[band]) northing += 2000000;
+
+    const southern = BANDS.indexOf(band) < BANDS.indexOf('N');
+    return { ...utmToLatLon(zone, easting, northing, southern), format: 'usng' };
+};
+
+/**
+ * Split "Main St & 2nd Ave" style input into two streets
+ * "&", "@", "/", "and" or "at" separate them, and both names must end in a street suffix so
+ * "AT&T" or "Smith and Sons" stay ordinary searches.
+ * @param {string} term
+ * @returns {Array<string>|null}
+ */
+export const parseIntersection = (term) => {
+    const text = String(term || '').trim();
+    const match = text.match(/^(.+?)\s*(?:&|@|\/)\s*(.+)$/) || text.match(/^(.+?)\s+(?:and|at)\s+(.+)$/i);
+    if (!match || !(STREET_SUFFIX.test(match[1].trim()) && STREET_SUFFIX.test(match[2].trim()))) return null;
+
+    const streets = [match[1].trim(), match[2].trim()];
+    return streets.every(street => /[a-z]/i.test(street) && street.length >= 2) ? streets : null;
+};
+
+/**
+ * LocationSearchService - Resolves location input for the header search
+ *
+ * Coordinates and grid references are parsed locally so they work offline; intersections
+ * go to the ArcGIS World geocoder, biased to the service area, and need a connection.
+ */
+export class LocationSearchService {
+    /**
+     * Coordinates or a grid reference, parsed without a network request
+     * @param {string} term
+     * @returns {Object|null} { latitude, longitude, label, format } or null when the term isn't a point
+     */
+    locatePoint(term) {
+        const text = String(term || '').trim();
+        const point = text ? parseCoordinates(text) || parseMgrs(text) : null;
+        if (!point) return null;
+        return { ...point, label: point.format === 'usng' ? text.toUpperCase() : `${point.latitude.toFixed(6)}, ${point.longitude.toFixed(6)}` };
+    }
+
+    /**
+     * A street intersection, through the geocoder
+     * @param {string} term
+     * @returns {Promise<Object|null>} { latitude, longitude, label, format } or null when the term isn't an intersection
+     */
+    async locateIntersection(term) {
+        const streets = parseIntersection(term);
+        return streets ? this.geocodeIntersection(streets) : null;
+    }
+
+    async geocodeIntersection(streets) {
+        if (typeof navigator !== 'undefined' && !navigator.onLine) return null;
+
+        try {
+            const { addressToLocations } = await import('@arcgis/core/rest/locator');
+            const bounds = getServiceAreaBoundsBase();
+            const center = getServiceAreaCenter();
+            const candidates = await addressToLocations(GEOCODE_URL, {
+                address: { SingleLine: `${streets[0]} & ${streets[1]}` },
+                location: { type: 'point', longitude: center.longitude, latitude: center.latitude, spatialReference: { wkid: 4326 } },
+                searchExtent: bounds ? { type: 'extent', ...bounds } : undefined,
+                countryCode: 'US',
+                maxLocations: 1,
+                outFields: ['Addr_type'],
+                outSpatialReference: { wkid: 4326 }
+            });
+
+            const best = candidates?.[0];
+            if (!best || best.score < MIN_GEOCODE_SCORE) return null;
+            return {
+                latitude: best.location.latitude ?? best.location.y,
+                longitude: best.location.longitude ?? best.location.x,
+                label: best.address,
+                format: best.attributes?.Addr_type === 'StreetInt' ? 'intersection' : 'address'
+            };
+        } catch (error) {
+            log.warn('Intersection lookup failed:', error);
+            return null;
+        }
+    }
+}
+
+// Export singleton instance
+export const locationSearchService = new LocationSearchService();
@@ -0,0 +1,342 @@
+// NodeAlertService.js - Node site health thresholds and alert rules
+import { API_CONFIG } from '../config/apiConfig.js';
+import { authService } from './AuthService.js';
+import { getOrCreateNoticeContainer } from '../utils/noticeContainer.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('NodeAlertService');
+
+const SETTINGS_KEY = 'node-alert-settings';
+const MAX_HITS = 200;
+
+const LEVEL_RANK = {
+    'no data': 0,
+    'excellent': 1,
+    'fair': 2,
+    'warning': 3,
+    'critical': 4
+};
+
+export const HEALTH_COLORS = {
+    'no data': '#6c757d', // Gray
+    'excellent': '#28a745', // Green
+    'fair': '#fd7e14', // Orange
+    'warning': '#ffc107', // Yellow
+    'critical': '#dc3545' // Red
+};
+
+/**
+ * NodeAlertService - Resolves health thresholds per node and evaluates alert rules
+ *
+ * Rule types:
+ * - health: fires when a node reaches the rule's level, once per episode; when one poll crosses
+ *   several health levels only the most severe fires
+ * - new-offline: fires when at least `count` more subscribers are offline than at any poll in
+ *   the last `minutes`; the same node can fire again after `minutes`
+ *
+ * Hits during quiet hours are kept in the log but raise no notice or webhook, unless they are
+ * critical and QUIET_HOURS.allowCritical is set. Alerts are off until the user turns them on in
+ * the Alert Rules panel. When WEBHOOK_ENDPOINT is set, each hit is also POSTed there as
+ * buildWebhookPayload with the user's access token; that endpoint is a server-side proxy that
+ * holds the chat or paging credentials.
+ */
+export class NodeAlertService {
+    constructor(config = API_CONFIG.NODE_ALERTS, auth = authService) {
+        this.config = config || {};
+        this.auth = auth;
+        this.settings = this.loadSettings();
+        this.ruleState = new Map(); // `${ruleId}:${node}` -> { active, lastFiredAt }
+        this.offlineHistory = new Map(); // node -> [{ time, offline }]
+        this.hits = [];
+    }
+
+    loadSettings() {
+        const defaults = {
+            enabled: false,
+            global: { ...this.config.GLOBAL },
+            minSubscribers: this.config.MIN_SUBSCRIBERS ?? 0,
+            newOffline: (() => {
+                const rule = (this.config.RULES || []).find(item => item.type === 'new-offline');
+                return rule ? { count: rule.count, minutes: rule.minutes } : { count: 10, minutes: 15 };
+            })(),
+            quietHours: { ...this.config.QUIET_HOURS }
+        };
+
+        try {
+            const saved = typeof localStorage !== 'undefined' ? JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null') : null;
+            return saved ? { ...defaults, ...saved } : defaults;
+        } catch {
+            return defaults;
+        }
+    }
+
+    /**
+     * Save settings from the Alert Rules panel
+     * @param {Object} changes - Partial settings ({ enabled, global, minSubscribers, newOffline, quietHours })
+     */
+    updateSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            log.warn('Could not save node alert settings:', error);
+        }
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('nodeAlertSettingsChanged', { detail: this.settings }));
+        }
+    }
+
+    resetSettings() {
+        try {
+            localStorage.removeItem(SETTINGS_KEY);
+        } catch {
+            // Nothing saved
+        }
+        this.settings = this.loadSettings();
+    }
+
+    /**
+     * Thresholds for a node: per-node override, then the first matching profile, then global
+     * @param {string} nodeSiteName
+     * @param {Object} [metrics] - { totalSubscribers, businessCount }
+     * @returns {{critical: number, warning: number, fair: number, source: string}}
+     */
+    getThresholds(nodeSiteName, { totalSubscribers = 0, businessCount = 0 } = {}) {
+        const override = this.config.NODES?.[nodeSiteName];
+        if (override) return { ...override, source: `node:${nodeSiteName}` };
+
+        const profile = (this.config.PROFILES || []).find(item =>
+            (item.minSubscribers === undefined || totalSubscribers >= item.minSubscribers) &&
+            (item.minBusinessCount === undefined || businessCount >= item.minBusinessCount));
+        if (profile) return { ...profile.thresholds, source: `profile:${profile.id}` };
+
+        return { ...this.settings.global, source: 'global' };
+    }
+
+    /**
+     * Health status for an offline percentage
+     * @param {number} offlinePercentage
+     * @param {number} totalSubscribers
+     * @param {Object} thresholds - From getThresholds
+     * @returns {{healthStatus: string, healthColor: string}}
+     */
+    classify(offlinePercentage, totalSubscribers, thresholds) {
+        let healthStatus = 'excellent';
+        if (totalSubscribers === 0) {
+            healthStatus = 'no data';
+        } else if (offlinePercentage > thresholds.critical) {
+            healthStatus = 'critical';
+        } else if (offlinePercentage > thresholds.warning) {
+            healthStatus = 'warning';
+        } else if (offlinePercentage > thresholds.fair) {
+            healthStatus = 'fair';
+        }
+        return { healthStatus, healthColor: HEALTH_COLORS[healthStatus] };
+    }
+
+    getRules() {
+        return (this.config.RULES || []).map(rule => rule.type === 'new-offline'
+            ? { ...rule, ...this.settings.newOffline }
+            : rule);
+    }
+
+    /**
+     * Run the rules against one poll of node metrics
+     * @param {Array} rows - { nodeSiteName, healthStatus, totalSubscribers, offlineSubscribers, offlinePercentage, businessCount }
+     * @param {number} [now] - Epoch ms
+     * @returns {Array} New hits ({ id, ruleId, ruleName, ruleType, nodeSiteName, level, message, time, suppressed, metrics, thresholds })
+     */
+    evaluate(rows, now = Date.now()) {
+        const hits = [];
+        const rules = this.getRules();
+        const quiet = this.isQuietHours(new Date(now));
+        const maxWindowMs = Math.max(0, ...rules.filter(rule => rule.type === 'new-offline').map(rule => rule.minutes * 60000));
+
+        rows.forEach(row => {
+            if (row.error) return;
+            const node = row.nodeSiteName;
+
+            const history = (this.offlineHistory.get(node) || []).filter(entry => now - entry.time <= maxWindowMs);
+            this.offlineHistory.set(node, [...history, { time: now, offline: row.offlineSubscribers }]);
+
+            if (row.totalSubscribers < this.settings.minSubscribers) return;
+
+            const nodeHits = [];
+            rules.forEach(rule => {
+                const key = `${rule.id}:${node}`;
+                const state = this.ruleState.get(key) || { active: false, lastFiredAt: 0 };
+                let hit = null;
+
+                if (rule.type === 'health') {
+                    const reached = LEVEL_RANK[row.healthStatus] >= LEVEL_RANK[rule.level];
+                    if (reached && !state.active) {
+                        hit = { level: rule.level, message: `${node} is ${row.healthStatus}: ${row.offlineSubscribers} of ${row.totalSubscribers} offline (${row.offlinePercentage}%)` };
+                    }
+                    state.active = reached;
+                } else if (rule.type === 'new-offline') {
+                    const windowMs = rule.minutes * 60000;
+                    const earlier = history.filter(entry => now - entry.time <= windowMs);
+                    if (earlier.length > 0 && now - state.lastFiredAt >= windowMs) {
+                        const newOffline = row.offlineSubscribers - Math.min(...earlier.map(entry => entry.offline));
+                        if (newOffline >= rule.count) {
+                            hit = { level: rule.level || 'warning', message: `${node}: ${newOffline} new offline in the last ${rule.minutes} min (${row.offlineSubscribers} offline)`, newOffline };
+                        }
+                    }
+                }
+
+                if (hit) {
+                    state.lastFiredAt = now;
+                    nodeHits.push({
+                        id: `${key}:${now}`,
+                        ruleId: rule.id,
+                        ruleName: rule.name || rule.id,
+                        ruleType: rule.type,
+                        nodeSiteName: node,
+                        time: now,
+                        suppressed: quiet && !(this.settings.quietHours?.allowCritical && hit.level === 'critical'),
+                        metrics: {
+                            totalSubscribers: row.totalSubscribers,
+                            offlineSubscribers: row.offlineSubscribers,
+                            offlinePercentage: row.offlinePercentage,
+                            newOffline: hit.newOffline ?? null
+                        },
+                        thresholds: this.getThresholds(node, row),
+                        level: hit.level,
+                        message: hit.message
+                    });
+                }
+                this.ruleState.set(key, state);
+            });
+
+            // Jumping straight to critical also crosses warning - report the critical hit only
+            const worstHealth = Math.max(0, ...nodeHits.filter(hit => hit.ruleType === 'health').map(hit => LEVEL_RANK[hit.level]));
+            hits.push(...nodeHits.filter(hit => hit.ruleType !== 'health' || LEVEL_RANK[hit.level] === worstHealth));
+        });
+
+        if (hits.length > 0) {
+            this.hits.push(...hits);
+            if (this.hits.length > MAX_HITS) this.hits.splice(0, this.hits.length - MAX_HITS);
+        }
+        return hits;
+    }
+
+    /**
+     * Whether a time falls in the quiet hours window (wraps past midnight when end < start)
+     * @param {Date} date
+     * @returns {boolean}
+     */
+    isQuietHours(date) {
+        const { start, end } = this.settings.quietHours || {};
+        if (!start || !end) return false;
+
+        const toMinutes = (value) => {
+            const [hours, minutes] = String(value).split(':').map(Number);
+            return hours * 60 + (minutes || 0);
+        };
+        const current = date.getHours() * 60 + date.getMinutes();
+        const from = toMinutes(start);
+        const to = toMinutes(end);
+        return from <= to ? current >= from && current < to : current >= from || current < to;
+    }
+
+    /**
+     * Payload posted to WEBHOOK_ENDPOINT for a hit; `text` suits chat webhooks
+     * @param {Object} hit
+     * @returns {Object}
+     */
+    buildWebhookPayload(hit) {
+        return {
+            type: 'node_alert',
+            text: `[${hit.level.toUpperCase()}] ${hit.message}`,
+            rule: { id: hit.ruleId, name: hit.ruleName, type: hit.ruleType },
+            node_site: hit.nodeSiteName,
+            level: hit.level,
+            message: hit.message,
+            metrics: {
+                total_subscribers: hit.metrics.totalSubscribers,
+                offline_subscribers: hit.metrics.offlineSubscribers,
+                offline_percentage: hit.metrics.offlinePercentage,
+                new_offline: hit.metrics.newOffline
+            },
+            thresholds: hit.thresholds,
+            time: new Date(hit.time).toISOString(),
+            source: 'fiberoms-insight'
+        };
+    }
+
+    /**
+     * Show notices and post webhooks for hits outside quiet hours
+     * @param {Array} hits - From evaluate
+     */
+    async notify(hits) {
+        const active = hits.filter(hit => !hit.suppressed);
+        if (hits.length > active.length) {
+            log.info(`🔕 ${hits.length - active.length} node alert(s) held during quiet hours`);
+        }
+
+        active.forEach(hit => this.showNotice(hit));
+        if (typeof document !== 'undefined' && hits.length > 0) {
+            document.dispatchEvent(new CustomEvent('nodeAlertsRaised', { detail: { hits } }));
+        }
+
+        if (!this.config.WEBHOOK_ENDPOINT || active.length === 0) return;
+        // The proxy checks who is sending; without a session there is nothing it would accept
+        const accessToken = this.auth?.session?.access_token;
+        if (!accessToken) {
+            log.warn('Node alert webhook skipped - not signed in');
+            return;
+        }
+
+        await Promise.all(active.map(async hit => {
+            try {
+                const response = await fetch(this.config.WEBHOOK_ENDPOINT, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${accessToken}` },
+                    body: JSON.stringify(this.buildWebhookPayload(hit))
+                });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            } catch (error) {
+                log.error(`Failed to post node alert webhook for ${hit.nodeSiteName}:`, error);
+            }
+        }));
+    }
+
+    // Persistent until closed; a repeat of the same rule on the same node replaces it
+    showNotice(hit) {
+        if (typeof document === 'undefined') return;
+
+        const id = `node-alert-${hit.ruleId}-${hit.nodeSiteName}`.replace(/[^a-z0-9-]+/gi, '-');
+        document.getElementById(id)?.remove();
+
+        const notice = document.createElement('calcite-notice');
+        notice.id = id;
+        notice.setAttribute('open', '');
+        notice.setAttribute('kind', hit.level === 'critical' ? 'danger' : 'warning');
+        notice.setAttribute('icon', 'exclamation-mark-triangle');
+        notice.setAttribute('closable', '');
+
+        const title = document.createElement('div');
+        title.slot = 'title';
+        title.textContent = hit.ruleName;
+        const message = document.createElement('div');
+        message.slot = 'message';
+        message.textContent = `${hit.message} · ${new Date(hit.time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+
+        notice.appendChild(title);
+        notice.appendChild(message);
+        notice.addEventListener('calciteNoticeClose', () => notice.remove());
+        getOrCreateNoticeContainer().appendChild(notice);
+    }
+
+    /**
+     * Alert log, newest first
+     * @returns {Array}
+     */
+    getHits() {
+        return this.hits.slice().reverse();
+    }
+}
+
+// Export singleton instance
+export const nodeAlertService = new NodeAlertService();
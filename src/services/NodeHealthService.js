@@ -0,0 +1,216 @@
+// NodeHealthService.js - Health of every TA5K node site for the node health dashboard
+import { nodeSiteMetricsService } from './NodeSiteMetricsService.js';
+import { statusHistoryService } from './StatusHistoryService.js';
+import { infrastructureService } from './InfrastructureService.js';
+import { nodeAlertService } from './NodeAlertService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('NodeHealthService');
+
+// Worst first when sorting by health
+const HEALTH_SEVERITY = {
+    'critical': 4,
+    'warning': 3,
+    'fair': 2,
+    'excellent': 1,
+    'no data': 0
+};
+
+/**
+ * NodeHealthService - Polls NodeSiteMetricsService for all node sites
+ *
+ * Node sites are the Sprout Hut features (their Name is what the hut popup passes to
+ * getNodeSiteMetrics). Trends come from the offline subscriber history kept by
+ * StatusHistoryService, counted per TA5K; the offline delta compares with the previous poll.
+ * Every poll also runs the NodeAlertService rules, so the dashboard and background checks share
+ * one alert history.
+ */
+export class NodeHealthService {
+    constructor(metrics = nodeSiteMetricsService, history = statusHistoryService, infrastructure = infrastructureService, alerts = nodeAlertService) {
+        this.metrics = metrics;
+        this.history = history;
+        this.infrastructure = infrastructure;
+        this.alerts = alerts;
+        this.previousOffline = new Map(); // nodeSiteName -> offline count at the last poll
+        this.lastPollAt = null;
+    }
+
+    async getNodeSiteNames() {
+        const huts = await this.infrastructure.getSproutHuts();
+        const names = (huts?.features || [])
+            .map(feature => feature.properties?.Name || feature.properties?.name)
+            .filter(name => name && String(name).trim() !== '');
+        return [...new Set(names)].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Fetch metrics for every node site
+     * @param {Object} [options]
+     * @param {number} [options.trendHours] - Sparkline window
+     * @param {number} [options.trendSamples] - Points per sparkline
+     * @returns {Promise<Object>} { count, data: rows, lastUpdated, previousPollAt, error?, errorMessage? }
+     */
+    async poll({ trendHours = 24, trendSamples = 24 } = {}) {
+        try {
+            const names = await this.getNodeSiteNames();
+            const allMetrics = await this.metrics.getMultipleNodeSiteMetrics(names);
+
+            const sites = names.map(name => allMetrics[name] || { nodeSiteName: name, error: 'No metrics returned' });
+            const trends = await this.getTrends(sites, trendHours, trendSamples);
+            const rows = sites.map(site => this.toRow(site, trends.get(site.nodeSiteName) || []));
+
+            const previousPollAt = this.lastPollAt;
+            rows.forEach(row => {
+                if (!row.error) this.previousOffline.set(row.nodeSiteName, row.offlineSubscribers);
+            });
+            this.lastPollAt = new Date();
+
+            await this.checkAlerts(rows);
+
+            log.info(`📊 Polled ${rows.length} node sites`);
+            return { count: rows.length, data: rows, lastUpdated: this.lastPollAt, previousPollAt };
+        } catch (error) {
+            log.error('Failed to poll node site health:', error);
+            return { count: 0, data: [], lastUpdated: new Date(), previousPollAt: this.lastPollAt, error: true, errorMessage: error.message };
+        }
+    }
+
+    async checkAlerts(rows) {
+        if (!this.alerts?.settings?.enabled) return;
+        try {
+            const hits = this.alerts.evaluate(rows, this.lastPollAt.getTime());
+            if (hits.length > 0) {
+                log.info(`🚨 ${hits.length} node alert rule hit(s)`);
+                await this.alerts.notify(hits);
+            }
+        } catch (error) {
+            log.error('Failed to evaluate node alert rules:', error);
+        }
+    }
+
+    toRow(site, trend) {
+        if (site.error) {
+            return {
+                nodeSiteName: site.nodeSiteName,
+                healthStatus: 'no data',
+                healthColor: '#6c757d',
+                totalSubscribers: 0,
+                offlineSubscribers: 0,
+                offlinePercentage: 0,
+                offlineDelta: null,
+                businessCount: 0,
+                ta5kNodes: [],
+                trend,
+                error: site.error
+            };
+        }
+
+        const previous = this.previousOffline.get(site.nodeSiteName);
+        return {
+            nodeSiteName: site.nodeSiteName,
+            healthStatus: site.healthStatus,
+            healthColor: site.healthColor,
+            totalSubscribers: site.totalSubscribers,
+            offlineSubscribers: site.offlineSubscribers,
+            offlinePercentage: site.offlinePercentage,
+            offlineDelta: previous === undefined ? null : site.offlineSubscribers - previous,
+            businessCount: site.businessCount || 0,
+            ta5kNodes: site.ta5kNodes || [],
+            trend,
+            error: null
+        };
+    }
+
+    /**
+     * Offline counts per node site over time, from the status history
+     * @param {Array} sites - Metrics with nodeSiteName and ta5kNodes
+     * @param {number} hours
+     * @param {number} samples
+     * @returns {Promise<Map<string, Array<number>>>}
+     */
+    async getTrends(sites, hours, samples) {
+        try {
+            const { start, end, snapshots } = await this.history.getTimeline(hours);
+            const step = (end - start) / Math.max(1, samples - 1);
+            const sampleTimes = Array.from({ length: samples }, (_, index) => start + index * step);
+
+            const ta5kToSite = new Map();
+            sites.forEach(site => (site.ta5kNodes || []).forEach(ta5k => ta5kToSite.set(ta5k, site.nodeSiteName)));
+
+            return this.buildTrends(snapshots, sampleTimes, ta5kToSite);
+        } catch (error) {
+            log.warn('Could not build node site trends:', error);
+            return new Map();
+        }
+    }
+
+    /**
+     * Replay history snapshots once, counting offline subscribers per site at each sample time
+     * @param {Array} snapshots - StatusHistoryService snapshots, oldest first
+     * @param {Array<number>} sampleTimes - Ascending epoch ms
+     * @param {Map<string, string>} ta5kToSite
+     * @returns {Map<string, Array<number>>} Site name -> counts (sites without history are omitted)
+     */
+    buildTrends(snapshots, sampleTimes, ta5kToSite) {
+        const series = new Map();
+        let state = null;
+        let snapshotIndex = 0;
+
+        sampleTimes.forEach((time, sampleIndex) => {
+            while (snapshotIndex < snapshots.length && snapshots[snapshotIndex].timestamp <= time) {
+                const snapshot = snapshots[snapshotIndex++];
+                if (snapshot.type === 'keyframe') {
+                    state = new Map(snapshot.offline.map(record => [record.id, record]));
+                } else if (state) {
+                    snapshot.restored.forEach(id => state.delete(id));
+                    snapshot.wentOffline.forEach(record => state.set(record.id, record));
+                }
+            }
+            if (!state) return;
+
+            const counts = new Map();
+            state.forEach(record => {
+                const site = ta5kToSite.get(record.ta5k);
+                if (site) counts.set(site, (counts.get(site) || 0) + 1);
+            });
+
+            new Set(ta5kToSite.values()).forEach(site => {
+                if (!series.has(site)) series.set(site, new Array(sampleIndex).fill(null));
+                series.get(site).push(counts.get(site) || 0);
+            });
+        });
+
+        return series;
+    }
+
+    /**
+     * Sort dashboard rows
+     * @param {Array} rows
+     * @param {string} key - 'health' | 'name' | 'offline' | 'percentage' | 'delta'
+     * @param {string} direction - 'asc' | 'desc'
+     * @returns {Array} New sorted array
+     */
+    sortRows(rows, key = 'health', direction = 'desc') {
+        const value = {
+            health: row => HEALTH_SEVERITY[row.healthStatus] ?? 0,
+            name: row => row.nodeSiteName.toLowerCase(),
+            offline: row => row.offlineSubscribers,
+            percentage: row => row.offlinePercentage,
+            delta: row => row.offlineDelta ?? -Infinity
+        }[key] || (row => HEALTH_SEVERITY[row.healthStatus] ?? 0);
+
+        const sign = direction === 'asc' ? 1 : -1;
+        return [...rows].sort((a, b) => {
+            const av = value(a);
+            const bv = value(b);
+            if (av < bv) return -sign;
+            if (av > bv) return sign;
+            // Ties: busiest site first, then by name
+            return b.offlineSubscribers - a.offlineSubscribers || a.nodeSiteName.localeCompare(b.nodeSiteName);
+        });
+    }
+}
+
+// Export singleton instance
+export const nodeHealthService = new NodeHealthService();
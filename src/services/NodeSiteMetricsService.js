@@ -1,4 +1,5 @@
 import { supabase } from '../dataService.js';
+import { nodeAlertService } from './NodeAlertService.js';
 import { createLogger } from '../utils/logger.js';
 
 // Initialize logger for this module
@@ -20,7 +21,7 @@ export class NodeSiteMetricsService {
      * Get comprehensive metrics for a node site
      * @param {string} nodeSiteName - The name of the node site
      * @returns {Promise<Object>} Metrics object with subscriber counts, service types, and health data
-     *   - { nodeSiteName, totalSubscribers, onlineSubscribers, offlineSubscribers, unknownSubscribers, residentialCount, businessCount, onlinePercentage, offlinePercentage, healthStatus, healthColor, recentActivity, ta5kNodes, ta5kBreakdown, lastUpdated, rawData }
+     *   - { nodeSiteName, totalSubscribers, onlineSubscribers, offlineSubscribers, unknownSubscribers, residentialCount, businessCount, onlinePercentage, offlinePercentage, healthStatus, healthColor, healthThresholds, recentActivity, ta5kNodes, ta5kBreakdown, lastUpdated, rawData }
      */
     async getNodeSiteMetrics(nodeSiteName) {
         if (!nodeSiteName) {
@@ -149,23 +150,9 @@ export class NodeSiteMetricsService {
         const onlinePercentage = totalSubscribers > 0 ? Math.round((onlineSubscribers / totalSubscribers) * 100) : 0;
         const offlinePercentage = totalSubscribers > 0 ? Math.round((offlineSubscribers / totalSubscribers) * 100) : 0;
 
-        // Health status determination
-        let healthStatus = 'excellent';
-        let healthColor = '#28a745'; // Green
-
-        if (totalSubscribers === 0) {
-            healthStatus = 'no data';
-            healthColor = '#6c757d'; // Gray
-        } else if (offlinePercentage > 50) {
-            healthStatus = 'critical';
-            healthColor = '#dc3545'; // Red
-        } else if (offlinePercentage > 25) {
-            healthStatus = 'warning';
-            healthColor = '#ffc107'; // Yellow
-        } else if (offlinePercentage > 10) {
-            healthStatus = 'fair';
-            healthColor = '#fd7e14'; // Orange
-        }
+        // Health status determination - thresholds depend on the node (see NODE_ALERTS)
+        const thresholds = nodeAlertService.getThresholds(nodeSiteName, { totalSubscribers, businessCount });
+        const { healthStatus, healthColor } = nodeAlertService.classify(offlinePercentage, totalSubscribers, thresholds);
 
         // Recent activity (subscribers updated in last 24 hours)
         const recentActivity = subscribers.filter(sub => {
@@ -210,6 +197,7 @@ export class NodeSiteMetricsService {
             offlinePercentage,
             healthStatus,
             healthColor,
+            healthThresholds: thresholds,
             recentActivity,
             ta5kNodes: ta5kValues,
             ta5kBreakdown,
@@ -0,0 +1,364 @@
+// OfflineBundleService.js - Field mode: per-DA bundles of subscribers, infrastructure and basemap tiles
+import { cacheService } from './CacheService.js';
+import { infrastructureService } from './InfrastructureService.js';
+import { createLogger } from '../utils/logger.js';
+import { getFeaturePosition, getGeometryBounds, isPointInPolygon, isPositionInBounds, doBoundsIntersect } from '../utils/geoUtils.js';
+
+// Initialize logger for this module
+const log = createLogger('OfflineBundle');
+
+// Subscriber sets stored in a bundle, keyed like the PollingManager subscriber result
+const SUBSCRIBER_SOURCES = {
+    offline: 'getOfflineSubscribers',
+    electricOffline: 'getElectricOfflineSubscribers',
+    online: 'getOnlineSubscribers'
+};
+
+// Infrastructure layers stored in a bundle, keyed by the InfrastructureService IndexedDB cache key
+const INFRASTRUCTURE_SOURCES = {
+    fsa_sprout_v3: 'getFSABoundaries',
+    mainFiber_sprout_v2: 'getMainLineFiber',
+    mstFiber_sprout_v2: 'getMSTFiber',
+    mstTerminals_sprout_v2: 'getMSTTerminals',
+    splitters_sprout_v2: 'getSplitters',
+    closures_slackloops_v1: 'getClosures',
+    slackLoops_sprout_v2: 'getSlackLoops',
+    sproutHuts_v2: 'getSproutHuts',
+    poles_sprout_v1: 'getPoles'
+};
+
+// Same cache the service worker serves basemap requests from (see runtimeCaching in vite.config.js)
+const TILE_CACHE_NAME = 'arcgis-basemap-cache';
+
+const DEFAULT_OPTIONS = {
+    minZoom: 10,
+    maxZoom: 16,
+    maxTiles: 4000,      // Per bundle - a large rural DA at z16 is ~1,500 tiles per basemap layer
+    tileConcurrency: 6
+};
+
+const normalizeName = (value) => (value === null || value === undefined) ? '' : String(value).trim().toUpperCase();
+
+/**
+ * OfflineBundleService - Download a distribution area for use without a connection
+ *
+ * A bundle is one DA: the subscribers and infrastructure features inside its boundary (stored in
+ * the Dexie offlineBundles table) plus the basemap tiles covering it (stored in the workbox basemap
+ * cache). SubscriberDataService and InfrastructureService fall back to the bundles when a fetch
+ * fails or the device reports it is offline.
+ */
+export class OfflineBundleService {
+    constructor(cache = cacheService, infrastructure = infrastructureService, options = {}) {
+        this.cache = cache;
+        this.infrastructure = infrastructure;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.bundles = null; // Loaded lazily, invalidated on download/delete
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * DA names available for download, from the boundary layer
+     * @returns {Promise<Array<string>>}
+     */
+    async getAreas() {
+        const boundaries = await this.infrastructure.getFSABoundaries();
+        const names = (boundaries?.features || [])
+            .map(feature => feature.properties?.areaname || feature.properties?.AREANAME)
+            .filter(Boolean);
+        return [...new Set(names)].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Download one DA into a bundle, replacing any earlier bundle for it
+     * @param {string} areaName - DA boundary name (areaname)
+     * @param {Object} [options]
+     * @param {Object} [options.view] - MapView whose basemap tiles should be prefetched
+     * @param {Function} [options.onProgress] - Called with { stage, done, total }
+     * @returns {Promise<Object>} Bundle summary, or { error: true, errorMessage }
+     */
+    async downloadArea(areaName, { view = null, onProgress = null } = {}) {
+        try {
+            if (this.isOffline()) throw new Error('Connect to a network to download an area');
+
+            const boundaries = await this.infrastructure.getFSABoundaries();
+            const boundary = (boundaries?.features || []).find(feature =>
+                normalizeName(feature.properties?.areaname || feature.properties?.AREANAME) === normalizeName(areaName));
+            if (!boundary) throw new Error(`Distribution area ${areaName} was not found`);
+
+            const bounds = getGeometryBounds(boundary.geometry);
+            log.info(`📦 Building offline bundle for ${areaName}`);
+
+            onProgress?.({ stage: 'subscribers', done: 0, total: Object.keys(SUBSCRIBER_SOURCES).length });
+            const { subscriberDataService } = await import('../dataService.js');
+            const subscribers = {};
+            for (const [setName, method] of Object.entries(SUBSCRIBER_SOURCES)) {
+                const result = await subscriberDataService[method]();
+                // A result served from an existing bundle means the live fetch failed
+                if (result?.error || result?.offlineBundle) throw new Error(`Could not load live ${setName} subscribers`);
+                subscribers[setName] = this.clipPoints(result?.features || [], boundary.geometry, bounds);
+            }
+
+            onProgress?.({ stage: 'infrastructure', done: 0, total: Object.keys(INFRASTRUCTURE_SOURCES).length });
+            const infrastructure = {};
+            for (const [cacheKey, method] of Object.entries(INFRASTRUCTURE_SOURCES)) {
+                const result = await this.infrastructure[method]();
+                // A layer that failed to load is left out rather than failing the whole bundle
+                if (result?.error && !result.features?.length) {
+                    log.warn(`⚠️ Skipping ${cacheKey} in offline bundle: ${result.errorMessage}`);
+                    continue;
+                }
+                infrastructure[cacheKey] = this.clipFeatures(result?.features || [], bounds);
+            }
+
+            const tiles = view ? await this.prefetchTiles(view, bounds, onProgress) : { urls: [], bytes: 0, failed: 0 };
+
+            const dataBytes = this.measureBytes({ subscribers, infrastructure });
+            const bundle = {
+                id: normalizeName(areaName),
+                name: areaName,
+                bounds,
+                createdAt: Date.now(),
+                subscribers,
+                infrastructure,
+                tiles,
+                sizeBytes: dataBytes + tiles.bytes
+            };
+
+            const saved = await this.cache.putOfflineBundle(bundle);
+            if (!saved) throw new Error('Not enough storage to save the bundle');
+            this.bundles = null;
+
+            log.info(`✅ Offline bundle ${areaName}: ${subscribers.offline.length + subscribers.electricOffline.length + subscribers.online.length} subscribers, ${tiles.urls.length} tiles, ${(bundle.sizeBytes / 1024 / 1024).toFixed(1)}MB`);
+            return this.summarize(bundle);
+        } catch (error) {
+            log.error(`Failed to download offline bundle for ${areaName}:`, error);
+            return {
+                error: true,
+                errorMessage: error.message
+            };
+        }
+    }
+
+    /**
+     * Bundle summaries for display (no feature payloads)
+     * @returns {Promise<Array<Object>>} [{ id, name, createdAt, sizeBytes, subscriberCount, tileCount }]
+     */
+    async getBundles() {
+        return (await this.loadBundles()).map(bundle => this.summarize(bundle));
+    }
+
+    async deleteBundle(id) {
+        const bundle = (await this.loadBundles()).find(candidate => candidate.id === id);
+        await this.cache.deleteOfflineBundle(id);
+        this.bundles = null;
+
+        // Tiles shared with another bundle stay cached
+        const remaining = new Set((await this.loadBundles()).flatMap(other => other.tiles?.urls || []));
+        const urls = (bundle?.tiles?.urls || []).filter(url => !remaining.has(url));
+        if (urls.length > 0 && typeof caches !== 'undefined') {
+            try {
+                const tileCache = await caches.open(TILE_CACHE_NAME);
+                await Promise.all(urls.map(url => tileCache.delete(url)));
+            } catch (error) {
+                log.warn('Failed to remove bundle tiles from cache:', error);
+            }
+        }
+    }
+
+    /**
+     * Subscribers of one set across all downloaded bundles
+     * @param {'offline'|'electricOffline'|'online'} setName
+     * @returns {Promise<Object|null>} Subscriber result marked offlineBundle, or null when nothing is downloaded
+     */
+    async getBundledSubscribers(setName) {
+        const bundles = await this.loadBundles();
+        if (bundles.length === 0) return null;
+
+        const features = this.mergeFeatures(bundles.map(bundle => bundle.subscribers?.[setName] || []),
+            feature => String(feature.properties?.account ?? feature.properties?.id));
+        log.info(`📦 Serving ${features.length} ${setName} subscribers from ${bundles.length} offline bundle(s)`);
+
+        return {
+            count: features.length,
+            data: features.map(feature => feature.properties),
+            features,
+            lastUpdated: new Date(Math.min(...bundles.map(bundle => bundle.createdAt))).toISOString(),
+            fromCache: true,
+            offlineBundle: true
+        };
+    }
+
+    /**
+     * Infrastructure features for one layer across all downloaded bundles
+     * @param {string} cacheKey - InfrastructureService cache key (e.g. 'mainFiber_sprout_v2')
+     * @returns {Promise<Object|null>}
+     */
+    async getBundledInfrastructure(cacheKey) {
+        const bundles = (await this.loadBundles()).filter(bundle => bundle.infrastructure?.[cacheKey]);
+        if (bundles.length === 0) return null;
+
+        // Cables crossing a DA edge are stored in both bundles
+        const features = this.mergeFeatures(bundles.map(bundle => bundle.infrastructure[cacheKey]),
+            feature => feature.id ?? JSON.stringify(feature.properties || {}));
+        log.info(`📦 Serving ${features.length} ${cacheKey} features from offline bundle(s)`);
+
+        return {
+            count: features.length,
+            features,
+            lastUpdated: new Date(Math.min(...bundles.map(bundle => bundle.createdAt))).toISOString(),
+            fromCache: true,
+            offlineBundle: true
+        };
+    }
+
+    async loadBundles() {
+        if (!this.bundles) {
+            this.bundles = await this.cache.getOfflineBundles();
+        }
+        return this.bundles;
+    }
+
+    summarize(bundle) {
+        const subscriberCount = Object.values(bundle.subscribers || {}).reduce((sum, features) => sum + features.length, 0);
+        return {
+            id: bundle.id,
+            name: bundle.name,
+            createdAt: bundle.createdAt,
+            sizeBytes: bundle.sizeBytes,
+            subscriberCount,
+            tileCount: bundle.tiles?.urls?.length || 0,
+            failedTiles: bundle.tiles?.failed || 0
+        };
+    }
+
+    clipPoints(features, geometry, bounds) {
+        return features.filter(feature => {
+            const position = getFeaturePosition(feature);
+            return position && isPositionInBounds(position, bounds) && isPointInPolygon(position, geometry);
+        });
+    }
+
+    // Lines and polygons are kept whole when their extent touches the DA - good enough offline
+    clipFeatures(features, bounds) {
+        return features.filter(feature => {
+            if (feature.geometry?.type === 'Point') {
+                return isPositionInBounds(feature.geometry.coordinates, bounds);
+            }
+            return doBoundsIntersect(getGeometryBounds(feature.geometry), bounds);
+        });
+    }
+
+    mergeFeatures(featureLists, getKey) {
+        const merged = new Map();
+        featureLists.forEach(features => features.forEach(feature => {
+            const key = getKey(feature);
+            if (!merged.has(key)) merged.set(key, feature);
+        }));
+        return [...merged.values()];
+    }
+
+    measureBytes(value) {
+        return new Blob([JSON.stringify(value)]).size;
+    }
+
+    /**
+     * Web Mercator tile covering a lon/lat at a zoom level
+     * @returns {{x:number, y:number}}
+     */
+    lonLatToTile(lon, lat, zoom) {
+        const n = 2 ** zoom;
+        const latRad = lat * Math.PI / 180;
+        const x = Math.floor((lon + 180) / 360 * n);
+        const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+        return {
+            x: Math.min(n - 1, Math.max(0, x)),
+            y: Math.min(n - 1, Math.max(0, y))
+        };
+    }
+
+    /**
+     * Tiles covering bounds from minZoom to maxZoom, stopping before the tile budget is exceeded
+     * @param {Object} bounds - { minLon, minLat, maxLon, maxLat }
+     * @returns {Array<{z:number, x:number, y:number}>}
+     */
+    getTilesForBounds(bounds, { minZoom = this.options.minZoom, maxZoom = this.options.maxZoom, maxTiles = this.options.maxTiles } = {}) {
+        const tiles = [];
+        for (let z = minZoom; z <= maxZoom; z++) {
+            const topLeft = this.lonLatToTile(bounds.minLon, bounds.maxLat, z);
+            const bottomRight = this.lonLatToTile(bounds.maxLon, bounds.minLat, z);
+            const levelCount = (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+            if (tiles.length + levelCount > maxTiles) {
+                log.warn(`⚠️ Offline tiles capped at zoom ${z - 1} (${tiles.length} tiles)`);
+                break;
+            }
+            for (let x = topLeft.x; x <= bottomRight.x; x++) {
+                for (let y = topLeft.y; y <= bottomRight.y; y++) {
+                    tiles.push({ z, x, y });
+                }
+            }
+        }
+        return tiles;
+    }
+
+    // Tile URL builders for the current basemap layers (vector tile services and cached tile layers)
+    getTileUrlBuilders(view) {
+        const basemap = view?.map?.basemap;
+        const layers = [...(basemap?.baseLayers?.toArray?.() || []), ...(basemap?.referenceLayers?.toArray?.() || [])];
+
+        return layers.map(layer => {
+            if (layer.type === 'vector-tile' && layer.currentStyleInfo?.serviceUrl) {
+                const serviceUrl = layer.currentStyleInfo.serviceUrl.replace(/\/$/, '');
+                const token = layer.apiKey ? `?token=${layer.apiKey}` : '';
+                return ({ z, x, y }) => `${serviceUrl}/tile/${z}/${y}/${x}.pbf${token}`;
+            }
+            if (typeof layer.getTileUrl === 'function') {
+                return ({ z, x, y }) => layer.getTileUrl(z, y, x);
+            }
+            return null;
+        }).filter(Boolean);
+    }
+
+    async prefetchTiles(view, bounds, onProgress = null) {
+        const result = { urls: [], bytes: 0, failed: 0 };
+        if (typeof caches === 'undefined') {
+            log.warn('⚠️ Cache Storage unavailable - basemap tiles will not be available offline');
+            return result;
+        }
+
+        const builders = this.getTileUrlBuilders(view);
+        const tiles = this.getTilesForBounds(bounds, { maxTiles: Math.floor(this.options.maxTiles / Math.max(1, builders.length)) });
+        const urls = builders.flatMap(build => tiles.map(tile => build(tile))).filter(Boolean);
+        const tileCache = await caches.open(TILE_CACHE_NAME);
+
+        let next = 0;
+        const worker = async () => {
+            while (next < urls.length) {
+                const url = urls[next++];
+                try {
+                    let response = await tileCache.match(url, { ignoreVary: true });
+                    if (!response) {
+                        response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        await tileCache.put(url, response.clone());
+                    }
+                    result.bytes += (await response.blob()).size;
+                    result.urls.push(url);
+                } catch (error) {
+                    result.failed++;
+                }
+                onProgress?.({ stage: 'tiles', done: result.urls.length + result.failed, total: urls.length });
+            }
+        };
+
+        await Promise.all(Array.from({ length: this.options.tileConcurrency }, worker));
+
+        if (result.failed > 0) log.warn(`⚠️ ${result.failed} of ${urls.length} basemap tiles failed to download`);
+        return result;
+    }
+}
+
+// Export singleton instance
+export const offlineBundleService = new OfflineBundleService();
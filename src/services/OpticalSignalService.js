@@ -0,0 +1,266 @@
+// OpticalSignalService.js - Flags online subscribers whose ONT receive light is degraded
+import { subscriberDataService } from '../dataService.js';
+import { infrastructureService } from './InfrastructureService.js';
+import { outageClusterService } from './OutageClusterService.js';
+import { createLogger } from '../utils/logger.js';
+import { getFeaturePosition } from '../utils/geoUtils.js';
+
+// Initialize logger for this module
+const log = createLogger('OpticalSignal');
+
+const DEFAULT_OPTIONS = {
+    criticalDbm: -27,             // At the edge of GPON class B+ receiver sensitivity (-28 dBm)
+    lowDbm: -25,                  // Still working but with little margin left
+    hotDbm: -8,                   // Receiver overload
+    // Link budget used to predict receive light from the reported fiber distance
+    launchPowerDbm: 3,
+    fiberLossDbPerKm: 0.35,       // 1490 nm downstream
+    passiveLossDb: 19,            // 1:32 split plus connectors and splices
+    excessLossDb: 4,              // Loss beyond the budget before a subscriber is flagged
+    minDegradedPerMst: 2          // Degraded subscribers sharing an MST before it is reported
+};
+
+export const SIGNAL_CLASS_LABELS = {
+    critical: 'Critical light level',
+    low: 'Low light level',
+    'high-loss': 'Unexpected loss for distance',
+    hot: 'Light level too high',
+    ok: 'Normal',
+    unknown: 'No reading'
+};
+
+const DEGRADED_CLASSES = new Set(['critical', 'low', 'high-loss', 'hot']);
+
+// Worst first when several classes share an MST
+const CLASS_SEVERITY = { critical: 4, low: 3, 'high-loss': 2, hot: 1 };
+
+/**
+ * Parse a receive light reading such as "-23.4", "-23.4 dBm" or -23.4
+ * @param {*} value
+ * @returns {number|null} dBm
+ */
+export const parseLightLevel = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const match = String(value).match(/-?\d+(\.\d+)?/);
+    if (!match) return null;
+    const dbm = parseFloat(match[0]);
+    // Zero and positive readings come from ONTs that have not reported yet
+    return Number.isFinite(dbm) && dbm < 0 ? dbm : null;
+};
+
+/**
+ * Parse the OLT-reported fiber distance into kilometers
+ * Handles explicit units (km, mi, ft, m); bare numbers under 60 are kilometers (GPON reach is
+ * 20 km), larger ones meters.
+ * @param {*} value
+ * @returns {number|null}
+ */
+export const parseFiberDistanceKm = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const text = String(value).trim().toLowerCase().replace(/,/g, '');
+    const match = text.match(/(\d+(\.\d+)?)\s*(km|mi|ft|m)?\b/);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    if (!Number.isFinite(amount) || amount <= 0) return null;
+
+    switch (match[3]) {
+        case 'km': return amount;
+        case 'mi': return amount * 1.609344;
+        case 'ft': return amount * 0.0003048;
+        case 'm': return amount / 1000;
+        default: return amount < 60 ? amount : amount / 1000;
+    }
+};
+
+/**
+ * OpticalSignalService - Receive light analysis for online subscribers
+ *
+ * Subscribers are classified by absolute light level and by loss beyond what the link
+ * budget predicts for their fiber distance; degraded subscribers are then grouped by MST
+ * (same matching as OutageClusterService) so a failing splice or connector shows up as
+ * one terminal before its customers drop.
+ */
+export class OpticalSignalService {
+    constructor(subscriberData = subscriberDataService, infrastructure = infrastructureService, terminals = outageClusterService, options = {}) {
+        this.subscriberData = subscriberData;
+        this.infrastructure = infrastructure;
+        this.terminals = terminals;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.lastResult = null;
+        this.inProgressRequest = null;
+    }
+
+    /**
+     * Run the analysis against current online subscribers
+     * @param {Object} [onlineData] - Online subscriber result already fetched by polling (skips a refetch)
+     * @returns {Promise<Object>} { count, subscribers, clusters, analyzedSubscribers, lastUpdated, error?, errorMessage? }
+     */
+    async analyze(onlineData = null) {
+        if (this.inProgressRequest) {
+            return this.inProgressRequest;
+        }
+
+        this.inProgressRequest = this.runAnalysis(onlineData);
+        try {
+            return await this.inProgressRequest;
+        } finally {
+            this.inProgressRequest = null;
+        }
+    }
+
+    async runAnalysis(onlineData) {
+        try {
+            const [online, msts] = await Promise.all([
+                onlineData?.features ? onlineData : this.subscriberData.getOnlineSubscribers(),
+                this.infrastructure.getMSTTerminals()
+            ]);
+
+            const features = online?.features || [];
+            const { subscribers, clusters } = this.findDegraded(features, msts?.features || []);
+
+            log.info(`🔦 ${subscribers.length} degraded of ${features.length} online subscribers, ${clusters.length} MST cluster(s)`);
+
+            const result = {
+                count: subscribers.length,
+                subscribers,
+                clusters,
+                analyzedSubscribers: features.length,
+                lastUpdated: new Date().toISOString(),
+                fromCache: false
+            };
+
+            this.lastResult = result;
+            return result;
+        } catch (error) {
+            log.error('Failed to analyze optical signal levels:', error);
+            return {
+                count: 0,
+                subscribers: [],
+                clusters: [],
+                analyzedSubscribers: 0,
+                lastUpdated: new Date().toISOString(),
+                error: true,
+                errorMessage: error.message
+            };
+        }
+    }
+
+    /**
+     * Classify one subscriber's light reading
+     * @param {*} light - Raw Light value
+     * @param {*} fiberDistance - Raw Fiber Dist. value
+     * @returns {{signalClass: string, lightDbm: number|null, distanceKm: number|null, expectedDbm: number|null, excessLossDb: number|null}}
+     */
+    classify(light, fiberDistance) {
+        const { criticalDbm, lowDbm, hotDbm, launchPowerDbm, fiberLossDbPerKm, passiveLossDb, excessLossDb } = this.options;
+        const lightDbm = parseLightLevel(light);
+        const distanceKm = parseFiberDistanceKm(fiberDistance);
+
+        const expectedDbm = distanceKm === null
+            ? null
+            : Math.round((launchPowerDbm - passiveLossDb - distanceKm * fiberLossDbPerKm) * 10) / 10;
+        const excess = lightDbm === null || expectedDbm === null
+            ? null
+            : Math.round((expectedDbm - lightDbm) * 10) / 10;
+
+        let signalClass = 'ok';
+        if (lightDbm === null) {
+            signalClass = 'unknown';
+        } else if (lightDbm < criticalDbm) {
+            signalClass = 'critical';
+        } else if (lightDbm < lowDbm) {
+            signalClass = 'low';
+        } else if (lightDbm > hotDbm) {
+            signalClass = 'hot';
+        } else if (excess !== null && excess >= excessLossDb) {
+            signalClass = 'high-loss';
+        }
+
+        return { signalClass, lightDbm, distanceKm, expectedDbm, excessLossDb: excess };
+    }
+
+    /**
+     * Pure analysis step - classify subscribers and group the degraded ones by MST
+     * @param {Array} online - Online subscriber GeoJSON features
+     * @param {Array} msts - MST terminal features
+     * @returns {{subscribers: Array, clusters: Array}}
+     */
+    findDegraded(online = [], msts = []) {
+        const terminals = this.terminals.prepareTerminals(msts, []);
+        const index = this.terminals.buildTerminalIndex(terminals);
+
+        const subscribers = [];
+        const groups = new Map(); // terminal key -> { terminal, total, degraded: [] }
+
+        online.forEach(feature => {
+            const position = getFeaturePosition(feature);
+            if (!position) return;
+
+            const props = feature.properties || {};
+            const reading = this.classify(props.light ?? props.Light, props.fiber_distance ?? props['Fiber Dist.']);
+            const terminal = this.terminals.matchTerminal(feature, position, terminals, index);
+
+            if (terminal) {
+                if (!groups.has(terminal.key)) groups.set(terminal.key, { terminal, total: 0, degraded: [] });
+                groups.get(terminal.key).total++;
+            }
+            if (!DEGRADED_CLASSES.has(reading.signalClass)) return;
+
+            const subscriber = {
+                id: props.id || props.account || props.customer_number || null,
+                account: props.account || props.customer_number || '',
+                name: props.customer_name || props.name || '',
+                address: props.full_address || props.address || '',
+                ont: props.ont || '',
+                ta5k: props.ta5k || '',
+                mst: terminal?.name || '',
+                ...reading,
+                signalLabel: SIGNAL_CLASS_LABELS[reading.signalClass],
+                longitude: position[0],
+                latitude: position[1]
+            };
+            subscribers.push(subscriber);
+            if (terminal) groups.get(terminal.key).degraded.push(subscriber);
+        });
+
+        const clusters = [...groups.values()]
+            .filter(group => group.degraded.length >= this.options.minDegradedPerMst)
+            .map(({ terminal, total, degraded }) => {
+                const readings = degraded.map(s => s.lightDbm);
+                const worst = degraded.reduce((a, b) => (CLASS_SEVERITY[b.signalClass] > CLASS_SEVERITY[a.signalClass] ? b : a));
+                return {
+                    id: `mst:${terminal.key}`,
+                    name: terminal.name,
+                    da: terminal.da || '',
+                    degradedCount: degraded.length,
+                    onlineCount: total,
+                    worstClass: worst.signalClass,
+                    worstLabel: SIGNAL_CLASS_LABELS[worst.signalClass],
+                    averageDbm: Math.round((readings.reduce((sum, value) => sum + value, 0) / readings.length) * 10) / 10,
+                    minDbm: Math.min(...readings),
+                    subscriberIds: degraded.map(s => s.id).filter(Boolean),
+                    longitude: terminal.position[0],
+                    latitude: terminal.position[1]
+                };
+            })
+            .sort((a, b) => b.degradedCount - a.degradedCount || a.minDbm - b.minDbm);
+
+        subscribers.sort((a, b) => CLASS_SEVERITY[b.signalClass] - CLASS_SEVERITY[a.signalClass] || a.lightDbm - b.lightDbm);
+        return { subscribers, clusters };
+    }
+
+    /**
+     * Clusters present in the current run but not in the previous one
+     * @param {Array} previous
+     * @param {Array} current
+     * @returns {Array}
+     */
+    getNewClusters(previous = [], current = []) {
+        const previousIds = new Set(previous.map(c => c.id));
+        return current.filter(c => !previousIds.has(c.id));
+    }
+}
+
+// Export singleton instance
+export const opticalSignalService = new OpticalSignalService();
@@ -0,0 +1,367 @@
+// OutageClusterService.js - Infers the likely upstream failure point from offline subscriber patterns
+import { subscriberDataService } from '../dataService.js';
+import { infrastructureService } from './InfrastructureService.js';
+import { createLogger } from '../utils/logger.js';
+import {
+    haversineMeters,
+    getFeaturePosition,
+    getGeometryBounds,
+    isPointInPolygon,
+    isPositionInBounds
+} from '../utils/geoUtils.js';
+
+// Initialize logger for this module
+const log = createLogger('OutageCluster');
+
+const DEFAULT_OPTIONS = {
+    maxDropDistanceMeters: 300,   // Longest expected drop from an MST to a premise
+    minSubscribersPerMst: 3,      // Offline subscribers on one MST before it is suspected
+    minMstsPerSplitter: 2,        // Suspect MSTs sharing a DA before the splitter is suspected
+    minMstsPerDa: 3,              // Suspect MSTs needed before the whole DA is suspected...
+    daOutageRatio: 0.6            // ...and the share of the DA's MSTs they must represent
+};
+
+const LEVEL_LABELS = {
+    mst: 'MST Terminal',
+    splitter: 'Splitter',
+    da: 'DA Boundary'
+};
+
+const normalizeName = (value) => (value === null || value === undefined) ? '' : String(value).trim().toUpperCase();
+
+/**
+ * OutageClusterService - Correlates offline subscribers with OSP plant
+ *
+ * Offline subscribers are attached to their MST (by the MST attribute when present,
+ * otherwise the nearest terminal within drop distance) and to the DA polygon they sit in.
+ * Clusters are then escalated MST → splitter → DA when several terminals in the same
+ * DA are dark at once, so the NOC sees a single upstream suspect instead of many symptoms.
+ */
+export class OutageClusterService {
+    constructor(subscriberData = subscriberDataService, infrastructure = infrastructureService, options = {}) {
+        this.subscriberData = subscriberData;
+        this.infrastructure = infrastructure;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.lastResult = null;
+        this.inProgressRequest = null; // Prevent overlapping analyses from polling bursts
+    }
+
+    /**
+     * Run the clustering analysis against current data
+     * @param {Object} [offlineData] - Offline subscriber result already fetched by polling (skips a refetch)
+     * @returns {Promise<Object>} { count, suspects, analyzedSubscribers, lastUpdated, error?, errorMessage? }
+     */
+    async analyze(offlineData = null) {
+        if (this.inProgressRequest) {
+            return this.inProgressRequest;
+        }
+
+        this.inProgressRequest = this.runAnalysis(offlineData);
+        try {
+            return await this.inProgressRequest;
+        } finally {
+            this.inProgressRequest = null;
+        }
+    }
+
+    async runAnalysis(offlineData) {
+        try {
+            const [offline, msts, splitters, boundaries] = await Promise.all([
+                offlineData?.features ? offlineData : this.subscriberData.getOfflineSubscribers(),
+                this.infrastructure.getMSTTerminals(),
+                this.infrastructure.getSplitters(),
+                this.infrastructure.getFSABoundaries()
+            ]);
+
+            const offlineFeatures = offline?.features || [];
+            const suspects = this.inferFailurePoints({
+                offline: offlineFeatures,
+                msts: msts?.features || [],
+                splitters: splitters?.features || [],
+                boundaries: boundaries?.features || []
+            });
+
+            if (suspects.length > 0) {
+                log.info(`🧭 ${suspects.length} likely failure point(s) from ${offlineFeatures.length} offline subscribers`);
+            }
+
+            const result = {
+                count: suspects.length,
+                suspects,
+                analyzedSubscribers: offlineFeatures.length,
+                lastUpdated: new Date().toISOString(),
+                fromCache: false
+            };
+
+            this.lastResult = result;
+            return result;
+        } catch (error) {
+            log.error('Failed to analyze offline subscriber clusters:', error);
+            return {
+                count: 0,
+                suspects: [],
+                analyzedSubscribers: 0,
+                lastUpdated: new Date().toISOString(),
+                error: true,
+                errorMessage: error.message
+            };
+        }
+    }
+
+    /**
+     * Pure inference step - correlate offline subscribers with MSTs, splitters and DA boundaries
+     * @param {Object} input
+     * @param {Array} input.offline - Offline subscriber GeoJSON features
+     * @param {Array} input.msts - MST terminal features (equipmentn, distributi, outputport)
+     * @param {Array} input.splitters - Splitter features (equipmentn, distributi)
+     * @param {Array} input.boundaries - DA boundary polygon features (areaname)
+     * @returns {Array<Object>} Suspects sorted by affected subscriber count
+     */
+    inferFailurePoints({ offline = [], msts = [], splitters = [], boundaries = [] } = {}) {
+        if (offline.length === 0) return [];
+
+        const { minSubscribersPerMst, minMstsPerSplitter, minMstsPerDa, daOutageRatio } = this.options;
+
+        const areas = this.prepareBoundaries(boundaries);
+        const terminals = this.prepareTerminals(msts, areas);
+        const mstIndex = this.buildTerminalIndex(terminals);
+
+        // 1. Attach every offline subscriber to an MST
+        const groups = new Map();
+        offline.forEach(feature => {
+            const position = getFeaturePosition(feature);
+            if (!position) return;
+
+            const terminal = this.matchTerminal(feature, position, terminals, mstIndex);
+            if (!terminal) return;
+
+            if (!groups.has(terminal.key)) {
+                groups.set(terminal.key, { terminal, subscribers: [] });
+            }
+            groups.get(terminal.key).subscribers.push({
+                id: this.getSubscriberId(feature),
+                position,
+                da: terminal.da || this.findArea(position, areas)
+            });
+        });
+
+        // 2. MSTs with enough offline subscribers become suspects
+        const mstSuspects = [...groups.values()]
+            .filter(group => group.subscribers.length >= minSubscribersPerMst)
+            .map(group => this.createMstSuspect(group));
+
+        // 3. Escalate when several suspect MSTs share a DA
+        const totalMstsByDa = new Map();
+        terminals.forEach(terminal => {
+            if (!terminal.da) return;
+            totalMstsByDa.set(terminal.da, (totalMstsByDa.get(terminal.da) || 0) + 1);
+        });
+
+        const suspectsByDa = new Map();
+        mstSuspects.forEach(suspect => {
+            const key = suspect.da || `__no_da__${suspect.id}`;
+            if (!suspectsByDa.has(key)) suspectsByDa.set(key, []);
+            suspectsByDa.get(key).push(suspect);
+        });
+
+        const suspects = [];
+        suspectsByDa.forEach((daSuspects, da) => {
+            const affected = daSuspects.length;
+            const total = Math.max(totalMstsByDa.get(da) || 0, affected);
+            const ratio = total > 0 ? affected / total : 0;
+            const hasDa = !da.startsWith('__no_da__');
+
+            if (hasDa && affected >= minMstsPerDa && ratio >= daOutageRatio) {
+                suspects.push(this.createGroupedSuspect('da', da, daSuspects, ratio, areas));
+            } else {
+                // A few dark MSTs without a shared splitter may be unrelated drops - keep them separate
+                // rather than naming the whole DA
+                const splitter = hasDa && affected >= minMstsPerSplitter ? this.findSplitterForDa(da, daSuspects, splitters) : null;
+                if (splitter) {
+                    suspects.push(this.createGroupedSuspect('splitter', da, daSuspects, ratio, areas, splitter));
+                } else {
+                    suspects.push(...daSuspects);
+                }
+            }
+        });
+
+        return suspects.sort((a, b) => b.subscriberCount - a.subscriberCount);
+    }
+
+    /**
+     * Suspects present in the current run but not in the previous one
+     * @param {Array} previous - Suspects from the previous analysis
+     * @param {Array} current - Suspects from the latest analysis
+     * @returns {Array}
+     */
+    getNewSuspects(previous = [], current = []) {
+        const previousIds = new Set(previous.map(s => s.id));
+        return current.filter(s => !previousIds.has(s.id));
+    }
+
+    prepareBoundaries(boundaries) {
+        return boundaries
+            .filter(feature => feature?.geometry)
+            .map(feature => ({
+                name: normalizeName(feature.properties?.areaname || feature.properties?.AREANAME),
+                label: feature.properties?.areaname || feature.properties?.AREANAME || '',
+                geometry: feature.geometry,
+                bounds: getGeometryBounds(feature.geometry)
+            }))
+            .filter(area => area.name && area.bounds);
+    }
+
+    prepareTerminals(msts, areas) {
+        return msts.map((feature, index) => {
+            const props = feature?.properties || {};
+            const position = getFeaturePosition(feature);
+            if (!position) return null;
+
+            const name = props.equipmentn || props.EQUIPMENTN || '';
+            const daName = normalizeName(props.distributi || props.DISTRIBUTI) || this.findArea(position, areas);
+
+            return {
+                key: name ? normalizeName(name) : `mst-${index}`,
+                name: name || `MST ${index + 1}`,
+                da: daName,
+                ports: parseInt(props.outputport || props.OUTPUTPORT, 10) || null,
+                position
+            };
+        }).filter(Boolean);
+    }
+
+    // Grid index sized so the 3x3 neighbourhood always covers the drop distance
+    buildTerminalIndex(terminals) {
+        // A degree of longitude is ~80km or more at our latitudes, so this overestimates the cell
+        const cellSize = Math.max(0.001, this.options.maxDropDistanceMeters / 80000);
+        const cells = new Map();
+        const byName = new Map();
+
+        terminals.forEach(terminal => {
+            const cellKey = this.getCellKey(terminal.position, cellSize);
+            if (!cells.has(cellKey)) cells.set(cellKey, []);
+            cells.get(cellKey).push(terminal);
+            if (!terminal.key.startsWith('mst-')) byName.set(terminal.key, terminal);
+        });
+
+        return { cellSize, cells, byName };
+    }
+
+    getCellKey([lon, lat], cellSize) {
+        return `${Math.floor(lon / cellSize)}:${Math.floor(lat / cellSize)}`;
+    }
+
+    matchTerminal(feature, position, terminals, index) {
+        // Prefer the MST recorded on the subscriber (same field names as the subscriber popup)
+        const props = feature.properties || {};
+        const mstValue = normalizeName(props.mst || props.MST || props.MapNumber || props.mapnumber || props.mst_terminal);
+        if (mstValue && index.byName.has(mstValue)) {
+            return index.byName.get(mstValue);
+        }
+
+        // Otherwise fall back to the nearest MST within drop distance
+        const [cellX, cellY] = this.getCellKey(position, index.cellSize).split(':').map(Number);
+        let nearest = null;
+        let nearestDistance = this.options.maxDropDistanceMeters;
+
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const candidates = index.cells.get(`${cellX + dx}:${cellY + dy}`) || [];
+                candidates.forEach(terminal => {
+                    const distance = haversineMeters(position[0], position[1], terminal.position[0], terminal.position[1]);
+                    if (distance <= nearestDistance) {
+                        nearest = terminal;
+                        nearestDistance = distance;
+                    }
+                });
+            }
+        }
+
+        return nearest;
+    }
+
+    findArea(position, areas) {
+        const area = areas.find(a => isPositionInBounds(position, a.bounds) && isPointInPolygon(position, a.geometry));
+        return area ? area.name : '';
+    }
+
+    findSplitterForDa(da, daSuspects, splitters) {
+        const candidates = splitters
+            .filter(feature => normalizeName(feature?.properties?.distributi || feature?.properties?.DISTRIBUTI) === da)
+            .map(feature => ({ feature, position: getFeaturePosition(feature) }))
+            .filter(candidate => candidate.position);
+
+        if (candidates.length === 0) return null;
+
+        // Several splitters can serve one DA - pick the one closest to the affected MSTs
+        const center = this.getCenter(daSuspects.map(s => [s.longitude, s.latitude]));
+        candidates.sort((a, b) =>
+            haversineMeters(center[0], center[1], a.position[0], a.position[1]) -
+            haversineMeters(center[0], center[1], b.position[0], b.position[1])
+        );
+
+        const best = candidates[0];
+        return {
+            name: best.feature.properties?.equipmentn || best.feature.properties?.EQUIPMENTN || `${da} splitter`,
+            position: best.position
+        };
+    }
+
+    createMstSuspect({ terminal, subscribers }) {
+        const count = subscribers.length;
+        // With a known port count, confidence is the share of ports dark; otherwise scale by cluster size
+        const confidence = terminal.ports
+            ? Math.min(1, count / terminal.ports)
+            : Math.min(1, count / (this.options.minSubscribersPerMst * 2));
+
+        return {
+            id: `mst:${terminal.key}`,
+            level: 'mst',
+            levelLabel: LEVEL_LABELS.mst,
+            name: terminal.name,
+            da: terminal.da || subscribers.find(s => s.da)?.da || '',
+            subscriberCount: count,
+            mstCount: 1,
+            affectedMsts: [terminal.name],
+            subscriberIds: subscribers.map(s => s.id).filter(Boolean),
+            confidence: Math.round(confidence * 100) / 100,
+            longitude: terminal.position[0],
+            latitude: terminal.position[1]
+        };
+    }
+
+    createGroupedSuspect(level, da, daSuspects, ratio, areas, splitter = null) {
+        const area = areas.find(a => a.name === da);
+        const position = splitter?.position || this.getCenter(daSuspects.map(s => [s.longitude, s.latitude]));
+        const subscriberCount = daSuspects.reduce((sum, s) => sum + s.subscriberCount, 0);
+        const name = level === 'splitter' ? splitter.name : (area?.label || da);
+
+        return {
+            id: `${level}:${normalizeName(name)}`,
+            level,
+            levelLabel: LEVEL_LABELS[level],
+            name,
+            da: area?.label || da,
+            subscriberCount,
+            mstCount: daSuspects.length,
+            affectedMsts: daSuspects.map(s => s.name),
+            subscriberIds: daSuspects.flatMap(s => s.subscriberIds),
+            confidence: Math.round(Math.min(1, ratio) * 100) / 100,
+            longitude: position[0],
+            latitude: position[1]
+        };
+    }
+
+    getCenter(positions) {
+        const sum = positions.reduce((acc, [lon, lat]) => [acc[0] + lon, acc[1] + lat], [0, 0]);
+        return [sum[0] / positions.length, sum[1] / positions.length];
+    }
+
+    getSubscriberId(feature) {
+        const props = feature.properties || {};
+        return props.id || props.account || props.customer_number || null;
+    }
+}
+
+// Export singleton instance
+export const outageClusterService = new OutageClusterService();
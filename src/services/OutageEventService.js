@@ -0,0 +1,312 @@
+// OutageEventService.js - Remembers each power outage from first report to restoration for MTTR reporting
+import { cacheService } from './CacheService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('OutageEvents');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNKNOWN = 'Unknown';
+
+export const OUTAGE_EVENT_CSV_HEADERS = [
+    'Outage ID', 'Utility', 'Cause', 'Substation', 'Feeder', 'Area',
+    'Started', 'Peak Customers Affected', 'Peak At', 'Crew Assigned', 'Restored',
+    'Minutes to Restore', 'Restore Time Estimated', 'Linked Fiber Subscribers', 'Linked Accounts'
+];
+
+export const RELIABILITY_CSV_HEADERS = [
+    'Group', 'Value', 'Outages', 'Restored', 'Estimated Restores', 'MTTR (minutes)', 'Peak Customers Affected', 'Linked Fiber Subscribers'
+];
+
+// Providers publish "N/A" or blanks for fields they don't track
+const normalizeGroupValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    return !text || text === 'N/A' ? UNKNOWN : text;
+};
+
+const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : '';
+
+/**
+ * OutageEventService - Outage lifecycle store fed by PowerOutageStats polling
+ *
+ * One record per provider outage ID with start, peak customers affected, first crew assignment,
+ * restoration time and the offline fiber subscribers linked to it by PowerCorrelationService.
+ * An outage is restored when it leaves the feed or drops to zero customers. If the app was
+ * closed when that happened, the last time it was seen is used and the record is flagged as
+ * estimated so reports can tell the difference. Every open tab polls the same feed, so open
+ * events are re-read from IndexedDB before each poll is recorded and a tab picks up the record
+ * another tab started instead of creating its own.
+ */
+export class OutageEventService {
+    constructor(cache = cacheService, options = {}) {
+        this.cache = cache;
+        this.RETENTION_MS = options.retentionMs ?? 400 * DAY_MS;
+        // A gap longer than this between sightings means we weren't watching when it was restored
+        this.STALE_GAP_MS = options.staleGapMs ?? 30 * 60 * 1000;
+        this.events = new Map(); // record key -> event
+        this.openEvents = new Map(); // "providerId:outageId" -> event not yet restored
+        this.loaded = null;
+        this.queue = Promise.resolve();
+    }
+
+    load() {
+        if (!this.loaded) {
+            this.loaded = (async () => {
+                await this.cache.pruneOutageEvents(Date.now() - this.RETENTION_MS);
+                const stored = await this.cache.getOutageEvents(0);
+                stored.forEach(event => {
+                    this.events.set(event.key, event);
+                    if (!event.restoredAt) this.openEvents.set(event.outageKey, event);
+                });
+                log.info(`⚡ Loaded ${stored.length} outage event(s)`);
+            })().catch(error => {
+                log.error('Failed to load outage events:', error);
+            });
+        }
+        return this.loaded;
+    }
+
+    // Polls can overlap, so writes are applied one at a time
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(error => {
+            log.error('Failed to record outage events:', error);
+            return null;
+        });
+        return this.queue;
+    }
+
+    /**
+     * Record one provider's current outage list
+     * @param {Object} provider - Provider config ({ id, name })
+     * @param {Array<Object>} outages - Normalized outages from OutageService or the outage layer
+     * @param {number} [now]
+     * @returns {Promise<Object|null>} { started, restored } event lists, or null on failure
+     */
+    recordOutages(provider, outages = [], now = Date.now()) {
+        return this.enqueue(async () => {
+            await this.load();
+            await this.syncOpenEvents(provider.id);
+
+            const changed = [];
+            const started = [];
+            const restored = [];
+            const activeKeys = new Set();
+
+            outages.forEach(outage => {
+                if (!outage?.outage_id || (outage.customers_affected || 0) <= 0) return;
+
+                const outageKey = `${provider.id}:${outage.outage_id}`;
+                if (activeKeys.has(outageKey)) return;
+                activeKeys.add(outageKey);
+
+                // A restored ID coming back later is recorded as a new outage
+                let event = this.openEvents.get(outageKey);
+                if (!event) {
+                    event = this.createEvent(provider, outage, now);
+                    this.events.set(event.key, event);
+                    this.openEvents.set(outageKey, event);
+                    started.push(event);
+                }
+
+                this.updateEvent(event, outage, now);
+                changed.push(event);
+            });
+
+            this.openEvents.forEach((event, outageKey) => {
+                if (event.providerId !== provider.id || activeKeys.has(outageKey)) return;
+
+                const missedRestore = now - event.lastSeenAt > this.STALE_GAP_MS;
+                event.restoredAt = missedRestore ? event.lastSeenAt : now;
+                event.restoreTimeEstimated = missedRestore;
+                this.openEvents.delete(outageKey);
+                restored.push(event);
+                changed.push(event);
+            });
+
+            if (changed.length > 0) await this.cache.putOutageEvents(changed);
+            if (started.length > 0 || restored.length > 0) {
+                log.info(`⚡ ${provider.name}: ${started.length} outage(s) started, ${restored.length} restored`);
+            }
+            return { started, restored };
+        });
+    }
+
+    // Take up changes other tabs have saved: outages they started or restored, and later sightings
+    async syncOpenEvents(providerId) {
+        const open = [...this.openEvents.values()].filter(event => event.providerId === providerId);
+        const restoredSince = Math.min(...open.map(event => event.startedAt));
+        const stored = await this.cache.getOpenOutageEvents(providerId, restoredSince);
+
+        stored.forEach(event => {
+            this.events.set(event.key, event);
+            if (!event.restoredAt) {
+                this.openEvents.set(event.outageKey, event);
+            } else if (this.openEvents.get(event.outageKey)?.key === event.key) {
+                this.openEvents.delete(event.outageKey);
+            }
+        });
+    }
+
+    createEvent(provider, outage, now) {
+        const reportedAt = Date.parse(outage.start_time);
+        const startedAt = Number.isFinite(reportedAt) && reportedAt <= now ? reportedAt : now;
+        return {
+            // Keyed by the reported start so tabs recording the same outage share one record
+            key: `${provider.id}:${outage.outage_id}:${startedAt}`,
+            outageKey: `${provider.id}:${outage.outage_id}`,
+            providerId: provider.id,
+            providerName: provider.name,
+            outageId: String(outage.outage_id),
+            startedAt,
+            firstSeenAt: now,
+            lastSeenAt: now,
+            peakAffected: 0,
+            peakAt: null,
+            crewAssignedAt: null,
+            restoredAt: null,
+            restoreTimeEstimated: false,
+            linkedSubscribers: []
+        };
+    }
+
+    updateEvent(event, outage, now) {
+        const affected = outage.customers_affected || 0;
+        if (affected > event.peakAffected) {
+            event.peakAffected = affected;
+            event.peakAt = now;
+        }
+        if (!event.crewAssignedAt && outage.crew_assigned) event.crewAssignedAt = now;
+
+        // Causes and circuits are often filled in after the first report
+        event.cause = normalizeGroupValue(outage.cause);
+        event.substation = normalizeGroupValue(outage.substation);
+        event.feeder = normalizeGroupValue(outage.feeder);
+        event.area = outage.area_description || '';
+        event.lastSeenAt = now;
+    }
+
+    /**
+     * Add offline fiber subscribers found inside each outage to its record
+     * @param {Object} byOutage - PowerCorrelationService result byOutage map
+     * @returns {Promise<number>} Number of events that gained subscribers
+     */
+    linkSubscribers(byOutage = {}) {
+        return this.enqueue(async () => {
+            await this.load();
+
+            const changed = [];
+            Object.entries(byOutage).forEach(([key, entry]) => {
+                const event = this.openEvents.get(key);
+                if (!event || !entry.subscriberIds?.length) return;
+
+                const linked = new Set(event.linkedSubscribers);
+                const before = linked.size;
+                entry.subscriberIds.forEach(id => linked.add(id));
+                if (linked.size === before) return;
+
+                event.linkedSubscribers = [...linked];
+                changed.push(event);
+            });
+
+            if (changed.length > 0) await this.cache.putOutageEvents(changed);
+            return changed.length;
+        });
+    }
+
+    /**
+     * Events that started in a period, oldest first
+     * @param {Object} [range] - { since, until } epoch milliseconds
+     * @returns {Promise<Array<Object>>}
+     */
+    async getEvents({ since = 0, until = Infinity } = {}) {
+        await this.load();
+        return [...this.events.values()]
+            .filter(event => event.startedAt >= since && event.startedAt < until)
+            .sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    /**
+     * Mean time to restore overall and by cause, substation and feeder
+     * Estimated restore times are counted but left out of MTTR - they are only the last sighting.
+     * @param {Array<Object>} events - Events from getEvents
+     * @returns {Object} { outages, restored, estimatedRestores, mttrMinutes, byCause, bySubstation, byFeeder }
+     */
+    getReliabilityReport(events) {
+        const summarize = (group) => {
+            const restoredEvents = group.filter(event => event.restoredAt);
+            const measured = restoredEvents.filter(event => !event.restoreTimeEstimated);
+            const totalMinutes = measured.reduce((sum, event) => sum + (event.restoredAt - event.startedAt) / 60000, 0);
+            return {
+                outages: group.length,
+                restored: restoredEvents.length,
+                estimatedRestores: restoredEvents.length - measured.length,
+                mttrMinutes: measured.length > 0 ? Math.round(totalMinutes / measured.length) : null,
+                peakAffected: group.reduce((sum, event) => sum + event.peakAffected, 0),
+                linkedSubscribers: group.reduce((sum, event) => sum + event.linkedSubscribers.length, 0)
+            };
+        };
+
+        const groupBy = (keyOf) => {
+            const groups = new Map();
+            events.forEach(event => {
+                const value = keyOf(event);
+                if (!groups.has(value)) groups.set(value, []);
+                groups.get(value).push(event);
+            });
+            return [...groups.entries()]
+                .map(([value, group]) => ({ value, ...summarize(group) }))
+                .sort((a, b) => b.outages - a.outages || a.value.localeCompare(b.value));
+        };
+
+        return {
+            ...summarize(events),
+            byCause: groupBy(event => event.cause),
+            bySubstation: groupBy(event => event.substation),
+            // Feeder names repeat across substations
+            byFeeder: groupBy(event => event.feeder === UNKNOWN ? UNKNOWN : `${event.substation} / ${event.feeder}`)
+        };
+    }
+
+    formatEventRows(events) {
+        return events.map(event => ({
+            'Outage ID': event.outageId,
+            'Utility': event.providerName,
+            'Cause': event.cause,
+            'Substation': event.substation,
+            'Feeder': event.feeder,
+            'Area': event.area,
+            'Started': formatTime(event.startedAt),
+            'Peak Customers Affected': String(event.peakAffected),
+            'Peak At': formatTime(event.peakAt),
+            'Crew Assigned': formatTime(event.crewAssignedAt),
+            'Restored': formatTime(event.restoredAt),
+            'Minutes to Restore': event.restoredAt ? String(Math.round((event.restoredAt - event.startedAt) / 60000)) : '',
+            'Restore Time Estimated': event.restoreTimeEstimated,
+            'Linked Fiber Subscribers': String(event.linkedSubscribers.length),
+            'Linked Accounts': event.linkedSubscribers.join('; ')
+        }));
+    }
+
+    formatReportRows(report) {
+        const row = (group, entry) => ({
+            'Group': group,
+            'Value': entry.value,
+            'Outages': String(entry.outages),
+            'Restored': String(entry.restored),
+            'Estimated Restores': String(entry.estimatedRestores),
+            'MTTR (minutes)': entry.mttrMinutes === null ? '' : String(entry.mttrMinutes),
+            'Peak Customers Affected': String(entry.peakAffected),
+            'Linked Fiber Subscribers': String(entry.linkedSubscribers)
+        });
+
+        return [
+            row('All outages', { value: 'All', ...report }),
+            ...report.byCause.map(entry => row('Cause', entry)),
+            ...report.bySubstation.map(entry => row('Substation', entry)),
+            ...report.byFeeder.map(entry => row('Feeder', entry))
+        ];
+    }
+}
+
+// Export singleton instance
+export const outageEventService = new OutageEventService();
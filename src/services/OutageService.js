@@ -4,169 +4,232 @@ import { API_CONFIG } from '../config/apiConfig.js';
 
 const log = createLogger('OutageService');
 
+const emptyResult = (extra = {}) => ({
+    count: 0,
+    data: [],
+    features: [],
+    lastUpdated: new Date().toISOString(),
+    fromCache: false,
+    ...extra
+});
+
 export class OutageService {
-    // Get Cullman Electric power outages from Supabase storage - REALTIME (no caching)
-    async getCullmanOutages() {
+    constructor(providers = API_CONFIG.OUTAGES) {
+        this.providers = providers || {};
+    }
+
+    /**
+     * Get configured outage providers
+     * @param {Object} [options]
+     * @param {boolean} [options.includeDisabled=false] - Include providers without a feed URL
+     * @returns {Array<Object>} Provider configs with layerId added
+     */
+    getProviders({ includeDisabled = false } = {}) {
+        return Object.values(this.providers)
+            .filter(provider => provider && provider.id && (includeDisabled || provider.url))
+            .map(provider => ({ ...provider, layerId: `${provider.id}-outages` }));
+    }
+
+    getProvider(providerId) {
+        return this.getProviders({ includeDisabled: true }).find(provider => provider.id === providerId) || null;
+    }
+
+    // Get outages for every configured provider - REALTIME (no caching)
+    async getAllOutages() {
+        const providers = this.getProviders();
+        const results = await Promise.all(providers.map(provider => this.getOutages(provider.id)));
+
+        const byProvider = {};
+        providers.forEach((provider, index) => {
+            byProvider[provider.id] = results[index];
+        });
+
+        return {
+            count: results.reduce((sum, result) => sum + (result.count || 0), 0),
+            providers: byProvider,
+            lastUpdated: new Date().toISOString(),
+            fromCache: false
+        };
+    }
+
+    // Get one provider's power outages from its GeoJSON feed - REALTIME (no caching)
+    async getOutages(providerId) {
+        const provider = this.getProvider(providerId);
+
         try {
             // Check if URL is configured
-            if (!API_CONFIG.OUTAGES?.CULLMAN) {
-                log.warn('⚠️ Cullman outages URL not configured, returning empty result');
-                return {
-                    count: 0,
-                    data: [],
-                    features: [],
-                    lastUpdated: new Date().toISOString(),
-                    fromCache: false
-                };
+            if (!provider?.url) {
+                log.warn(`⚠️ ${provider?.name || providerId} outages URL not configured, returning empty result`);
+                return emptyResult();
             }
 
-            log.info('📡 Fetching Cullman Electric power outages from Supabase storage... (realtime - no cache)');
-
-            let geojsonData;
+            log.info(`📡 Fetching ${provider.name} power outages... (realtime - no cache)`);
 
-            // Direct fetch from Supabase public URL
-            const response = await fetch(API_CONFIG.OUTAGES.CULLMAN);
+            const response = await fetch(provider.url);
             if (!response.ok) {
                 // Handle 400/404 errors gracefully - file may not exist yet
                 if (response.status === 400 || response.status === 404) {
-                    log.warn(`⚠️ Cullman outages file not found (HTTP ${response.status}) - returning empty result`);
-                    return {
-                        count: 0,
-                        data: [],
-                        features: [],
-                        lastUpdated: new Date().toISOString(),
-                        fromCache: false,
+                    log.warn(`⚠️ ${provider.name} outages file not found (HTTP ${response.status}) - returning empty result`);
+                    return emptyResult({
                         error: true,
                         errorMessage: `File not found (HTTP ${response.status})`
-                    };
+                    });
                 }
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
-            geojsonData = await response.json();
-            log.info('✅ Loaded Cullman outages from Supabase public URL');
-
-            // Extract features and properties - handle Cullman direct format (CEC)
-            const features = geojsonData.features || [];
-            const outageData = features.map(feature => {
-                const props = feature.properties || {};
-
-                // Extract coordinates based on geometry type
-                let latitude, longitude;
-                if (feature.geometry.type === 'Point') {
-                    longitude = feature.geometry.coordinates[0];
-                    latitude = feature.geometry.coordinates[1];
-                } else if (feature.geometry.type === 'Polygon') {
-                    // For polygons, calculate centroid from first ring
-                    const ring = feature.geometry.coordinates[0];
-                    let sumLng = 0, sumLat = 0;
-                    for (const coord of ring) {
-                        sumLng += coord[0];
-                        sumLat += coord[1];
-                    }
-                    longitude = sumLng / ring.length;
-                    latitude = sumLat / ring.length;
-                }
+            const geojsonData = await response.json();
 
-                // Determine crew status
-                let crewStatus = props.status || 'Reported';
-                if (props.crew_assigned === true) {
-                    crewStatus = 'Dispatched';
-                } else if (props.verified === true) {
-                    crewStatus = 'Verified';
-                }
+            const result = this.normalizeOutages(geojsonData, provider);
+            log.info(`🔌 ${provider.name} outages loaded:`, result.count, 'outages');
+            return result;
 
-                // Get outage cause
-                const cause = props.cause || props.suspected_cause || 'Unknown';
-
-                // Calculate duration from start time
-                let duration = '';
-                if (props.start_time) {
-                    const startTime = new Date(props.start_time);
-                    const now = new Date();
-                    const diffMs = now - startTime;
-                    const diffMins = Math.floor(diffMs / (1000 * 60));
-                    const diffHours = Math.floor(diffMins / 60);
-                    const diffDays = Math.floor(diffHours / 24);
-
-                    if (diffDays > 0) {
-                        duration = `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
-                    } else if (diffHours > 0) {
-                        duration = `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
-                    } else if (diffMins > 0) {
-                        duration = `${diffMins} minute${diffMins > 1 ? 's' : ''} ago`;
-                    } else {
-                        duration = 'Just now';
-                    }
-                }
+        } catch (error) {
+            log.error(`Failed to fetch ${provider?.name || providerId} outages:`, error);
 
-                // Map fields based on useOutages.ts from reference project
-                // Preserve original property names from GeoJSON for popup display
-                return {
-                    id: props.outage_id,
-                    outage_id: props.outage_id,
-                    customers_affected: parseInt(props.customers_affected || 0),
-                    cause: cause,
-                    // Keep dates as ISO strings for popup compatibility (ArcGIS can format these)
-                    start_time: props.start_time || null,
-                    estimated_restoration: props.estimated_restoration || null,
-                    estimated_restore: props.estimated_restoration || null, // Alias for compatibility
-                    status: crewStatus,
-                    outage_status: props.status || 'N/A',
-                    area_description: props.outage_id || 'Area Outage',
-                    comments: crewStatus,
-                    crew_assigned: props.crew_assigned || false,
-                    crew_on_site: props.crew_assigned || false,
-                    is_planned: props.is_planned || false,
-                    substation: props.substation || 'N/A',
-                    feeder: props.feeder || 'N/A',
-                    district: props.district || 'N/A',
-                    customers_restored: parseInt(props.customers_restored || 0),
-                    initially_affected: parseInt(props.customers_affected || 0),
-                    equipment: props.troubled_element || 'N/A',
-                    description: `Outage affecting ${props.customers_affected || 0} customers`,
-                    last_update: props.last_update || null,
-                    duration: duration,
-                    latitude: latitude,
-                    longitude: longitude,
-                    crew_responsible: props.crew_responsible,
-                    verified: props.verified,
-                    upline_element: props.upline_element,
-                    outaged_phase: props.outaged_phase,
-                    // Include all original properties from GeoJSON (preserves field names)
-                    ...props
-                };
+            // Return empty result as fallback
+            return emptyResult({
+                error: true,
+                errorMessage: error.message
             });
+        }
+    }
 
-            // Convert to the expected format, preserving original geometries
-            const processedFeatures = geoJSONTransformService.convertPowerOutageToGeoJSONFeatures(outageData, 'cullman', features);
+    // Kept for callers that only know about Cullman Electric
+    async getCullmanOutages() {
+        return this.getOutages('cullman');
+    }
 
-            const result = {
-                count: outageData.length,
-                data: outageData,
-                features: processedFeatures,
-                lastUpdated: new Date().toISOString(),
-                fromCache: false
-            };
+    /**
+     * Convert a provider's GeoJSON into the outage result shape used by layers and stats
+     * @param {Object} geojsonData - FeatureCollection from the provider feed
+     * @param {Object} provider - Provider config from API_CONFIG.OUTAGES
+     * @returns {Object} { count, data, features, lastUpdated, fromCache }
+     */
+    normalizeOutages(geojsonData, provider) {
+        const features = (geojsonData?.features || []).filter(feature => feature?.geometry);
+        const outageData = features.map((feature, index) => this.mapOutage(feature, provider, index));
+
+        // Convert to the expected format, preserving original geometries
+        const processedFeatures = geoJSONTransformService.convertPowerOutageToGeoJSONFeatures(outageData, provider.id, features);
+
+        return {
+            count: outageData.length,
+            data: outageData,
+            features: processedFeatures,
+            lastUpdated: new Date().toISOString(),
+            fromCache: false
+        };
+    }
 
-            log.info('🔌 Cullman outages loaded:', result.count, 'outages');
-            return result;
+    // Map one provider feature onto our outage fields using its fieldMap
+    mapOutage(feature, provider, index = 0) {
+        const props = feature.properties || {};
+        const field = (name) => this.readField(props, provider.fieldMap?.[name] ?? name);
 
-        } catch (error) {
-            log.error('Failed to fetch Cullman outages:', error);
+        const { latitude, longitude } = this.getCenter(feature.geometry);
 
-            // Return empty result as fallback
-            return {
-                count: 0,
-                data: [],
-                features: [],
-                lastUpdated: new Date().toISOString(),
-                fromCache: false,
-                error: true,
-                errorMessage: error.message
-            };
+        // Determine crew status
+        const rawStatus = field('status');
+        let crewStatus = rawStatus || 'Reported';
+        if (this.isTruthy(field('crew_assigned'))) {
+            crewStatus = 'Dispatched';
+        } else if (this.isTruthy(field('verified'))) {
+            crewStatus = 'Verified';
+        }
+
+        const outageId = field('outage_id') ?? `${provider.id}-${index}`;
+        const customersAffected = parseInt(field('customers_affected') || 0);
+        const startTime = this.toISO(field('start_time'));
+        const estimatedRestoration = this.toISO(field('estimated_restoration'));
+
+        return {
+            // Include all original properties from GeoJSON (preserves field names for popups)
+            ...props,
+            id: outageId,
+            outage_id: String(outageId),
+            company: provider.id,
+            company_name: provider.name,
+            customers_affected: customersAffected,
+            cause: field('cause') || 'Unknown',
+            // Keep dates as ISO strings for popup compatibility (ArcGIS can format these)
+            start_time: startTime,
+            estimated_restoration: estimatedRestoration,
+            estimated_restore: estimatedRestoration, // Alias for compatibility
+            status: rawStatus || crewStatus,
+            outage_status: rawStatus || 'N/A',
+            area_description: field('area_description') || String(outageId) || 'Area Outage',
+            comments: crewStatus,
+            crew_assigned: this.isTruthy(field('crew_assigned')),
+            crew_on_site: this.isTruthy(field('crew_assigned')),
+            verified: this.isTruthy(field('verified')),
+            is_planned: this.isTruthy(field('is_planned')),
+            substation: field('substation') || 'N/A',
+            feeder: field('feeder') || 'N/A',
+            district: field('district') || 'N/A',
+            customers_restored: parseInt(field('customers_restored') || 0),
+            initially_affected: customersAffected,
+            equipment: field('equipment') || 'N/A',
+            description: `Outage affecting ${customersAffected} customers`,
+            last_update: this.toISO(field('last_update')),
+            duration: this.formatDuration(startTime),
+            latitude,
+            longitude
+        };
+    }
+
+    readField(props, source) {
+        const names = Array.isArray(source) ? source : [source];
+        for (const name of names) {
+            const value = props[name];
+            if (value !== undefined && value !== null && value !== '') return value;
+        }
+        return null;
+    }
+
+    isTruthy(value) {
+        return value === true || value === 1 || ['true', 'yes', 'y', '1'].includes(String(value).toLowerCase());
+    }
+
+    // Providers publish either ISO strings or epoch milliseconds
+    toISO(value) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value === 'number') return new Date(value).toISOString();
+        return value;
+    }
+
+    // Extract coordinates based on geometry type - polygons use the average of the outer ring
+    getCenter(geometry) {
+        if (geometry?.type === 'Point') {
+            return { longitude: geometry.coordinates[0], latitude: geometry.coordinates[1] };
+        }
+
+        const ring = geometry?.type === 'Polygon' ? geometry.coordinates[0]
+            : geometry?.type === 'MultiPolygon' ? geometry.coordinates[0]?.[0]
+                : null;
+        if (!ring || ring.length === 0) return { latitude: undefined, longitude: undefined };
+
+        let sumLng = 0, sumLat = 0;
+        for (const coord of ring) {
+            sumLng += coord[0];
+            sumLat += coord[1];
         }
+        return { longitude: sumLng / ring.length, latitude: sumLat / ring.length };
+    }
+
+    // Calculate duration from start time
+    formatDuration(startTime) {
+        if (!startTime) return '';
+
+        const diffMs = Date.now() - new Date(startTime).getTime();
+        const diffMins = Math.floor(diffMs / (1000 * 60));
+        const diffHours = Math.floor(diffMins / 60);
+        const diffDays = Math.floor(diffHours / 24);
+
+        if (diffDays > 0) return `${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+        if (diffHours > 0) return `${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
+        if (diffMins > 0) return `${diffMins} minute${diffMins > 1 ? 's' : ''} ago`;
+        return 'Just now';
     }
 }
 
 export const outageService = new OutageService();
-
@@ -1,10 +1,23 @@
 // PopupManager.js - Single Responsibility: Popup interaction handling
 import { createLogger } from '../utils/logger.js';
 import * as reactiveUtils from '@arcgis/core/core/reactiveUtils.js';
+import GraphicsLayer from '@arcgis/core/layers/GraphicsLayer';
+import Graphic from '@arcgis/core/Graphic';
+import { redactionService } from './RedactionService.js';
+import { authService } from './AuthService.js';
+import { formatDistance } from '../utils/geoUtils.js';
+import { escapeHtml } from '../utils/htmlUtils.js';
 
 // Initialize logger for this module
 const log = createLogger('PopupManager');
 
+// Popup actions that reveal vehicle positions; hidden for roles without the permission
+const ACTION_PERMISSIONS = {
+    'track-vehicle': 'track-vehicles',
+    'trip-history': 'track-vehicles',
+    'nearest-trucks': 'track-vehicles'
+};
+
 export class PopupManager {
     constructor() {
         this.view = null;
@@ -13,6 +26,7 @@ export class PopupManager {
         this._buttonListeners = new WeakMap();
         // Track actionIds processed per popup instance to prevent re-processing after re-renders
         this._processedActionIds = new Set();
+        this.traceLayer = null;
     }
 
     /**
@@ -180,6 +194,11 @@ export class PopupManager {
                 'zoom-to-feature': 'Zoom to',
                 'refresh-metrics': 'Refresh Metrics',
                 'track-vehicle': 'Track Vehicle',
+                'trip-history': 'Trip History',
+                'nearest-trucks': 'Nearest Trucks',
+                'pin-favorite': 'Pin to Search',
+                'trace-upstream': 'Trace Upstream',
+                'create-ticket': 'Create Ticket',
                 'copy-truck-info': 'Copy Truck Info',
                 'get-directions': 'Get Directions'
             };
@@ -215,6 +234,12 @@ export class PopupManager {
                     return;
                 }
 
+                const permission = ACTION_PERMISSIONS[actionId];
+                if (permission && !authService.can(permission)) {
+                    button.hidden = true;
+                    return;
+                }
+
                 // Bug 1 fix: Create unique identifier for this button instance
                 const buttonInstanceId = `${buttonKeyPrefix}-${actionId}`;
 
@@ -294,12 +319,22 @@ export class PopupManager {
 
                     log.info('Popup action button clicked:', { buttonText, actionId, instanceId: buttonInstanceId });
 
-                    if (actionId?.includes('copy') || buttonText.includes('copy')) {
+                    if (actionId === 'create-ticket' || buttonText.includes('ticket')) {
+                        await this.handleCreateTicketAction();
+                    } else if (actionId === 'nearest-trucks' || buttonText.includes('nearest trucks')) {
+                        await this.handleNearestTrucksAction();
+                    } else if (actionId === 'pin-favorite' || buttonText.includes('pin to search')) {
+                        await this.handlePinFavoriteAction();
+                    } else if (actionId?.includes('copy') || buttonText.includes('copy')) {
                         await this.handleCopyAction(clone);
                     } else if (actionId?.includes('direction') || buttonText.includes('direction')) {
                         await this.handleDirectionsAction(clone);
                     } else if (actionId?.includes('refresh') || buttonText.includes('refresh')) {
                         await this.handleRefreshMetricsAction(clone);
+                    } else if (actionId?.includes('trace') || buttonText.includes('trace')) {
+                        await this.handleTraceUpstreamAction();
+                    } else if (actionId === 'trip-history' || buttonText.includes('trip history')) {
+                        await this.handleTripHistoryAction();
                     } else if (actionId?.includes('track') || buttonText.includes('track')) {
                         await this.handleTrackVehicleAction();
                     }
@@ -369,7 +404,7 @@ export class PopupManager {
     // Extract data directly from graphic feature (modern approach)
     extractDataFromFeature(graphic) {
         const data = [];
-        const attributes = graphic.attributes;
+        const attributes = redactionService.redactAttributes(graphic.attributes);
 
         const nameKeys = new Set(['name', 'customer_name', 'Name']);
 
@@ -609,7 +644,8 @@ export class PopupManager {
             if (!graphic) return;
 
             const geometry = graphic.geometry;
-            const attributes = graphic.attributes;
+            // Without PII access the address is removed and directions use the coordinates
+            const attributes = redactionService.redactAttributes(graphic.attributes) || {};
 
             if (!geometry || !geometry.longitude || !geometry.latitude) {
                 this.showCopyFeedback('Location coordinates not available', 'error');
@@ -699,7 +735,7 @@ export class PopupManager {
             if (!foundFields) {
                 const graphic = this.view.popup?.selectedFeature;
                 if (graphic?.attributes) {
-                    const attrs = graphic.attributes;
+                    const attrs = redactionService.redactAttributes(graphic.attributes);
 
                     // Subscriber fields in the requested order
                     // Get MST value from multiple possible field names
@@ -1074,6 +1110,334 @@ export class PopupManager {
         }
     }
 
+    // Handle nearest trucks action - rank Geotab trucks by drive time to the selected feature
+    async handleNearestTrucksAction() {
+        if (!authService.can('track-vehicles')) {
+            this.showCopyFeedback('Your role cannot view vehicle locations', 'error');
+            return;
+        }
+
+        const graphic = this.view?.popup?.selectedFeature;
+        const geometry = graphic?.geometry;
+        const center = geometry?.type === 'point'
+            ? geometry
+            : geometry?.centroid || geometry?.extent?.center;
+        if (!center || center.longitude === undefined || center.latitude === undefined) {
+            this.showCopyFeedback('Location coordinates not available', 'error');
+            return;
+        }
+
+        const target = [center.longitude, center.latitude];
+        const attributes = redactionService.redactAttributes(graphic.attributes) || {};
+        const label = attributes.outage_id
+            ? `Outage ${attributes.outage_id}`
+            : graphic.layer?.id === 'mst-terminals'
+                ? attributes.equipmentn || 'MST'
+                : attributes.customer_name || attributes.name || 'Selected location';
+
+        const loadingToast = this.showLoadingToast('Finding nearest trucks...', label);
+
+        try {
+            const { dispatchService } = await import('./DispatchService.js');
+            const layerPanel = window.app?.services?.layerPanel;
+            const result = await dispatchService.getRankedTrucks(target, {
+                getStatus: layerPanel?.getVehicleStatus ? (vehicle) => layerPanel.getVehicleStatus(vehicle) : undefined
+            });
+
+            if (loadingToast?.parentNode) loadingToast.parentNode.removeChild(loadingToast);
+
+            if (result.error) {
+                this.showErrorToast('Failed to load truck locations', result.errorMessage);
+                return;
+            }
+            if (result.count === 0) {
+                this.showCopyFeedback('No trucks are reporting locations', 'error');
+                return;
+            }
+
+            this.showDispatchNotice(result.data, target, label, dispatchService);
+        } catch (error) {
+            log.error('Failed to rank nearest trucks:', error);
+            if (loadingToast?.parentNode) loadingToast.parentNode.removeChild(loadingToast);
+            this.showErrorToast('Failed to find nearest trucks', error.message);
+        }
+    }
+
+    // Ranked truck list; each row zooms to the truck and has one-click directions to the target
+    showDispatchNotice(ranked, target, label, dispatchService) {
+        document.getElementById('dispatch-notice')?.remove();
+
+        const isAppleDevice = /Mac|iPhone|iPod|iPad/.test(navigator.userAgent);
+        const statusLabels = { Online: 'Moving', Idle: 'Idle', Offline: 'Offline' };
+        const rows = ranked.slice(0, 8).map((item, index) => `
+            <li style="display: flex; align-items: center; gap: 8px; padding: 4px 0; border-top: 1px solid var(--calcite-color-border-3);">
+                <div data-truck-index="${index}" style="flex: 1; cursor: pointer; ${item.status === 'Offline' ? 'opacity: 0.6;' : ''}">
+                    <div><strong>${escapeHtml(item.truck.name)}</strong> · ${item.truck.vehicle_type === 'fiber' ? 'Fiber' : 'Electric'}</div>
+                    <div style="color: var(--calcite-color-text-3);">${escapeHtml(statusLabels[item.status] || item.status)} · ${item.miles.toFixed(1)} mi · ~${item.driveMinutes} min</div>
+                </div>
+                <calcite-button data-directions-index="${index}" scale="s" appearance="outline" icon-start="pin-tear">Directions</calcite-button>
+            </li>
+        `).join('');
+
+        const notice = document.createElement('calcite-notice');
+        notice.id = 'dispatch-notice';
+        notice.setAttribute('kind', 'brand');
+        notice.setAttribute('open', 'true');
+        notice.setAttribute('icon', 'car');
+        notice.setAttribute('closable', 'true');
+        notice.style.cssText = `
+            position: fixed;
+            top: 120px;
+            right: 20px;
+            z-index: 10000;
+            max-width: 360px;
+            box-shadow: var(--calcite-shadow-2);
+        `;
+
+        notice.innerHTML = `
+            <div slot="title">Nearest trucks to ${escapeHtml(label)}</div>
+            <div slot="message" style="font-size: var(--calcite-font-size--1);">
+                <ul style="margin: 4px 0 0; padding: 0; list-style: none; max-height: 320px; overflow-y: auto;">${rows}</ul>
+                <div style="margin-top: 6px; color: var(--calcite-color-text-3);">Drive times are straight-line estimates</div>
+            </div>
+        `;
+
+        notice.querySelectorAll('[data-truck-index]').forEach(row => {
+            row.addEventListener('click', () => {
+                const { truck } = ranked[Number(row.dataset.truckIndex)];
+                this.view?.goTo({ target: { type: 'point', longitude: truck.longitude, latitude: truck.latitude }, zoom: 15 });
+            });
+        });
+        notice.querySelectorAll('[data-directions-index]').forEach(button => {
+            button.addEventListener('click', () => {
+                const { truck } = ranked[Number(button.dataset.directionsIndex)];
+                window.open(dispatchService.getDirectionsUrl(truck, target, isAppleDevice), '_blank');
+            });
+        });
+        notice.addEventListener('calciteNoticeClose', () => notice.remove());
+        document.body.appendChild(notice);
+        return notice;
+    }
+
+    // Handle trip history action - pick a time window and draw the vehicle's breadcrumb trail
+    async handleTripHistoryAction() {
+        try {
+            const graphic = this.view?.popup?.selectedFeature;
+            if (!graphic?.attributes?.id) {
+                log.warn('No vehicle selected for trip history');
+                return;
+            }
+
+            const { tripHistoryDialog } = await import('../ui/TripHistoryDialog.js');
+            await tripHistoryDialog.open(graphic.attributes, this.view);
+        } catch (error) {
+            log.error('Failed to open trip history:', error);
+            this.showErrorToast('Failed to open trip history', error.message);
+        }
+    }
+
+    // Handle create ticket action - pre-fill a trouble ticket from the selected feature
+    async handleCreateTicketAction() {
+        try {
+            const graphic = this.view?.popup?.selectedFeature;
+            if (!graphic?.attributes) {
+                log.warn('No feature selected for ticket');
+                return;
+            }
+
+            const [{ ticketService }, { ticketDialog }] = await Promise.all([
+                import('./TicketService.js'),
+                import('../ui/TicketDialog.js')
+            ]);
+
+            const geometry = graphic.geometry;
+            const location = geometry?.type === 'point'
+                ? { latitude: geometry.latitude, longitude: geometry.longitude }
+                : geometry?.extent?.center
+                    ? { latitude: geometry.extent.center.latitude, longitude: geometry.extent.center.longitude }
+                    : null;
+
+            const draft = ticketService.buildDraft(graphic.attributes, {
+                layerId: graphic.layer?.id,
+                details: this.extractDataFromFeature(graphic),
+                location
+            });
+
+            await ticketDialog.open(draft);
+        } catch (error) {
+            log.error('Failed to open ticket dialog:', error);
+            this.showErrorToast('Failed to open ticket form', error.message);
+        }
+    }
+
+    // Handle pin action - toggle the subscriber, MST or hut in the search box favorites
+    async handlePinFavoriteAction() {
+        const graphic = this.view?.popup?.selectedFeature;
+        const geometry = graphic?.geometry;
+        if (!geometry || geometry.longitude === undefined || geometry.latitude === undefined) {
+            this.showCopyFeedback('Location coordinates not available', 'error');
+            return;
+        }
+
+        try {
+            const [{ searchHistoryService }, { infrastructureSearchService }] = await Promise.all([
+                import('./SearchHistoryService.js'),
+                import('./InfrastructureSearchService.js')
+            ]);
+
+            const attributes = graphic.attributes || {};
+            const layerId = graphic.layer?.id;
+            let result;
+            if (layerId === 'mst-terminals' || layerId === 'sprout-huts') {
+                // Same shape as an infrastructure search result, so the favorite opens like one
+                const type = layerId === 'mst-terminals' ? 'mst' : 'hut';
+                const name = type === 'mst' ? attributes.equipmentn : attributes.name || attributes.Name;
+                result = infrastructureSearchService.toResult(type, {
+                    name: String(name || 'Unnamed'),
+                    position: [geometry.longitude, geometry.latitude],
+                    properties: attributes
+                });
+            } else {
+                // Pins keep only the account and location; the rest is looked up when listed
+                result = {
+                    id: attributes.customer_number || attributes.account,
+                    customer_number: attributes.customer_number || attributes.account,
+                    latitude: geometry.latitude,
+                    longitude: geometry.longitude
+                };
+            }
+
+            const pinned = searchHistoryService.toggleFavorite(result);
+            this.showCopyFeedback(pinned ? 'Pinned to search' : 'Removed from pinned searches');
+        } catch (error) {
+            log.error('Failed to pin feature:', error);
+            this.showErrorToast('Failed to pin to search', error.message);
+        }
+    }
+
+    // Handle trace upstream action - follow the fiber from a subscriber or MST back to its hut
+    async handleTraceUpstreamAction() {
+        const graphic = this.view?.popup?.selectedFeature;
+        const geometry = graphic?.geometry;
+        if (!geometry || geometry.longitude === undefined || geometry.latitude === undefined) {
+            this.showCopyFeedback('Location coordinates not available', 'error');
+            return;
+        }
+
+        const kind = graphic.layer?.id === 'mst-terminals' ? 'mst' : 'subscriber';
+        const feature = {
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [geometry.longitude, geometry.latitude] },
+            properties: { ...graphic.attributes }
+        };
+        const displayed = redactionService.redactAttributes(graphic.attributes) || {};
+        const label = kind === 'mst'
+            ? graphic.attributes?.equipmentn || 'MST'
+            : displayed.customer_name || displayed.account || 'Subscriber';
+
+        const loadingToast = this.showLoadingToast('Tracing upstream...', label);
+
+        try {
+            const { fiberTraceService } = await import('./FiberTraceService.js');
+            const result = await fiberTraceService.trace(feature, kind);
+
+            if (loadingToast?.parentNode) loadingToast.parentNode.removeChild(loadingToast);
+
+            if (!result.found) {
+                this.clearTrace();
+                this.showErrorToast('Trace could not reach a hut', result.errorMessage || result.reason);
+                return;
+            }
+
+            log.info(`🧵 Traced ${label} to ${result.hut.name}: ${result.cables.length} cable(s), ${result.totalMeters}m`);
+            await this.drawTrace(result);
+            this.showTraceNotice(result, label);
+        } catch (error) {
+            log.error('Failed to trace upstream:', error);
+            if (loadingToast?.parentNode) loadingToast.parentNode.removeChild(loadingToast);
+            this.showErrorToast('Failed to trace upstream', error.message);
+        }
+    }
+
+    // Draw the traced path, crossed equipment and hut in a dedicated graphics layer
+    async drawTrace(result) {
+        if (!this.traceLayer) {
+            this.traceLayer = new GraphicsLayer({
+                id: 'fiber-trace',
+                title: 'Fiber Trace',
+                listMode: 'hide'
+            });
+        }
+        if (!this.view.map.layers.includes(this.traceLayer)) {
+            this.view.map.add(this.traceLayer);
+        }
+        this.traceLayer.removeAll();
+
+        const polyline = new Graphic({
+            geometry: { type: 'polyline', paths: [result.path], spatialReference: { wkid: 4326 } },
+            symbol: { type: 'simple-line', color: [0, 255, 255, 0.9], width: 5, cap: 'round', join: 'round' }
+        });
+        const equipment = result.equipment.map(item => new Graphic({
+            geometry: { type: 'point', longitude: item.position[0], latitude: item.position[1] },
+            symbol: { type: 'simple-marker', style: 'diamond', color: [255, 255, 255, 1], size: 9, outline: { color: [0, 140, 160, 1], width: 2 } }
+        }));
+        const hut = new Graphic({
+            geometry: { type: 'point', longitude: result.hut.position[0], latitude: result.hut.position[1] },
+            symbol: { type: 'simple-marker', style: 'square', color: [0, 255, 255, 1], size: 14, outline: { color: [0, 0, 0, 1], width: 2 } }
+        });
+
+        this.traceLayer.addMany([polyline, ...equipment, hut]);
+        await this.view.goTo(polyline.geometry.extent.clone().expand(1.3));
+    }
+
+    clearTrace() {
+        this.traceLayer?.removeAll();
+        document.getElementById('fiber-trace-notice')?.remove();
+    }
+
+    // Trace summary stays open (including on mobile) until the user closes it; closing clears the path
+    showTraceNotice(result, label) {
+        document.getElementById('fiber-trace-notice')?.remove();
+
+        const cableRows = result.cables.map(cable => `
+            <li>${escapeHtml(cable.name)}${cable.fiberCount ? ` · ${cable.fiberCount}F` : ''} · ${formatDistance(cable.meters, 2)}</li>
+        `).join('');
+        const equipmentRows = result.equipment.map(item => `
+            <li>${escapeHtml(item.type)}: ${escapeHtml(item.name)}${item.detail ? ` (${escapeHtml(item.detail)})` : ''}</li>
+        `).join('');
+
+        const notice = document.createElement('calcite-notice');
+        notice.id = 'fiber-trace-notice';
+        notice.setAttribute('kind', 'brand');
+        notice.setAttribute('open', 'true');
+        notice.setAttribute('icon', 'utility-network-trace');
+        notice.setAttribute('closable', 'true');
+        notice.style.cssText = `
+            position: fixed;
+            top: 120px;
+            right: 20px;
+            z-index: 10000;
+            max-width: 340px;
+            box-shadow: var(--calcite-shadow-2);
+        `;
+
+        notice.innerHTML = `
+            <div slot="title">${escapeHtml(label)} → ${escapeHtml(result.hut.name)}</div>
+            <div slot="message" style="font-size: var(--calcite-font-size--1);">
+                <div><strong>Total distance:</strong> ${formatDistance(result.totalMeters, 2)}${result.dropMeters ? ` (incl. ${formatDistance(result.dropMeters, 2)} drop to ${escapeHtml(result.start.name)})` : ''}</div>
+                <div style="margin-top: 6px;"><strong>Cables crossed (${result.cables.length})</strong></div>
+                <ul style="margin: 2px 0 0; padding-left: 18px;">${cableRows || '<li>None</li>'}</ul>
+                ${equipmentRows ? `
+                <div style="margin-top: 6px;"><strong>Equipment on path</strong></div>
+                <ul style="margin: 2px 0 0; padding-left: 18px;">${equipmentRows}</ul>` : ''}
+            </div>
+        `;
+
+        notice.addEventListener('calciteNoticeClose', () => this.clearTrace());
+        document.body.appendChild(notice);
+        return notice;
+    }
+
     // Loading toast with spinner
     showLoadingToast(message, nodeSiteName) {
         // Skip on mobile devices
@@ -1208,6 +1572,8 @@ export class PopupManager {
 
     // Cleanup method
     cleanup() {
+        this.clearTrace();
+        document.getElementById('dispatch-notice')?.remove();
         this.view = null;
     }
 } 
\ No newline at end of file
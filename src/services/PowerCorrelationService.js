@@ -0,0 +1,184 @@
+// PowerCorrelationService.js - Matches offline fiber subscribers against live power outage polygons
+import { getFeaturePosition, getGeometryBounds, isPointInPolygon, isPositionInBounds } from '../utils/geoUtils.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('PowerCorrelation');
+
+/**
+ * PowerCorrelationService - Client-side power/fiber split for offline subscribers
+ *
+ * The database electricOut flag is precomputed and can lag the utility feeds. This service
+ * re-checks every Offline subscriber against the active outage polygons from OutageService:
+ * subscribers inside a polygon are treated as power-related (electric offline layer), the rest
+ * stay on the offline layer flagged as fiber-only so they can be worked as truck rolls.
+ */
+export class PowerCorrelationService {
+    constructor() {
+        this.outageAreas = []; // [{ key, providerId, outageId, customersAffected, geometry, bounds }]
+        this.lastResult = null;
+    }
+
+    /**
+     * Replace the active outage polygons from a polling result
+     * @param {Object} outageData - Result from OutageService.getAllOutages()
+     * @returns {boolean} True if the set of outage areas changed
+     */
+    setOutages(outageData) {
+        if (!outageData?.providers) return false;
+
+        const areas = [];
+        Object.entries(outageData.providers).forEach(([providerId, result]) => {
+            // Keep the previous areas for a provider whose feed failed this round
+            if (result?.error) {
+                areas.push(...this.outageAreas.filter(area => area.providerId === providerId));
+                return;
+            }
+
+            (result?.features || []).forEach(feature => {
+                const geometry = feature.geometry;
+                const props = feature.properties || {};
+                if (geometry?.type !== 'Polygon' && geometry?.type !== 'MultiPolygon') return;
+                // Resolved outages stay in some feeds with zero customers affected
+                if ((parseInt(props.customers_affected) || 0) <= 0) return;
+
+                areas.push({
+                    key: `${providerId}:${props.outage_id}`,
+                    providerId,
+                    outageId: String(props.outage_id),
+                    customersAffected: parseInt(props.customers_affected) || 0,
+                    geometry,
+                    bounds: getGeometryBounds(geometry)
+                });
+            });
+        });
+
+        const previousKeys = this.outageAreas.map(area => area.key).sort().join('|');
+        this.outageAreas = areas;
+        const changed = areas.map(area => area.key).sort().join('|') !== previousKeys;
+
+        if (changed) log.info(`⚡ Tracking ${areas.length} active power outage area(s) for correlation`);
+        return changed;
+    }
+
+    /**
+     * Split offline subscriber features into power-related and fiber-only
+     * @param {Array<Object>} offlineFeatures - GeoJSON features from the offline subscriber query
+     * @param {Array<Object>} [outageAreas] - Areas from setOutages
+     * @returns {Object} { powerRelated, fiberOnly, byOutage: { [key]: { providerId, outageId, subscriberCount, subscriberIds } } }
+     */
+    correlate(offlineFeatures = [], outageAreas = this.outageAreas) {
+        const powerRelated = [];
+        const fiberOnly = [];
+        const byOutage = {};
+
+        outageAreas.forEach(area => {
+            byOutage[area.key] = { providerId: area.providerId, outageId: area.outageId, subscriberCount: 0, subscriberIds: [] };
+        });
+
+        offlineFeatures.forEach(feature => {
+            const area = this.findOutageArea(feature, outageAreas);
+
+            if (area) {
+                this.addToOutage(byOutage[area.key], feature);
+                powerRelated.push({
+                    ...feature,
+                    properties: {
+                        ...feature.properties,
+                        power_correlated: 'Yes',
+                        power_provider: area.providerId,
+                        power_outage_id: area.outageId
+                    }
+                });
+            } else {
+                fiberOnly.push({
+                    ...feature,
+                    properties: {
+                        ...feature.properties,
+                        outage_type: 'Fiber',
+                        truck_roll: 'Yes'
+                    }
+                });
+            }
+        });
+
+        return { powerRelated, fiberOnly, byOutage };
+    }
+
+    /**
+     * Add subscribers to the per-outage counts without reclassifying them
+     * @param {Array<Object>} features - GeoJSON subscriber features
+     * @param {Object} byOutage - From correlate, updated in place
+     * @param {Array<Object>} [outageAreas]
+     */
+    countByOutage(features = [], byOutage, outageAreas = this.outageAreas) {
+        features.forEach(feature => {
+            const area = this.findOutageArea(feature, outageAreas);
+            if (area) this.addToOutage(byOutage[area.key], feature);
+        });
+    }
+
+    findOutageArea(feature, outageAreas) {
+        const position = getFeaturePosition(feature);
+        return (position && outageAreas.find(candidate =>
+            isPositionInBounds(position, candidate.bounds) && isPointInPolygon(position, candidate.geometry))) || null;
+    }
+
+    addToOutage(entry, feature) {
+        const subscriberId = feature.properties?.account ?? feature.properties?.customer_number ?? feature.properties?.id;
+        entry.subscriberCount++;
+        if (subscriberId !== undefined && subscriberId !== null) entry.subscriberIds.push(String(subscriberId));
+    }
+
+    /**
+     * Apply the correlation to a subscriber polling result
+     * Power-related offline subscribers move to the electric offline set; the rest are fiber-only.
+     * @param {Object} data - { offline, electricOffline, online } from PollingManager
+     * @returns {Object} Same shape with offline/electricOffline reclassified
+     */
+    apply(data) {
+        // Both sets are needed - moving subscribers out of offline with nowhere to put them would hide them
+        if (!data?.offline?.features || data.offline.error) return data;
+        if (!data.electricOffline?.features || data.electricOffline.error) return data;
+
+        const { powerRelated, fiberOnly, byOutage } = this.correlate(data.offline.features);
+        // Subscribers the database already flags electric offline are inside outages too; count them
+        // per outage, though only the offline set is reclassified
+        this.countByOutage(data.electricOffline.features, byOutage);
+
+        this.lastResult = {
+            powerRelatedCount: powerRelated.length,
+            fiberOnlyCount: fiberOnly.length,
+            byOutage,
+            lastUpdated: new Date().toISOString()
+        };
+
+        if (powerRelated.length > 0) {
+            log.info(`⚡ ${powerRelated.length} offline subscriber(s) inside active power outages, ${fiberOnly.length} fiber-only`);
+        }
+
+        const electricFeatures = [...data.electricOffline.features, ...powerRelated];
+        return {
+            ...data,
+            offline: { ...data.offline, features: fiberOnly, count: fiberOnly.length },
+            electricOffline: { ...data.electricOffline, features: electricFeatures, count: electricFeatures.length }
+        };
+    }
+
+    /**
+     * Offline and electric offline subscriber count inside a specific outage from the last correlation
+     * @param {string} providerId
+     * @param {string} outageId
+     * @returns {number}
+     */
+    getSubscriberCount(providerId, outageId) {
+        return this.lastResult?.byOutage?.[`${providerId}:${outageId}`]?.subscriberCount || 0;
+    }
+
+    getPowerRelatedCount() {
+        return this.lastResult?.powerRelatedCount || 0;
+    }
+}
+
+// Export singleton instance
+export const powerCorrelationService = new PowerCorrelationService();
@@ -0,0 +1,195 @@
+// ProximityService.js - "What's near this point": subscribers, infrastructure and trucks ranked by distance
+import { enhancedSearchService } from './EnhancedSearchService.js';
+import { infrastructureSearchService } from './InfrastructureSearchService.js';
+import { dispatchService } from './DispatchService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('Proximity');
+
+const RADIUS_KEY = 'proximity-radius';
+
+export const PROXIMITY_RADII = [
+    { meters: 152.4, label: '500 ft' },
+    { meters: 402.336, label: '¼ mi' },
+    { meters: 804.672, label: '½ mi' },
+    { meters: 1609.344, label: '1 mi' },
+    { meters: 3218.688, label: '2 mi' }
+];
+
+export const DEFAULT_RADIUS_METERS = 402.336;
+
+// Infrastructure types listed after subscribers, with the layer whose popup each row opens
+const INFRASTRUCTURE_LAYERS = {
+    pole: { layerId: 'poles', field: 'wmElementN' },
+    mst: { layerId: 'mst-terminals', field: 'equipmentn' },
+    splitter: { layerId: 'splitters', field: 'equipmentn' },
+    slack: { layerId: 'slack-loops', field: 'structure' }
+};
+
+// Offline subscribers are usually why someone is looking, so they lead
+const STATUS_ORDER = ['Offline', 'Online'];
+
+/**
+ * Split subscribers into one group per status, nearest first
+ * @param {Array<Object>} subscribers - EnhancedSearchService records with distanceMeters
+ * @param {number} limit - Rows kept per group
+ * @returns {Array<Object>} [{ key, label, total, items }]
+ */
+export const groupSubscribersByStatus = (subscribers, limit) => {
+    const byStatus = new Map();
+    [...subscribers]
+        .sort((a, b) => a.distanceMeters - b.distanceMeters)
+        .forEach(subscriber => {
+            const status = subscriber.status || 'Unknown';
+            if (!byStatus.has(status)) byStatus.set(status, []);
+            byStatus.get(status).push(subscriber);
+        });
+
+    const rank = (status) => (STATUS_ORDER.includes(status) ? STATUS_ORDER.indexOf(status) : STATUS_ORDER.length);
+    return [...byStatus.entries()]
+        .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b))
+        .map(([status, matches]) => ({
+            key: `subscriber:${status}`,
+            label: `${status} Subscribers`,
+            total: matches.length,
+            items: matches.slice(0, limit).map(subscriber => ({
+                id: `subscriber:${subscriber.account || subscriber.id}`,
+                type: 'subscriber',
+                name: subscriber.name,
+                status,
+                latitude: parseFloat(subscriber.latitude),
+                longitude: parseFloat(subscriber.longitude),
+                distanceMeters: subscriber.distanceMeters,
+                feature: null,
+                source: subscriber
+            }))
+        }));
+};
+
+/**
+ * ProximityService - Everything near a map point, within a radius the user picks
+ *
+ * Subscribers come from the EnhancedSearchService cache, infrastructure from the
+ * InfrastructureSearchService index and trucks from their last Geotab position. A source that
+ * fails is left out rather than failing the lookup. Each group keeps its nearest `limit` rows;
+ * feature is the { layerId, field, value } key of the row's map feature, when it has one.
+ */
+export class ProximityService {
+    constructor({ search = enhancedSearchService, infrastructure = infrastructureSearchService, dispatch = dispatchService } = {},
+        storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.search = search;
+        this.infrastructure = infrastructure;
+        this.dispatch = dispatch;
+        this.storage = storage;
+    }
+
+    getRadius() {
+        const meters = parseFloat(this.storage?.getItem(RADIUS_KEY));
+        return PROXIMITY_RADII.some(radius => radius.meters === meters) ? meters : DEFAULT_RADIUS_METERS;
+    }
+
+    setRadius(meters) {
+        if (!PROXIMITY_RADII.some(radius => radius.meters === meters)) return;
+        try {
+            this.storage?.setItem(RADIUS_KEY, String(meters));
+        } catch (error) {
+            log.warn('Could not save proximity radius:', error);
+        }
+    }
+
+    /**
+     * Rank what is near a point
+     * @param {Array<number>} center - [lon, lat]
+     * @param {Object} [options]
+     * @param {number} [options.radiusMeters] - Defaults to the saved radius
+     * @param {number} [options.limit] - Rows per group
+     * @param {Function} [options.getVehicleStatus] - vehicle => 'Online' | 'Idle' | 'Offline'
+     * @param {boolean} [options.includeTrucks] - False for roles that can't see vehicles
+     * @returns {Promise<Object>} { center, radiusMeters, count, groups: [{ key, label, total, items }] }
+     */
+    async findNearby(center, { radiusMeters = this.getRadius(), limit = 5, getVehicleStatus, includeTrucks = true } = {}) {
+        const [longitude, latitude] = center;
+
+        const [subscribers, infrastructure, trucks] = await Promise.all([
+            this.nearbySubscribers({ latitude, longitude }, radiusMeters),
+            this.nearbyInfrastructure(center, radiusMeters, limit),
+            includeTrucks ? this.nearbyTrucks(center, radiusMeters, getVehicleStatus) : []
+        ]);
+
+        const groups = [
+            ...groupSubscribersByStatus(subscribers, limit),
+            ...Object.keys(INFRASTRUCTURE_LAYERS).map(type => {
+                const items = infrastructure.filter(result => result.type === type);
+                return {
+                    key: type,
+                    label: this.infrastructure.types[type].label,
+                    total: items.length,
+                    items: items.map(result => ({
+                        id: result.id,
+                        type,
+                        name: result.name,
+                        status: null,
+                        latitude: result.latitude,
+                        longitude: result.longitude,
+                        distanceMeters: result.distanceMeters,
+                        feature: { ...INFRASTRUCTURE_LAYERS[type], value: result.name },
+                        source: result
+                    }))
+                };
+            }),
+            {
+                key: 'truck',
+                label: 'Trucks',
+                total: trucks.length,
+                items: trucks.slice(0, limit)
+            }
+        ].filter(group => group.items.length > 0);
+
+        const count = groups.reduce((sum, group) => sum + group.total, 0);
+        log.info(`📍 ${count} features within ${Math.round(radiusMeters)}m of ${latitude.toFixed(5)}, ${longitude.toFixed(5)}`);
+        return { center, radiusMeters, count, groups };
+    }
+
+    async nearbySubscribers(point, radiusMeters) {
+        try {
+            await this.search.initialize();
+            return this.search.nearestSubscribers(point, Infinity, radiusMeters);
+        } catch (error) {
+            log.warn('Nearby subscriber lookup failed:', error);
+            return [];
+        }
+    }
+
+    async nearbyInfrastructure(center, radiusMeters, limit) {
+        try {
+            return await this.infrastructure.nearest(center, { types: Object.keys(INFRASTRUCTURE_LAYERS), limit, maxMeters: radiusMeters });
+        } catch (error) {
+            log.warn('Nearby infrastructure lookup failed:', error);
+            return [];
+        }
+    }
+
+    async nearbyTrucks(center, radiusMeters, getVehicleStatus) {
+        const result = await this.dispatch.getRankedTrucks(center, { getStatus: getVehicleStatus });
+        if (result.error) return [];
+
+        return result.data
+            .filter(ranked => ranked.meters <= radiusMeters)
+            .sort((a, b) => a.meters - b.meters)
+            .map(({ truck, status, meters }) => ({
+                id: `truck:${truck.id}`,
+                type: 'truck',
+                name: truck.name,
+                status,
+                latitude: parseFloat(truck.latitude),
+                longitude: parseFloat(truck.longitude),
+                distanceMeters: meters,
+                feature: { layerId: `${truck.vehicle_type}-trucks`, field: 'id', value: String(truck.id) },
+                source: truck
+            }));
+    }
+}
+
+// Export singleton instance
+export const proximityService = new ProximityService();
@@ -0,0 +1,79 @@
+// RedactionService.js - "Redact customer data" mode for screen sharing and exports
+import { authService } from './AuthService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('Redaction');
+
+const STORAGE_KEY = 'redact-customer-data';
+
+export const REDACTION_MASK = '••••••';
+
+// Masked while redaction is on; addresses and status stay visible so the map still makes sense
+export const REDACTED_FIELDS = [
+    // Names
+    'name', 'customer_name', 'Name', 'subscriber_name', 'Subscriber Name',
+    // Phone numbers and other contact details
+    'phone', 'phone_number', 'Phone', 'email', 'Email',
+    // Account numbers
+    'account', 'account_number', 'customer_number', 'Account', 'Account Number', 'Linked Accounts'
+];
+
+/**
+ * RedactionService - Masks customer identity while the redaction toggle is on
+ *
+ * Separate from role-based PII removal in AuthService: redaction is a per-device display
+ * choice, so masked values are replaced with REDACTION_MASK rather than dropped, and the
+ * underlying data (ticket drafts, queries, traces) is untouched.
+ */
+export class RedactionService {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.enabled = this.storage?.getItem(STORAGE_KEY) === 'true';
+    }
+
+    setEnabled(enabled) {
+        this.enabled = !!enabled;
+        try {
+            this.storage?.setItem(STORAGE_KEY, String(this.enabled));
+        } catch (error) {
+            log.warn('Could not save redaction setting:', error);
+        }
+        log.info(this.enabled ? '🙈 Customer data redaction on' : '👀 Customer data redaction off');
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('redactionChanged', { detail: { enabled: this.enabled } }));
+        }
+    }
+
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    /**
+     * Copy of a record with names, phone numbers and account numbers masked
+     * @param {Object} record - Feature attributes, search result or CSV row
+     * @returns {Object} The same record when redaction is off
+     */
+    maskAttributes(record) {
+        if (!this.enabled || !record) return record;
+        const masked = { ...record };
+        REDACTED_FIELDS.forEach(field => {
+            const value = masked[field];
+            if (value !== null && value !== undefined && value !== '') masked[field] = REDACTION_MASK;
+        });
+        return masked;
+    }
+
+    /**
+     * Attributes as they may be displayed: PII removed for the role, then masked if redacting
+     * @param {Object} attributes
+     * @returns {Object}
+     */
+    redactAttributes(attributes) {
+        return this.maskAttributes(authService.redactAttributes(attributes));
+    }
+}
+
+// Export singleton instance
+export const redactionService = new RedactionService();
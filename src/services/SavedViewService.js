@@ -0,0 +1,172 @@
+// SavedViewService.js - Map state as shareable URL parameters and named views in local storage
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('SavedViews');
+
+const VIEWS_KEY = 'saved-views';
+const MAX_VIEWS = 50;
+
+// Short parameter names keep shared links readable in chat and tickets
+export const VIEW_PARAMS = {
+    center: 'c',
+    zoom: 'z',
+    layers: 'l',
+    business: 'b',
+    feature: 'f',
+    tab: 't'
+};
+
+export const PANEL_TABS = ['layers', 'osp', 'vehicles', 'search', 'power-outages', 'network-parent', 'tools', 'info'];
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * SavedViewService - Encodes and stores the map view state
+ *
+ * A view state is { center: [lon, lat], zoom, layers: [layerId], businessFilter, feature, tab }
+ * where feature is { layerId, field, value } for the feature selected in the popup. Capturing
+ * and restoring the state is left to Application, which owns the map and the panel.
+ */
+export class SavedViewService {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+    }
+
+    /**
+     * Encode a view state as URL query parameters
+     * @param {Object} state
+     * @returns {string} Query string without the leading '?'
+     */
+    encode(state) {
+        const params = new URLSearchParams();
+        if (Array.isArray(state?.center) && state.center.every(Number.isFinite)) {
+            params.set(VIEW_PARAMS.center, `${round(state.center[0], 5)},${round(state.center[1], 5)}`);
+        }
+        if (Number.isFinite(state?.zoom)) params.set(VIEW_PARAMS.zoom, String(round(state.zoom, 2)));
+        if (Array.isArray(state?.layers)) params.set(VIEW_PARAMS.layers, state.layers.join(','));
+        if (state?.businessFilter) params.set(VIEW_PARAMS.business, '1');
+        if (state?.feature?.layerId && state.feature.field && state.feature.value !== undefined && state.feature.value !== null) {
+            params.set(VIEW_PARAMS.feature, [state.feature.layerId, state.feature.field, state.feature.value].join(':'));
+        }
+        if (state?.tab && state.tab !== 'layers' && PANEL_TABS.includes(state.tab)) params.set(VIEW_PARAMS.tab, state.tab);
+        // Commas and colons are safe in a query string and much easier to read unescaped
+        return params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+    }
+
+    /**
+     * Decode view parameters from a query string
+     * @param {string} search - location.search, with or without the leading '?'
+     * @returns {Object|null} View state, or null when the URL carries no view parameters
+     */
+    decode(search) {
+        const params = new URLSearchParams(search || '');
+        if (!Object.values(VIEW_PARAMS).some(key => params.has(key))) return null;
+
+        const state = { center: null, zoom: null, layers: null, businessFilter: params.get(VIEW_PARAMS.business) === '1', feature: null, tab: null };
+
+        const center = (params.get(VIEW_PARAMS.center) || '').split(',').map(parseFloat);
+        if (center.length === 2 && center.every(Number.isFinite) && Math.abs(center[0]) <= 180 && Math.abs(center[1]) <= 90) {
+            state.center = center;
+        }
+
+        const zoom = parseFloat(params.get(VIEW_PARAMS.zoom));
+        if (Number.isFinite(zoom) && zoom >= 0 && zoom <= 24) state.zoom = zoom;
+
+        if (params.has(VIEW_PARAMS.layers)) {
+            state.layers = params.get(VIEW_PARAMS.layers).split(',').map(id => id.trim()).filter(Boolean);
+        }
+
+        // Values may contain colons themselves (e.g. MST names), so only split off the first two parts
+        const feature = params.get(VIEW_PARAMS.feature) || '';
+        const [layerId, field, ...rest] = feature.split(':');
+        if (layerId && field && rest.length > 0) {
+            state.feature = { layerId, field, value: rest.join(':') };
+        }
+
+        const tab = params.get(VIEW_PARAMS.tab);
+        if (PANEL_TABS.includes(tab)) state.tab = tab;
+
+        return state;
+    }
+
+    /**
+     * Link that opens the app in the given state
+     * @param {Object} state
+     * @param {string} [baseUrl] - Defaults to the current page without its query or hash
+     * @returns {string}
+     */
+    buildShareUrl(state, baseUrl = `${window.location.origin}${window.location.pathname}`) {
+        const query = this.encode(state);
+        return query ? `${baseUrl}?${query}` : baseUrl;
+    }
+
+    /**
+     * Remove view parameters from a query string, keeping anything else the page was opened with
+     * @param {string} search
+     * @returns {string} Remaining query string without the leading '?'
+     */
+    stripViewParams(search) {
+        const params = new URLSearchParams(search || '');
+        Object.values(VIEW_PARAMS).forEach(key => params.delete(key));
+        return params.toString();
+    }
+
+    /**
+     * Saved views, most recent first
+     * @returns {Array<{id: string, name: string, state: Object, savedAt: string}>}
+     */
+    listViews() {
+        try {
+            const views = JSON.parse(this.storage?.getItem(VIEWS_KEY) || '[]');
+            return Array.isArray(views) ? views : [];
+        } catch (error) {
+            log.warn('Could not read saved views:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a named view; saving under an existing name replaces it
+     * @param {string} name
+     * @param {Object} state
+     * @returns {Object} The saved view
+     */
+    saveView(name, state) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('A view name is required');
+
+        const view = {
+            id: `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            name: trimmed,
+            state,
+            savedAt: new Date().toISOString()
+        };
+        const views = [view, ...this.listViews().filter(item => item.name.toLowerCase() !== trimmed.toLowerCase())].slice(0, MAX_VIEWS);
+        this.writeViews(views);
+        log.info(`💾 Saved view "${trimmed}"`);
+        return view;
+    }
+
+    getView(id) {
+        return this.listViews().find(view => view.id === id) || null;
+    }
+
+    deleteView(id) {
+        this.writeViews(this.listViews().filter(view => view.id !== id));
+    }
+
+    writeViews(views) {
+        try {
+            this.storage?.setItem(VIEWS_KEY, JSON.stringify(views));
+        } catch (error) {
+            log.warn('Could not save views:', error);
+        }
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('savedViewsChanged', { detail: { count: views.length } }));
+        }
+    }
+}
+
+// Export singleton instance
+export const savedViewService = new SavedViewService();
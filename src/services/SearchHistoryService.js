@@ -0,0 +1,372 @@
+// SearchHistoryService.js - Recent searches and pinned favorites for the search box, kept in local storage
+import { PII_FIELDS } from './AuthService.js';
+import { REDACTED_FIELDS } from './RedactionService.js';
+import { subscriberQueryService, QUERY_FIELDS } from './SubscriberQueryService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('SearchHistory');
+
+const RECENTS_KEY = 'search-recents';
+const FAVORITES_KEY = 'search-favorites';
+const SALT_KEY = 'search-history-salt';
+const MAX_RECENTS = 15;
+const MAX_FAVORITES = 50;
+
+// Only things a tech goes back to by name can be pinned
+export const FAVORITE_TYPES = ['subscriber', 'mst', 'hut'];
+
+export const FAVORITE_CSV_HEADERS = ['Type', 'Name', 'Account', 'Equipment', 'Address', 'City', 'Status', 'Latitude', 'Longitude', 'Pinned'];
+
+const TYPE_LABELS = { subscriber: 'Subscriber', mst: 'MST', hut: 'Hut' };
+
+// Query fields that name a customer; searches on them are never kept
+const IDENTIFYING_QUERY_KEYS = Object.keys(QUERY_FIELDS)
+    .filter(key => PII_FIELDS.includes(QUERY_FIELDS[key].field) || REDACTED_FIELDS.includes(QUERY_FIELDS[key].field));
+
+/**
+ * Whether a typed search can be kept in the recent list: field queries on non-identifying
+ * fields only ("status:offline ta5k:CULLMAN-1"), never free text that may be a name or account
+ * @param {string} term
+ * @returns {boolean}
+ */
+export const isStorableTerm = (term) => {
+    const { clauses, text, errors } = subscriberQueryService.parse(term);
+    return clauses.length > 0 && text.length === 0 && errors.length === 0 &&
+        clauses.every(clause => !IDENTIFYING_QUERY_KEYS.includes(clause.key));
+};
+
+/**
+ * Kind of a HeaderSearch result: an infrastructure type key, 'pole', 'mst', 'location' or 'subscriber'
+ * @param {Object} result
+ * @returns {string}
+ */
+export const getResultKind = (result) => (
+    result?.infrastructure || ['pole', 'mst', 'location'].includes(result?.type) ? result.type : 'subscriber'
+);
+
+// 53-bit string hash (cyrb53) - subscriber keys only need to be stable on this device, not reversible
+const hashString = (value) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < value.length; i++) {
+        const code = value.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+/**
+ * Kind and name (a subscriber hash, equipment or hut name, or coordinates) from a stored key
+ * @param {string} key - From SearchHistoryService.getKey
+ * @returns {{kind: string, name: string}}
+ */
+export const parseResultKey = (key) => {
+    const separator = String(key).indexOf(':');
+    return { kind: key.slice(0, separator), name: key.slice(separator + 1) };
+};
+
+const toCoordinate = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// Keys written before subscriber keys were hashed carry the account itself
+const isLegacySubscriberKey = (key) => key.startsWith('subscriber:') && !key.startsWith('subscriber:#');
+
+/**
+ * SearchHistoryService - Recent searches and selections, and pinned subscribers, MSTs and huts
+ *
+ * Recents are { key, term, at } for a field query that was run, or { key, latitude, longitude, at }
+ * for a result that was opened; favorites are { key, latitude, longitude, pinnedAt }. The key
+ * carries the equipment or hut name, or for subscribers a salted hash of the account (see getKey),
+ * and the caller resolves it to current data when listing, so no names, addresses or account
+ * numbers sit in local storage. Both lists are cleared, and the salt replaced, when the user signs
+ * out or their role changes. watchStorage() relays changes made in other tabs as the same
+ * 'searchHistoryChanged' event.
+ */
+export class SearchHistoryService {
+    constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+        this.storage = storage;
+        this.accountIndex = null;
+    }
+
+    /**
+     * Identity of a result across searches, so it is listed and pinned once
+     * @param {Object} result - HeaderSearch result, or one from resolving a stored entry (historyKey)
+     * @returns {string}
+     */
+    getKey(result) {
+        if (result.historyKey) return result.historyKey;
+        const kind = getResultKind(result);
+        if (kind === 'subscriber') return this.getSubscriberKey(result.customer_number || result.id);
+        if (kind === 'location') return `location:${Number(result.latitude).toFixed(5)},${Number(result.longitude).toFixed(5)}`;
+        return `${kind}:${result.name || result.equipmentname || result.wmElementN || result.id}`;
+    }
+
+    getSubscriberKey(account) {
+        return `subscriber:#${hashString(`${this.getSalt()}:${account}`)}`;
+    }
+
+    // Per-device, so a key copied off one device says nothing about the account on another
+    getSalt() {
+        let salt = this.storage?.getItem(SALT_KEY);
+        if (!salt) {
+            salt = this.createSalt();
+            try {
+                this.storage?.setItem(SALT_KEY, salt);
+            } catch (error) {
+                log.warn('Could not save search history salt:', error);
+            }
+        }
+        return salt;
+    }
+
+    createSalt() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    /**
+     * Subscriber a stored key refers to
+     * @param {string} key - subscriber:#... key
+     * @param {Array<Object>} subscribers - Current records with an account (EnhancedSearchService)
+     * @returns {Object|null}
+     */
+    findSubscriber(key, subscribers = []) {
+        const salt = this.getSalt();
+        if (this.accountIndex?.source !== subscribers || this.accountIndex.salt !== salt) {
+            this.accountIndex = {
+                source: subscribers,
+                salt,
+                byKey: new Map(subscribers.map(subscriber => [this.getSubscriberKey(subscriber.account), subscriber]))
+            };
+        }
+        return this.accountIndex.byKey.get(key) || null;
+    }
+
+    // Only the key and where it is are stored; names, addresses and statuses are looked up when listed
+    toReference(result) {
+        return {
+            key: this.getKey(result),
+            latitude: toCoordinate(result.latitude),
+            longitude: toCoordinate(result.longitude)
+        };
+    }
+
+    // Drops entries saved before lists were reduced to keys and typed searches that may name a
+    // customer, and hashes subscriber keys that still carry the account
+    normalizeEntry(entry) {
+        if (!entry?.key) return null;
+        const time = entry.pinnedAt ? { pinnedAt: entry.pinnedAt } : { at: entry.at };
+        if (entry.term !== undefined) return isStorableTerm(entry.term) ? { key: entry.key, term: entry.term, ...time } : null;
+        if (entry.key.startsWith('search:')) return null;
+        const key = isLegacySubscriberKey(entry.key) ? this.getSubscriberKey(parseResultKey(entry.key).name) : entry.key;
+        const source = entry.result || entry;
+        return { key, latitude: toCoordinate(source.latitude), longitude: toCoordinate(source.longitude), ...time };
+    }
+
+    /**
+     * Recent searches and selections, most recent first
+     * @returns {Array<Object>}
+     */
+    listRecents() {
+        return this.read(RECENTS_KEY);
+    }
+
+    /**
+     * Pinned results, most recently pinned first
+     * @returns {Array<Object>}
+     */
+    listFavorites() {
+        return this.read(FAVORITES_KEY);
+    }
+
+    /**
+     * Remember a field query; free text and queries on names, accounts or addresses are not kept
+     * @param {string} term
+     */
+    addRecentSearch(term) {
+        const trimmed = String(term || '').trim();
+        if (trimmed.length < 2 || !isStorableTerm(trimmed)) return;
+        this.addRecent({ key: `search:${trimmed.toLowerCase()}`, term: trimmed, at: new Date().toISOString() });
+    }
+
+    /**
+     * Remember an opened result; a pinned result's location is refreshed at the same time
+     * @param {Object} result - HeaderSearch result
+     */
+    addRecentSelection(result) {
+        if (!result) return;
+        const reference = this.toReference(result);
+        this.addRecent({ ...reference, at: new Date().toISOString() });
+
+        const favorites = this.listFavorites();
+        if (favorites.some(favorite => favorite.key === reference.key)) {
+            this.write(FAVORITES_KEY, favorites.map(favorite => favorite.key === reference.key ? { ...favorite, ...reference } : favorite));
+        }
+    }
+
+    addRecent(entry) {
+        const recents = [entry, ...this.listRecents().filter(recent => recent.key !== entry.key)].slice(0, MAX_RECENTS);
+        this.write(RECENTS_KEY, recents);
+    }
+
+    removeRecent(key) {
+        this.write(RECENTS_KEY, this.listRecents().filter(recent => recent.key !== key));
+    }
+
+    clearRecents() {
+        this.write(RECENTS_KEY, []);
+    }
+
+    // Sign-out and role changes: the next user of the device should not see this history
+    clearAll() {
+        this.write(RECENTS_KEY, []);
+        this.write(FAVORITES_KEY, []);
+        try {
+            this.storage?.setItem(SALT_KEY, this.createSalt());
+        } catch (error) {
+            log.warn('Could not replace search history salt:', error);
+        }
+        log.info('🧹 Search history cleared');
+    }
+
+    canFavorite(result) {
+        return !!result && FAVORITE_TYPES.includes(getResultKind(result));
+    }
+
+    isFavorite(result) {
+        if (!result) return false;
+        const key = this.getKey(result);
+        return this.listFavorites().some(favorite => favorite.key === key);
+    }
+
+    /**
+     * Pin a result, or unpin it if it is already pinned
+     * @param {Object} result - HeaderSearch result for a subscriber, MST or hut
+     * @returns {boolean} Whether the result is pinned now
+     */
+    toggleFavorite(result) {
+        if (!this.canFavorite(result)) throw new Error('Only subscribers, MSTs and huts can be pinned');
+
+        const key = this.getKey(result);
+        const favorites = this.listFavorites();
+        if (favorites.some(favorite => favorite.key === key)) {
+            this.removeFavorite(key);
+            return false;
+        }
+
+        const favorite = { ...this.toReference(result), pinnedAt: new Date().toISOString() };
+        this.write(FAVORITES_KEY, [favorite, ...favorites].slice(0, MAX_FAVORITES));
+        log.info(`📌 Pinned a ${getResultKind(result)}`);
+        return true;
+    }
+
+    removeFavorite(key) {
+        this.write(FAVORITES_KEY, this.listFavorites().filter(favorite => favorite.key !== key));
+    }
+
+    /**
+     * Favorites as CSV rows for FAVORITE_CSV_HEADERS
+     * @param {Function} [resolve] - favorite => current result (already redacted for display), or null
+     * @returns {Array<Object>} Subscribers that no longer resolve have blank name and account
+     */
+    formatFavoriteRows(resolve = () => null) {
+        return this.listFavorites().map(favorite => {
+            const { kind, name } = parseResultKey(favorite.key);
+            const subscriber = kind === 'subscriber';
+            const result = resolve(favorite) || {};
+            return {
+                'Type': TYPE_LABELS[kind] || kind,
+                'Name': subscriber ? result.customer_name || '' : '',
+                'Account': subscriber ? result.customer_number || '' : '',
+                'Equipment': subscriber ? '' : name,
+                'Address': result.address || '',
+                'City': result.city || '',
+                'Status': result.status || '',
+                'Latitude': favorite.latitude === null ? '' : favorite.latitude.toFixed(6),
+                'Longitude': favorite.longitude === null ? '' : favorite.longitude.toFixed(6),
+                'Pinned': new Date(favorite.pinnedAt).toLocaleString()
+            };
+        });
+    }
+
+    async exportFavorites(resolve) {
+        const { CSVExportService } = await import('../utils/csvExport.js');
+        return CSVExportService.exportToCSV(this.formatFavoriteRows(resolve), FAVORITE_CSV_HEADERS, 'search_favorites');
+    }
+
+    /**
+     * Rewrite both lists without the snapshots, typed names and account keys older versions stored
+     */
+    migrate() {
+        [RECENTS_KEY, FAVORITES_KEY].forEach(key => {
+            const raw = this.storage?.getItem(key);
+            if (!raw) return;
+            const entries = this.read(key);
+            if (JSON.stringify(entries) !== raw) this.write(key, entries);
+        });
+    }
+
+    /**
+     * Clear the history when the user signs out or their role changes
+     * @param {EventTarget} [target] - Document receiving AuthService 'authChanged' events
+     * @returns {Function} Stops watching
+     */
+    watchAuth(target = typeof document !== 'undefined' ? document : null) {
+        if (!target) return () => {};
+        const handler = (event) => {
+            if (['signed-out', 'role-changed'].includes(event.detail?.reason)) this.clearAll();
+        };
+        target.addEventListener('authChanged', handler);
+        return () => target.removeEventListener('authChanged', handler);
+    }
+
+    /**
+     * Relay history changes made in other tabs
+     * @param {EventTarget} [target] - Window receiving 'storage' events
+     * @returns {Function} Stops watching
+     */
+    watchStorage(target = typeof window !== 'undefined' ? window : null) {
+        if (!target) return () => {};
+        const handler = (event) => {
+            if (event.key === RECENTS_KEY || event.key === FAVORITES_KEY || event.key === null) {
+                this.notify(event.key === FAVORITES_KEY ? 'favorites' : 'recents');
+            }
+        };
+        target.addEventListener('storage', handler);
+        return () => target.removeEventListener('storage', handler);
+    }
+
+    read(key) {
+        try {
+            const entries = JSON.parse(this.storage?.getItem(key) || '[]');
+            return Array.isArray(entries) ? entries.map(entry => this.normalizeEntry(entry)).filter(Boolean) : [];
+        } catch (error) {
+            log.warn(`Could not read ${key}:`, error);
+            return [];
+        }
+    }
+
+    write(key, entries) {
+        try {
+            this.storage?.setItem(key, JSON.stringify(entries));
+        } catch (error) {
+            log.warn(`Could not save ${key}:`, error);
+        }
+        this.notify(key === FAVORITES_KEY ? 'favorites' : 'recents');
+    }
+
+    notify(list) {
+        if (typeof document !== 'undefined') {
+            document.dispatchEvent(new CustomEvent('searchHistoryChanged', { detail: { list } }));
+        }
+    }
+}
+
+// Export singleton instance
+export const searchHistoryService = new SearchHistoryService();
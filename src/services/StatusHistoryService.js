@@ -0,0 +1,223 @@
+// StatusHistoryService.js - Keeps a local history of subscriber status changes for timeline playback
+import { cacheService } from './CacheService.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('StatusHistory');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Key, status, position and network fields only. Names and addresses are not stored - playback
+// fills them in from the live subscriber list (see toGeoJSON)
+const SNAPSHOT_FIELDS = [
+    'id', 'account', 'status', 'service_type', 'ta5k', 'mst', 'remote_id', 'ont', 'light', 'fiber_distance',
+    'latitude', 'longitude', 'last_update'
+];
+
+// Snapshots written before customer fields were dropped carry no version
+const SNAPSHOT_VERSION = 2;
+
+/**
+ * StatusHistoryService - Records offline subscriber snapshots and reconstructs past states
+ *
+ * Storage uses keyframes (the full offline set) every few hours plus deltas
+ * (went offline / restored) whenever the set changes between polls. Any moment in the
+ * retention window is rebuilt from the nearest earlier keyframe and the deltas after it.
+ */
+export class StatusHistoryService {
+    constructor(cache = cacheService) {
+        this.cache = cache;
+        this.RETENTION_MS = 72 * HOUR_MS;
+        this.KEYFRAME_INTERVAL_MS = 6 * HOUR_MS;
+        this.previousOffline = null; // Map<id, record> from the last recorded poll
+        this.lastKeyframeAt = 0;
+        this.isReplaying = false;
+        this.legacyChecked = false;
+    }
+
+    /**
+     * Record the current offline set if it changed since the last poll
+     * @param {Object} offlineData - Result from SubscriberDataService.getOfflineSubscribers()
+     * @param {Object} [counts] - Extra totals to store with the snapshot (e.g. online, electricOffline)
+     * @returns {Promise<Object|null>} The stored snapshot, or null when nothing changed
+     */
+    async recordSnapshot(offlineData, counts = {}) {
+        if (!offlineData?.features || offlineData.error) return null;
+        // Field mode bundles are partial and stale - recording them would look like mass restorations
+        if (offlineData.offlineBundle) return null;
+
+        try {
+            if (!this.previousOffline) await this.dropLegacySnapshots();
+
+            const now = Date.now();
+            const current = this.toRecordMap(offlineData.features);
+            const needsKeyframe = !this.previousOffline || (now - this.lastKeyframeAt) >= this.KEYFRAME_INTERVAL_MS;
+
+            let snapshot;
+            if (needsKeyframe) {
+                snapshot = {
+                    type: 'keyframe',
+                    version: SNAPSHOT_VERSION,
+                    timestamp: now,
+                    offline: [...current.values()],
+                    counts: { offline: current.size, ...counts }
+                };
+                this.lastKeyframeAt = now;
+                await this.cache.pruneStatusSnapshots(now - this.RETENTION_MS - this.KEYFRAME_INTERVAL_MS);
+            } else {
+                const { wentOffline, restored } = this.diffOfflineSets(this.previousOffline, current);
+                if (wentOffline.length === 0 && restored.length === 0) {
+                    this.previousOffline = current;
+                    return null;
+                }
+                snapshot = {
+                    type: 'delta',
+                    version: SNAPSHOT_VERSION,
+                    timestamp: now,
+                    wentOffline,
+                    restored,
+                    counts: { offline: current.size, ...counts }
+                };
+            }
+
+            await this.cache.addStatusSnapshot(snapshot);
+            this.previousOffline = current;
+            return snapshot;
+        } catch (error) {
+            log.error('Failed to record status snapshot:', error);
+            return null;
+        }
+    }
+
+    // Older snapshots stored customer names and addresses; drop the whole history if any remain
+    async dropLegacySnapshots() {
+        if (this.legacyChecked) return;
+        this.legacyChecked = true;
+
+        const snapshots = await this.cache.getStatusSnapshots(0);
+        if (snapshots.some(snapshot => snapshot.version !== SNAPSHOT_VERSION)) {
+            log.info('🧹 Clearing status history recorded with customer details');
+            await this.cache.clearStatusSnapshots();
+        }
+    }
+
+    /**
+     * Load the snapshots needed to replay the last N hours
+     * @param {number} hours - Window length (24-72)
+     * @returns {Promise<Object>} { start, end, frames: [{ timestamp, offlineCount, wentOffline, restored }], snapshots }
+     */
+    async getTimeline(hours = 24) {
+        const end = Date.now();
+        const start = end - Math.min(hours * HOUR_MS, this.RETENTION_MS);
+
+        // Reach back one keyframe interval so the state at `start` can be rebuilt
+        const snapshots = await this.cache.getStatusSnapshots(start - this.KEYFRAME_INTERVAL_MS);
+        const frames = snapshots
+            .filter(snapshot => snapshot.timestamp >= start)
+            .map(snapshot => ({
+                timestamp: snapshot.timestamp,
+                offlineCount: snapshot.counts?.offline ?? 0,
+                wentOffline: snapshot.type === 'delta' ? snapshot.wentOffline.length : 0,
+                restored: snapshot.type === 'delta' ? snapshot.restored.length : 0
+            }));
+
+        return { start, end, frames, snapshots };
+    }
+
+    /**
+     * Rebuild the offline set as it was at a point in time
+     * @param {Array} snapshots - Snapshots sorted oldest first
+     * @param {number} timestamp - Moment to reconstruct
+     * @returns {Map<string, Object>|null} Offline records keyed by id, or null if no history covers the time
+     */
+    reconstructAt(snapshots, timestamp) {
+        let state = null;
+
+        for (const snapshot of snapshots) {
+            if (snapshot.timestamp > timestamp) break;
+
+            if (snapshot.type === 'keyframe') {
+                state = new Map(snapshot.offline.map(record => [record.id, record]));
+            } else if (state) {
+                snapshot.restored.forEach(id => state.delete(id));
+                snapshot.wentOffline.forEach(record => state.set(record.id, record));
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Compare two offline sets
+     * @param {Map} previous - Previous offline records keyed by id
+     * @param {Map} current - Current offline records keyed by id
+     * @returns {{ wentOffline: Array<Object>, restored: Array<string> }}
+     */
+    diffOfflineSets(previous, current) {
+        const wentOffline = [];
+        const restored = [];
+
+        current.forEach((record, id) => {
+            if (!previous.has(id)) wentOffline.push(record);
+        });
+        previous.forEach((record, id) => {
+            if (!current.has(id)) restored.push(id);
+        });
+
+        return { wentOffline, restored };
+    }
+
+    toRecordMap(features) {
+        const records = new Map();
+
+        features.forEach(feature => {
+            const props = feature.properties || {};
+            const id = String(props.account ?? props.id ?? props.customer_number ?? '');
+            if (!id) return;
+
+            const record = { id };
+            SNAPSHOT_FIELDS.forEach(field => {
+                if (props[field] !== undefined && props[field] !== null) record[field] = props[field];
+            });
+
+            if (record.latitude === undefined && feature.geometry?.type === 'Point') {
+                record.longitude = feature.geometry.coordinates[0];
+                record.latitude = feature.geometry.coordinates[1];
+            }
+
+            records.set(id, record);
+        });
+
+        return records;
+    }
+
+    /**
+     * Convert reconstructed records back into a GeoJSON result for LayerManager
+     * @param {Map<string, Object>} records
+     * @param {Function} [lookup] - id => live attributes (name, address) to show in the popup, or null
+     * @returns {Object} { type, features, count }
+     */
+    toGeoJSON(records, lookup = null) {
+        const features = [...records.values()]
+            .filter(record => Number.isFinite(parseFloat(record.latitude)) && Number.isFinite(parseFloat(record.longitude)))
+            .map(record => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [parseFloat(record.longitude), parseFloat(record.latitude)]
+                },
+                properties: { ...lookup?.(record.id), ...record }
+            }));
+
+        return { type: 'FeatureCollection', features, count: features.length };
+    }
+
+    async clearHistory() {
+        await this.cache.clearStatusSnapshots();
+        this.previousOffline = null;
+        this.lastKeyframeAt = 0;
+    }
+}
+
+// Export singleton instance
+export const statusHistoryService = new StatusHistoryService();
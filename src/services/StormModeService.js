@@ -0,0 +1,120 @@
+// StormModeService.js - State, live summary trends and the batched notification digest for storm mode
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('StormMode');
+
+const KIND_SEVERITY = { info: 0, success: 1, warning: 2, danger: 3 };
+
+/**
+ * StormModeService - Tracks storm mode and the numbers shown while it is on
+ *
+ * The summary keeps one sample per update for SAMPLE_WINDOW_MS so the panel can show how
+ * offline counts and outages moved over the trend window. Toast-style updates are queued
+ * instead of shown, and takeDigest() merges them: count changes collapse to first -> latest,
+ * other messages are listed once each.
+ */
+export class StormModeService {
+    constructor(options = {}) {
+        this.enabled = false;
+        this.TREND_WINDOW_MS = options.trendWindowMs ?? 15 * 60 * 1000;
+        this.SAMPLE_WINDOW_MS = options.sampleWindowMs ?? 60 * 60 * 1000;
+        this.MAX_DIGEST_MESSAGES = options.maxDigestMessages ?? 8;
+        this.summary = {};
+        this.samples = []; // [{ timestamp, ...summary }]
+        this.countChanges = new Map(); // key -> { label, from, to }
+        this.messages = []; // [{ kind, text }]
+    }
+
+    setEnabled(enabled) {
+        if (this.enabled === !!enabled) return;
+        this.enabled = !!enabled;
+        // Each storm starts its trends fresh
+        this.summary = {};
+        this.samples = [];
+        log.info(this.enabled ? '⛈️ Storm mode on' : '🌤️ Storm mode off');
+        document.dispatchEvent(new CustomEvent('stormModeChanged', { detail: { enabled: this.enabled } }));
+    }
+
+    /**
+     * Merge new figures into the live summary and keep a sample for trends
+     * @param {Object} changes - Any of { offline, electricOffline, outages, customersOut, crewsAssigned, trucks }
+     * @param {number} [now]
+     * @returns {Object} The updated summary
+     */
+    updateSummary(changes, now = Date.now()) {
+        this.summary = { ...this.summary, ...changes, updatedAt: now };
+        this.samples.push({ ...this.summary, timestamp: now });
+        this.samples = this.samples.filter(sample => now - sample.timestamp <= this.SAMPLE_WINDOW_MS);
+        return this.summary;
+    }
+
+    /**
+     * Change in a summary figure over the trend window
+     * @param {string} metric - Summary key, e.g. 'offline'
+     * @param {number} [now]
+     * @returns {Object|null} { change, minutes } against the baseline sample, null until there is one
+     */
+    getTrend(metric, now = Date.now()) {
+        const current = this.summary[metric];
+        if (typeof current !== 'number') return null;
+
+        // Latest sample from at least TREND_WINDOW_MS ago, or the oldest one while storm mode is young
+        const cutoff = now - this.TREND_WINDOW_MS;
+        const baseline = [...this.samples].reverse().find(sample => sample.timestamp <= cutoff && typeof sample[metric] === 'number')
+            || this.samples.find(sample => typeof sample[metric] === 'number');
+        if (!baseline || baseline.timestamp === this.summary.updatedAt) return null;
+        return { change: current - baseline[metric], minutes: Math.round((now - baseline.timestamp) / 60000) };
+    }
+
+    /**
+     * Queue a count change for the next digest - repeated changes collapse to first -> latest
+     * @param {string} key
+     * @param {string} label - e.g. 'Offline subscribers'
+     * @param {number} from
+     * @param {number} to
+     */
+    queueCountChange(key, label, from, to) {
+        const existing = this.countChanges.get(key);
+        this.countChanges.set(key, { label, from: existing ? existing.from : from, to });
+    }
+
+    queueMessage(kind, text) {
+        if (this.messages.some(message => message.text === text)) return;
+        this.messages.push({ kind, text });
+    }
+
+    /**
+     * Everything queued since the last digest, then clear the queue
+     * @returns {Object|null} { kind, lines } or null when nothing changed
+     */
+    takeDigest() {
+        const lines = [];
+        let kind = 'info';
+        const raise = (candidate) => {
+            if ((KIND_SEVERITY[candidate] ?? 0) > KIND_SEVERITY[kind]) kind = candidate;
+        };
+
+        this.countChanges.forEach(({ label, from, to }) => {
+            const change = to - from;
+            if (change === 0) return;
+            lines.push(`${label}: ${from.toLocaleString()} → ${to.toLocaleString()} (${change > 0 ? '+' : ''}${change.toLocaleString()})`);
+            raise(change > 0 ? 'warning' : 'success');
+        });
+
+        this.messages.slice(0, this.MAX_DIGEST_MESSAGES).forEach(message => {
+            lines.push(message.text);
+            raise(message.kind);
+        });
+        if (this.messages.length > this.MAX_DIGEST_MESSAGES) {
+            lines.push(`…and ${this.messages.length - this.MAX_DIGEST_MESSAGES} more update(s)`);
+        }
+
+        this.countChanges.clear();
+        this.messages = [];
+        return lines.length > 0 ? { kind, lines } : null;
+    }
+}
+
+// Export singleton instance
+export const stormModeService = new StormModeService();
@@ -0,0 +1,231 @@
+// SubscriberQueryService.js - "status:offline ta5k:CULLMAN-1 light<-27" style subscriber queries
+import { parseLightLevel, parseFiberDistanceKm } from './OpticalSignalService.js';
+
+/**
+ * Query fields over the subscriber schema from subscriberDataService._mapDatabaseRecord.
+ * match: 'exact' for codes and statuses, 'contains' for free text; numeric fields take
+ * comparison operators and are parsed with parse(). Only suggestValues fields offer their
+ * values in autocomplete, so names and account numbers are never listed.
+ */
+export const QUERY_FIELDS = {
+    status: { field: 'status', label: 'Status', match: 'exact', suggestValues: true },
+    ta5k: { field: 'ta5k', label: 'TA5K', match: 'exact', suggestValues: true },
+    remote: { field: 'remote_id', label: 'Remote ID', match: 'exact', suggestValues: true, aliases: ['remote_id'] },
+    ont: { field: 'ont', label: 'ONT', match: 'exact' },
+    type: { field: 'service_type', label: 'Service type', match: 'contains', suggestValues: true, aliases: ['service'] },
+    name: { field: 'customer_name', label: 'Name', match: 'contains' },
+    account: { field: 'customer_number', label: 'Account', match: 'exact', aliases: ['acct'] },
+    address: { field: 'address', label: 'Address', match: 'contains', aliases: ['addr'] },
+    city: { field: 'city', label: 'City', match: 'contains', suggestValues: true },
+    zip: { field: 'zip_code', label: 'ZIP code', match: 'exact', suggestValues: true, aliases: ['postcode'] },
+    light: { field: 'light', label: 'Light level (dBm)', numeric: true, parse: parseLightLevel },
+    distance: { field: 'fiber_distance', label: 'Fiber distance (km)', numeric: true, parse: parseFiberDistanceKm, aliases: ['fiber_distance'] }
+};
+
+// field, operator, value - the value may be quoted to include spaces
+const CLAUSE_PATTERN = /^([a-z_0-9]+)(<=|>=|!=|!:|<|>|=|:)(.*)$/i;
+
+const MAX_VALUE_SUGGESTIONS = 8;
+
+const lower = (value) => String(value ?? '').trim().toLowerCase();
+
+// Split on whitespace outside double quotes
+const tokenize = (term) => {
+    const tokens = [];
+    let current = '';
+    let quoted = false;
+    for (const char of String(term || '')) {
+        if (char === '"') {
+            quoted = !quoted;
+            current += char;
+        } else if (/\s/.test(char) && !quoted) {
+            if (current) tokens.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current) tokens.push(current);
+    return tokens;
+};
+
+const unquote = (value) => value.replace(/^"|"$/g, '');
+
+const globToRegExp = (pattern) => new RegExp(
+    `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`,
+    'i'
+);
+
+/**
+ * SubscriberQueryService - Parses field queries and filters the subscriber list with them
+ *
+ * All clauses must match (AND). Words without an operator are matched against name, account
+ * and address. Text values may use * as a wildcard; != and !: negate a clause.
+ */
+export class SubscriberQueryService {
+    constructor(fields = QUERY_FIELDS) {
+        this.fields = fields;
+        this.aliases = new Map();
+        Object.entries(fields).forEach(([key, config]) => {
+            this.aliases.set(key, key);
+            (config.aliases || []).forEach(alias => this.aliases.set(alias, key));
+        });
+    }
+
+    resolveField(name) {
+        return this.aliases.get(lower(name)) || null;
+    }
+
+    /**
+     * True when the term has at least one clause on a known field
+     * @param {string} term
+     * @returns {boolean}
+     */
+    isQuery(term) {
+        return tokenize(term).some(token => {
+            const match = token.match(CLAUSE_PATTERN);
+            return match && this.resolveField(match[1]) && match[3] !== '';
+        });
+    }
+
+    /**
+     * Parse a query into clauses
+     * @param {string} term
+     * @returns {Object} { clauses: [{ key, op, value, number }], text: [words], errors: [messages] }
+     */
+    parse(term) {
+        const clauses = [];
+        const text = [];
+        const errors = [];
+
+        tokenize(term).forEach(token => {
+            const match = token.match(CLAUSE_PATTERN);
+            const key = match ? this.resolveField(match[1]) : null;
+            if (!key) {
+                text.push(lower(unquote(token)));
+                return;
+            }
+
+            const [, , op, rawValue] = match;
+            const value = unquote(rawValue).trim();
+            if (!value) return; // still being typed
+
+            const config = this.fields[key];
+            if (config.numeric) {
+                const number = parseFloat(value);
+                if (!Number.isFinite(number)) {
+                    errors.push(`${key} needs a number`);
+                    return;
+                }
+                clauses.push({ key, op, value, number });
+            } else if (['<', '>', '<=', '>='].includes(op)) {
+                errors.push(`${key} can't be compared with ${op}`);
+            } else {
+                clauses.push({ key, op, value });
+            }
+        });
+
+        return { clauses, text, errors };
+    }
+
+    matchesClause(record, clause) {
+        const config = this.fields[clause.key];
+        const raw = record[config.field];
+
+        if (config.numeric) {
+            const actual = config.parse ? config.parse(raw) : parseFloat(raw);
+            if (actual === null || !Number.isFinite(actual)) return clause.op === '!=' || clause.op === '!:';
+            switch (clause.op) {
+                case '<': return actual < clause.number;
+                case '<=': return actual <= clause.number;
+                case '>': return actual > clause.number;
+                case '>=': return actual >= clause.number;
+                case '!=':
+                case '!:': return actual !== clause.number;
+                default: return actual === clause.number;
+            }
+        }
+
+        const actual = lower(raw);
+        const expected = lower(clause.value);
+        let matches;
+        if (expected.includes('*')) {
+            matches = globToRegExp(expected).test(actual);
+        } else if (config.match === 'contains' && clause.op === ':') {
+            matches = actual.includes(expected);
+        } else {
+            matches = actual === expected;
+        }
+        return clause.op === '!=' || clause.op === '!:' ? !matches : matches;
+    }
+
+    /**
+     * Subscribers matching every clause and free-text word
+     * @param {Array<Object>} records - Mapped subscriber records
+     * @param {Object} query - Result of parse()
+     * @returns {Array<Object>}
+     */
+    filter(records, query) {
+        return records.filter(record => {
+            if (!query.clauses.every(clause => this.matchesClause(record, clause))) return false;
+            if (query.text.length === 0) return true;
+            const haystack = lower([record.customer_name, record.customer_number, record.address, record.city].join(' '));
+            return query.text.every(word => haystack.includes(word));
+        });
+    }
+
+    /**
+     * Autocomplete for the last word: field names, then the most common values of that field
+     * @param {string} term
+     * @param {Array<Object>} records - Values are drawn from these
+     * @returns {Array<Object>} [{ label, description, term }] where term is the completed query
+     */
+    suggest(term, records = []) {
+        const text = String(term || '');
+        // Completing a word means replacing it, so the prefix keeps the user's spacing
+        const lastStart = /\s$/.test(text) ? text.length : text.search(/\S+$/);
+        const before = lastStart >= 0 ? text.slice(0, lastStart) : text;
+        const last = lastStart >= 0 ? text.slice(lastStart) : '';
+
+        const match = last.match(CLAUSE_PATTERN);
+        if (!match) {
+            // Field names are offered once the query has a clause, so plain searches stay quiet
+            if (!this.isQuery(before)) return [];
+            const partial = lower(last);
+            return Object.entries(this.fields)
+                .filter(([key]) => key.startsWith(partial))
+                .map(([key, config]) => ({
+                    label: `${key}${config.numeric ? '<' : ':'}`,
+                    description: config.label,
+                    term: `${before}${key}${config.numeric ? '<' : ':'}`
+                }));
+        }
+
+        const key = this.resolveField(match[1]);
+        const config = key ? this.fields[key] : null;
+        if (!config?.suggestValues) return [];
+
+        const partial = lower(unquote(match[3]));
+        const counts = new Map();
+        records.forEach(record => {
+            const value = String(record[config.field] ?? '').trim();
+            if (!value || !value.toLowerCase().startsWith(partial)) return;
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+
+        return [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, MAX_VALUE_SUGGESTIONS)
+            .map(([value, count]) => {
+                const quoted = /\s/.test(value) ? `"${value}"` : value;
+                return {
+                    label: `${match[1]}${match[2]}${quoted}`,
+                    description: `${count.toLocaleString()} subscriber(s)`,
+                    term: `${before}${match[1]}${match[2]}${quoted} `
+                };
+            });
+    }
+}
+
+// Export singleton instance
+export const subscriberQueryService = new SubscriberQueryService();
@@ -0,0 +1,270 @@
+// SubscriberRealtimeService.js - Supabase Realtime feed for subscriber status changes
+import { supabase, subscriberDataService } from '../dataService.js';
+import { geoJSONTransformService } from './GeoJSONTransformService.js';
+import { statusHistoryService } from './StatusHistoryService.js';
+import { getLayerConfig } from '../config/layerConfigs.js';
+import { classifySubscriberRecord } from '../utils/subscriberFilters.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('SubscriberRealtime');
+
+const TABLE_NAME = 'fiber_subscriber_status_live';
+
+// Subscriber sets kept in sync, matching the filters used by SubscriberDataService
+const SUBSCRIBER_SETS = {
+    offline: { layerId: 'offline-subscribers', configKey: 'offlineSubscribers', status: 'offline' },
+    electricOffline: { layerId: 'electric-offline-subscribers', configKey: 'electricOfflineSubscribers', status: 'offline' },
+    online: { layerId: 'online-subscribers', configKey: 'onlineSubscribers', status: 'online' }
+};
+
+/**
+ * SubscriberRealtimeService - Applies row changes on fiber_subscriber_status_live to the map
+ *
+ * Keeps the last full result for each subscriber set (seeded by polling) and patches only the
+ * rows that changed. The merged sets go to onUpdate rather than straight to the map: the caller
+ * runs power correlation first and then writes each layer once with applyToLayers.
+ * Connection state is reported to the caller so polling can take over while the channel is down.
+ */
+export class SubscriberRealtimeService {
+    constructor() {
+        this.channel = null;
+        this.status = 'disconnected'; // 'connecting' | 'connected' | 'disconnected'
+        this.layerManager = null;
+        this.callbacks = {};
+        this.features = {
+            offline: new Map(),
+            electricOffline: new Map(),
+            online: new Map()
+        };
+        this.seeded = { offline: false, electricOffline: false, online: false };
+        this.pendingChanges = new Map(); // account -> latest payload (bursts collapse to one update)
+        this.flushTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.FLUSH_DELAY = 1000;
+        this.MAX_RECONNECT_DELAY = 60000;
+    }
+
+    /**
+     * Open the realtime channel
+     * @param {Object} options
+     * @param {Object} options.layerManager - LayerManager used to apply updates
+     * @param {Function} [options.onConnected] - Called when the channel is subscribed
+     * @param {Function} [options.onDisconnected] - Called with the reason when the channel drops
+     * @param {Function} [options.onUpdate] - Called with the changed sets ({ offline, electricOffline, online, changed }); writes them to the map
+     */
+    start({ layerManager, onConnected, onDisconnected, onUpdate } = {}) {
+        this.layerManager = layerManager;
+        this.callbacks = { onConnected, onDisconnected, onUpdate };
+        this.connect();
+    }
+
+    connect() {
+        if (this.channel) return;
+
+        this.status = 'connecting';
+        log.info(`📡 Subscribing to realtime changes on ${TABLE_NAME}`);
+
+        this.channel = supabase
+            .channel('subscriber-status-changes')
+            .on('postgres_changes', { event: '*', schema: 'public', table: TABLE_NAME }, (payload) => this.queueChange(payload))
+            .subscribe((status, error) => this.handleChannelStatus(status, error));
+    }
+
+    handleChannelStatus(status, error) {
+        if (status === 'SUBSCRIBED') {
+            this.status = 'connected';
+            this.reconnectAttempts = 0;
+            log.info('✅ Subscriber realtime channel connected');
+            this.callbacks.onConnected?.();
+            return;
+        }
+
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+            const wasConnected = this.status === 'connected';
+            this.status = 'disconnected';
+            log.warn(`⚠️ Subscriber realtime channel ${status.toLowerCase()}${error ? `: ${error.message}` : ''}`);
+
+            if (wasConnected || this.reconnectAttempts === 0) {
+                this.callbacks.onDisconnected?.(status);
+            }
+
+            // CLOSED without a channel means stop() was called - don't reconnect
+            if (this.channel) this.scheduleReconnect();
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        const delay = Math.min(this.MAX_RECONNECT_DELAY, 2000 * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+        log.info(`🔁 Reconnecting subscriber realtime channel in ${delay / 1000}s`);
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            await this.removeChannel();
+            this.connect();
+        }, delay);
+    }
+
+    /**
+     * Replace the known state for each subscriber set present in a polling result
+     * @param {Object} data - { offline, electricOffline, online } results from PollingManager
+     */
+    seed(data) {
+        Object.keys(SUBSCRIBER_SETS).forEach(setName => {
+            const result = data?.[setName];
+            if (!result?.features || result.error || result.offlineBundle) return;
+
+            this.features[setName] = new Map(
+                result.features.map(feature => [this.getFeatureKey(feature), feature])
+            );
+            this.seeded[setName] = true;
+        });
+    }
+
+    queueChange(payload) {
+        const record = payload.new && Object.keys(payload.new).length > 0 ? payload.new : payload.old;
+        const key = record?.account !== undefined ? String(record.account) : null;
+        if (!key) return;
+
+        this.pendingChanges.set(key, payload);
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.FLUSH_DELAY);
+        }
+    }
+
+    async flush() {
+        this.flushTimer = null;
+        const changes = [...this.pendingChanges.entries()];
+        this.pendingChanges.clear();
+        if (changes.length === 0) return;
+
+        const changed = new Set();
+
+        changes.forEach(([key, payload]) => {
+            // Drop the subscriber from every set, then re-add it where its new state belongs
+            Object.keys(this.features).forEach(setName => {
+                if (this.features[setName].delete(key)) changed.add(setName);
+            });
+
+            if (payload.eventType === 'DELETE') return;
+
+            const setName = this.classifyRecord(payload.new);
+            if (!setName) return;
+
+            const feature = this.toFeature(payload.new, SUBSCRIBER_SETS[setName].status);
+            if (feature) {
+                this.features[setName].set(key, feature);
+                changed.add(setName);
+            }
+        });
+
+        // Timeline playback owns the subscriber layers - keep the state current but leave the map alone
+        if (statusHistoryService.isReplaying) return;
+
+        log.info(`⚡ Applying ${changes.length} realtime subscriber change(s) to: ${[...changed].join(', ') || 'none'}`);
+
+        const data = {};
+        for (const setName of changed) {
+            // Only hand on sets we have a full baseline for - otherwise the layer would shrink to the changed rows
+            if (this.seeded[setName]) data[setName] = this.getResult(setName);
+        }
+
+        if (Object.keys(data).length > 0) {
+            await this.callbacks.onUpdate?.({ ...data, changed: changes.length });
+        }
+    }
+
+    /**
+     * Write subscriber sets to their layers
+     * @param {Object} data - { offline, electricOffline, online }; sets left out are not touched
+     */
+    async applyToLayers(data) {
+        for (const setName of Object.keys(SUBSCRIBER_SETS)) {
+            if (data?.[setName]) await this.applyToLayer(setName, data[setName]);
+        }
+    }
+
+    async applyToLayer(setName, result) {
+        const { layerId, configKey } = SUBSCRIBER_SETS[setName];
+        const layer = this.layerManager?.getLayer(layerId);
+        if (!layer) return false;
+
+        try {
+            const config = this.layerManager.layerConfigs.get(layerId) || getLayerConfig(configKey);
+            return await this.layerManager.updateGeoJSONLayer(layerId, config, result);
+        } catch (error) {
+            log.error(`Failed to apply realtime update to ${layerId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Decide which subscriber set a database row belongs to (same filters as the SubscriberDataService queries)
+     * @param {Object} record - Raw fiber_subscriber_status_live row
+     * @returns {'offline'|'electricOffline'|'online'|null}
+     */
+    classifyRecord(record) {
+        return classifySubscriberRecord(record);
+    }
+
+    toFeature(record, status) {
+        const mapped = subscriberDataService._mapDatabaseRecord(record);
+        return geoJSONTransformService.convertToGeoJSONFeatures([mapped], status)[0] || null;
+    }
+
+    getFeatureKey(feature) {
+        const props = feature.properties || {};
+        return String(props.account ?? props.customer_number ?? props.id);
+    }
+
+    getResult(setName) {
+        const features = [...this.features[setName].values()];
+        return {
+            count: features.length,
+            data: features.map(feature => feature.properties),
+            features,
+            lastUpdated: new Date().toISOString(),
+            fromCache: false
+        };
+    }
+
+    isConnected() {
+        return this.status === 'connected';
+    }
+
+    async removeChannel() {
+        if (!this.channel) return;
+        const channel = this.channel;
+        this.channel = null;
+        try {
+            await supabase.removeChannel(channel);
+        } catch (error) {
+            log.warn('Failed to remove subscriber realtime channel:', error);
+        }
+    }
+
+    async stop() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.pendingChanges.clear();
+        // Drop callbacks first so the CLOSED status from removeChannel doesn't restart polling
+        this.callbacks = {};
+        this.status = 'disconnected';
+        await this.removeChannel();
+        log.info('🛑 Subscriber realtime channel stopped');
+    }
+}
+
+// Export singleton instance
+export const subscriberRealtimeService = new SubscriberRealtimeService();
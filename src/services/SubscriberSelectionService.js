@@ -0,0 +1,224 @@
+// SubscriberSelectionService.js - Subscribers inside a drawn lasso, polygon or DA boundary
+import { subscriberDataService } from '../dataService.js';
+import { infrastructureService } from './InfrastructureService.js';
+import { redactionService } from './RedactionService.js';
+import { createLogger } from '../utils/logger.js';
+import { getFeaturePosition, getGeometryBounds, isPointInPolygon, isPositionInBounds } from '../utils/geoUtils.js';
+
+// Initialize logger for this module
+const log = createLogger('SubscriberSelection');
+
+// Subscriber sets searched, keyed like the PollingManager subscriber result
+const SUBSCRIBER_SOURCES = {
+    offline: { method: 'getOfflineSubscribers', status: 'Offline' },
+    electricOffline: { method: 'getElectricOfflineSubscribers', status: 'Electric Offline' },
+    online: { method: 'getOnlineSubscribers', status: 'Online' }
+};
+
+// Repeated selections while planning reuse the last fetch instead of pulling every subscriber again
+const SOURCE_TTL_MS = 60 * 1000;
+
+const normalizeName = (value) => (value === null || value === undefined) ? '' : String(value).trim().toUpperCase();
+
+export const SELECTION_COLUMNS = [
+    { key: 'account', label: 'Account' },
+    { key: 'name', label: 'Name' },
+    { key: 'address', label: 'Address' },
+    { key: 'selectionStatus', label: 'Status' },
+    { key: 'serviceType', label: 'Service Type' },
+    { key: 'ta5k', label: 'TA5K' },
+    { key: 'mst', label: 'MST' }
+];
+
+/**
+ * SubscriberSelectionService - Ad-hoc area selections for storm planning
+ *
+ * Every subscriber set (offline, electric offline, online) is clipped to the selection
+ * geometry, so a selection covers all subscribers whether or not their layer is on. When the
+ * device is offline the data service already serves downloaded field mode bundles.
+ */
+export class SubscriberSelectionService {
+    constructor(subscriberData = subscriberDataService, infrastructure = infrastructureService) {
+        this.subscriberData = subscriberData;
+        this.infrastructure = infrastructure;
+        this.selection = null;
+        this.sourceCache = null; // { loadedAt, sets }
+    }
+
+    async getAreas() {
+        const boundaries = await this.infrastructure.getFSABoundaries();
+        const names = (boundaries?.features || [])
+            .map(feature => feature.properties?.areaname || feature.properties?.AREANAME)
+            .filter(Boolean);
+        return [...new Set(names)].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Select every subscriber inside a DA boundary
+     * @param {string} areaName
+     * @returns {Promise<Object>} See selectInArea
+     */
+    async selectDa(areaName) {
+        try {
+            const boundaries = await this.infrastructure.getFSABoundaries();
+            const boundary = (boundaries?.features || []).find(feature =>
+                normalizeName(feature.properties?.areaname || feature.properties?.AREANAME) === normalizeName(areaName));
+            if (!boundary) throw new Error(`Distribution area ${areaName} was not found`);
+
+            return this.selectInArea(boundary.geometry, { label: `DA ${areaName}` });
+        } catch (error) {
+            log.error('Failed to select DA subscribers:', error);
+            return this.errorResult(error);
+        }
+    }
+
+    /**
+     * Select every subscriber inside a GeoJSON Polygon or MultiPolygon (WGS84)
+     * @param {Object} geometry
+     * @param {Object} [options]
+     * @param {string} [options.label] - Shown in the panel, on exports and tickets
+     * @returns {Promise<Object>} { count, data, summary, label, geometry, lastUpdated, error?, errorMessage? }
+     */
+    async selectInArea(geometry, { label = 'Selected area' } = {}) {
+        try {
+            const sets = await this.loadSources();
+            const data = this.clip(sets, geometry);
+
+            const selection = {
+                count: data.length,
+                data,
+                summary: this.summarize(data),
+                label,
+                geometry,
+                lastUpdated: new Date()
+            };
+
+            this.selection = selection;
+            log.info(`🎯 Selected ${data.length} subscribers in ${label}`);
+            document.dispatchEvent(new CustomEvent('subscriberSelectionChanged', { detail: { count: data.length, label } }));
+            return selection;
+        } catch (error) {
+            log.error('Failed to select subscribers:', error);
+            return this.errorResult(error);
+        }
+    }
+
+    clear() {
+        this.selection = null;
+        document.dispatchEvent(new CustomEvent('subscriberSelectionChanged', { detail: { count: 0, label: null } }));
+    }
+
+    async loadSources() {
+        if (this.sourceCache && Date.now() - this.sourceCache.loadedAt < SOURCE_TTL_MS) {
+            return this.sourceCache.sets;
+        }
+
+        const entries = await Promise.all(Object.entries(SUBSCRIBER_SOURCES).map(async ([setName, source]) => {
+            const result = await this.subscriberData[source.method]();
+            if (result?.error) throw new Error(`Could not load ${setName} subscribers`);
+            return [setName, result?.features || []];
+        }));
+
+        const sets = Object.fromEntries(entries);
+        this.sourceCache = { loadedAt: Date.now(), sets };
+        return sets;
+    }
+
+    /**
+     * Pure clipping step - subscriber records inside the geometry, one per account
+     * @param {Object} sets - { offline, electricOffline, online } GeoJSON features
+     * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+     * @returns {Array<Object>}
+     */
+    clip(sets, geometry) {
+        const bounds = getGeometryBounds(geometry);
+        if (!bounds) return [];
+
+        const seen = new Set();
+        const records = [];
+        Object.entries(SUBSCRIBER_SOURCES).forEach(([setName, source]) => {
+            (sets[setName] || []).forEach(feature => {
+                const position = getFeaturePosition(feature);
+                if (!position || !isPositionInBounds(position, bounds) || !isPointInPolygon(position, geometry)) return;
+
+                const props = feature.properties || {};
+                const account = String(props.account || props.customer_number || props.id || '');
+                if (account && seen.has(account)) return;
+                if (account) seen.add(account);
+
+                records.push({
+                    ...props,
+                    account,
+                    name: props.customer_name || props.name || '',
+                    address: props.full_address || props.service_address || props.address || '',
+                    selectionStatus: source.status,
+                    serviceType: this.getServiceType(props.service_type),
+                    ta5k: props.ta5k || props.TA5K || '',
+                    mst: props.mst || props.MST || props.MapNumber || props.mapnumber || props.mst_terminal || '',
+                    longitude: position[0],
+                    latitude: position[1]
+                });
+            });
+        });
+
+        return records;
+    }
+
+    getServiceType(value) {
+        const text = typeof value === 'string' ? value.toLowerCase() : '';
+        if (text.includes('business')) return 'Business';
+        if (text.includes('residential')) return 'Residential';
+        return 'Other';
+    }
+
+    /**
+     * Counts by status and by service type
+     * @param {Array} records - From clip
+     * @returns {{total: number, byStatus: Object, byServiceType: Object}}
+     */
+    summarize(records) {
+        const count = (key) => records.reduce((counts, record) => {
+            counts[record[key]] = (counts[record[key]] || 0) + 1;
+            return counts;
+        }, {});
+        return { total: records.length, byStatus: count('selectionStatus'), byServiceType: count('serviceType') };
+    }
+
+    /**
+     * Tab-separated rows with a header, pastes straight into a spreadsheet
+     * @param {Object} [selection]
+     * @returns {string}
+     */
+    formatClipboardText(selection = this.selection) {
+        if (!selection?.data?.length) return '';
+        const clean = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ').trim();
+        return [
+            SELECTION_COLUMNS.map(column => column.label).join('\t'),
+            ...selection.data
+                .map(record => redactionService.maskAttributes(record))
+                .map(record => SELECTION_COLUMNS.map(column => clean(record[column.key])).join('\t'))
+        ].join('\n');
+    }
+
+    async exportCSV(selection = this.selection) {
+        const { CSVExportService } = await import('../utils/csvExport.js');
+        const filename = `subscribers_${(selection?.label || 'selection').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '')}`;
+        return CSVExportService.exportSubscriberSelection(selection?.data || [], filename);
+    }
+
+    errorResult(error) {
+        return {
+            count: 0,
+            data: [],
+            summary: this.summarize([]),
+            label: null,
+            geometry: null,
+            lastUpdated: new Date(),
+            error: true,
+            errorMessage: error.message
+        };
+    }
+}
+
+// Export singleton instance
+export const subscriberSelectionService = new SubscriberSelectionService();
@@ -0,0 +1,365 @@
+// TicketService.js - Trouble tickets from map popups, with an offline retry queue
+import { cacheService } from './CacheService.js';
+import { authService } from './AuthService.js';
+import { API_CONFIG } from '../config/apiConfig.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('TicketService');
+
+// Popup layer -> asset type on the ticket
+const ASSET_TYPES = {
+    'offline-subscribers': 'subscriber',
+    'online-subscribers': 'subscriber',
+    'electric-offline-subscribers': 'subscriber',
+    'mst-terminals': 'mst',
+    'splitters': 'splitter',
+    'poles': 'pole',
+    'closures': 'slack-loop',
+    'slack-loops': 'slack-loop',
+    'main-line-fiber': 'fiber-cable',
+    'main-line-old': 'fiber-cable',
+    'mst-fiber': 'fiber-cable',
+    'sprout-huts': 'hut'
+};
+
+const ASSET_LABELS = {
+    'subscriber': 'Subscriber',
+    'mst': 'MST',
+    'splitter': 'Splitter',
+    'pole': 'Pole',
+    'slack-loop': 'Slack Loop',
+    'fiber-cable': 'Fiber Cable',
+    'hut': 'Sprout Hut',
+    'area': 'Area',
+    'asset': 'Asset'
+};
+
+export const TICKET_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+const pick = (attributes, ...names) => {
+    for (const name of names) {
+        const value = attributes?.[name];
+        if (value !== undefined && value !== null && value !== '') return String(value);
+    }
+    return null;
+};
+
+/**
+ * TicketService - Builds, sends and queues trouble tickets
+ *
+ * Tickets are POSTed to API_CONFIG.TICKETS.ENDPOINT. When the device is offline, the request
+ * fails at the network level or the endpoint returns 5xx, the ticket is stored in the Dexie
+ * ticketQueue table and retried on reconnect and on an interval. 4xx responses are not retried -
+ * the endpoint rejected the ticket itself.
+ */
+export class TicketService {
+    constructor(cache = cacheService, config = API_CONFIG.TICKETS, auth = authService) {
+        this.cache = cache;
+        this.config = config || {};
+        this.auth = auth;
+        this.flushing = null;
+        this.retryTimer = null;
+    }
+
+    isConfigured() {
+        return !!this.config.ENDPOINT;
+    }
+
+    /**
+     * Pre-fill a ticket from a popup feature
+     * @param {Object} attributes - Graphic attributes
+     * @param {Object} [context]
+     * @param {string} [context.layerId] - Layer the feature came from
+     * @param {string} [context.details] - Popup text from PopupManager.extractDataFromFeature
+     * @param {Object} [context.location] - { latitude, longitude }
+     * @returns {Object} Ticket draft
+     */
+    buildDraft(attributes = {}, { layerId = null, details = null, location = null } = {}) {
+        const assetType = ASSET_TYPES[layerId] || (attributes.account !== undefined ? 'subscriber' : 'asset');
+
+        const assetIds = {
+            'subscriber': pick(attributes, 'account', 'customer_number'),
+            'mst': pick(attributes, 'equipmentn', 'EQUIPMENTN'),
+            'splitter': pick(attributes, 'equipmentn', 'EQUIPMENTN'),
+            'pole': pick(attributes, 'wmElementN', 'objectId'),
+            'slack-loop': pick(attributes, 'structure'),
+            'fiber-cable': pick(attributes, 'cable_name', 'CABLE_NAME'),
+            'hut': pick(attributes, 'name', 'Name')
+        };
+        const assetId = assetIds[assetType] || pick(attributes, 'id', 'OBJECTID', 'name');
+
+        const draft = {
+            asset_type: assetType,
+            asset_id: assetId,
+            account: pick(attributes, 'account', 'customer_number'),
+            customer_name: pick(attributes, 'customer_name', 'name'),
+            address: pick(attributes, 'full_address', 'service_address', 'address'),
+            status: pick(attributes, 'status', 'Status'),
+            ta5k: pick(attributes, 'ta5k', 'TA5K'),
+            ont: pick(attributes, 'ont', 'ONT'),
+            light: pick(attributes, 'light', 'Light'),
+            mst: pick(attributes, 'mst', 'MST', 'MapNumber', 'mapnumber', 'mst_terminal') || (assetType === 'mst' ? assetId : null),
+            pole_id: assetType === 'pole' ? assetId : null,
+            da: pick(attributes, 'distributi', 'DISTRIBUTI', 'distribution_area'),
+            latitude: location?.latitude ?? null,
+            longitude: location?.longitude ?? null,
+            priority: 'normal',
+            details: details || ''
+        };
+
+        if (assetType !== 'subscriber') {
+            // Subscriber-only fields would be misleading on an infrastructure ticket
+            draft.customer_name = null;
+            draft.status = null;
+        }
+
+        const label = ASSET_LABELS[assetType];
+        draft.summary = assetType === 'subscriber'
+            ? `${draft.status || 'Service'} issue - ${draft.customer_name || 'Subscriber'}${draft.account ? ` (${draft.account})` : ''}`
+            : `${label} ${assetId || ''} issue`.replace(/\s+/g, ' ').trim();
+
+        return draft;
+    }
+
+    /**
+     * Pre-fill one ticket covering an area selection
+     * @param {Object} selection - From SubscriberSelectionService.selectInArea
+     * @param {Object} [options]
+     * @param {number} [options.maxListed] - Subscribers listed in the details
+     * @returns {Object} Ticket draft
+     */
+    buildSelectionDraft(selection, { maxListed = 50 } = {}) {
+        const { data = [], summary = { byStatus: {} }, label = 'Selected area' } = selection || {};
+        const offline = (summary.byStatus['Offline'] || 0) + (summary.byStatus['Electric Offline'] || 0);
+        const center = data.length > 0
+            ? {
+                latitude: data.reduce((sum, s) => sum + s.latitude, 0) / data.length,
+                longitude: data.reduce((sum, s) => sum + s.longitude, 0) / data.length
+            }
+            : null;
+
+        const counts = Object.entries(summary.byStatus).map(([status, count]) => `${status}: ${count}`).join(', ');
+        const listed = data.slice(0, maxListed).map(s => `${s.account || '-'}  ${s.selectionStatus}  ${s.address || s.name || ''}`.trim());
+        const more = data.length > maxListed ? [`...and ${data.length - maxListed} more`] : [];
+
+        return {
+            asset_type: 'area',
+            asset_id: label,
+            accounts: data.map(s => s.account).filter(Boolean),
+            subscriber_count: data.length,
+            offline_count: offline,
+            da: label.startsWith('DA ') ? label.slice(3) : null,
+            latitude: center ? Math.round(center.latitude * 1e6) / 1e6 : null,
+            longitude: center ? Math.round(center.longitude * 1e6) / 1e6 : null,
+            priority: 'normal',
+            summary: `${label} - ${data.length} subscribers${offline > 0 ? `, ${offline} offline` : ''}`,
+            details: [counts, '', ...listed, ...more].join('\n')
+        };
+    }
+
+    getAssetLabel(assetType) {
+        return ASSET_LABELS[assetType] || ASSET_LABELS.asset;
+    }
+
+    /**
+     * Send a ticket, queueing it when it can't be delivered now
+     * @param {Object} draft - From buildDraft, edited by the user
+     * @returns {Promise<Object>} { sent, ticketId } | { queued, queueLength } | { error, errorMessage }
+     */
+    async createTicket(draft) {
+        if (!this.isConfigured()) {
+            return { error: true, errorMessage: 'No ticket endpoint is configured' };
+        }
+        if (!draft?.summary?.trim()) {
+            return { error: true, errorMessage: 'A summary is required' };
+        }
+
+        const ticket = {
+            ...draft,
+            summary: draft.summary.trim(),
+            priority: TICKET_PRIORITIES.includes(draft.priority) ? draft.priority : 'normal',
+            client_ticket_id: this.createClientId(),
+            created_at: new Date().toISOString(),
+            source: 'fiberoms-insight'
+        };
+
+        if (this.isOffline()) {
+            return this.enqueue(ticket, 'Device offline');
+        }
+
+        try {
+            const { ticketId } = await this.send(ticket);
+            log.info(`🎫 Ticket sent for ${ticket.asset_type} ${ticket.asset_id || ''}: ${ticketId || 'no id returned'}`);
+            return { sent: true, ticketId };
+        } catch (error) {
+            if (error.retryable) return this.enqueue(ticket, error.message);
+            log.error('Ticket rejected by endpoint:', error);
+            return { error: true, errorMessage: error.message };
+        }
+    }
+
+    /**
+     * POST one ticket to the configured endpoint
+     * @param {Object} ticket
+     * @returns {Promise<{ticketId: string|null}>}
+     * @throws {Error} With retryable=true for network failures and 5xx responses
+     */
+    async send(ticket) {
+        const headers = { 'Content-Type': 'application/json' };
+        // The endpoint is a proxy that checks who is filing; it holds the ticketing system's credentials
+        const accessToken = this.auth?.session?.access_token;
+        if (accessToken) headers.Authorization = `Bearer ${accessToken}`;
+
+        const body = this.config.FORMAT === 'webhook'
+            ? { text: this.formatWebhookText(ticket), ticket }
+            : ticket;
+
+        let response;
+        try {
+            response = await fetch(this.config.ENDPOINT, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body)
+            });
+        } catch (networkError) {
+            const error = new Error(`Network error: ${networkError.message}`);
+            error.retryable = true;
+            throw error;
+        }
+
+        if (!response.ok) {
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+            throw error;
+        }
+
+        // Webhooks often answer with plain text - only REST endpoints return a ticket id
+        let result = null;
+        try {
+            result = await response.json();
+        } catch {
+            result = null;
+        }
+        const ticketId = result?.id ?? result?.ticket_id ?? result?.ticketId ?? result?.number ?? null;
+        return { ticketId: ticketId !== null ? String(ticketId) : null };
+    }
+
+    formatWebhookText(ticket) {
+        const lines = [
+            `[${ticket.priority.toUpperCase()}] ${ticket.summary}`,
+            ticket.address ? `Address: ${ticket.address}` : null,
+            ticket.latitude !== null && ticket.longitude !== null ? `Location: ${ticket.latitude}, ${ticket.longitude}` : null,
+            ticket.details || null
+        ];
+        return lines.filter(Boolean).join('\n');
+    }
+
+    async enqueue(ticket, reason) {
+        await this.cache.addQueuedTicket({
+            ticket,
+            createdAt: Date.now(),
+            attempts: 0,
+            lastError: reason
+        });
+        const queueLength = await this.getQueuedCount();
+        log.warn(`📥 Ticket queued for retry (${reason}) - ${queueLength} waiting`);
+        this.notifyQueueChanged(queueLength);
+        this.scheduleRetry();
+        return { queued: true, queueLength };
+    }
+
+    /**
+     * Send queued tickets in order; stops at the first retryable failure
+     * @returns {Promise<{sent: number, dropped: number, remaining: number}>}
+     */
+    async flushQueue() {
+        // Reconnect events and the retry timer can overlap - share one pass
+        if (this.flushing) return this.flushing;
+
+        this.flushing = (async () => {
+            let sent = 0;
+            let dropped = 0;
+
+            const entries = await this.cache.getQueuedTickets();
+            for (const entry of entries) {
+                if (this.isOffline()) break;
+                try {
+                    await this.send(entry.ticket);
+                    await this.cache.deleteQueuedTicket(entry.id);
+                    sent++;
+                } catch (error) {
+                    if (!error.retryable) {
+                        log.error(`Dropping queued ticket "${entry.ticket.summary}" - rejected by endpoint:`, error);
+                        await this.cache.deleteQueuedTicket(entry.id);
+                        dropped++;
+                        continue;
+                    }
+                    await this.cache.updateQueuedTicket(entry.id, { attempts: (entry.attempts || 0) + 1, lastError: error.message });
+                    break;
+                }
+            }
+
+            const remaining = await this.getQueuedCount();
+            if (sent > 0 || dropped > 0) {
+                log.info(`📤 Ticket queue: ${sent} sent, ${dropped} rejected, ${remaining} waiting`);
+                this.notifyQueueChanged(remaining, { sent, dropped });
+            }
+            if (remaining === 0) this.stopRetry();
+            return { sent, dropped, remaining };
+        })();
+
+        try {
+            return await this.flushing;
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    async getQueuedCount() {
+        return (await this.cache.getQueuedTickets()).length;
+    }
+
+    /**
+     * Retry queued tickets on reconnect and on an interval while any are waiting
+     */
+    async startAutoRetry() {
+        if (typeof window !== 'undefined' && !this.onlineHandler) {
+            this.onlineHandler = () => this.flushQueue();
+            window.addEventListener('online', this.onlineHandler);
+        }
+        if (await this.getQueuedCount() > 0) {
+            this.scheduleRetry();
+            this.flushQueue();
+        }
+    }
+
+    scheduleRetry() {
+        if (this.retryTimer) return;
+        this.retryTimer = setInterval(() => this.flushQueue(), this.config.RETRY_INTERVAL || 60000);
+    }
+
+    stopRetry() {
+        if (this.retryTimer) {
+            clearInterval(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    notifyQueueChanged(count, detail = {}) {
+        if (typeof document === 'undefined') return;
+        document.dispatchEvent(new CustomEvent('ticketQueueChanged', { detail: { count, ...detail } }));
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    createClientId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `t-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+// Export singleton instance
+export const ticketService = new TicketService();
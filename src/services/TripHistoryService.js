@@ -0,0 +1,184 @@
+// TripHistoryService.js - Breadcrumb trails and stop/dwell detection from Geotab LogRecords
+import { geotabService } from './GeotabService.js';
+import { haversineMeters } from '../utils/geoUtils.js';
+import { createLogger } from '../utils/logger.js';
+
+// Initialize logger for this module
+const log = createLogger('TripHistoryService');
+
+const DEFAULT_OPTIONS = {
+    stopRadiusMeters: 75,       // Records within this distance of the first one belong to the same stop
+    minDwellMs: 3 * 60 * 1000,  // Shorter pauses (lights, traffic) are not stops
+    stoppedSpeedMph: 3          // A record at or below this speed means the vehicle was parked
+};
+
+// Time windows offered in the history dialog
+export const TRIP_WINDOWS = [
+    { id: '2h', label: '2 hours', hours: 2 },
+    { id: '8h', label: '8 hours', hours: 8 },
+    { id: 'today', label: 'Today', hours: null },
+    { id: '24h', label: '24 hours', hours: 24 },
+    { id: '3d', label: '3 days', hours: 72 }
+];
+
+/**
+ * TripHistoryService - Turns a vehicle's GPS log into a breadcrumb path and a list of stops
+ *
+ * Geotab only logs while a vehicle is moving or changing speed, so a parked truck produces one
+ * record when it stops and the next when it pulls away. A stop's departure is therefore taken
+ * from the first record outside the stop radius when the vehicle was last seen stationary.
+ */
+export class TripHistoryService {
+    constructor(geotab = geotabService, options = {}) {
+        this.geotab = geotab;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Resolve a TRIP_WINDOWS id to a time range ending now
+     * @param {string} windowId
+     * @param {Date} [now]
+     * @returns {{from: Date, to: Date}}
+     */
+    getWindowRange(windowId, now = new Date()) {
+        const window = TRIP_WINDOWS.find(item => item.id === windowId) || TRIP_WINDOWS[0];
+        if (window.hours === null) {
+            const midnight = new Date(now);
+            midnight.setHours(0, 0, 0, 0);
+            return { from: midnight, to: now };
+        }
+        return { from: new Date(now.getTime() - window.hours * 3600 * 1000), to: now };
+    }
+
+    /**
+     * Fetch and analyze a vehicle's trip history
+     * @param {string} deviceId
+     * @param {{from: Date, to: Date}} range
+     * @returns {Promise<Object>} Result of buildTrip, or { error, errorMessage, points: [], stops: [] }
+     */
+    async getTrip(deviceId, { from, to }) {
+        try {
+            const records = await this.geotab.getLogRecords(deviceId, from, to);
+            const trip = this.buildTrip(records, { from, to });
+            log.info(`🛣️ Trip for ${deviceId}: ${trip.points.length} points, ${trip.stops.length} stops, ${Math.round(trip.distanceMeters)}m`);
+            return trip;
+        } catch (error) {
+            log.error('Failed to load trip history:', error);
+            return {
+                deviceId,
+                from,
+                to,
+                points: [],
+                path: [],
+                stops: [],
+                distanceMeters: 0,
+                error: true,
+                errorMessage: error.message
+            };
+        }
+    }
+
+    /**
+     * Build the breadcrumb path and stops from raw LogRecords
+     * @param {Array} records - LogRecords ({ dateTime, latitude, longitude, speed in km/h })
+     * @param {{from?: Date, to?: Date}} [range] - Used to close a stop still in progress
+     * @returns {{points: Array, path: Array, stops: Array, distanceMeters: number, from, to}}
+     */
+    buildTrip(records = [], { from = null, to = null } = {}) {
+        const points = records
+            .map(record => ({
+                position: [parseFloat(record.longitude), parseFloat(record.latitude)],
+                time: new Date(record.dateTime).getTime(),
+                speed: Math.round((record.speed || 0) * 0.621371)
+            }))
+            // Devices without a GPS fix report 0,0
+            .filter(point => Number.isFinite(point.position[0]) && Number.isFinite(point.position[1]) &&
+                Number.isFinite(point.time) && (point.position[0] !== 0 || point.position[1] !== 0))
+            .sort((a, b) => a.time - b.time);
+
+        let distanceMeters = 0;
+        for (let i = 1; i < points.length; i++) {
+            distanceMeters += haversineMeters(...points[i - 1].position, ...points[i].position);
+        }
+
+        return {
+            from,
+            to,
+            points,
+            path: points.map(point => point.position),
+            stops: this.detectStops(points, to ? new Date(to).getTime() : null),
+            distanceMeters
+        };
+    }
+
+    /**
+     * Group consecutive points that stay near each other into stops
+     * @param {Array} points - From buildTrip, in time order
+     * @param {number|null} windowEnd - Epoch ms; a stop still open at the last record lasts until here
+     * @returns {Array<{position, arrival, departure, dwellMs, ongoing, pointCount}>}
+     */
+    detectStops(points, windowEnd = null) {
+        const { stopRadiusMeters, minDwellMs, stoppedSpeedMph } = this.options;
+        const stops = [];
+
+        let i = 0;
+        while (i < points.length) {
+            const anchor = points[i];
+            let j = i;
+            while (j + 1 < points.length &&
+                haversineMeters(...anchor.position, ...points[j + 1].position) <= stopRadiusMeters) {
+                j++;
+            }
+
+            const last = points[j];
+            const next = points[j + 1];
+            const parked = last.speed <= stoppedSpeedMph;
+
+            // Parked at the last record here: the vehicle stayed until the next record (or the window end)
+            let departure = last.time;
+            let ongoing = false;
+            if (parked && next) {
+                departure = next.time;
+            } else if (parked && !next && windowEnd && windowEnd > last.time) {
+                departure = windowEnd;
+                ongoing = true;
+            }
+
+            const dwellMs = departure - anchor.time;
+            if (dwellMs >= minDwellMs) {
+                const cluster = points.slice(i, j + 1);
+                stops.push({
+                    position: [
+                        cluster.reduce((sum, point) => sum + point.position[0], 0) / cluster.length,
+                        cluster.reduce((sum, point) => sum + point.position[1], 0) / cluster.length
+                    ],
+                    arrival: anchor.time,
+                    departure,
+                    dwellMs,
+                    ongoing,
+                    pointCount: cluster.length
+                });
+            }
+
+            i = j + 1;
+        }
+
+        return stops;
+    }
+
+    /**
+     * Format a dwell time for popups and the summary notice
+     * @param {number} ms
+     * @returns {string} e.g. "45m", "1h 05m"
+     */
+    formatDuration(ms) {
+        const totalMinutes = Math.round(ms / 60000);
+        if (totalMinutes < 60) return `${totalMinutes}m`;
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+}
+
+// Export singleton instance
+export const tripHistoryService = new TripHistoryService();
@@ -0,0 +1,125 @@
+// AuthDialog.js - Sign-in dialog shown over the app shell
+import { authService } from '../services/AuthService.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('AuthDialog');
+
+export class AuthDialog {
+    constructor() {
+        this.dialog = null;
+        this.submitting = false;
+        this.pending = null; // { promise, resolve } while the dialog is open
+    }
+
+    async ensureDialog() {
+        if (this.dialog) return this.dialog;
+
+        await Promise.all([
+            import('@esri/calcite-components/dist/components/calcite-dialog'),
+            import('@esri/calcite-components/dist/components/calcite-label'),
+            import('@esri/calcite-components/dist/components/calcite-input')
+        ]);
+
+        // Can't be dismissed - the only way out is signing in
+        const dialog = document.createElement('calcite-dialog');
+        dialog.id = 'auth-dialog';
+        dialog.setAttribute('heading', 'Sign In');
+        dialog.setAttribute('modal', '');
+        dialog.setAttribute('width-scale', 's');
+        dialog.setAttribute('close-disabled', '');
+        dialog.setAttribute('escape-disabled', '');
+        dialog.setAttribute('outside-close-disabled', '');
+        dialog.innerHTML = `
+            <form id="auth-form" style="display: flex; flex-direction: column; gap: 12px;">
+                <div id="auth-message" style="font-size: var(--calcite-font-size--1); color: var(--calcite-color-text-2);"></div>
+                <calcite-label>
+                    Email
+                    <calcite-input id="auth-email" type="email" autocomplete="username" required></calcite-input>
+                </calcite-label>
+                <calcite-label>
+                    Password
+                    <calcite-input id="auth-password" type="password" autocomplete="current-password" required></calcite-input>
+                </calcite-label>
+                <div id="auth-status" style="font-size: var(--calcite-font-size--1); color: var(--calcite-color-status-danger);"></div>
+            </form>
+            <calcite-button slot="footer-end" icon-start="sign-in" id="auth-submit-btn">Sign In</calcite-button>
+        `;
+
+        document.body.appendChild(dialog);
+        dialog.querySelector('#auth-submit-btn').addEventListener('click', () => this.submit());
+        dialog.querySelector('#auth-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.submit();
+        });
+        dialog.querySelector('#auth-password').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.submit();
+        });
+
+        this.dialog = dialog;
+        return dialog;
+    }
+
+    /**
+     * Ask the user to sign in
+     * @param {Object} [options]
+     * @param {boolean} [options.expired] - Explain that the previous session ran out
+     * @returns {Promise<void>} Resolves once signed in
+     */
+    async open({ expired = false } = {}) {
+        if (this.pending) return this.pending.promise;
+
+        const dialog = await this.ensureDialog();
+        let resolve;
+        const promise = new Promise(res => { resolve = res; });
+        this.pending = { promise, resolve };
+
+        dialog.querySelector('#auth-message').textContent = expired
+            ? 'Your session has expired. Sign in again to continue where you left off.'
+            : 'Sign in with your Sprout Fiber account.';
+        dialog.querySelector('#auth-password').value = '';
+        this.setStatus('');
+        dialog.open = true;
+
+        return promise;
+    }
+
+    async submit() {
+        if (this.submitting || !this.dialog) return;
+
+        const email = this.dialog.querySelector('#auth-email').value;
+        const password = this.dialog.querySelector('#auth-password').value;
+        if (!email || !password) {
+            this.setStatus('Enter your email and password');
+            return;
+        }
+
+        const submitBtn = this.dialog.querySelector('#auth-submit-btn');
+        this.submitting = true;
+        submitBtn.setAttribute('loading', '');
+
+        try {
+            const result = await authService.signIn(email, password);
+            if (result.error) {
+                this.setStatus(navigator.onLine === false ? 'You are offline - connect to sign in' : result.errorMessage);
+                return;
+            }
+
+            this.dialog.open = false;
+            this.pending?.resolve();
+            this.pending = null;
+        } catch (error) {
+            log.error('Sign in failed:', error);
+            this.setStatus('Sign in failed');
+        } finally {
+            this.submitting = false;
+            submitBtn.removeAttribute('loading');
+        }
+    }
+
+    setStatus(message) {
+        const status = this.dialog?.querySelector('#auth-status');
+        if (status) status.textContent = message;
+    }
+}
+
+export const authDialog = new AuthDialog();
@@ -3,6 +3,10 @@
 
 import { subscriberDataService } from '../dataService.js';
 import { enhancedSearchService } from '../services/EnhancedSearchService.js';
+import { redactionService } from '../services/RedactionService.js';
+import { infrastructureSearchService } from '../services/InfrastructureSearchService.js';
+import { searchHistoryService, parseResultKey } from '../services/SearchHistoryService.js';
+import { formatDistance } from '../utils/geoUtils.js';
 import { createLogger } from '../utils/logger.js';
 // POSTHOG DISABLED - Process of elimination for RDP click capture testing
 // import { trackSearch } from '../services/AnalyticsService.js';
@@ -10,6 +14,18 @@ import { createLogger } from '../utils/logger.js';
 // Initialize logger for this module
 const log = createLogger('HeaderSearch');
 
+// Field queries can match thousands of subscribers: list the first few, highlight more on the map
+const QUERY_RESULT_LIMIT = 50;
+const QUERY_HIGHLIGHT_LIMIT = 5000;
+
+const LOCATION_FORMAT_LABELS = {
+    decimal: 'Coordinates',
+    dms: 'Coordinates',
+    usng: 'USNG',
+    intersection: 'Intersection',
+    address: 'Address'
+};
+
 export class HeaderSearch {
     constructor() {
         this.searchInput = document.getElementById('header-search');
@@ -20,6 +36,11 @@ export class HeaderSearch {
         this.desktopSearchTimeout = null;
         this.currentResults = [];
         this.currentIndicatorGraphics = null;
+        this.queryLayer = null;
+        this.queryHighlightId = 0;
+        this.stopWatchingHistory = null;
+        this.stopWatchingAuth = null;
+        this.historyListener = null;
     }
 
     async init() {
@@ -35,6 +56,13 @@ export class HeaderSearch {
         });
 
         this.setupEventListeners();
+
+        // Pins and recents made in another tab show up here too; signing out clears them
+        searchHistoryService.migrate();
+        this.stopWatchingHistory = searchHistoryService.watchStorage();
+        this.stopWatchingAuth = searchHistoryService.watchAuth();
+        this.historyListener = () => this.renderMobileHistory();
+        document.addEventListener('searchHistoryChanged', this.historyListener);
     }
 
     setupEventListeners() {
@@ -53,6 +81,8 @@ export class HeaderSearch {
                 }
             });
 
+            this.searchInput.addEventListener('focusin', () => this.showHistory(this.searchInput));
+
             this.searchInput.addEventListener('keyup', (e) => {
                 if (e.key === 'Escape') {
                     this.clearEverything('header');
@@ -85,6 +115,8 @@ export class HeaderSearch {
                 }
             });
 
+            this.desktopSearchInput.addEventListener('focusin', () => this.showHistory(this.desktopSearchInput));
+
             this.desktopSearchInput.addEventListener('keyup', (e) => {
                 if (e.key === 'Escape') {
                     this.clearEverything('desktop');
@@ -151,51 +183,8 @@ export class HeaderSearch {
                 searchResult = await enhancedSearchService.search(searchTerm);
                 
                 // Map enhanced search results to expected format
-                searchResult.results = searchResult.results.map(item => {
-                    // Handle different result types
-                    if (item.type === 'pole') {
-                        return {
-                            id: item.wmElementN || `pole-${item.latitude}-${item.longitude}`,
-                            name: item.name,
-                            wmElementN: item.wmElementN,
-                            type: 'pole',
-                            latitude: item.latitude,
-                            longitude: item.longitude,
-                            // For display
-                            customer_name: `Pole: ${item.name}`,
-                            ...item.originalData
-                        };
-                    } else if (item.type === 'mst') {
-                        return {
-                            id: item.equipmentname || `mst-${item.latitude}-${item.longitude}`,
-                            name: item.name,
-                            equipmentname: item.equipmentname,
-                            type: 'mst',
-                            latitude: item.latitude,
-                            longitude: item.longitude,
-                            // For display
-                            customer_name: `MST: ${item.name}`,
-                            ...item.originalData
-                        };
-                    } else {
-                        // Subscriber result
-                        return {
-                            id: item.account || item.id,
-                            customer_name: item.name,
-                            customer_number: item.account,
-                            address: item.address || item.originalData?.address,
-                            city: item.city || item.originalData?.city,
-                            state: item.state || item.originalData?.state,
-                            zip: item.postcode || item.originalData?.postcode,
-                            zip_code: item.postcode || item.originalData?.postcode,
-                            status: item.status,
-                            latitude: item.latitude,
-                            longitude: item.longitude,
-                            // Include all original data
-                            ...item.originalData
-                        };
-                    }
-                });
+                searchResult.results = searchResult.results.map(item => this.mapEnhancedResult(item));
+                this.updateQueryHighlight(searchResult);
             } catch (enhancedError) {
                 log.warn('Enhanced search failed, falling back to server-side search:', enhancedError);
                 // Fallback to server-side search
@@ -236,52 +225,379 @@ export class HeaderSearch {
         }
     }
 
+    mapEnhancedResult(item) {
+        // Indexed infrastructure and location results are already in display form
+        if (item.infrastructure || item.type === 'location') return item;
+
+        // Handle different result types
+        if (item.type === 'pole') {
+            return {
+                id: item.wmElementN || `pole-${item.latitude}-${item.longitude}`,
+                name: item.name,
+                wmElementN: item.wmElementN,
+                type: 'pole',
+                latitude: item.latitude,
+                longitude: item.longitude,
+                // For display
+                customer_name: `Pole: ${item.name}`,
+                ...item.originalData
+            };
+        } else if (item.type === 'mst') {
+            return {
+                id: item.equipmentname || `mst-${item.latitude}-${item.longitude}`,
+                name: item.name,
+                equipmentname: item.equipmentname,
+                type: 'mst',
+                latitude: item.latitude,
+                longitude: item.longitude,
+                // For display
+                customer_name: `MST: ${item.name}`,
+                ...item.originalData
+            };
+        }
+
+        // Subscriber result
+        return {
+            id: item.account || item.id,
+            customer_name: item.name,
+            customer_number: item.account,
+            address: item.address || item.originalData?.address,
+            city: item.city || item.originalData?.city,
+            state: item.state || item.originalData?.state,
+            zip: item.postcode || item.originalData?.postcode,
+            zip_code: item.postcode || item.originalData?.postcode,
+            status: item.status,
+            latitude: item.latitude,
+            longitude: item.longitude,
+            distanceMeters: item.distanceMeters,
+            // Include all original data
+            ...item.originalData
+        };
+    }
+
+    getResultGroup(result) {
+        if (result.type === 'location') return 'Location';
+
+        let group = 'Subscribers';
+        if (result.infrastructure) group = result.groupLabel;
+        else if (result.type === 'pole') group = 'Poles';
+        else if (result.type === 'mst') group = 'MST Terminals';
+        return result.distanceMeters !== undefined ? `Nearest ${group}` : group;
+    }
+
+    getResultIcon(result, slot) {
+        if (result.type === 'location') {
+            return `<calcite-icon slot="${slot}" icon="pin-tear" style="color: rgb(0, 122, 255);"></calcite-icon>`;
+        } else if (result.infrastructure) {
+            return `<calcite-icon slot="${slot}" icon="${result.icon}" style="color: rgb(${result.color.slice(0, 3).join(', ')});"></calcite-icon>`;
+        } else if (result.type === 'pole') {
+            return `<calcite-icon slot="${slot}" icon="pin" style="color: #8B4513;"></calcite-icon>`;
+        } else if (result.type === 'mst') {
+            return `<calcite-icon slot="${slot}" icon="nodes-link" style="color: #4B8EF5;"></calcite-icon>`;
+        }
+        const statusColor = result.status === 'Online' ? 'success' : 'danger';
+        return `<calcite-icon slot="${slot}" icon="person" style="color: var(--calcite-color-status-${statusColor});"></calcite-icon>`;
+    }
+
+    /**
+     * Append result elements, under a heading per type once infrastructure is in the mix
+     * @param {HTMLElement} container - Autocomplete or list to fill
+     * @param {Array<Object>} results
+     * @param {string} groupTag - Group element for the container
+     * @param {Function} createItem - (result, index) => element
+     */
+    appendGroupedResults(container, results, groupTag, createItem) {
+        const grouped = results.some(result => result.infrastructure || result.type === 'location');
+        const groups = new Map();
+
+        results.forEach((result, index) => {
+            const item = createItem(result, index);
+            if (!grouped) {
+                container.appendChild(item);
+                return;
+            }
+
+            const heading = this.getResultGroup(result);
+            if (!groups.has(heading)) {
+                const group = document.createElement(groupTag);
+                group.setAttribute('heading', heading);
+                groups.set(heading, group);
+                container.appendChild(group);
+            }
+            groups.get(heading).appendChild(item);
+        });
+    }
+
     updateSearchResults(searchResult, targetInput) {
         this.clearSearchResults(null, targetInput, false);
         this.currentResults = searchResult.results;
 
+        if (searchResult.searchType === 'query') {
+            this.renderQueryResults(searchResult, targetInput);
+            return;
+        }
+
         if (this.currentResults.length === 0) {
             this.showNoResults(searchResult.searchTerm, targetInput);
             return;
         }
 
-        this.currentResults.forEach((result, index) => {
-            const item = document.createElement('calcite-autocomplete-item');
-            item.setAttribute('value', String(result.id || index));
-            const label = this.formatSearchResultLabel(result);
-            item.setAttribute('text-label', label || 'Unknown');
-            const description = this.formatEnhancedDescription(result);
-            item.setAttribute('description', description || '');
-            
-            // Set icon and styling based on result type
-            if (result.type === 'pole') {
-                item.setAttribute('data-type', 'pole');
-                item.innerHTML = `<calcite-icon slot="icon" icon="pin" style="color: #8B4513;"></calcite-icon>`;
-            } else if (result.type === 'mst') {
-                item.setAttribute('data-type', 'mst');
-                item.innerHTML = `<calcite-icon slot="icon" icon="network" style="color: #4B8EF5;"></calcite-icon>`;
+        this.appendGroupedResults(targetInput, this.currentResults, 'calcite-autocomplete-item-group',
+            (result, index) => this.createResultItem(result, index));
+    }
+
+    createResultItem(result, index) {
+        const item = document.createElement('calcite-autocomplete-item');
+        item.setAttribute('value', String(result.id || index));
+        const label = this.formatSearchResultLabel(result);
+        item.setAttribute('text-label', label || 'Unknown');
+        const description = this.formatEnhancedDescription(result);
+        item.setAttribute('description', description || '');
+
+        // Set icon and styling based on result type
+        if (result.infrastructure || result.type === 'pole' || result.type === 'mst') {
+            item.setAttribute('data-type', result.type);
+        } else {
+            item.setAttribute('data-status', result.status || 'unknown');
+        }
+        item.innerHTML = this.getResultIcon(result, 'icon');
+
+        item._resultData = result;
+        return item;
+    }
+
+    /**
+     * Rows for a field query: problems, the match count, suggestions, then the first matches
+     * @param {Object} searchResult - EnhancedSearchService result with searchType 'query'
+     * @returns {Array<Object>} [{ label, description, icon, data, disabled }] or [{ result }]
+     */
+    getQueryEntries(searchResult) {
+        const { query, suggestions = [], count, searchTerm } = searchResult;
+        const entries = [];
+
+        if (query.errors.length > 0) {
+            entries.push({ label: 'Check your query', description: query.errors.join(' • '), icon: 'exclamation-mark-triangle', disabled: true });
+        }
+        if (query.clauses.length > 0) {
+            const highlighted = Math.min(count, QUERY_HIGHLIGHT_LIMIT);
+            entries.push(count === 0
+                ? { label: 'No subscribers match', description: searchTerm, icon: 'information', disabled: true }
+                : {
+                    label: `${count.toLocaleString()} subscriber(s) match`,
+                    description: highlighted < count
+                        ? `First ${highlighted.toLocaleString()} highlighted on the map - select to zoom to them`
+                        : 'Highlighted on the map - select to zoom to all',
+                    icon: 'zoom-to-object',
+                    data: { queryMatches: true, term: searchTerm }
+                });
+        }
+        suggestions.forEach(suggestion => entries.push({
+            label: suggestion.label,
+            description: suggestion.description,
+            icon: 'filter',
+            data: { querySuggestion: suggestion.term }
+        }));
+        searchResult.results.slice(0, QUERY_RESULT_LIMIT).forEach(result => entries.push({ result }));
+        return entries;
+    }
+
+    renderQueryResults(searchResult, targetInput) {
+        this.getQueryEntries(searchResult).forEach((entry, index) => {
+            targetInput.appendChild(entry.result
+                ? this.createResultItem(entry.result, index)
+                : this.createEntryItem(entry, `query-${index}`, targetInput));
+        });
+    }
+
+    // Autocomplete row for an entry that runs an action instead of opening a result
+    createEntryItem(entry, value, targetInput) {
+        const item = document.createElement('calcite-autocomplete-item');
+        item.setAttribute('value', value);
+        item.setAttribute('text-label', entry.label);
+        item.setAttribute('description', entry.description || '');
+        item.innerHTML = `<calcite-icon slot="icon" icon="${entry.icon}"></calcite-icon>`;
+        item.disabled = !!entry.disabled;
+        item._resultData = entry.data;
+        item._targetInput = targetInput;
+        return item;
+    }
+
+    /**
+     * Rows for an empty search box: pinned results, then recent searches and selections
+     * @returns {Array<Object>} [{ group, label, description, icon, data }] or [{ group, result, data }]
+     */
+    getHistoryEntries() {
+        const favorites = searchHistoryService.listFavorites();
+        const recents = searchHistoryService.listRecents();
+        const entries = [];
+
+        favorites.forEach(favorite => entries.push({ group: 'Pinned', result: this.resolveHistoryResult(favorite), data: { historyEntry: favorite } }));
+        if (favorites.length > 0) {
+            entries.push({ group: 'Pinned', label: 'Export pinned to CSV', description: `${favorites.length} pinned result(s)`, icon: 'export', data: { exportFavorites: true } });
+        }
+
+        recents.forEach(recent => entries.push(recent.term
+            ? { group: 'Recent', label: recent.term, description: 'Recent search', icon: 'clock', data: { historySearch: recent.term } }
+            : { group: 'Recent', result: this.resolveHistoryResult(recent), data: { historyEntry: recent } }));
+        if (recents.length > 0) {
+            entries.push({ group: 'Recent', label: 'Clear recent searches', icon: 'trash', data: { clearRecents: true } });
+        }
+        return entries;
+    }
+
+    /**
+     * List pinned and recent entries while the search box is empty
+     * @param {HTMLElement} targetInput - Header or desktop autocomplete
+     */
+    showHistory(targetInput) {
+        if (!targetInput || String(targetInput.inputValue || '').trim()) return;
+        this.clearSearchResults(null, targetInput);
+
+        const entries = this.getHistoryEntries();
+        if (entries.length === 0) return;
+
+        const groups = new Map();
+        entries.forEach((entry, index) => {
+            let item;
+            if (entry.result) {
+                item = this.createResultItem(entry.result, index);
+                item.setAttribute('value', `history-${index}`);
+                item._resultData = entry.data;
+                item._targetInput = targetInput;
             } else {
-                item.setAttribute('data-status', result.status || 'unknown');
-                const statusColor = result.status === 'Online' ? 'success' : 'danger';
-                item.innerHTML = `<calcite-icon slot="icon" icon="person" style="color: var(--calcite-color-status-${statusColor});"></calcite-icon>`;
+                item = this.createEntryItem(entry, `history-${index}`, targetInput);
             }
-            
-            item._resultData = result;
-            targetInput.appendChild(item);
+
+            if (!groups.has(entry.group)) {
+                const group = document.createElement('calcite-autocomplete-item-group');
+                group.setAttribute('heading', entry.group);
+                groups.set(entry.group, group);
+                targetInput.appendChild(group);
+            }
+            groups.get(entry.group).appendChild(item);
         });
+        targetInput.open = true;
+    }
+
+    /**
+     * Search result for a stored history entry, built from current data: history keeps only the
+     * key and location, so subscribers are looked up again and infrastructure is rebuilt by name.
+     * A subscriber that is no longer loaded keeps its key but carries no account or name.
+     * @param {Object} entry - { key, latitude, longitude } from SearchHistoryService
+     * @returns {Object}
+     */
+    resolveHistoryResult({ key, latitude, longitude }) {
+        const { kind, name } = parseResultKey(key);
+        if (kind === 'subscriber') {
+            const current = searchHistoryService.findSubscriber(key, enhancedSearchService.getAllSubscribers());
+            return current ? this.mapEnhancedResult(current) : { id: key, historyKey: key, latitude, longitude };
+        }
+        if (kind === 'location') {
+            return { id: 'location', type: 'location', name: name.replace(',', ', '), latitude, longitude };
+        }
+        if (infrastructureSearchService.types[kind]) {
+            return infrastructureSearchService.toResult(kind, { name, position: [longitude, latitude], properties: {} });
+        }
+        return { id: name, name, type: kind, latitude, longitude };
+    }
+
+    async exportFavorites() {
+        const { authService } = await import('../services/AuthService.js');
+        if (!authService.can('export-csv')) {
+            window.app?.showNotification?.('warning', 'CSV export is not available for your role', 4000);
+            return;
+        }
+
+        try {
+            await searchHistoryService.exportFavorites(favorite => redactionService.redactAttributes(this.resolveHistoryResult(favorite)));
+        } catch (error) {
+            log.error('Failed to export pinned results:', error);
+            window.app?.showNotification?.('warning', 'Pinned results export failed', 4000);
+        }
+    }
+
+    /**
+     * Replace the query with a completed suggestion and search again
+     */
+    async applyQuerySuggestion(targetInput, term) {
+        targetInput.value = term;
+        targetInput.inputValue = term;
+        await this.performSearch(term, targetInput === this.desktopSearchInput ? 'desktop' : 'header');
+        targetInput.open = true;
+    }
+
+    /**
+     * Outline every query match on the map (up to QUERY_HIGHLIGHT_LIMIT); other searches clear it
+     */
+    async updateQueryHighlight(searchResult) {
+        const highlightId = ++this.queryHighlightId;
+        const matches = searchResult.searchType === 'query' ? searchResult.results : [];
+        if (matches.length === 0) {
+            this.clearQueryHighlight();
+            return;
+        }
+
+        const view = window.mapView || window.app?.services?.mapController?.view;
+        if (!view) return;
+
+        try {
+            const [{ default: GraphicsLayer }, { default: Graphic }] = await Promise.all([
+                import('@arcgis/core/layers/GraphicsLayer'),
+                import('@arcgis/core/Graphic')
+            ]);
+            // A newer search replaced this one while the modules loaded
+            if (highlightId !== this.queryHighlightId) return;
+
+            if (!this.queryLayer) {
+                this.queryLayer = new GraphicsLayer({ id: 'search-query-results', title: 'Search Query Results', listMode: 'hide' });
+            }
+            if (!view.map.layers.includes(this.queryLayer)) view.map.add(this.queryLayer);
+
+            this.queryLayer.removeAll();
+            this.queryLayer.addMany(matches
+                .filter(subscriber => subscriber.latitude && subscriber.longitude)
+                .slice(0, QUERY_HIGHLIGHT_LIMIT)
+                .map(subscriber => new Graphic({
+                    geometry: { type: 'point', longitude: parseFloat(subscriber.longitude), latitude: parseFloat(subscriber.latitude), spatialReference: { wkid: 4326 } },
+                    symbol: {
+                        type: 'simple-marker',
+                        size: 12,
+                        color: [0, 0, 0, 0],
+                        outline: { color: subscriber.status === 'Online' ? [34, 197, 94, 1] : [220, 38, 38, 1], width: 2 }
+                    }
+                })));
+        } catch (error) {
+            log.warn('Failed to highlight query matches:', error);
+        }
+    }
+
+    zoomToQueryMatches() {
+        const view = window.mapView || window.app?.services?.mapController?.view;
+        const graphics = this.queryLayer?.graphics?.toArray() || [];
+        if (!view || graphics.length === 0) return;
+        view.goTo(graphics).catch(error => log.warn('Failed to zoom to query matches:', error));
+    }
+
+    clearQueryHighlight() {
+        this.queryLayer?.removeAll();
     }
 
     formatSearchResultLabel(result) {
         if (!result) return 'Unknown';
         
         // Handle different result types
-        if (result.type === 'pole') {
+        if (result.type === 'location') {
+            return `${LOCATION_FORMAT_LABELS[result.format] || 'Location'}: ${result.name}`;
+        } else if (result.infrastructure) {
+            return `${result.typeLabel}: ${result.name}`;
+        } else if (result.type === 'pole') {
             return `Pole: ${result.wmElementN || result.name || 'Unknown Pole'}`;
         } else if (result.type === 'mst') {
             return `MST: ${result.equipmentname || result.name || 'Unknown MST'}`;
         }
         
-        return String(result.customer_name || result.name || 'Unnamed Customer');
+        const displayed = redactionService.redactAttributes(result);
+        return String(displayed.customer_name || displayed.name || 'Unnamed Customer');
     }
 
     formatSearchResultDescription(result) {
@@ -304,9 +620,20 @@ export class HeaderSearch {
 
     formatEnhancedDescription(result) {
         if (!result) return 'No details available';
-        
+        if (result.type === 'location') {
+            return `${result.latitude.toFixed(6)}, ${result.longitude.toFixed(6)} • Marker dropped on the map`;
+        }
+
+        const description = this.formatResultDetails(result);
+        return result.distanceMeters !== undefined ? `${formatDistance(result.distanceMeters)} away • ${description}` : description;
+    }
+
+    formatResultDetails(result) {
         // Handle different result types
-        if (result.type === 'pole') {
+        if (result.infrastructure) {
+            const parts = result.details.map(detail => `${detail.label}: ${detail.value}`);
+            return parts.join(' • ') || `Coordinates: ${result.latitude.toFixed(6)}, ${result.longitude.toFixed(6)}`;
+        } else if (result.type === 'pole') {
             // Only show pole ID, not coordinates (reduces data transfer)
             return result.wmElementN ? `Pole ID: ${result.wmElementN}` : 'No details available';
         } else if (result.type === 'mst') {
@@ -319,17 +646,40 @@ export class HeaderSearch {
         }
         
         // Subscriber result
+        const displayed = redactionService.redactAttributes(result);
         const parts = [];
-        if (result.customer_name) parts.push(String(result.customer_name));
-        if (result.customer_number) parts.push(String(result.customer_number));
-        const address = this.formatFullAddress(result);
+        if (displayed.customer_name) parts.push(String(displayed.customer_name));
+        if (displayed.customer_number) parts.push(String(displayed.customer_number));
+        const address = this.formatFullAddress(displayed);
         if (address && address !== 'No address available') parts.push(String(address));
         return parts.join(' • ') || 'No details available';
     }
 
     handleSearchSelection(selectedItem) {
-        const resultData = selectedItem._resultData;
+        let resultData = selectedItem._resultData;
+        if (resultData?.querySuggestion || resultData?.historySearch) {
+            this.applyQuerySuggestion(selectedItem._targetInput, resultData.querySuggestion || resultData.historySearch);
+            return;
+        }
+        if (resultData?.queryMatches) {
+            // Keep the query so it can be refined
+            selectedItem._targetInput.inputValue = resultData.term;
+            searchHistoryService.addRecentSearch(resultData.term);
+            this.zoomToQueryMatches();
+            return;
+        }
+        if (resultData?.clearRecents) {
+            searchHistoryService.clearRecents();
+            this.showHistory(selectedItem._targetInput);
+            return;
+        }
+        if (resultData?.exportFavorites) {
+            this.exportFavorites();
+            return;
+        }
+        if (resultData?.historyEntry) resultData = this.resolveHistoryResult(resultData.historyEntry);
         if (resultData) {
+            searchHistoryService.addRecentSelection(resultData);
             this.navigateToResult(resultData);
             if (this.searchInput) {
                 this.searchInput.value = '';
@@ -377,10 +727,13 @@ export class HeaderSearch {
         };
 
         window.mapView.center = [parseFloat(result.longitude), parseFloat(result.latitude)];
-        window.mapView.zoom = Math.max(window.mapView.zoom, 16);
+        // Areas set their own zoom so the whole boundary is in view
+        window.mapView.zoom = result.zoom ?? Math.max(window.mapView.zoom, 16);
 
         // Show appropriate indicator based on result type
-        if (result.type === 'pole' || result.type === 'mst') {
+        if (result.type === 'location') {
+            this.showLocationIndicator(point, result);
+        } else if (result.infrastructure || result.type === 'pole' || result.type === 'mst') {
             this.showInfrastructureIndicator(point, result);
         } else {
             this.showLocationIndicator(point, result);
@@ -398,7 +751,11 @@ export class HeaderSearch {
                 
                 // Different colors for different types
                 let centerColor, centerSize, outlineColor;
-                if (result.type === 'pole') {
+                if (result.infrastructure) {
+                    centerColor = result.color;
+                    centerSize = 10;
+                    outlineColor = [255, 255, 255, 1];
+                } else if (result.type === 'pole') {
                     centerColor = [139, 69, 19, 1]; // Brown for poles
                     centerSize = 10;
                     outlineColor = [255, 255, 255, 1];
@@ -445,7 +802,15 @@ export class HeaderSearch {
         if (!window.mapView) return;
         
         let title, content;
-        if (result.type === 'pole') {
+        if (result.infrastructure) {
+            title = `${result.typeLabel}: ${result.name}`;
+            content = `
+                <div class="search-result-popup">
+                    ${result.details.map(detail => `<p><strong>${detail.label}:</strong> ${detail.value}</p>`).join('')}
+                    <p><strong>Coordinates:</strong> ${result.latitude.toFixed(6)}, ${result.longitude.toFixed(6)}</p>
+                </div>
+            `;
+        } else if (result.type === 'pole') {
             title = `Pole: ${result.wmElementN || 'Unknown'}`;
             content = `
                 <div class="search-result-popup">
@@ -482,13 +847,19 @@ export class HeaderSearch {
         import('@arcgis/core/Graphic').then(({ default: Graphic }) => {
             import('@arcgis/core/symbols/SimpleMarkerSymbol').then(({ default: SimpleMarkerSymbol }) => {
                 const indicatorGraphics = [];
+                const isLocation = result.type === 'location';
                 const isOnline = result.status === 'Online';
                 const layerId = isOnline ? 'online-subscribers' : 'offline-subscribers';
                 const layer = window.mapView.map.layers.find(l => l.id === layerId);
-                const isLayerVisible = layer ? layer.visible : false;
+                // A searched location has no layer feature underneath, so it never needs the stand-in point
+                const isLayerVisible = isLocation || (layer ? layer.visible : false);
 
                 let centerColor, centerSize, outlineWidth;
-                if (isOnline) {
+                if (isLocation) {
+                    centerColor = [0, 122, 255, 1];
+                    centerSize = 10;
+                    outlineWidth = 2;
+                } else if (isOnline) {
                     centerColor = [50, 255, 50, 1]; // Brighter green for better visibility
                     centerSize = 6;
                     outlineWidth = 1;
@@ -536,7 +907,8 @@ export class HeaderSearch {
                 indicatorGraphics.push(centerDot);
                 indicatorGraphics.forEach(graphic => window.mapView.graphics.add(graphic));
                 this.currentIndicatorGraphics = indicatorGraphics;
-                setTimeout(() => this.clearLocationIndicator(), 10000);
+                // Dropped location markers stay until the next search or clear
+                if (!isLocation) setTimeout(() => this.clearLocationIndicator(), 10000);
             });
         });
     }
@@ -602,13 +974,14 @@ export class HeaderSearch {
     }
 
     fallbackPopup(result, point) {
+        const displayed = redactionService.redactAttributes(result);
         window.mapView.openPopup({
-            title: `${result.customer_name}`,
+            title: `${displayed.customer_name || displayed.customer_number || 'Subscriber'}`,
             content: `
         <div class="search-result-popup">
-          <p><strong>Customer:</strong> ${result.customer_name || 'Unknown'}</p>
-          <p><strong>Account:</strong> ${result.customer_number || 'N/A'}</p>
-          <p><strong>Address:</strong> ${result.address || 'No address'}</p>
+          <p><strong>Customer:</strong> ${displayed.customer_name || 'Unknown'}</p>
+          <p><strong>Account:</strong> ${displayed.customer_number || 'N/A'}</p>
+          <p><strong>Address:</strong> ${displayed.address || 'No address'}</p>
           <p><strong>City:</strong> ${result.city || 'N/A'}</p>
           <p><strong>Status:</strong> <span class="status-${result.status}">${result.status || 'Unknown'}</span></p>
           <p><strong>County:</strong> ${result.county || 'N/A'}</p>
@@ -621,18 +994,18 @@ export class HeaderSearch {
 
     clearSearchResults(source = null, targetInput = null, clearState = true) {
         if (targetInput) {
-            const items = targetInput.querySelectorAll('calcite-autocomplete-item');
+            const items = targetInput.querySelectorAll('calcite-autocomplete-item, calcite-autocomplete-item-group');
             items.forEach(item => item.remove());
         } else if (source === 'desktop' && this.desktopSearchInput) {
-            const items = this.desktopSearchInput.querySelectorAll('calcite-autocomplete-item');
+            const items = this.desktopSearchInput.querySelectorAll('calcite-autocomplete-item, calcite-autocomplete-item-group');
             items.forEach(item => item.remove());
         } else if (source === 'header' && this.searchInput) {
-            const items = this.searchInput.querySelectorAll('calcite-autocomplete-item');
+            const items = this.searchInput.querySelectorAll('calcite-autocomplete-item, calcite-autocomplete-item-group');
             items.forEach(item => item.remove());
         } else {
             [this.searchInput, this.desktopSearchInput].forEach(input => {
                 if (input) {
-                    const items = input.querySelectorAll('calcite-autocomplete-item');
+                    const items = input.querySelectorAll('calcite-autocomplete-item, calcite-autocomplete-item-group');
                     items.forEach(item => item.remove());
                 }
             });
@@ -644,7 +1017,7 @@ export class HeaderSearch {
         const item = document.createElement('calcite-autocomplete-item');
         item.setAttribute('value', 'no-results');
         item.setAttribute('text-label', 'No results found');
-        item.setAttribute('description', `No subscribers found for "${searchTerm || ''}"` || 'No subscribers found');
+        item.setAttribute('description', `No subscribers or infrastructure found for "${searchTerm || ''}"`);
         item.innerHTML = `<calcite-icon slot="icon" icon="information"></calcite-icon>`;
         item.disabled = true;
         targetInput.appendChild(item);
@@ -678,6 +1051,7 @@ export class HeaderSearch {
 
     handleMobileSearchInput(searchTerm) {
         if (this.mobileSearchTimeout) clearTimeout(this.mobileSearchTimeout);
+        this.renderMobileHistory();
         if (!searchTerm || searchTerm.trim() === '') {
             this.clearMobileSearchResults();
             return;
@@ -702,51 +1076,8 @@ export class HeaderSearch {
                 searchResult = await enhancedSearchService.search(searchTerm);
                 
                 // Map enhanced search results to expected format
-                searchResult.results = searchResult.results.map(item => {
-                    // Handle different result types
-                    if (item.type === 'pole') {
-                        return {
-                            id: item.wmElementN || `pole-${item.latitude}-${item.longitude}`,
-                            name: item.name,
-                            wmElementN: item.wmElementN,
-                            type: 'pole',
-                            latitude: item.latitude,
-                            longitude: item.longitude,
-                            // For display
-                            customer_name: `Pole: ${item.name}`,
-                            ...item.originalData
-                        };
-                    } else if (item.type === 'mst') {
-                        return {
-                            id: item.equipmentname || `mst-${item.latitude}-${item.longitude}`,
-                            name: item.name,
-                            equipmentname: item.equipmentname,
-                            type: 'mst',
-                            latitude: item.latitude,
-                            longitude: item.longitude,
-                            // For display
-                            customer_name: `MST: ${item.name}`,
-                            ...item.originalData
-                        };
-                    } else {
-                        // Subscriber result
-                        return {
-                            id: item.account || item.id,
-                            customer_name: item.name,
-                            customer_number: item.account,
-                            address: item.address || item.originalData?.address,
-                            city: item.city || item.originalData?.city,
-                            state: item.state || item.originalData?.state,
-                            zip: item.postcode || item.originalData?.postcode,
-                            zip_code: item.postcode || item.originalData?.postcode,
-                            status: item.status,
-                            latitude: item.latitude,
-                            longitude: item.longitude,
-                            // Include all original data
-                            ...item.originalData
-                        };
-                    }
-                });
+                searchResult.results = searchResult.results.map(item => this.mapEnhancedResult(item));
+                this.updateQueryHighlight(searchResult);
             } catch (enhancedError) {
                 log.warn('Enhanced mobile search failed, falling back to server-side search:', enhancedError);
                 // Fallback to server-side search
@@ -763,30 +1094,145 @@ export class HeaderSearch {
         const resultsContainer = this.createMobileResultsContainer();
         if (!resultsContainer) return;
         resultsContainer.innerHTML = '';
+        if (searchResult.searchType === 'query') {
+            this.renderMobileQueryResults(resultsContainer, searchResult);
+            return;
+        }
         if (searchResult.results.length === 0) {
             this.showMobileNoResults(resultsContainer, searchResult.searchTerm);
             return;
         }
-        searchResult.results.forEach(result => {
-            const listItem = document.createElement('calcite-list-item');
-            listItem.setAttribute('label', result.customer_name || 'Unnamed Customer');
-            const statusColor = result.status === 'Online' ? 'success' : 'danger';
-            listItem.setAttribute('description', this.formatEnhancedDescription(result));
-            listItem.innerHTML = `
-        <calcite-icon slot="content-start" icon="person" style="color: var(--calcite-color-status-${statusColor});"></calcite-icon>
+        this.appendGroupedResults(resultsContainer, searchResult.results, 'calcite-list-item-group',
+            (result) => this.createMobileResultItem(result));
+        const resultsBlock = resultsContainer.closest('calcite-block');
+        if (resultsBlock) resultsBlock.hidden = false;
+    }
+
+    createMobileResultItem(result, onSelect = () => this.handleMobileSearchSelection(result)) {
+        const listItem = document.createElement('calcite-list-item');
+        listItem.setAttribute('label', this.formatSearchResultLabel(result));
+        listItem.setAttribute('description', this.formatEnhancedDescription(result));
+        listItem.innerHTML = `
+        ${this.getResultIcon(result, 'content-start')}
         <calcite-action slot="actions-end" icon="arrowRight"></calcite-action>
       `;
-            listItem._resultData = result;
-            listItem.addEventListener('click', () => {
-                this.handleMobileSearchSelection(result);
+        if (searchHistoryService.canFavorite(result)) {
+            const pinAction = document.createElement('calcite-action');
+            pinAction.slot = 'actions-end';
+            const setPinned = (pinned) => {
+                pinAction.icon = pinned ? 'bookmark-f' : 'bookmark';
+                pinAction.text = pinned ? 'Unpin' : 'Pin';
+            };
+            setPinned(searchHistoryService.isFavorite(result));
+            pinAction.addEventListener('click', (e) => {
+                // Pinning shouldn't also open the result
+                e.stopPropagation();
+                setPinned(searchHistoryService.toggleFavorite(result));
             });
-            resultsContainer.appendChild(listItem);
+            listItem.prepend(pinAction);
+        }
+        listItem._resultData = result;
+        listItem.addEventListener('click', onSelect);
+        return listItem;
+    }
+
+    /**
+     * Pinned and recent entries in the mobile search dialog, shown while its search box is empty
+     */
+    renderMobileHistory() {
+        const searchSheet = document.getElementById('mobile-search-sheet');
+        if (!searchSheet) return;
+
+        let historyBlock = searchSheet.querySelector('.mobile-search-history');
+        if (!historyBlock) {
+            historyBlock = document.createElement('calcite-block');
+            historyBlock.className = 'mobile-search-history';
+            historyBlock.setAttribute('heading', 'Pinned & Recent');
+            historyBlock.setAttribute('expanded', '');
+            historyBlock.innerHTML = '<calcite-icon slot="icon" icon="clock"></calcite-icon>';
+            const quickSearch = searchSheet.querySelector('[slot="content"] calcite-block');
+            if (!quickSearch) return;
+            quickSearch.after(historyBlock);
+        }
+
+        const entries = this.getHistoryEntries();
+        historyBlock.hidden = entries.length === 0 || !!this.mobileSearchInput?.value?.trim();
+        if (historyBlock.hidden) return;
+
+        const list = document.createElement('calcite-list');
+        list.setAttribute('selection-mode', 'none');
+        const groups = new Map();
+        entries.forEach(entry => {
+            let listItem;
+            if (entry.result) {
+                listItem = this.createMobileResultItem(entry.result,
+                    () => this.handleMobileSearchSelection(this.resolveHistoryResult(entry.data.historyEntry)));
+            } else {
+                listItem = document.createElement('calcite-list-item');
+                listItem.setAttribute('label', entry.label);
+                listItem.setAttribute('description', entry.description || '');
+                listItem.innerHTML = `<calcite-icon slot="content-start" icon="${entry.icon}"></calcite-icon>`;
+                listItem.addEventListener('click', () => this.handleMobileHistoryAction(entry.data));
+            }
+
+            if (!groups.has(entry.group)) {
+                const group = document.createElement('calcite-list-item-group');
+                group.setAttribute('heading', entry.group);
+                groups.set(entry.group, group);
+                list.appendChild(group);
+            }
+            groups.get(entry.group).appendChild(listItem);
         });
-        const resultsBlock = resultsContainer.closest('calcite-block');
+        historyBlock.querySelector('calcite-list')?.remove();
+        historyBlock.appendChild(list);
+    }
+
+    handleMobileHistoryAction(data) {
+        if (data.historySearch) {
+            if (this.mobileSearchInput) this.mobileSearchInput.value = data.historySearch;
+            this.renderMobileHistory();
+            this.performMobileSearch(data.historySearch);
+        } else if (data.clearRecents) {
+            searchHistoryService.clearRecents();
+        } else if (data.exportFavorites) {
+            this.exportFavorites();
+        }
+    }
+
+    renderMobileQueryResults(container, searchResult) {
+        this.getQueryEntries(searchResult).forEach(entry => {
+            if (entry.result) {
+                container.appendChild(this.createMobileResultItem(entry.result));
+                return;
+            }
+            const listItem = document.createElement('calcite-list-item');
+            listItem.setAttribute('label', entry.label);
+            listItem.setAttribute('description', entry.description || '');
+            listItem.innerHTML = `<calcite-icon slot="content-start" icon="${entry.icon}"></calcite-icon>`;
+            if (entry.data?.querySuggestion) {
+                listItem.addEventListener('click', () => {
+                    if (this.mobileSearchInput) this.mobileSearchInput.value = entry.data.querySuggestion;
+                    this.performMobileSearch(entry.data.querySuggestion);
+                });
+            } else if (entry.data?.queryMatches) {
+                listItem.addEventListener('click', () => {
+                    searchHistoryService.addRecentSearch(entry.data.term);
+                    const mobileDialog = document.getElementById('mobile-search-sheet');
+                    if (mobileDialog) mobileDialog.open = false;
+                    if (window.app?.services?.mobileTabBar) {
+                        window.app.services.mobileTabBar.closeCurrentPanel();
+                    }
+                    this.zoomToQueryMatches();
+                });
+            }
+            container.appendChild(listItem);
+        });
+        const resultsBlock = container.closest('calcite-block');
         if (resultsBlock) resultsBlock.hidden = false;
     }
 
     handleMobileSearchSelection(result) {
+        searchHistoryService.addRecentSelection(result);
         if (this.mobileSearchInput) this.mobileSearchInput.value = '';
         this.clearMobileSearchResults();
         const mobileDialog = document.getElementById('mobile-search-sheet');
@@ -815,6 +1261,7 @@ export class HeaderSearch {
                     if (window.app?.services?.mobileTabBar) {
                         window.app.services.mobileTabBar.closeCurrentPanel();
                     }
+                    searchHistoryService.addRecentSelection(searchResult.results[0]);
                     this.navigateToResult(searchResult.results[0]);
                 } else {
                     this.performMobileSearch(searchTerm);
@@ -854,7 +1301,7 @@ export class HeaderSearch {
     showMobileNoResults(container, searchTerm) {
         const listItem = document.createElement('calcite-list-item');
         listItem.setAttribute('label', 'No results found');
-        listItem.setAttribute('description', `No subscribers found for "${searchTerm}"`);
+        listItem.setAttribute('description', `No subscribers or infrastructure found for "${searchTerm}"`);
         listItem.innerHTML = `<calcite-icon slot="content-start" icon="information"></calcite-icon>`;
         container.appendChild(listItem);
     }
@@ -869,9 +1316,11 @@ export class HeaderSearch {
     clearEverything(source = null) {
         if (window.mapView && window.mapView.popup) window.mapView.popup.close();
         this.clearLocationIndicator();
+        this.clearQueryHighlight();
         if (source === 'mobile') {
             this.clearMobileSearchResults();
             if (this.mobileSearchInput) this.mobileSearchInput.value = '';
+            this.renderMobileHistory();
         } else {
             this.clearSearchResults(source);
             if (source === 'desktop' && this.desktopSearchInput) {
@@ -908,6 +1357,18 @@ export class HeaderSearch {
         this.clearLocationIndicator();
         this.clearSearchResults();
         this.clearMobileSearchResults();
+        if (this.historyListener) {
+            document.removeEventListener('searchHistoryChanged', this.historyListener);
+            this.historyListener = null;
+        }
+        this.stopWatchingHistory?.();
+        this.stopWatchingHistory = null;
+        this.stopWatchingAuth?.();
+        this.stopWatchingAuth = null;
+        if (this.queryLayer) {
+            this.queryLayer.parent?.remove?.(this.queryLayer);
+            this.queryLayer = null;
+        }
     }
 }
 
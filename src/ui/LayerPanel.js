@@ -2,6 +2,8 @@
 import { createLogger } from '../utils/logger.js';
 import { getOrCreateNoticeContainer } from '../utils/noticeContainer.js';
 import { trackClick as trackClickSentry } from '../services/SentryService.js';
+import { authService } from '../services/AuthService.js';
+import { stormModeService } from '../services/StormModeService.js';
 // POSTHOG DISABLED - Process of elimination for RDP click capture testing
 // import { trackClick, trackFeatureUsage } from '../services/AnalyticsService.js';
 
@@ -18,6 +20,7 @@ export class LayerPanel {
         this.actions = this.shellPanel?.querySelectorAll('calcite-action');
 
         // Content sections
+        this.stormSummaryContent = document.getElementById('storm-summary-content');
         this.layersContent = document.getElementById('layers-content');
         this.ospContent = document.getElementById('osp-content');
         this.vehiclesContent = document.getElementById('vehicles-content');
@@ -33,6 +36,9 @@ export class LayerPanel {
         this.lastFocusedVehicle = null; // { point, name }
         this.vehiclePopupWatcherSetup = false;
         this.isPanelCollapsed = false;
+        this.activeContent = 'layers';
+        this.statusHistory = null; // { start, end, frames, snapshots } for timeline playback
+        this.statusHistoryTimer = null;
 
         this.init();
     }
@@ -46,6 +52,14 @@ export class LayerPanel {
         this.setupActionBarNavigation();
         this.setupCacheManagement();
         this.setupPanelCollapse();
+        this.setupStatusHistory();
+        this.setupOfflineBundles();
+        this.setupGeofences();
+        this.setupNodeAlerts();
+        this.setupSubscriberSelection();
+        this.setupSavedViews();
+        this.setupStormSummary();
+        document.addEventListener('authChanged', () => this.applyVehicleAccess());
 
         // Show layers content by default
         this.showContent('layers');
@@ -168,6 +182,7 @@ export class LayerPanel {
 
                 // Map action IDs to content names
                 const contentMap = {
+                    'storm-summary-action': 'storm-summary',
                     'layers-action': 'layers',
                     'osp-action': 'osp',
                     'vehicles-action': 'vehicles',
@@ -224,8 +239,24 @@ export class LayerPanel {
         });
     }
 
+    // Switch tabs the same way an action click does (used when restoring a saved view or link)
+    selectContent(contentName) {
+        const action = document.getElementById(`${contentName}-action`);
+        if (!action) return;
+
+        this.actions?.forEach(a => a.active = false);
+        action.active = true;
+        if (this.panel) {
+            this.panel.heading = action.text;
+        }
+        this.showContent(contentName);
+    }
+
     showContent(contentName) {
+        this.activeContent = contentName;
+
         // Hide all content sections
+        if (this.stormSummaryContent) this.stormSummaryContent.hidden = true;
         if (this.layersContent) this.layersContent.hidden = true;
         if (this.ospContent) this.ospContent.hidden = true;
         if (this.vehiclesContent) this.vehiclesContent.hidden = true;
@@ -237,6 +268,13 @@ export class LayerPanel {
 
         // Show selected content
         switch (contentName) {
+            case 'storm-summary':
+                if (this.stormSummaryContent) {
+                    this.stormSummaryContent.hidden = false;
+                    this.stormSummaryContent.style.display = '';
+                }
+                this.renderStormSummary();
+                break;
             case 'layers':
                 if (this.layersContent) {
                     this.layersContent.hidden = false;
@@ -254,6 +292,8 @@ export class LayerPanel {
                     this.vehiclesContent.hidden = false;
                     this.vehiclesContent.style.display = '';
                 }
+                this.applyVehicleAccess();
+                if (!authService.can('track-vehicles')) break;
                 this.updateVehicleStatus();
                 this.loadSimpleVehicleList();
                 break;
@@ -292,6 +332,92 @@ export class LayerPanel {
         }
     }
 
+    setupStormSummary() {
+        document.getElementById('storm-mode-exit-btn')?.addEventListener('click', () => window.app?.setStormMode?.(false));
+        document.addEventListener('stormSummaryUpdated', () => {
+            if (this.activeContent === 'storm-summary') this.renderStormSummary();
+        });
+    }
+
+    // Storm mode reduces the panel to the live summary tab; leaving it returns to Subscribers
+    setStormMode(enabled) {
+        const action = document.getElementById('storm-summary-action');
+        if (action) action.hidden = !enabled;
+
+        if (enabled) {
+            if (this.isPanelCollapsed) this.togglePanelCollapse();
+            this.selectContent('storm-summary');
+        } else if (this.activeContent === 'storm-summary') {
+            this.selectContent('layers');
+        }
+    }
+
+    renderStormSummary() {
+        const container = document.getElementById('storm-summary-metrics');
+        if (!container) return;
+
+        const summary = stormModeService.summary;
+        // Rising counts are bad news for every metric except trucks on the road
+        const metrics = [
+            { key: 'offline', label: 'Fiber offline' },
+            { key: 'electricOffline', label: 'Power offline' },
+            { key: 'outages', label: 'Power outages' },
+            { key: 'customersOut', label: 'Utility customers out' },
+            { key: 'crewsAssigned', label: 'Outages with crews' },
+            { key: 'trucks', label: 'Trucks on map', higherIsBetter: true }
+        ];
+
+        container.innerHTML = '';
+        metrics.forEach(({ key, label, higherIsBetter }) => {
+            const value = summary[key];
+            const trend = stormModeService.getTrend(key);
+
+            const tile = document.createElement('div');
+            tile.className = 'storm-metric';
+
+            const valueDiv = document.createElement('div');
+            valueDiv.className = 'storm-metric-value';
+            valueDiv.textContent = typeof value === 'number' ? value.toLocaleString() : '—';
+
+            const labelDiv = document.createElement('div');
+            labelDiv.className = 'storm-metric-label';
+            labelDiv.textContent = label;
+
+            tile.append(valueDiv, labelDiv);
+
+            if (trend) {
+                const { change, minutes } = trend;
+                const trendDiv = document.createElement('div');
+                const worse = higherIsBetter ? change < 0 : change > 0;
+                trendDiv.className = `storm-metric-trend ${change === 0 ? '' : worse ? 'trend-worse' : 'trend-better'}`;
+                trendDiv.textContent = `${change === 0 ? 'No change' : `${change > 0 ? '▲' : '▼'} ${Math.abs(change).toLocaleString()}`} in ${Math.max(minutes, 1)} min`;
+                tile.appendChild(trendDiv);
+            }
+
+            container.appendChild(tile);
+        });
+
+        const updated = document.getElementById('storm-summary-updated');
+        if (updated) {
+            updated.textContent = summary.updatedAt
+                ? `Updated ${new Date(summary.updatedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', second: '2-digit' })}`
+                : 'Waiting for the first update...';
+        }
+    }
+
+    // Roles without vehicle tracking see a notice instead of the fleet
+    applyVehicleAccess() {
+        if (!this.vehiclesContent) return;
+        const allowed = authService.can('track-vehicles');
+        this.vehiclesContent.querySelectorAll(':scope > calcite-block, :scope > #simple-vehicle-list').forEach(section => { section.hidden = !allowed; });
+        const notice = document.getElementById('vehicles-access-notice');
+        if (notice) notice.hidden = allowed;
+        if (!allowed) {
+            const vehicleList = document.getElementById('vehicle-list');
+            if (vehicleList) vehicleList.innerHTML = '';
+        }
+    }
+
     updateVehicleStatus() {
         // Update the GeotabService status in the vehicles panel
         this.updateGeotabStatus();
@@ -1490,6 +1616,191 @@ export class LayerPanel {
         setTimeout(() => notice.remove(), 3000);
     }
 
+    setupStatusHistory() {
+        const block = document.getElementById('status-history-block');
+        const windowSelect = document.getElementById('status-history-window');
+        const slider = document.getElementById('status-history-slider');
+        const playBtn = document.getElementById('status-history-play-btn');
+        const liveBtn = document.getElementById('status-history-live-btn');
+
+        if (!block || !slider) return;
+
+        block.addEventListener('calciteBlockToggle', () => {
+            if (block.expanded) this.loadStatusHistory();
+        });
+
+        windowSelect?.addEventListener('calciteSelectChange', () => this.loadStatusHistory());
+
+        slider.addEventListener('calciteSliderInput', () => this.updateStatusHistoryLabel(slider.value));
+        slider.addEventListener('calciteSliderChange', () => {
+            this.stopStatusHistoryPlayback();
+            this.showStatusHistoryFrame(slider.value);
+        });
+
+        playBtn?.addEventListener('click', () => {
+            if (this.statusHistoryTimer) {
+                this.stopStatusHistoryPlayback();
+            } else {
+                this.startStatusHistoryPlayback();
+            }
+        });
+
+        liveBtn?.addEventListener('click', () => this.exitStatusHistory());
+    }
+
+    async loadStatusHistory() {
+        const windowSelect = document.getElementById('status-history-window');
+        const slider = document.getElementById('status-history-slider');
+        const playBtn = document.getElementById('status-history-play-btn');
+        const hours = parseInt(windowSelect?.value, 10) || 24;
+
+        try {
+            const { statusHistoryService } = await import('../services/StatusHistoryService.js');
+            this.statusHistory = await statusHistoryService.getTimeline(hours);
+
+            const frameCount = this.statusHistory.frames.length;
+            slider.min = 0;
+            slider.max = Math.max(0, frameCount - 1);
+            slider.value = Math.max(0, frameCount - 1);
+            slider.disabled = frameCount < 2;
+            if (playBtn) playBtn.disabled = frameCount < 2;
+
+            this.updateStatusHistoryLabel(slider.value);
+            log.info(`🕒 Loaded ${frameCount} status changes for the last ${hours}h`);
+        } catch (error) {
+            log.error('Failed to load status history:', error);
+        }
+    }
+
+    updateStatusHistoryLabel(index) {
+        const label = document.getElementById('status-history-label');
+        if (!label) return;
+
+        const frames = this.statusHistory?.frames || [];
+        if (frames.length === 0) {
+            label.textContent = 'No status changes recorded in this window yet';
+            return;
+        }
+
+        const frame = frames[Math.min(Number(index) || 0, frames.length - 1)];
+        const time = new Date(frame.timestamp).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+        const change = frame.wentOffline || frame.restored ? ` (+${frame.wentOffline} / -${frame.restored})` : '';
+        label.textContent = `${time}: ${frame.offlineCount.toLocaleString()} offline${change}`;
+    }
+
+    async showStatusHistoryFrame(index) {
+        const frame = this.statusHistory?.frames[Number(index)];
+        const layerManager = window.app?.services?.layerManager;
+        if (!frame || !layerManager) return;
+
+        try {
+            const { statusHistoryService } = await import('../services/StatusHistoryService.js');
+            const records = statusHistoryService.reconstructAt(this.statusHistory.snapshots, frame.timestamp);
+            if (!records) {
+                log.warn('No keyframe covers the selected time');
+                return;
+            }
+
+            // Pause live subscriber updates while the past is on screen
+            statusHistoryService.isReplaying = true;
+            document.getElementById('status-history-live-btn')?.removeAttribute('disabled');
+
+            await layerManager.updateLayerData('offline-subscribers', statusHistoryService.toGeoJSON(records, await this.getStatusHistoryLookup()));
+
+            // Only the offline set is recorded, so the live online layer can't show that moment - hide it until Return to Live
+            const onlineLayer = layerManager.getLayer('online-subscribers');
+            if (onlineLayer && this.statusHistoryOnlineVisible === undefined) {
+                this.statusHistoryOnlineVisible = onlineLayer.visible;
+                onlineLayer.visible = false;
+            }
+
+            this.updateStatusHistoryLabel(index);
+        } catch (error) {
+            log.error('Failed to show status history frame:', error);
+        }
+    }
+
+    // Snapshots hold no names or addresses; take them from the live subscriber list for the popup
+    async getStatusHistoryLookup() {
+        if (this.statusHistoryLookup) return this.statusHistoryLookup;
+
+        const { enhancedSearchService } = await import('../services/EnhancedSearchService.js');
+        const subscribers = enhancedSearchService.getAllSubscribers() || [];
+        if (subscribers.length === 0) return null;
+
+        const byAccount = new Map(subscribers.map(subscriber => [String(subscriber.account), {
+            name: subscriber.name,
+            customer_name: subscriber.name,
+            customer_number: subscriber.account,
+            service_address: subscriber.service_address
+        }]));
+        this.statusHistoryLookup = (id) => byAccount.get(String(id)) || null;
+        return this.statusHistoryLookup;
+    }
+
+    startStatusHistoryPlayback() {
+        const slider = document.getElementById('status-history-slider');
+        const playBtn = document.getElementById('status-history-play-btn');
+        const frames = this.statusHistory?.frames || [];
+        if (!slider || frames.length < 2) return;
+
+        // Restart from the beginning when already at the live end
+        let index = Number(slider.value) >= frames.length - 1 ? 0 : Number(slider.value);
+
+        const step = async () => {
+            slider.value = index;
+            await this.showStatusHistoryFrame(index);
+            index++;
+            if (index >= frames.length) this.stopStatusHistoryPlayback();
+        };
+
+        if (playBtn) {
+            playBtn.iconStart = 'pause';
+            playBtn.textContent = 'Pause';
+        }
+
+        step();
+        this.statusHistoryTimer = setInterval(step, 1500);
+    }
+
+    stopStatusHistoryPlayback() {
+        if (this.statusHistoryTimer) {
+            clearInterval(this.statusHistoryTimer);
+            this.statusHistoryTimer = null;
+        }
+
+        const playBtn = document.getElementById('status-history-play-btn');
+        if (playBtn) {
+            playBtn.iconStart = 'play';
+            playBtn.textContent = 'Play';
+        }
+    }
+
+    async exitStatusHistory() {
+        this.stopStatusHistoryPlayback();
+
+        try {
+            const { statusHistoryService } = await import('../services/StatusHistoryService.js');
+            statusHistoryService.isReplaying = false;
+
+            const onlineLayer = window.app?.services?.layerManager?.getLayer('online-subscribers');
+            if (onlineLayer && this.statusHistoryOnlineVisible !== undefined) {
+                onlineLayer.visible = this.statusHistoryOnlineVisible;
+            }
+            this.statusHistoryOnlineVisible = undefined;
+            this.statusHistoryLookup = null;
+
+            document.getElementById('status-history-live-btn')?.setAttribute('disabled', '');
+
+            // Pull live data straight away instead of waiting for the next poll
+            await window.app?.pollingManager?.performUpdate('subscribers');
+            await this.loadStatusHistory();
+            log.info('🕒 Returned to live subscriber status');
+        } catch (error) {
+            log.error('Failed to exit status history playback:', error);
+        }
+    }
+
     updateBuildInfo() {
         import('../utils/buildInfo.js').then(({ getFormattedBuildInfo }) => {
             const info = getFormattedBuildInfo();
@@ -1628,6 +1939,558 @@ export class LayerPanel {
         }
     }
 
-}
+    setupOfflineBundles() {
+        const block = document.getElementById('offline-bundle-block');
+        const areaSelect = document.getElementById('offline-bundle-area');
+        const downloadBtn = document.getElementById('offline-bundle-download-btn');
+
+        if (!block || !areaSelect) return;
+
+        block.addEventListener('calciteBlockToggle', () => {
+            if (block.expanded) {
+                this.loadOfflineBundleAreas();
+                this.updateOfflineBundleList();
+            }
+        });
+
+        areaSelect.addEventListener('calciteSelectChange', () => {
+            downloadBtn?.toggleAttribute('disabled', !areaSelect.value || this.offlineBundleDownloading);
+        });
+
+        downloadBtn?.addEventListener('click', () => this.downloadOfflineBundle(areaSelect.value));
+
+        window.addEventListener('offline', () => this.showOfflineModeNotice());
+    }
+
+    async loadOfflineBundleAreas() {
+        const areaSelect = document.getElementById('offline-bundle-area');
+        if (!areaSelect || areaSelect.querySelectorAll('calcite-option').length > 1) return;
+
+        try {
+            const { offlineBundleService } = await import('../services/OfflineBundleService.js');
+            const areas = await offlineBundleService.getAreas();
+            areas.forEach(name => {
+                const option = document.createElement('calcite-option');
+                option.value = name;
+                option.textContent = name;
+                areaSelect.appendChild(option);
+            });
+        } catch (error) {
+            log.error('Failed to load distribution areas for field mode:', error);
+        }
+    }
+
+    async updateOfflineBundleList() {
+        const list = document.getElementById('offline-bundle-list');
+        if (!list) return;
+
+        try {
+            const { offlineBundleService } = await import('../services/OfflineBundleService.js');
+            const bundles = await offlineBundleService.getBundles();
+
+            list.innerHTML = '';
+            if (bundles.length === 0) {
+                list.innerHTML = '<calcite-list-item label="No areas downloaded" description="Downloaded areas stay available without a connection"></calcite-list-item>';
+                return;
+            }
+
+            bundles.forEach(bundle => {
+                const item = document.createElement('calcite-list-item');
+                item.label = bundle.name;
+                item.description = `${this.formatBytes(bundle.sizeBytes)} • ${bundle.subscriberCount} subscribers • ${bundle.tileCount} tiles • ${this.formatBundleAge(bundle.createdAt)}`;
+
+                const icon = document.createElement('calcite-icon');
+                icon.slot = 'content-start';
+                icon.icon = 'offline';
+                icon.scale = 's';
+
+                const deleteAction = document.createElement('calcite-action');
+                deleteAction.slot = 'actions-end';
+                deleteAction.icon = 'trash';
+                deleteAction.text = `Delete ${bundle.name}`;
+                deleteAction.addEventListener('click', async () => {
+                    if (!confirm(`Delete the offline download for ${bundle.name}?`)) return;
+                    await offlineBundleService.deleteBundle(bundle.id);
+                    await this.updateOfflineBundleList();
+                });
+
+                item.appendChild(icon);
+                item.appendChild(deleteAction);
+                list.appendChild(item);
+            });
+        } catch (error) {
+            log.error('Failed to list offline bundles:', error);
+        }
+    }
 
+    async downloadOfflineBundle(areaName) {
+        if (!areaName || this.offlineBundleDownloading) return;
 
+        const downloadBtn = document.getElementById('offline-bundle-download-btn');
+        const progress = document.getElementById('offline-bundle-progress');
+        const stageLabels = {
+            subscribers: 'Downloading subscribers...',
+            infrastructure: 'Downloading infrastructure...',
+            tiles: 'Downloading basemap tiles'
+        };
+
+        this.offlineBundleDownloading = true;
+        downloadBtn?.setAttribute('loading', '');
+        downloadBtn?.setAttribute('disabled', '');
+
+        try {
+            const { offlineBundleService } = await import('../services/OfflineBundleService.js');
+            const result = await offlineBundleService.downloadArea(areaName, {
+                view: window.app?.services?.mapController?.view,
+                onProgress: ({ stage, done, total }) => {
+                    if (!progress) return;
+                    progress.textContent = stage === 'tiles'
+                        ? `${stageLabels.tiles} ${done} / ${total}`
+                        : stageLabels[stage];
+                }
+            });
+
+            if (result.error) {
+                if (progress) progress.textContent = `Download failed: ${result.errorMessage}`;
+                return;
+            }
+
+            if (progress) {
+                progress.textContent = `${result.name} ready offline (${this.formatBytes(result.sizeBytes)}${result.failedTiles ? `, ${result.failedTiles} tiles missing` : ''})`;
+            }
+            await this.updateOfflineBundleList();
+        } finally {
+            this.offlineBundleDownloading = false;
+            downloadBtn?.removeAttribute('loading');
+            downloadBtn?.toggleAttribute('disabled', !document.getElementById('offline-bundle-area')?.value);
+        }
+    }
+
+    async showOfflineModeNotice() {
+        try {
+            const { offlineBundleService } = await import('../services/OfflineBundleService.js');
+            const bundles = await offlineBundleService.getBundles();
+
+            const noticeContainer = getOrCreateNoticeContainer();
+            document.getElementById('offline-mode-notice')?.remove();
+
+            const notice = document.createElement('calcite-notice');
+            notice.id = 'offline-mode-notice';
+            notice.setAttribute('open', '');
+            notice.setAttribute('kind', bundles.length > 0 ? 'info' : 'warning');
+            notice.setAttribute('closable', '');
+            notice.setAttribute('icon', 'offline');
+
+            const titleDiv = document.createElement('div');
+            titleDiv.slot = 'title';
+            titleDiv.textContent = 'No Connection';
+
+            const messageDiv = document.createElement('div');
+            messageDiv.slot = 'message';
+            messageDiv.textContent = bundles.length > 0
+                ? `Showing downloaded data for ${bundles.map(bundle => bundle.name).join(', ')}.`
+                : 'No areas are downloaded for offline use. Use Field Mode in Tools to download one.';
+
+            notice.appendChild(titleDiv);
+            notice.appendChild(messageDiv);
+            noticeContainer.appendChild(notice);
+
+            window.addEventListener('online', () => notice.remove(), { once: true });
+        } catch (error) {
+            log.error('Failed to show offline notice:', error);
+        }
+    }
+
+    setupGeofences() {
+        const block = document.getElementById('geofence-block');
+        if (!block) return;
+
+        block.addEventListener('calciteBlockToggle', async () => {
+            if (!block.expanded) return;
+            const { geofenceService } = await import('../services/GeofenceService.js');
+            const { settings } = geofenceService;
+            document.getElementById('geofence-huts-checkbox').checked = settings.huts;
+            document.getElementById('geofence-das-checkbox').checked = settings.das;
+            document.getElementById('geofence-dwell-input').value = String(settings.dwellLimitMinutes);
+            this.updateGeofenceList();
+            this.updateGeofenceEvents();
+        });
+
+        const updateSetting = async (changes) => {
+            const { geofenceService } = await import('../services/GeofenceService.js');
+            geofenceService.updateSettings(changes);
+        };
+        document.getElementById('geofence-huts-checkbox')?.addEventListener('calciteCheckboxChange', (e) => updateSetting({ huts: e.target.checked }));
+        document.getElementById('geofence-das-checkbox')?.addEventListener('calciteCheckboxChange', (e) => updateSetting({ das: e.target.checked }));
+        document.getElementById('geofence-dwell-input')?.addEventListener('calciteInputChange', (e) => {
+            const minutes = parseInt(e.target.value, 10);
+            updateSetting({ dwellLimitMinutes: Number.isFinite(minutes) && minutes > 0 ? minutes : 0 });
+        });
+
+        document.getElementById('geofence-draw-btn')?.addEventListener('click', () => this.drawGeofence());
+        document.getElementById('geofence-export-btn')?.addEventListener('click', async () => {
+            const { geofenceService } = await import('../services/GeofenceService.js');
+            const vehicleId = document.getElementById('geofence-vehicle-select')?.value || null;
+            try {
+                await geofenceService.exportEvents(vehicleId);
+            } catch (error) {
+                log.error('Failed to export geofence events:', error);
+                this.showVehicleNotification('No geofence events to export yet', 'warning');
+            }
+        });
+
+        document.addEventListener('geofenceEventsLogged', () => this.updateGeofenceEvents());
+    }
+
+    // Draw a polygon on the map and save it as a custom geofence
+    async drawGeofence() {
+        const view = window.app?.services?.mapController?.view;
+        if (!view) return;
+
+        const drawBtn = document.getElementById('geofence-draw-btn');
+        const nameInput = document.getElementById('geofence-name-input');
+
+        const [{ default: SketchViewModel }, webMercatorUtils, { geofenceService }] = await Promise.all([
+            import('@arcgis/core/widgets/Sketch/SketchViewModel'),
+            import('@arcgis/core/geometry/support/webMercatorUtils'),
+            import('../services/GeofenceService.js')
+        ]);
+
+        await this.ensureGeofenceLayer(view);
+        this.geofenceSketch?.destroy();
+        this.geofenceSketch = new SketchViewModel({
+            view,
+            layer: this.geofenceSketchLayer,
+            polygonSymbol: { type: 'simple-fill', color: [255, 140, 0, 0.15], outline: { color: [255, 140, 0, 1], width: 2 } }
+        });
+
+        drawBtn?.setAttribute('loading', '');
+        this.geofenceSketch.on('create', async (event) => {
+            if (event.state === 'cancel') {
+                drawBtn?.removeAttribute('loading');
+                return;
+            }
+            if (event.state !== 'complete') return;
+
+            drawBtn?.removeAttribute('loading');
+            this.geofenceSketchLayer.remove(event.graphic);
+
+            const geometry = event.graphic.geometry.spatialReference.isWebMercator
+                ? webMercatorUtils.webMercatorToGeographic(event.graphic.geometry)
+                : event.graphic.geometry;
+            const fence = await geofenceService.addCustomFence(nameInput?.value, { type: 'Polygon', coordinates: geometry.rings });
+
+            if (fence) {
+                log.info(`📍 Saved geofence ${fence.name}`);
+                if (nameInput) nameInput.value = '';
+            }
+            await this.updateGeofenceList();
+        });
+        this.geofenceSketch.create('polygon');
+    }
+
+    async ensureGeofenceLayer(view) {
+        if (!this.geofenceSketchLayer) {
+            const { default: GraphicsLayer } = await import('@arcgis/core/layers/GraphicsLayer');
+            this.geofenceSketchLayer = new GraphicsLayer({ id: 'geofence-sketch', title: 'Geofences', listMode: 'hide' });
+        }
+        if (view && !view.map.layers.includes(this.geofenceSketchLayer)) {
+            view.map.add(this.geofenceSketchLayer);
+        }
+        return this.geofenceSketchLayer;
+    }
+
+    // List saved custom areas and keep them drawn on the map
+    async updateGeofenceList() {
+        const list = document.getElementById('geofence-custom-list');
+        if (!list) return;
+
+        try {
+            const [{ geofenceService }, { default: Graphic }] = await Promise.all([
+                import('../services/GeofenceService.js'),
+                import('@arcgis/core/Graphic')
+            ]);
+            const fences = await geofenceService.getCustomFences();
+            const layer = await this.ensureGeofenceLayer(window.app?.services?.mapController?.view);
+
+            layer.removeAll();
+            fences.forEach(fence => {
+                layer.add(new Graphic({
+                    geometry: { type: 'polygon', rings: fence.geometry.coordinates, spatialReference: { wkid: 4326 } },
+                    symbol: { type: 'simple-fill', color: [255, 140, 0, 0.08], outline: { color: [255, 140, 0, 0.8], width: 1.5, style: 'dash' } }
+                }));
+            });
+
+            list.innerHTML = '';
+            if (fences.length === 0) {
+                list.innerHTML = '<calcite-list-item label="No custom areas" description="Name an area and draw it on the map"></calcite-list-item>';
+                return;
+            }
+
+            fences.forEach(fence => {
+                const item = document.createElement('calcite-list-item');
+                item.label = fence.name;
+                item.description = `Added ${new Date(fence.createdAt).toLocaleDateString()}`;
+
+                const deleteAction = document.createElement('calcite-action');
+                deleteAction.slot = 'actions-end';
+                deleteAction.icon = 'trash';
+                deleteAction.text = `Delete ${fence.name}`;
+                deleteAction.addEventListener('click', async () => {
+                    if (!confirm(`Delete the geofence ${fence.name}?`)) return;
+                    await geofenceService.deleteCustomFence(fence.id);
+                    await this.updateGeofenceList();
+                });
+
+                item.appendChild(deleteAction);
+                list.appendChild(item);
+            });
+        } catch (error) {
+            log.error('Failed to list geofences:', error);
+        }
+    }
+
+    async updateGeofenceEvents() {
+        const list = document.getElementById('geofence-event-list');
+        const vehicleSelect = document.getElementById('geofence-vehicle-select');
+        if (!list) return;
+
+        const { geofenceService, GEOFENCE_EVENT_LABELS } = await import('../services/GeofenceService.js');
+
+        if (vehicleSelect) {
+            const selected = vehicleSelect.value;
+            vehicleSelect.querySelectorAll('calcite-option:not([value=""])').forEach(option => option.remove());
+            geofenceService.getLoggedVehicles().forEach(vehicle => {
+                const option = document.createElement('calcite-option');
+                option.value = vehicle.id;
+                option.textContent = vehicle.name;
+                if (vehicle.id === selected) option.selected = true;
+                vehicleSelect.appendChild(option);
+            });
+        }
+
+        const events = geofenceService.getEvents().slice(0, 10);
+        list.innerHTML = '';
+        if (events.length === 0) {
+            list.innerHTML = '<calcite-list-item label="No events yet" description="Events appear while truck layers are on"></calcite-list-item>';
+            return;
+        }
+        events.forEach(event => {
+            const item = document.createElement('calcite-list-item');
+            item.label = `${event.vehicleName} - ${GEOFENCE_EVENT_LABELS[event.type]}`;
+            item.description = `${event.fenceName} • ${new Date(event.time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+            list.appendChild(item);
+        });
+    }
+
+    setupSubscriberSelection() {
+        const block = document.getElementById('selection-block');
+        if (!block) return;
+
+        const tool = async () => (await import('./SubscriberSelectionTool.js')).subscriberSelectionTool;
+
+        block.addEventListener('calciteBlockToggle', async () => {
+            const areaSelect = document.getElementById('selection-da-select');
+            if (!block.expanded || !areaSelect || areaSelect.querySelectorAll('calcite-option').length > 1) return;
+            try {
+                const { subscriberSelectionService } = await import('../services/SubscriberSelectionService.js');
+                const areas = await subscriberSelectionService.getAreas();
+                areas.forEach(name => {
+                    const option = document.createElement('calcite-option');
+                    option.value = name;
+                    option.textContent = name;
+                    areaSelect.appendChild(option);
+                });
+            } catch (error) {
+                log.error('Failed to load distribution areas for selection:', error);
+            }
+        });
+
+        document.getElementById('selection-lasso-btn')?.addEventListener('click', async () => (await tool()).draw('lasso'));
+        document.getElementById('selection-polygon-btn')?.addEventListener('click', async () => (await tool()).draw('polygon'));
+        document.getElementById('selection-da-select')?.addEventListener('calciteSelectChange', async (e) => (await tool()).selectDa(e.target.value));
+        document.getElementById('selection-export-btn')?.addEventListener('click', async () => (await tool()).exportCSV());
+        document.getElementById('selection-copy-btn')?.addEventListener('click', async () => (await tool()).copy());
+        document.getElementById('selection-ticket-btn')?.addEventListener('click', async () => (await tool()).createTicket());
+        document.getElementById('selection-clear-btn')?.addEventListener('click', async () => (await tool()).clear());
+    }
+
+    setupSavedViews() {
+        const block = document.getElementById('saved-views-block');
+        if (!block) return;
+
+        block.addEventListener('calciteBlockToggle', () => {
+            if (block.expanded) this.updateSavedViewList();
+        });
+
+        document.getElementById('saved-view-save-btn')?.addEventListener('click', async () => {
+            const input = document.getElementById('saved-view-name-input');
+            const name = input?.value?.trim();
+            if (!name) {
+                this.showVehicleNotification('Enter a name for the view', 'warning');
+                return;
+            }
+            const state = window.app?.captureViewState?.();
+            if (!state) return;
+
+            const { savedViewService } = await import('../services/SavedViewService.js');
+            savedViewService.saveView(name, state);
+            if (input) input.value = '';
+            this.showVehicleNotification(`Saved view ${name}`, 'success');
+        });
+
+        document.getElementById('saved-view-link-btn')?.addEventListener('click', async () => {
+            const state = window.app?.captureViewState?.();
+            if (!state) return;
+            await this.copyViewLink(state);
+        });
+
+        document.addEventListener('savedViewsChanged', () => this.updateSavedViewList());
+    }
+
+    async copyViewLink(state) {
+        const [{ savedViewService }, { copyToClipboard }] = await Promise.all([
+            import('../services/SavedViewService.js'),
+            import('../utils/clipboardUtils.js')
+        ]);
+        const copied = await copyToClipboard(savedViewService.buildShareUrl(state));
+        this.showVehicleNotification(copied ? 'Link copied to clipboard' : 'Failed to copy link', copied ? 'success' : 'danger');
+    }
+
+    async updateSavedViewList() {
+        const list = document.getElementById('saved-view-list');
+        if (!list) return;
+
+        const { savedViewService } = await import('../services/SavedViewService.js');
+        const views = savedViewService.listViews();
+
+        list.innerHTML = '';
+        if (views.length === 0) {
+            list.innerHTML = '<calcite-list-item label="No saved views" description="Name the current view and save it"></calcite-list-item>';
+            return;
+        }
+
+        views.forEach(view => {
+            const item = document.createElement('calcite-list-item');
+            item.label = view.name;
+            item.description = `${view.state?.layers?.length || 0} layers • Saved ${new Date(view.savedAt).toLocaleDateString()}`;
+
+            const actions = [
+                { icon: 'launch', text: `Open ${view.name}`, onClick: () => window.app?.applyViewState?.(view.state) },
+                { icon: 'link', text: `Copy link to ${view.name}`, onClick: () => this.copyViewLink(view.state) },
+                {
+                    icon: 'trash',
+                    text: `Delete ${view.name}`,
+                    onClick: () => {
+                        if (confirm(`Delete the saved view ${view.name}?`)) savedViewService.deleteView(view.id);
+                    }
+                }
+            ];
+            actions.forEach(({ icon, text, onClick }) => {
+                const action = document.createElement('calcite-action');
+                action.slot = 'actions-end';
+                action.icon = icon;
+                action.text = text;
+                action.addEventListener('click', onClick);
+                item.appendChild(action);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    setupNodeAlerts() {
+        const block = document.getElementById('node-alert-block');
+        if (!block) return;
+
+        const field = (id) => document.getElementById(id);
+        const number = (id, fallback) => {
+            const value = parseFloat(field(id)?.value);
+            return Number.isFinite(value) && value >= 0 ? value : fallback;
+        };
+
+        block.addEventListener('calciteBlockToggle', async () => {
+            if (!block.expanded) return;
+            const { nodeAlertService } = await import('../services/NodeAlertService.js');
+            const { settings } = nodeAlertService;
+            field('node-alert-enabled-checkbox').checked = settings.enabled;
+            field('node-alert-critical-input').value = String(settings.global.critical);
+            field('node-alert-warning-input').value = String(settings.global.warning);
+            field('node-alert-fair-input').value = String(settings.global.fair);
+            field('node-alert-min-subscribers-input').value = String(settings.minSubscribers);
+            field('node-alert-surge-count-input').value = String(settings.newOffline.count);
+            field('node-alert-surge-minutes-input').value = String(settings.newOffline.minutes);
+            field('node-alert-quiet-start-input').value = settings.quietHours?.start || '';
+            field('node-alert-quiet-end-input').value = settings.quietHours?.end || '';
+            field('node-alert-quiet-critical-checkbox').checked = settings.quietHours?.allowCritical !== false;
+            this.updateNodeAlertHits();
+        });
+
+        field('node-alert-save-btn')?.addEventListener('click', async () => {
+            const { nodeAlertService } = await import('../services/NodeAlertService.js');
+            const { settings } = nodeAlertService;
+            const global = {
+                critical: number('node-alert-critical-input', settings.global.critical),
+                warning: number('node-alert-warning-input', settings.global.warning),
+                fair: number('node-alert-fair-input', settings.global.fair)
+            };
+
+            if (!(global.critical > global.warning && global.warning > global.fair)) {
+                this.showVehicleNotification('Thresholds must go critical > warning > fair', 'warning');
+                return;
+            }
+
+            nodeAlertService.updateSettings({
+                enabled: field('node-alert-enabled-checkbox').checked,
+                global,
+                minSubscribers: Math.round(number('node-alert-min-subscribers-input', settings.minSubscribers)),
+                newOffline: {
+                    count: Math.max(1, Math.round(number('node-alert-surge-count-input', settings.newOffline.count))),
+                    minutes: Math.max(1, Math.round(number('node-alert-surge-minutes-input', settings.newOffline.minutes)))
+                },
+                quietHours: {
+                    start: field('node-alert-quiet-start-input').value || null,
+                    end: field('node-alert-quiet-end-input').value || null,
+                    allowCritical: field('node-alert-quiet-critical-checkbox').checked
+                }
+            });
+            this.showVehicleNotification('Alert rules saved', 'success');
+        });
+
+        document.addEventListener('nodeAlertsRaised', () => this.updateNodeAlertHits());
+    }
+
+    async updateNodeAlertHits() {
+        const list = document.getElementById('node-alert-hit-list');
+        if (!list) return;
+
+        const { nodeAlertService } = await import('../services/NodeAlertService.js');
+        const hits = nodeAlertService.getHits().slice(0, 10);
+
+        list.innerHTML = '';
+        if (hits.length === 0) {
+            list.innerHTML = '<calcite-list-item label="No alerts yet" description="Rule hits from this session appear here"></calcite-list-item>';
+            return;
+        }
+        hits.forEach(hit => {
+            const item = document.createElement('calcite-list-item');
+            item.label = `${hit.nodeSiteName} - ${hit.ruleName}`;
+            item.description = `${hit.message} • ${new Date(hit.time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}${hit.suppressed ? ' • quiet hours' : ''}`;
+            list.appendChild(item);
+        });
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) return '0 KB';
+        if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    formatBundleAge(timestamp) {
+        const hours = Math.floor((Date.now() - timestamp) / (60 * 60 * 1000));
+        if (hours < 1) return 'downloaded just now';
+        if (hours < 24) return `downloaded ${hours}h ago`;
+        return `downloaded ${Math.floor(hours / 24)}d ago`;
+    }
+
+}
@@ -62,7 +62,7 @@ export class MobileTabBar {
         const mobileSearchDialog = document.getElementById('mobile-search-sheet');
         if (mobileSearchDialog) {
             mobileSearchDialog.addEventListener('calciteDialogOpen', () => {
-
+                window.app?.services?.headerSearch?.renderMobileHistory();
             });
 
         }
@@ -0,0 +1,196 @@
+// NodeHealthDashboard.js - Sortable health table for every TA5K node site
+import { nodeHealthService } from '../services/NodeHealthService.js';
+import { createLogger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/htmlUtils.js';
+
+const log = createLogger('NodeHealthDashboard');
+
+const REFRESH_INTERVAL_MS = 2 * 60 * 1000;
+
+const COLUMNS = [
+    { key: 'health', label: 'Health' },
+    { key: 'name', label: 'Node Site' },
+    { key: 'offline', label: 'Offline' },
+    { key: 'percentage', label: '% Offline' },
+    { key: 'delta', label: 'Change' },
+    { key: null, label: '24h Trend' },
+    { key: null, label: '' }
+];
+
+export class NodeHealthDashboard {
+    constructor() {
+        this.dialog = null;
+        this.rows = [];
+        this.sortKey = 'health';
+        this.sortDirection = 'desc';
+        this.refreshTimer = null;
+        this.loading = false;
+    }
+
+    async ensureDialog() {
+        if (this.dialog) return this.dialog;
+
+        await import('@esri/calcite-components/dist/components/calcite-dialog');
+
+        const dialog = document.createElement('calcite-dialog');
+        dialog.id = 'node-health-dialog';
+        dialog.setAttribute('heading', 'Node Site Health');
+        dialog.setAttribute('width-scale', 'l');
+        dialog.innerHTML = `
+            <div style="display: flex; flex-direction: column; gap: 8px;">
+                <div id="node-health-status" style="font-size: var(--calcite-font-size--1); color: var(--calcite-color-text-3);"></div>
+                <div style="overflow-x: auto;">
+                    <table id="node-health-table" style="width: 100%; border-collapse: collapse; font-size: var(--calcite-font-size--1);">
+                        <thead><tr></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+            <calcite-button slot="footer-end" appearance="outline" kind="neutral" id="node-health-close-btn">Close</calcite-button>
+            <calcite-button slot="footer-end" icon-start="refresh" id="node-health-refresh-btn">Refresh</calcite-button>
+        `;
+
+        document.body.appendChild(dialog);
+        dialog.querySelector('#node-health-close-btn').addEventListener('click', () => { dialog.open = false; });
+        dialog.querySelector('#node-health-refresh-btn').addEventListener('click', () => this.refresh());
+        dialog.addEventListener('calciteDialogClose', () => this.stopAutoRefresh());
+
+        dialog.querySelector('#node-health-table tbody').addEventListener('click', (event) => {
+            const button = event.target.closest('[data-node-site]');
+            if (button) this.showOnMap(button.dataset.nodeSite);
+        });
+
+        this.dialog = dialog;
+        this.renderHeader();
+        return dialog;
+    }
+
+    async open() {
+        const dialog = await this.ensureDialog();
+        dialog.open = true;
+        await this.refresh();
+        this.startAutoRefresh();
+    }
+
+    startAutoRefresh() {
+        this.stopAutoRefresh();
+        this.refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL_MS);
+    }
+
+    stopAutoRefresh() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    async refresh() {
+        if (this.loading || !this.dialog) return;
+
+        const refreshBtn = this.dialog.querySelector('#node-health-refresh-btn');
+        this.loading = true;
+        refreshBtn.setAttribute('loading', '');
+        if (this.rows.length === 0) this.setStatus('Loading node site metrics...');
+
+        try {
+            const result = await nodeHealthService.poll();
+            if (result.error) {
+                this.setStatus(`Failed to load node site metrics: ${result.errorMessage}`);
+                return;
+            }
+
+            this.rows = result.data;
+            this.renderRows();
+
+            const critical = this.rows.filter(row => row.healthStatus === 'critical').length;
+            const since = result.previousPollAt ? ` · change since ${result.previousPollAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}` : '';
+            this.setStatus(`${this.rows.length} node sites · ${critical} critical · updated ${result.lastUpdated.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}${since}`);
+        } catch (error) {
+            log.error('Failed to refresh node health dashboard:', error);
+            this.setStatus('Failed to load node site metrics');
+        } finally {
+            this.loading = false;
+            refreshBtn.removeAttribute('loading');
+        }
+    }
+
+    renderHeader() {
+        const headerRow = this.dialog.querySelector('#node-health-table thead tr');
+        headerRow.innerHTML = COLUMNS.map(column => {
+            const active = column.key && column.key === this.sortKey;
+            const arrow = active ? (this.sortDirection === 'desc' ? ' ▼' : ' ▲') : '';
+            return `<th data-sort-key="${column.key || ''}" style="text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--calcite-color-border-2); white-space: nowrap; ${column.key ? 'cursor: pointer;' : ''}">${column.label}${arrow}</th>`;
+        }).join('');
+
+        headerRow.querySelectorAll('th[data-sort-key]').forEach(th => {
+            const key = th.dataset.sortKey;
+            if (!key) return;
+            th.addEventListener('click', () => {
+                this.sortDirection = this.sortKey === key && this.sortDirection === 'desc' ? 'asc' : 'desc';
+                this.sortKey = key;
+                this.renderHeader();
+                this.renderRows();
+            });
+        });
+    }
+
+    renderRows() {
+        const tbody = this.dialog.querySelector('#node-health-table tbody');
+        const rows = nodeHealthService.sortRows(this.rows, this.sortKey, this.sortDirection);
+
+        tbody.innerHTML = rows.map(row => {
+            const delta = row.offlineDelta === null
+                ? '<span style="color: var(--calcite-color-text-3);">-</span>'
+                : row.offlineDelta === 0
+                    ? '0'
+                    : `<span style="color: ${row.offlineDelta > 0 ? 'var(--calcite-color-status-danger)' : 'var(--calcite-color-status-success)'};">${row.offlineDelta > 0 ? '+' : ''}${row.offlineDelta}</span>`;
+
+            return `
+                <tr style="border-bottom: 1px solid var(--calcite-color-border-3);">
+                    <td style="padding: 6px 8px; white-space: nowrap;">
+                        <span style="display: inline-block; width: 10px; height: 10px; border-radius: 50%; background: ${row.healthColor}; margin-right: 6px;"></span>${escapeHtml(row.healthStatus)}
+                    </td>
+                    <td style="padding: 6px 8px;" title="${escapeHtml(row.error || row.ta5kNodes.join(', '))}">${escapeHtml(row.nodeSiteName)}</td>
+                    <td style="padding: 6px 8px;">${row.offlineSubscribers.toLocaleString()} / ${row.totalSubscribers.toLocaleString()}</td>
+                    <td style="padding: 6px 8px;">${row.offlinePercentage}%</td>
+                    <td style="padding: 6px 8px;">${delta}</td>
+                    <td style="padding: 6px 8px;">${this.renderSparkline(row.trend, row.healthColor)}</td>
+                    <td style="padding: 6px 8px;">
+                        ${row.ta5kNodes.length > 0 ? `<calcite-button scale="s" appearance="transparent" icon-start="zoom-to-object" data-node-site="${escapeHtml(row.nodeSiteName)}">Map</calcite-button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Inline SVG polyline of offline counts; gaps before history starts are skipped
+    renderSparkline(values, color, width = 90, height = 22) {
+        const points = values.map((value, index) => ({ value, index })).filter(point => point.value !== null);
+        if (points.length < 2) return '<span style="color: var(--calcite-color-text-3);">No history</span>';
+
+        const max = Math.max(1, ...points.map(point => point.value));
+        const xStep = width / Math.max(1, values.length - 1);
+        const coords = points
+            .map(point => `${(point.index * xStep).toFixed(1)},${(height - 2 - (point.value / max) * (height - 4)).toFixed(1)}`)
+            .join(' ');
+
+        return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-label="Offline trend, peak ${max}">
+            <polyline points="${coords}" fill="none" stroke="${color}" stroke-width="1.5" stroke-linejoin="round"/>
+        </svg>`;
+    }
+
+    async showOnMap(nodeSiteName) {
+        const row = this.rows.find(item => item.nodeSiteName === nodeSiteName);
+        if (!row || !window.app?.applyNodeSiteFilter) return;
+
+        this.dialog.open = false;
+        await window.app.applyNodeSiteFilter(row.nodeSiteName, row.ta5kNodes);
+    }
+
+    setStatus(message) {
+        const status = this.dialog?.querySelector('#node-health-status');
+        if (status) status.textContent = message;
+    }
+}
+
+export const nodeHealthDashboard = new NodeHealthDashboard();
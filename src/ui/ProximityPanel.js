@@ -0,0 +1,262 @@
+// ProximityPanel.js - Right-click or long-press the map to list the nearest subscribers, plant and trucks
+import GraphicsLayer from '@arcgis/core/layers/GraphicsLayer';
+import Graphic from '@arcgis/core/Graphic';
+import { proximityService, PROXIMITY_RADII } from '../services/ProximityService.js';
+import { authService } from '../services/AuthService.js';
+import { redactionService } from '../services/RedactionService.js';
+import { createCirclePolygon, formatDistance } from '../utils/geoUtils.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ProximityPanel');
+
+// A touch long-press raises both 'hold' and 'contextmenu'; only the first of the pair opens the panel
+const GESTURE_DEDUPE_MS = 800;
+
+const GROUP_ICONS = {
+    subscriber: 'person',
+    pole: 'pin',
+    mst: 'nodes-link',
+    splitter: 'split',
+    slack: 'circle-area',
+    truck: 'car'
+};
+
+// Same wording as the nearest trucks notice
+const TRUCK_STATUS_LABELS = { Online: 'Moving', Idle: 'Idle', Offline: 'Offline' };
+
+export class ProximityPanel {
+    constructor() {
+        this.view = null;
+        this.dialog = null;
+        this.layer = null;
+        this.center = null;
+        this.holdHandle = null;
+        this.contextMenuHandler = null;
+        this.lastGestureAt = 0;
+        this.requestId = 0;
+    }
+
+    /**
+     * Listen for right-clicks and long-presses on the map
+     * @param {__esri.MapView} view
+     */
+    initialize(view) {
+        if (!view) {
+            log.error('ProximityPanel: View is required for initialization');
+            return;
+        }
+        this.destroy();
+        this.view = view;
+
+        this.holdHandle = view.on('hold', (event) => this.handleGesture(event.mapPoint));
+        this.contextMenuHandler = (event) => {
+            event.preventDefault();
+            const rect = view.container.getBoundingClientRect();
+            this.handleGesture(view.toMap({ x: event.clientX - rect.left, y: event.clientY - rect.top }));
+        };
+        view.container?.addEventListener('contextmenu', this.contextMenuHandler);
+        log.info('Proximity search ready - right-click or long-press the map');
+    }
+
+    handleGesture(mapPoint) {
+        const now = Date.now();
+        if (!mapPoint || now - this.lastGestureAt < GESTURE_DEDUPE_MS) return;
+        this.lastGestureAt = now;
+        this.open([mapPoint.longitude, mapPoint.latitude]);
+    }
+
+    async ensureDialog() {
+        if (this.dialog) return this.dialog;
+
+        await Promise.all([
+            import('@esri/calcite-components/dist/components/calcite-dialog'),
+            import('@esri/calcite-components/dist/components/calcite-label'),
+            import('@esri/calcite-components/dist/components/calcite-segmented-control'),
+            import('@esri/calcite-components/dist/components/calcite-segmented-control-item')
+        ]);
+
+        const radius = proximityService.getRadius();
+        const dialog = document.createElement('calcite-dialog');
+        dialog.id = 'proximity-dialog';
+        dialog.setAttribute('heading', "What's Nearby");
+        dialog.setAttribute('width-scale', 's');
+        // Not modal: the map stays usable while the list is open
+        dialog.setAttribute('placement', window.innerWidth <= 768 ? 'bottom' : 'top-end');
+        dialog.setAttribute('focus-trap-disabled', '');
+        dialog.setAttribute('drag-enabled', '');
+        dialog.innerHTML = `
+            <div style="display: flex; flex-direction: column; gap: 12px;">
+                <calcite-label>
+                    Radius
+                    <calcite-segmented-control id="proximity-radius" scale="s" width="full">
+                        ${PROXIMITY_RADII.map(option => `
+                            <calcite-segmented-control-item value="${option.meters}"${option.meters === radius ? ' checked' : ''}>${option.label}</calcite-segmented-control-item>
+                        `).join('')}
+                    </calcite-segmented-control>
+                </calcite-label>
+                <div id="proximity-status" style="font-size: var(--calcite-font-size--1); color: var(--calcite-color-text-2);"></div>
+                <calcite-list id="proximity-results" selection-mode="none" label="Nearby features"></calcite-list>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+        dialog.querySelector('#proximity-radius').addEventListener('calciteSegmentedControlChange', (event) => {
+            proximityService.setRadius(parseFloat(event.target.value));
+            if (this.center) this.load();
+        });
+        dialog.addEventListener('calciteDialogClose', () => this.clear());
+
+        this.dialog = dialog;
+        return dialog;
+    }
+
+    /**
+     * Show what is near a point
+     * @param {Array<number>} center - [lon, lat]
+     */
+    async open(center) {
+        const dialog = await this.ensureDialog();
+        this.center = center;
+        dialog.setAttribute('description', `${center[1].toFixed(5)}, ${center[0].toFixed(5)}`);
+        dialog.open = true;
+        await this.load();
+    }
+
+    async load() {
+        const requestId = ++this.requestId;
+        const radiusMeters = proximityService.getRadius();
+        const list = this.dialog.querySelector('#proximity-results');
+
+        list.innerHTML = '';
+        list.loading = true;
+        this.setStatus(`Looking within ${formatDistance(radiusMeters)}...`);
+        this.drawSearchArea(this.center, radiusMeters);
+
+        try {
+            const layerPanel = window.app?.services?.layerPanel;
+            const result = await proximityService.findNearby(this.center, {
+                radiusMeters,
+                getVehicleStatus: layerPanel?.getVehicleStatus ? (vehicle) => layerPanel.getVehicleStatus(vehicle) : undefined,
+                includeTrucks: authService.can('track-vehicles')
+            });
+            // A newer right-click or radius change replaced this lookup
+            if (requestId !== this.requestId) return;
+
+            this.setStatus(result.count === 0
+                ? `Nothing within ${formatDistance(radiusMeters)} - try a larger radius`
+                : `${result.count.toLocaleString()} within ${formatDistance(radiusMeters)}, nearest first`);
+            this.renderGroups(list, result.groups);
+        } catch (error) {
+            log.error('Proximity search failed:', error);
+            if (requestId === this.requestId) this.setStatus('Could not load nearby features');
+        } finally {
+            if (requestId === this.requestId) list.loading = false;
+        }
+    }
+
+    renderGroups(list, groups) {
+        groups.forEach(group => {
+            const groupElement = document.createElement('calcite-list-item-group');
+            const more = group.total > group.items.length ? ` (${group.items.length} of ${group.total.toLocaleString()})` : '';
+            groupElement.setAttribute('heading', `${group.label}${more}`);
+
+            group.items.forEach(item => {
+                const listItem = document.createElement('calcite-list-item');
+                listItem.setAttribute('label', this.formatItemLabel(item));
+                listItem.setAttribute('description', [formatDistance(item.distanceMeters), item.type === 'truck' ? TRUCK_STATUS_LABELS[item.status] || item.status : null]
+                    .filter(Boolean).join(' · '));
+                listItem.innerHTML = `
+                    <calcite-icon slot="content-start" icon="${GROUP_ICONS[item.type]}"${item.type === 'subscriber' ? ` style="color: var(--calcite-color-status-${item.status === 'Online' ? 'success' : 'danger'});"` : ''}></calcite-icon>
+                    <calcite-action slot="actions-end" icon="popup" text="Open popup"></calcite-action>
+                `;
+                listItem.addEventListener('click', () => this.openItem(item));
+                groupElement.appendChild(listItem);
+            });
+            list.appendChild(groupElement);
+        });
+    }
+
+    formatItemLabel(item) {
+        if (item.type !== 'subscriber') return item.name || 'Unnamed';
+        const displayed = redactionService.redactAttributes({ customer_name: item.name, customer_number: item.source.account });
+        return String(displayed.customer_name || displayed.customer_number || 'Subscriber');
+    }
+
+    /**
+     * Go to a row's feature and open its popup
+     * Layer features open their own popup (with its actions); subscribers and features on hidden
+     * layers use the same path as a search result.
+     */
+    async openItem(item) {
+        if (!this.view) return;
+        if (window.innerWidth <= 768) this.dialog.open = false;
+
+        const layer = item.feature ? window.app?.services?.layerManager?.getLayer(item.feature.layerId) : null;
+        if (layer?.visible && window.app?.openFeatureByKey) {
+            await this.view.goTo({ target: { type: 'point', longitude: item.longitude, latitude: item.latitude }, zoom: Math.max(this.view.zoom, 17) })
+                .catch(error => log.warn('Failed to zoom to nearby feature:', error));
+            await window.app.openFeatureByKey(item.feature);
+            return;
+        }
+
+        const headerSearch = window.app?.services?.headerSearch;
+        if (item.type === 'truck' || !headerSearch) {
+            this.view.goTo({ target: { type: 'point', longitude: item.longitude, latitude: item.latitude }, zoom: 16 })
+                .catch(error => log.warn('Failed to zoom to nearby feature:', error));
+            return;
+        }
+        headerSearch.navigateToResult(item.type === 'subscriber' ? headerSearch.mapEnhancedResult(item.source) : item.source);
+    }
+
+    // Outline the searched circle so it is clear what "nearby" covered
+    drawSearchArea(center, radiusMeters) {
+        if (!this.view) return;
+        if (!this.layer) {
+            this.layer = new GraphicsLayer({ id: 'proximity-search', title: 'Proximity Search', listMode: 'hide' });
+        }
+        if (!this.view.map.layers.includes(this.layer)) this.view.map.add(this.layer);
+
+        this.layer.removeAll();
+        this.layer.addMany([
+            new Graphic({
+                geometry: { type: 'polygon', rings: createCirclePolygon(center, radiusMeters, 64).coordinates, spatialReference: { wkid: 4326 } },
+                symbol: { type: 'simple-fill', color: [0, 122, 255, 0.06], outline: { color: [0, 122, 255, 0.8], width: 1.5, style: 'dash' } }
+            }),
+            new Graphic({
+                geometry: { type: 'point', longitude: center[0], latitude: center[1], spatialReference: { wkid: 4326 } },
+                symbol: { type: 'simple-marker', style: 'cross', size: 14, color: [0, 122, 255, 1], outline: { color: [0, 122, 255, 1], width: 2 } }
+            })
+        ]);
+    }
+
+    setStatus(message) {
+        const status = this.dialog?.querySelector('#proximity-status');
+        if (status) status.textContent = message;
+    }
+
+    clear() {
+        this.requestId++;
+        this.center = null;
+        this.layer?.removeAll();
+    }
+
+    destroy() {
+        this.holdHandle?.remove();
+        this.holdHandle = null;
+        if (this.contextMenuHandler) {
+            this.view?.container?.removeEventListener('contextmenu', this.contextMenuHandler);
+            this.contextMenuHandler = null;
+        }
+        this.clear();
+        if (this.layer) {
+            this.view?.map?.remove(this.layer);
+            this.layer = null;
+        }
+        this.dialog?.remove();
+        this.dialog = null;
+        this.view = null;
+    }
+}
+
+// Export singleton instance
+export const proximityPanel = new ProximityPanel();
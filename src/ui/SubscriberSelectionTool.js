@@ -0,0 +1,206 @@
+// SubscriberSelectionTool.js - Lasso / polygon / DA subscriber selection in the Tools panel
+import { subscriberSelectionService } from '../services/SubscriberSelectionService.js';
+import { authService } from '../services/AuthService.js';
+import { createLogger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/htmlUtils.js';
+
+const log = createLogger('SubscriberSelectionTool');
+
+const STATUS_COLORS = {
+    'Offline': [220, 38, 38, 1],
+    'Electric Offline': [234, 179, 8, 1],
+    'Online': [34, 197, 94, 1]
+};
+
+export class SubscriberSelectionTool {
+    constructor() {
+        this.layer = null;
+        this.sketch = null;
+        this.busy = false;
+    }
+
+    getView() {
+        return window.app?.services?.mapController?.view || null;
+    }
+
+    async ensureLayer(view) {
+        if (!this.layer) {
+            const { default: GraphicsLayer } = await import('@arcgis/core/layers/GraphicsLayer');
+            this.layer = new GraphicsLayer({ id: 'subscriber-selection', title: 'Subscriber Selection', listMode: 'hide' });
+        }
+        if (view && !view.map.layers.includes(this.layer)) {
+            view.map.add(this.layer);
+        }
+        return this.layer;
+    }
+
+    /**
+     * Draw a selection area on the map
+     * @param {string} mode - 'lasso' (freehand) or 'polygon' (click vertices)
+     */
+    async draw(mode) {
+        const view = this.getView();
+        if (!view || this.busy) return;
+
+        const [{ default: SketchViewModel }, webMercatorUtils] = await Promise.all([
+            import('@arcgis/core/widgets/Sketch/SketchViewModel'),
+            import('@arcgis/core/geometry/support/webMercatorUtils')
+        ]);
+
+        const layer = await this.ensureLayer(view);
+        this.sketch?.destroy();
+        this.sketch = new SketchViewModel({
+            view,
+            layer,
+            polygonSymbol: { type: 'simple-fill', color: [0, 121, 193, 0.12], outline: { color: [0, 121, 193, 1], width: 2 } }
+        });
+
+        const button = document.getElementById(mode === 'lasso' ? 'selection-lasso-btn' : 'selection-polygon-btn');
+        button?.setAttribute('loading', '');
+
+        this.sketch.on('create', async (event) => {
+            if (event.state === 'cancel') {
+                button?.removeAttribute('loading');
+                return;
+            }
+            if (event.state !== 'complete') return;
+
+            button?.removeAttribute('loading');
+            layer.remove(event.graphic);
+
+            const geometry = event.graphic.geometry.spatialReference.isWebMercator
+                ? webMercatorUtils.webMercatorToGeographic(event.graphic.geometry)
+                : event.graphic.geometry;
+            await this.run(() => subscriberSelectionService.selectInArea(
+                { type: 'Polygon', coordinates: geometry.rings },
+                { label: mode === 'lasso' ? 'Lasso selection' : 'Polygon selection' }
+            ));
+        });
+
+        this.sketch.create('polygon', { mode: mode === 'lasso' ? 'freehand' : 'click' });
+    }
+
+    async selectDa(areaName) {
+        if (!areaName) return;
+        await this.run(() => subscriberSelectionService.selectDa(areaName));
+    }
+
+    async run(select) {
+        if (this.busy) return;
+        this.busy = true;
+        this.setSummary('<div>Finding subscribers...</div>');
+
+        try {
+            const selection = await select();
+            if (selection.error) {
+                this.setSummary(`<div>Selection failed: ${escapeHtml(selection.errorMessage)}</div>`);
+                this.setActionsEnabled(false);
+                return;
+            }
+            await this.render(selection);
+        } catch (error) {
+            log.error('Failed to select subscribers:', error);
+            this.setSummary('<div>Selection failed</div>');
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    async render(selection) {
+        const view = this.getView();
+        const [layer, { default: Graphic }] = await Promise.all([
+            this.ensureLayer(view),
+            import('@arcgis/core/Graphic')
+        ]);
+
+        layer.removeAll();
+        layer.add(new Graphic({
+            geometry: { type: 'polygon', rings: selection.geometry.type === 'MultiPolygon' ? selection.geometry.coordinates.flat() : selection.geometry.coordinates, spatialReference: { wkid: 4326 } },
+            symbol: { type: 'simple-fill', color: [0, 121, 193, 0.08], outline: { color: [0, 121, 193, 1], width: 2, style: 'dash' } }
+        }));
+        layer.addMany(selection.data.map(subscriber => new Graphic({
+            geometry: { type: 'point', longitude: subscriber.longitude, latitude: subscriber.latitude, spatialReference: { wkid: 4326 } },
+            symbol: {
+                type: 'simple-marker',
+                size: 10,
+                color: [0, 0, 0, 0],
+                outline: { color: STATUS_COLORS[subscriber.selectionStatus] || [0, 121, 193, 1], width: 2 }
+            }
+        })));
+
+        const rows = (counts) => Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, count]) => `<div style="display: flex; justify-content: space-between;"><span>${escapeHtml(key)}</span><strong>${count.toLocaleString()}</strong></div>`)
+            .join('');
+
+        this.setSummary(selection.count === 0
+            ? `<div><strong>${escapeHtml(selection.label)}</strong>: no subscribers inside</div>`
+            : `
+                <div style="margin-bottom: 4px;"><strong>${escapeHtml(selection.label)}</strong>: ${selection.count.toLocaleString()} subscribers</div>
+                ${rows(selection.summary.byStatus)}
+                <div style="border-top: 1px solid var(--calcite-color-border-3); margin: 4px 0;"></div>
+                ${rows(selection.summary.byServiceType)}
+            `);
+        this.setActionsEnabled(selection.count > 0);
+    }
+
+    // Export and copy hand out customer rows, so both follow the CSV export permission
+    canExport() {
+        if (authService.can('export-csv')) return true;
+        window.app?.showNotification?.('warning', 'Exporting subscribers is not available for your role', 4000);
+        return false;
+    }
+
+    async exportCSV() {
+        if (!this.canExport()) return;
+        try {
+            await subscriberSelectionService.exportCSV();
+            window.app?.showNotification?.('success', `Exported ${subscriberSelectionService.selection?.count || 0} subscribers`, 3000);
+        } catch (error) {
+            log.error('Failed to export selection:', error);
+            window.app?.showNotification?.('error', 'Failed to export selection', 3000);
+        }
+    }
+
+    async copy() {
+        if (!this.canExport()) return;
+        const { copyToClipboard } = await import('../utils/clipboardUtils.js');
+        const copied = await copyToClipboard(subscriberSelectionService.formatClipboardText());
+        window.app?.showNotification?.(copied ? 'success' : 'error',
+            copied ? `Copied ${subscriberSelectionService.selection?.count || 0} subscribers` : 'Failed to copy selection', 3000);
+    }
+
+    async createTicket() {
+        const selection = subscriberSelectionService.selection;
+        if (!selection?.count) return;
+
+        const [{ ticketService }, { ticketDialog }] = await Promise.all([
+            import('../services/TicketService.js'),
+            import('./TicketDialog.js')
+        ]);
+        await ticketDialog.open(ticketService.buildSelectionDraft(selection));
+    }
+
+    clear() {
+        this.sketch?.cancel();
+        this.layer?.removeAll();
+        subscriberSelectionService.clear();
+        this.setSummary('');
+        this.setActionsEnabled(false);
+        const daSelect = document.getElementById('selection-da-select');
+        if (daSelect) daSelect.value = '';
+    }
+
+    setSummary(html) {
+        const summary = document.getElementById('selection-summary');
+        if (summary) summary.innerHTML = html;
+    }
+
+    setActionsEnabled(enabled) {
+        ['selection-export-btn', 'selection-copy-btn', 'selection-ticket-btn'].forEach(id => {
+            document.getElementById(id)?.toggleAttribute('disabled', !enabled);
+        });
+    }
+}
+
+export const subscriberSelectionTool = new SubscriberSelectionTool();
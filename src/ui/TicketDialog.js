@@ -0,0 +1,162 @@
+// TicketDialog.js - Create-ticket dialog opened from popup actions
+import { ticketService, TICKET_PRIORITIES } from '../services/TicketService.js';
+import { createLogger } from '../utils/logger.js';
+import { escapeHtml } from '../utils/htmlUtils.js';
+
+const log = createLogger('TicketDialog');
+
+// Pre-filled values shown read-only above the editable fields
+const CONTEXT_FIELDS = [
+    { key: 'account', label: 'Account' },
+    { key: 'address', label: 'Address' },
+    { key: 'mst', label: 'MST' },
+    { key: 'pole_id', label: 'Pole' },
+    { key: 'da', label: 'DA' },
+    { key: 'ta5k', label: 'TA5K' },
+    { key: 'ont', label: 'ONT' },
+    { key: 'light', label: 'Light Level' },
+    { key: 'subscriber_count', label: 'Subscribers' },
+    { key: 'offline_count', label: 'Offline' }
+];
+
+export class TicketDialog {
+    constructor() {
+        this.dialog = null;
+        this.draft = null;
+        this.submitting = false;
+    }
+
+    async ensureDialog() {
+        if (this.dialog) return this.dialog;
+
+        await Promise.all([
+            import('@esri/calcite-components/dist/components/calcite-dialog'),
+            import('@esri/calcite-components/dist/components/calcite-text-area'),
+            import('@esri/calcite-components/dist/components/calcite-label'),
+            import('@esri/calcite-components/dist/components/calcite-segmented-control'),
+            import('@esri/calcite-components/dist/components/calcite-segmented-control-item')
+        ]);
+
+        const dialog = document.createElement('calcite-dialog');
+        dialog.id = 'ticket-dialog';
+        dialog.setAttribute('heading', 'Create Ticket');
+        dialog.setAttribute('modal', '');
+        dialog.setAttribute('width-scale', 's');
+        dialog.innerHTML = `
+            <div class="ticket-dialog-content" style="display: flex; flex-direction: column; gap: 12px;">
+                <div id="ticket-context" style="font-size: var(--calcite-font-size--1); color: var(--calcite-color-text-2);"></div>
+                <calcite-label>
+                    Summary
+                    <calcite-input id="ticket-summary" required max-length="200"></calcite-input>
+                </calcite-label>
+                <calcite-label>
+                    Priority
+                    <calcite-segmented-control id="ticket-priority" scale="s" width="full">
+                        ${TICKET_PRIORITIES.map(priority => `
+                            <calcite-segmented-control-item value="${priority}">${priority[0].toUpperCase()}${priority.slice(1)}</calcite-segmented-control-item>
+                        `).join('')}
+                    </calcite-segmented-control>
+                </calcite-label>
+                <calcite-label>
+                    Details
+                    <calcite-text-area id="ticket-details" rows="6" resize="vertical"></calcite-text-area>
+                </calcite-label>
+                <div id="ticket-status" style="font-size: var(--calcite-font-size--1);"></div>
+            </div>
+            <calcite-button slot="footer-end" appearance="outline" kind="neutral" id="ticket-cancel-btn">Cancel</calcite-button>
+            <calcite-button slot="footer-end" icon-start="flag" id="ticket-submit-btn">Create Ticket</calcite-button>
+        `;
+
+        document.body.appendChild(dialog);
+        dialog.querySelector('#ticket-cancel-btn').addEventListener('click', () => { dialog.open = false; });
+        dialog.querySelector('#ticket-submit-btn').addEventListener('click', () => this.submit());
+
+        this.dialog = dialog;
+        return dialog;
+    }
+
+    /**
+     * Open the dialog for a ticket draft from TicketService.buildDraft
+     * @param {Object} draft
+     */
+    async open(draft) {
+        const dialog = await this.ensureDialog();
+        this.draft = draft;
+
+        const contextRows = CONTEXT_FIELDS
+            .filter(field => draft[field.key])
+            .map(field => `<div><strong>${field.label}:</strong> ${escapeHtml(draft[field.key])}</div>`)
+            .join('');
+        dialog.querySelector('#ticket-context').innerHTML = `
+            <div><strong>${ticketService.getAssetLabel(draft.asset_type)}:</strong> ${escapeHtml(draft.asset_id || 'Unknown')}</div>
+            ${contextRows}
+        `;
+
+        dialog.querySelector('#ticket-summary').value = draft.summary || '';
+        dialog.querySelector('#ticket-details').value = draft.details || '';
+        dialog.querySelectorAll('#ticket-priority calcite-segmented-control-item').forEach(item => {
+            item.checked = item.value === (draft.priority || 'normal');
+        });
+
+        const queued = await ticketService.getQueuedCount();
+        this.setStatus(queued > 0 ? `${queued} ticket${queued === 1 ? '' : 's'} waiting to send` : '', 'neutral');
+        if (!ticketService.isConfigured()) {
+            this.setStatus('No ticket endpoint is configured - set VITE_TICKET_ENDPOINT', 'danger');
+        }
+
+        dialog.open = true;
+    }
+
+    async submit() {
+        if (this.submitting || !this.draft) return;
+
+        const dialog = this.dialog;
+        const submitBtn = dialog.querySelector('#ticket-submit-btn');
+        const draft = {
+            ...this.draft,
+            summary: dialog.querySelector('#ticket-summary').value,
+            details: dialog.querySelector('#ticket-details').value,
+            priority: dialog.querySelector('#ticket-priority').value || 'normal'
+        };
+
+        this.submitting = true;
+        submitBtn.setAttribute('loading', '');
+
+        try {
+            const result = await ticketService.createTicket(draft);
+
+            if (result.error) {
+                this.setStatus(result.errorMessage, 'danger');
+                return;
+            }
+
+            this.setStatus(result.sent
+                ? `Ticket created${result.ticketId ? ` (${result.ticketId})` : ''}`
+                : `Couldn't reach the ticket system - saved and will retry automatically (${result.queueLength} waiting)`,
+                result.sent ? 'success' : 'warning');
+
+            setTimeout(() => { dialog.open = false; }, 1500);
+        } catch (error) {
+            log.error('Failed to create ticket:', error);
+            this.setStatus('Failed to create ticket', 'danger');
+        } finally {
+            this.submitting = false;
+            submitBtn.removeAttribute('loading');
+        }
+    }
+
+    setStatus(message, kind) {
+        const status = this.dialog?.querySelector('#ticket-status');
+        if (!status) return;
+        const colors = {
+            success: 'var(--calcite-color-status-success)',
+            warning: 'var(--calcite-color-status-warning)',
+            danger: 'var(--calcite-color-status-danger)',
+            neutral: 'var(--calcite-color-text-3)'
+        };
+        status.style.color = colors[kind] || colors.neutral;
+        status.textContent = message;
+    }
+}
+
+export const ticketDialog = new TicketDialog();
@@ -0,0 +1,266 @@
+// TripHistoryDialog.js - Vehicle trip history: time window picker, breadcrumb layer and stop summary
+import GraphicsLayer from '@arcgis/core/layers/GraphicsLayer';
+import Graphic from '@arcgis/core/Graphic';
+import { tripHistoryService, TRIP_WINDOWS } from '../services/TripHistoryService.js';
+import { formatDistance } from '../utils/geoUtils.js';
+import { escapeHtml } from '../utils/htmlUtils.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('TripHistoryDialog');
+
+export class TripHistoryDialog {
+    constructor() {
+        this.dialog = null;
+        this.view = null;
+        this.vehicle = null;
+        this.layer = null;
+        this.loading = false;
+    }
+
+    async ensureDialog() {
+        if (this.dialog) return this.dialog;
+
+        await Promise.all([
+            import('@esri/calcite-components/dist/components/calcite-dialog'),
+            import('@esri/calcite-components/dist/components/calcite-label'),
+            import('@esri/calcite-components/dist/components/calcite-segmented-control'),
+            import('@esri/calcite-components/dist/components/calcite-segmented-control-item')
+        ]);
+
+        const dialog = document.createElement('calcite-dialog');
+        dialog.id = 'trip-history-dialog';
+        dialog.setAttribute('heading', 'Trip History');
+        dialog.setAttribute('modal', '');
+        dialog.setAttribute('width-scale', 's');
+        dialog.innerHTML = `
+            <div style="display: flex; flex-direction: column; gap: 12px;">
+                <div id="trip-history-vehicle" style="font-size: var(--calcite-font-size--1); color: var(--calcite-color-text-2);"></div>
+                <calcite-label>
+                    Time window
+                    <calcite-segmented-control id="trip-history-window" scale="s" width="full">
+                        ${TRIP_WINDOWS.map((window, index) => `
+                            <calcite-segmented-control-item value="${window.id}"${index === 0 ? ' checked' : ''}>${window.label}</calcite-segmented-control-item>
+                        `).join('')}
+                    </calcite-segmented-control>
+                </calcite-label>
+                <div id="trip-history-status" style="font-size: var(--calcite-font-size--1);"></div>
+            </div>
+            <calcite-button slot="footer-end" appearance="outline" kind="neutral" id="trip-history-cancel-btn">Cancel</calcite-button>
+            <calcite-button slot="footer-end" icon-start="footprint" id="trip-history-load-btn">Show Trail</calcite-button>
+        `;
+
+        document.body.appendChild(dialog);
+        dialog.querySelector('#trip-history-cancel-btn').addEventListener('click', () => { dialog.open = false; });
+        dialog.querySelector('#trip-history-load-btn').addEventListener('click', () => this.load());
+
+        this.dialog = dialog;
+        return dialog;
+    }
+
+    /**
+     * Open the window picker for a truck popup feature
+     * @param {Object} vehicle - Truck graphic attributes ({ id, name, installer })
+     * @param {__esri.MapView} view
+     */
+    async open(vehicle, view) {
+        const dialog = await this.ensureDialog();
+        this.vehicle = vehicle;
+        this.view = view;
+
+        dialog.querySelector('#trip-history-vehicle').innerHTML = `
+            <div><strong>Vehicle:</strong> ${escapeHtml(vehicle.name || vehicle.id)}</div>
+            ${vehicle.installer && vehicle.installer !== vehicle.name ? `<div><strong>Driver:</strong> ${escapeHtml(vehicle.installer)}</div>` : ''}
+        `;
+        this.setStatus('', 'neutral');
+        dialog.open = true;
+    }
+
+    async load() {
+        if (this.loading || !this.vehicle?.id) return;
+
+        const dialog = this.dialog;
+        const loadBtn = dialog.querySelector('#trip-history-load-btn');
+        const windowId = dialog.querySelector('#trip-history-window').value || TRIP_WINDOWS[0].id;
+        const range = tripHistoryService.getWindowRange(windowId);
+
+        this.loading = true;
+        loadBtn.setAttribute('loading', '');
+        this.setStatus('Loading GPS history from MyGeotab...', 'neutral');
+
+        try {
+            const trip = await tripHistoryService.getTrip(this.vehicle.id, range);
+
+            if (trip.error) {
+                this.setStatus(trip.errorMessage || 'Failed to load trip history', 'danger');
+                return;
+            }
+            if (trip.points.length === 0) {
+                this.setStatus('No GPS records for this vehicle in the selected window', 'warning');
+                return;
+            }
+
+            await this.drawTrip(trip);
+            this.showSummaryNotice(trip, windowId);
+            dialog.open = false;
+        } catch (error) {
+            log.error('Failed to show trip history:', error);
+            this.setStatus('Failed to load trip history', 'danger');
+        } finally {
+            this.loading = false;
+            loadBtn.removeAttribute('loading');
+        }
+    }
+
+    // Breadcrumb line, start/end markers and numbered stops with dwell-time popups
+    async drawTrip(trip) {
+        if (!this.layer) {
+            this.layer = new GraphicsLayer({
+                id: 'trip-history',
+                title: 'Trip History',
+                listMode: 'hide'
+            });
+        }
+        if (!this.view.map.layers.includes(this.layer)) {
+            this.view.map.add(this.layer);
+        }
+        this.layer.removeAll();
+
+        const vehicleName = this.vehicle.name || this.vehicle.id;
+        const graphics = [];
+
+        if (trip.path.length > 1) {
+            graphics.push(new Graphic({
+                geometry: { type: 'polyline', paths: [trip.path], spatialReference: { wkid: 4326 } },
+                symbol: { type: 'simple-line', color: [255, 140, 0, 0.85], width: 3, cap: 'round', join: 'round' }
+            }));
+        }
+
+        const first = trip.points[0];
+        const last = trip.points[trip.points.length - 1];
+        graphics.push(
+            new Graphic({
+                geometry: { type: 'point', longitude: first.position[0], latitude: first.position[1] },
+                symbol: { type: 'simple-marker', color: [40, 167, 69, 1], size: 10, outline: { color: [255, 255, 255, 1], width: 2 } },
+                attributes: { name: vehicleName, time: this.formatTime(first.time) },
+                popupTemplate: { title: '{name} - Trail start', content: 'First GPS record: {time}' }
+            }),
+            new Graphic({
+                geometry: { type: 'point', longitude: last.position[0], latitude: last.position[1] },
+                symbol: { type: 'simple-marker', color: [220, 53, 69, 1], size: 10, outline: { color: [255, 255, 255, 1], width: 2 } },
+                attributes: { name: vehicleName, time: this.formatTime(last.time) },
+                popupTemplate: { title: '{name} - Trail end', content: 'Last GPS record: {time}' }
+            })
+        );
+
+        trip.stops.forEach((stop, index) => {
+            const geometry = { type: 'point', longitude: stop.position[0], latitude: stop.position[1] };
+            graphics.push(
+                new Graphic({
+                    geometry,
+                    symbol: { type: 'simple-marker', color: [255, 140, 0, 1], size: 18, outline: { color: [255, 255, 255, 1], width: 2 } },
+                    attributes: {
+                        name: vehicleName,
+                        stop_number: index + 1,
+                        arrival: this.formatTime(stop.arrival),
+                        departure: stop.ongoing ? 'Still there' : this.formatTime(stop.departure),
+                        dwell: tripHistoryService.formatDuration(stop.dwellMs) + (stop.ongoing ? '+' : '')
+                    },
+                    popupTemplate: {
+                        title: '{name} - Stop {stop_number}',
+                        content: [{
+                            type: 'fields',
+                            fieldInfos: [
+                                { fieldName: 'arrival', label: 'Arrived' },
+                                { fieldName: 'departure', label: 'Departed' },
+                                { fieldName: 'dwell', label: 'Dwell Time' }
+                            ]
+                        }]
+                    }
+                }),
+                new Graphic({
+                    geometry,
+                    symbol: { type: 'text', text: String(index + 1), color: [255, 255, 255, 1], yoffset: -4, font: { size: 9, weight: 'bold' } }
+                })
+            );
+        });
+
+        this.layer.addMany(graphics);
+
+        const target = trip.path.length > 1 ? graphics[0].geometry.extent.clone().expand(1.3) : { target: graphics[0].geometry, zoom: 16 };
+        await this.view.goTo(target);
+    }
+
+    clear() {
+        this.layer?.removeAll();
+        document.getElementById('trip-history-notice')?.remove();
+    }
+
+    // Summary stays open until closed; closing it removes the trail. Clicking a stop zooms to it.
+    showSummaryNotice(trip, windowId) {
+        document.getElementById('trip-history-notice')?.remove();
+
+        const windowLabel = TRIP_WINDOWS.find(window => window.id === windowId)?.label || '';
+        const stopRows = trip.stops.map((stop, index) => `
+            <li data-stop-index="${index}" style="cursor: pointer;">
+                <strong>${index + 1}.</strong> ${this.formatTime(stop.arrival)} · ${tripHistoryService.formatDuration(stop.dwellMs)}${stop.ongoing ? ' (still there)' : ''}
+            </li>
+        `).join('');
+
+        const notice = document.createElement('calcite-notice');
+        notice.id = 'trip-history-notice';
+        notice.setAttribute('kind', 'brand');
+        notice.setAttribute('open', 'true');
+        notice.setAttribute('icon', 'footprint');
+        notice.setAttribute('closable', 'true');
+        notice.style.cssText = `
+            position: fixed;
+            top: 120px;
+            right: 20px;
+            z-index: 10000;
+            max-width: 340px;
+            box-shadow: var(--calcite-shadow-2);
+        `;
+
+        notice.innerHTML = `
+            <div slot="title">${escapeHtml(this.vehicle.name || this.vehicle.id)} - last ${escapeHtml(windowLabel.toLowerCase())}</div>
+            <div slot="message" style="font-size: var(--calcite-font-size--1);">
+                <div><strong>Distance:</strong> ${formatDistance(trip.distanceMeters)} · ${trip.points.length} GPS points</div>
+                <div style="margin-top: 6px;"><strong>Stops (${trip.stops.length})</strong></div>
+                <ol style="margin: 2px 0 0; padding-left: 0; list-style: none; max-height: 220px; overflow-y: auto;">${stopRows || '<li>No stops</li>'}</ol>
+            </div>
+        `;
+
+        notice.querySelectorAll('[data-stop-index]').forEach(row => {
+            row.addEventListener('click', () => {
+                const stop = trip.stops[Number(row.dataset.stopIndex)];
+                this.view?.goTo({ target: { type: 'point', longitude: stop.position[0], latitude: stop.position[1] }, zoom: 18 });
+            });
+        });
+        notice.addEventListener('calciteNoticeClose', () => this.clear());
+        document.body.appendChild(notice);
+        return notice;
+    }
+
+    formatTime(epochMs) {
+        const date = new Date(epochMs);
+        const sameDay = date.toDateString() === new Date().toDateString();
+        return sameDay
+            ? date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })
+            : date.toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    setStatus(message, kind) {
+        const status = this.dialog?.querySelector('#trip-history-status');
+        if (!status) return;
+        const colors = {
+            success: 'var(--calcite-color-status-success)',
+            warning: 'var(--calcite-color-status-warning)',
+            danger: 'var(--calcite-color-status-danger)',
+            neutral: 'var(--calcite-color-text-3)'
+        };
+        status.style.color = colors[kind] || colors.neutral;
+        status.textContent = message;
+    }
+}
+
+export const tripHistoryDialog = new TripHistoryDialog();
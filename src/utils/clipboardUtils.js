@@ -2,6 +2,8 @@
  * Simple clipboard utility for copying individual popup fields
  */
 
+import { redactionService } from '../services/RedactionService.js';
+
 /**
  * Copy text to clipboard with fallback support
  * @param {string} text - Text to copy
@@ -102,6 +104,9 @@ export function createCopyButton(value, label) {
  * @returns {HTMLElement} - Popup content element
  */
 export function createPopupWithCopyButtons(attributes, fieldsConfig) {
+    // Shown values and copied values are both masked while redaction is on
+    attributes = redactionService.maskAttributes(attributes);
+
     const container = document.createElement('div');
     container.style.cssText = 'padding: 0;';
 
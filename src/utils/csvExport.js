@@ -4,6 +4,7 @@
  */
 
 import { subscriberDataService } from '../dataService.js';
+import { redactionService } from '../services/RedactionService.js';
 
 export class CSVExportService {
 
@@ -183,6 +184,48 @@ export class CSVExportService {
         }
     }
 
+    /**
+ * Export an area selection from SubscriberSelectionService
+ * @param {Array} subscribers - Selected subscriber records
+ * @param {string} filename - Base filename (without extension)
+ * @returns {Promise<boolean>} - Success status
+ */
+    static async exportSubscriberSelection(subscribers, filename = 'selected_subscribers') {
+        if (!subscribers || subscribers.length === 0) {
+            throw new Error('No subscribers selected to export');
+        }
+
+        const headers = [
+            'Subscriber Name',
+            'Account Number',
+            'Account Type',
+            'Service Address',
+            'City',
+            'County',
+            'State',
+            'Zip Code',
+            'Status',
+            'Last Update',
+            'TA5K',
+            'MST',
+            'Latitude',
+            'Longitude'
+        ];
+
+        const formattedData = [...subscribers]
+            .sort((a, b) => String(a.ta5k || '').localeCompare(String(b.ta5k || '')))
+            .map(subscriber => ({
+                ...this.formatSubscriberData([subscriber])[0],
+                'Status': subscriber.selectionStatus || subscriber.status || '',
+                'MST': subscriber.mst || '',
+                'Latitude': subscriber.latitude ?? '',
+                'Longitude': subscriber.longitude ?? ''
+            }));
+
+        await this.exportToCSV(formattedData, headers, filename);
+        return true;
+    }
+
     /**
  * Format subscriber data for CSV export
  * @param {Array} subscribers - Raw subscriber data
@@ -233,7 +276,8 @@ export class CSVExportService {
 
             const csvData = [headers];
 
-            data.forEach(record => {
+            // Name, phone, email and account columns are masked while redaction is on
+            data.map(record => redactionService.maskAttributes(record)).forEach(record => {
                 const row = headers.map(header => {
                     const value = record[header] || '';
 
@@ -0,0 +1,214 @@
+// geoUtils.js - Lightweight geometry helpers for client-side spatial correlation
+// Works directly on GeoJSON coordinates (WGS84 lon/lat) so services can correlate
+// subscribers, plant and outage areas without loading the ArcGIS geometry engine.
+
+const EARTH_RADIUS_METERS = 6371008.8;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two lon/lat positions
+ * @param {number} lon1
+ * @param {number} lat1
+ * @param {number} lon2
+ * @param {number} lat2
+ * @returns {number} Distance in meters
+ */
+export function haversineMeters(lon1, lat1, lon2, lat2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Format a distance for display: feet under a mile, miles above
+ * @param {number} meters
+ * @param {number} [digits=1] - Decimal places for miles
+ * @returns {string}
+ */
+export function formatDistance(meters, digits = 1) {
+    return meters >= 1609
+        ? `${(meters / 1609.344).toFixed(digits)} mi`
+        : `${Math.round(meters * 3.28084).toLocaleString()} ft`;
+}
+
+/**
+ * Get a [lon, lat] position for a GeoJSON feature or a plain record with latitude/longitude
+ * Non-point geometries resolve to the first vertex; use getGeometryCenter for a representative point.
+ * @param {Object} item - GeoJSON feature or record
+ * @returns {Array<number>|null}
+ */
+export function getFeaturePosition(item) {
+    if (!item) return null;
+
+    const geometry = item.geometry;
+    if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) {
+        const [lon, lat] = geometry.coordinates.map(Number);
+        return Number.isFinite(lon) && Number.isFinite(lat) ? [lon, lat] : null;
+    }
+
+    const props = item.properties || item;
+    const lat = parseFloat(props.latitude ?? props.lat);
+    const lon = parseFloat(props.longitude ?? props.lon);
+    if (Number.isFinite(lat) && Number.isFinite(lon)) return [lon, lat];
+
+    if (geometry) return getGeometryCenter(geometry);
+    return null;
+}
+
+/**
+ * Average of all vertices of a GeoJSON geometry (good enough for labelling and proximity)
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<number>|null}
+ */
+export function getGeometryCenter(geometry) {
+    if (!geometry?.coordinates) return null;
+    if (geometry.type === 'Point') return geometry.coordinates;
+
+    let sumLon = 0, sumLat = 0, count = 0;
+    const walk = (coords) => {
+        if (typeof coords[0] === 'number') {
+            sumLon += coords[0];
+            sumLat += coords[1];
+            count++;
+            return;
+        }
+        coords.forEach(walk);
+    };
+    walk(geometry.coordinates);
+
+    return count > 0 ? [sumLon / count, sumLat / count] : null;
+}
+
+// Ray casting test against a single linear ring
+function isPointInRing(lon, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const intersects = ((yi > lat) !== (yj > lat)) &&
+            (lon < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+        if (intersects) inside = !inside;
+    }
+    return inside;
+}
+
+// Outer ring must contain the point and no hole may contain it
+function isPointInPolygonRings(lon, lat, rings) {
+    if (!rings?.length || !isPointInRing(lon, lat, rings[0])) return false;
+    for (let i = 1; i < rings.length; i++) {
+        if (isPointInRing(lon, lat, rings[i])) return false;
+    }
+    return true;
+}
+
+/**
+ * Test whether a lon/lat position falls inside a GeoJSON Polygon or MultiPolygon
+ * @param {Array<number>} position - [lon, lat]
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+export function isPointInPolygon(position, geometry) {
+    if (!position || !geometry?.coordinates) return false;
+    const [lon, lat] = position;
+
+    if (geometry.type === 'Polygon') {
+        return isPointInPolygonRings(lon, lat, geometry.coordinates);
+    }
+    if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates.some(rings => isPointInPolygonRings(lon, lat, rings));
+    }
+    return false;
+}
+
+/**
+ * Bounding box of a GeoJSON geometry, used to skip expensive polygon tests
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {{minLon:number, minLat:number, maxLon:number, maxLat:number}|null}
+ */
+export function getGeometryBounds(geometry) {
+    if (!geometry?.coordinates) return null;
+
+    const bounds = { minLon: Infinity, minLat: Infinity, maxLon: -Infinity, maxLat: -Infinity };
+    const walk = (coords) => {
+        if (typeof coords[0] === 'number') {
+            bounds.minLon = Math.min(bounds.minLon, coords[0]);
+            bounds.maxLon = Math.max(bounds.maxLon, coords[0]);
+            bounds.minLat = Math.min(bounds.minLat, coords[1]);
+            bounds.maxLat = Math.max(bounds.maxLat, coords[1]);
+            return;
+        }
+        coords.forEach(walk);
+    };
+    walk(geometry.coordinates);
+
+    return Number.isFinite(bounds.minLon) ? bounds : null;
+}
+
+/**
+ * Check a position against precomputed bounds
+ * @param {Array<number>} position - [lon, lat]
+ * @param {Object} bounds - Result of getGeometryBounds
+ * @returns {boolean}
+ */
+export function isPositionInBounds(position, bounds) {
+    if (!position || !bounds) return false;
+    const [lon, lat] = position;
+    return lon >= bounds.minLon && lon <= bounds.maxLon && lat >= bounds.minLat && lat <= bounds.maxLat;
+}
+
+/**
+ * Shortest distance from a position to a line segment
+ * Uses a local equirectangular projection, which is accurate at plant scale (a few km).
+ * @param {Array<number>} position - [lon, lat]
+ * @param {Array<number>} start - Segment start [lon, lat]
+ * @param {Array<number>} end - Segment end [lon, lat]
+ * @returns {number} Distance in meters
+ */
+export function pointToSegmentMeters(position, start, end) {
+    const metersPerDegLat = 111320;
+    const metersPerDegLon = 111320 * Math.cos(toRadians(position[1]));
+
+    const px = (position[0] - start[0]) * metersPerDegLon;
+    const py = (position[1] - start[1]) * metersPerDegLat;
+    const dx = (end[0] - start[0]) * metersPerDegLon;
+    const dy = (end[1] - start[1]) * metersPerDegLat;
+
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSquared)) : 0;
+    return Math.hypot(px - t * dx, py - t * dy);
+}
+
+/**
+ * Check whether two bounding boxes overlap
+ * @param {Object} a - Result of getGeometryBounds
+ * @param {Object} b - Result of getGeometryBounds
+ * @returns {boolean}
+ */
+export function doBoundsIntersect(a, b) {
+    if (!a || !b) return false;
+    return a.minLon <= b.maxLon && a.maxLon >= b.minLon && a.minLat <= b.maxLat && a.maxLat >= b.minLat;
+}
+
+/**
+ * Approximate a circle around a position as a GeoJSON Polygon
+ * @param {Array<number>} center - [lon, lat]
+ * @param {number} radiusMeters
+ * @param {number} [segments] - Vertices on the ring
+ * @returns {Object} GeoJSON Polygon
+ */
+export function createCirclePolygon(center, radiusMeters, segments = 32) {
+    const [lon, lat] = center;
+    const dLat = radiusMeters / 111320;
+    const dLon = radiusMeters / (111320 * Math.cos(toRadians(lat)));
+
+    const ring = [];
+    for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * 2 * Math.PI;
+        ring.push([lon + dLon * Math.cos(angle), lat + dLat * Math.sin(angle)]);
+    }
+    ring.push(ring[0]);
+
+    return { type: 'Polygon', coordinates: [ring] };
+}
@@ -0,0 +1,16 @@
+// htmlUtils.js - Helpers for building HTML strings from data
+// Attribute values and names come from layers and services, so escape them before
+// they go into markup (popup actions, dialogs, tables, notices).
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute
+ * @param {*} value - null and undefined become an empty string
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
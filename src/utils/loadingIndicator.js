@@ -4,6 +4,7 @@
 
 import '@esri/calcite-components/dist/components/calcite-notice';
 import { getOrCreateNoticeContainer } from './noticeContainer.js';
+import { escapeHtml } from './htmlUtils.js';
 
 /**
  * LoadingIndicator class - Manages loading state notifications
@@ -106,6 +107,9 @@ export class LoadingIndicator {
     // Auto-dismiss for success messages
     if (type === 'cached' || type === 'network') {
       setTimeout(() => this.remove(id), 3000);
+    } else if (type === 'event') {
+      // Informational events stay a little longer so they can be read
+      setTimeout(() => { if (this.notices.get(id) === notice) this.remove(id); }, 10000);
     }
 
     return id;
@@ -137,6 +141,14 @@ export class LoadingIndicator {
       error: {
         kind: 'danger',
         icon: 'exclamation-mark-triangle'
+      },
+      event: {
+        kind: 'info',
+        icon: 'bell'
+      },
+      alert: {
+        kind: 'warning',
+        icon: 'bell' // Stays until closed, e.g. geofence dwell alerts
       }
     };
 
@@ -431,9 +443,7 @@ export class LoadingIndicator {
    * @returns {string} - Escaped text
    */
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return escapeHtml(text);
   }
 
   /**
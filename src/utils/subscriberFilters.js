@@ -0,0 +1,54 @@
+// subscriberFilters.js - Which subscriber layer a fiber_subscriber_status_live row belongs to
+// SubscriberDataService builds its Supabase queries from these and SubscriberRealtimeService
+// classifies changed rows with them, so a row lands in the same layer either way.
+
+// electricOut values starting with "yes" (any case) mean the utility reports the power out
+const ELECTRIC_OUT_PATTERN = 'yes%';
+export const ELECTRIC_OUT_FILTER = ['electricOut', ELECTRIC_OUT_PATTERN];
+export const NOT_ELECTRIC_OUT_FILTER = `electricOut.is.null,electricOut.not.ilike.${ELECTRIC_OUT_PATTERN}`;
+
+const STATUS_BY_SET = {
+    offline: 'Offline',
+    electricOffline: 'Offline',
+    online: 'Online'
+};
+
+/**
+ * Whether an electricOut value marks the subscriber as power-out (same test as ilike 'yes%')
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isElectricOut(value) {
+    return typeof value === 'string' && value.toLowerCase().startsWith('yes');
+}
+
+/**
+ * Subscriber set for a raw database row
+ * @param {Object} record - fiber_subscriber_status_live row
+ * @returns {'offline'|'electricOffline'|'online'|null} null without coordinates or for a status no layer shows
+ */
+export function classifySubscriberRecord(record) {
+    if (!record || record.lat === null || record.lat === undefined || record.lon === null || record.lon === undefined) {
+        return null;
+    }
+    if (record.Status === STATUS_BY_SET.online) return 'online';
+    if (record.Status !== STATUS_BY_SET.offline) return null;
+    return isElectricOut(record.electricOut) ? 'electricOffline' : 'offline';
+}
+
+/**
+ * Narrow a Supabase query on fiber_subscriber_status_live to one subscriber set
+ * @param {Object} query - PostgREST filter builder
+ * @param {'offline'|'electricOffline'|'online'} setName
+ * @returns {Object} The filtered query
+ */
+export function applySubscriberSetFilter(query, setName) {
+    let filtered = query
+        .eq('Status', STATUS_BY_SET[setName])
+        .not('lat', 'is', null)
+        .not('lon', 'is', null);
+
+    if (setName === 'electricOffline') filtered = filtered.ilike(...ELECTRIC_OUT_FILTER);
+    if (setName === 'offline') filtered = filtered.or(NOT_ELECTRIC_OUT_FILTER);
+    return filtered;
+}
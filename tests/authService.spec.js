@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AuthService } from '../src/services/AuthService.js';
+
+const config = {
+  ENABLED: true,
+  ROLE_CLAIM: 'role',
+  DEFAULT_ROLE: 'contractor',
+  ROLES: {
+    noc: { label: 'NOC', permissions: ['view-pii', 'export-csv', 'track-vehicles'] },
+    'field-tech': { label: 'Field Tech', permissions: ['view-pii', 'track-vehicles'] },
+    contractor: { label: 'Contractor (read-only)', permissions: [] }
+  },
+  OFFLINE_GRACE: 60 * 60 * 1000
+};
+
+const session = (role, expiresAt = Math.floor(Date.now() / 1000) + 3600) => ({
+  expires_at: expiresAt,
+  user: { email: 'tech@example.com', app_metadata: role ? { role } : {} }
+});
+
+describe('AuthService', () => {
+  it('resolves roles from app_metadata and gates permissions and PII', () => {
+    const service = new AuthService(config, {});
+    const subscriber = { account: '1001', customer_name: 'Jane Doe', full_address: '1 Main St', status: 'Offline' };
+
+    expect(service.can('view-pii')).toBe(false); // signed out
+
+    service.setSession(session('Field-Tech'));
+    expect(service.role).toBe('field-tech');
+    expect(service.can('track-vehicles')).toBe(true);
+    expect(service.can('export-csv')).toBe(false);
+    expect(service.redactAttributes(subscriber)).toBe(subscriber);
+
+    service.setSession(session('admin')); // unknown roles fall back to the default
+    expect(service.role).toBe('contractor');
+    expect(service.redactAttributes(subscriber)).toEqual({ account: '1001', customer_name: null, full_address: null, status: 'Offline' });
+
+    expect(new AuthService({ ...config, ENABLED: false }, {}).can('export-csv')).toBe(true);
+    service.setSession(null);
+  });
+
+  it('refreshes an expired session online and reports expiry when the refresh fails', async () => {
+    const client = { auth: { refreshSession: vi.fn(async () => ({ data: { session: null }, error: new Error('invalid refresh token') })) } };
+    const service = new AuthService(config, client);
+    const listener = vi.fn();
+    document.addEventListener('authChanged', listener);
+
+    const expiresAt = Math.floor(Date.now() / 1000) - 60;
+    service.setSession(session('noc', expiresAt));
+    await service.checkExpiry();
+
+    expect(client.auth.refreshSession).toHaveBeenCalledTimes(1);
+    expect(service.session).toBeNull();
+    expect(listener.mock.calls[0][0].detail).toMatchObject({ reason: 'expired', authenticated: false });
+    document.removeEventListener('authChanged', listener);
+  });
+
+  it('keeps an expired session usable offline within the grace period', async () => {
+    const client = { auth: { refreshSession: vi.fn() } };
+    const service = new AuthService(config, client);
+    const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+    const expiresAt = Math.floor(Date.now() / 1000) - 60;
+    service.setSession(session('noc', expiresAt));
+    await service.checkExpiry();
+    expect(service.session).not.toBeNull();
+
+    await service.checkExpiry(Date.now() + 2 * 60 * 60 * 1000);
+    expect(service.session).toBeNull();
+    expect(client.auth.refreshSession).not.toHaveBeenCalled();
+
+    onLine.mockRestore();
+  });
+});
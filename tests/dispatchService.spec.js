@@ -0,0 +1,48 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/services/GeotabService.js', () => ({ geotabService: {} }));
+
+import { DispatchService } from '../src/services/DispatchService.js';
+
+const target = [-87.3, 34.5];
+// ~0.0145 deg latitude is ~1 mile
+const truck = (id, milesNorth, extra = {}) => ({
+  id,
+  name: id,
+  latitude: 34.5 + milesNorth * 0.01447,
+  longitude: -87.3,
+  communication_status: 'Online',
+  speed: 0,
+  ...extra
+});
+
+describe('DispatchService', () => {
+  it('ranks reporting trucks by distance with offline trucks last', async () => {
+    const geotab = {
+      getTruckData: vi.fn(async () => ({
+        fiber: [truck('Fiber 1', 5), truck('Fiber 2', 1, { communication_status: 'Offline' })],
+        electric: [truck('Electric 1', 2, { speed: 40, is_driving: true })]
+      }))
+    };
+    const getStatus = (vehicle) => vehicle.communication_status === 'Offline' ? 'Offline' : vehicle.is_driving ? 'Online' : 'Idle';
+    const service = new DispatchService(geotab, { averageSpeedMph: 30, roadFactor: 1.5 });
+
+    const result = await service.getRankedTrucks(target, { getStatus });
+
+    expect(result.count).toBe(3);
+    expect(result.data.map(item => item.truck.name)).toEqual(['Electric 1', 'Fiber 1', 'Fiber 2']);
+    expect(result.data[0].status).toBe('Online');
+    expect(result.data[0].truck.vehicle_type).toBe('electric');
+    expect(result.data[0].miles).toBeCloseTo(2, 1);
+    expect(result.data[0].driveMinutes).toBe(6);
+  });
+
+  it('returns an error result when truck data cannot be loaded', async () => {
+    const service = new DispatchService({ getTruckData: vi.fn(async () => { throw new Error('not authenticated'); }) });
+
+    const result = await service.getRankedTrucks(target);
+
+    expect(result).toMatchObject({ count: 0, data: [], error: true, errorMessage: 'not authenticated' });
+    expect(service.getDirectionsUrl(truck('T', 1), target)).toContain('destination=34.5,-87.3');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+
+import { FiberTraceService } from '../src/services/FiberTraceService.js';
+
+const point = (lon, lat, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties
+});
+
+const line = (coordinates, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'LineString', coordinates },
+  properties
+});
+
+// Hut at the west end of a main line; a distribution cable is spliced (~5m gap) onto its east end
+const plant = () => ({
+  cables: [
+    { feature: line([[-87.0, 34.0], [-86.99, 34.0]], { cable_name: 'ML-1', fiber_count: '144' }), category: 'Main Line' },
+    { feature: line([[-86.98995, 34.0], [-86.98, 34.0]], { cable_name: 'DIST-7', fiber_count: '48' }), category: 'MST Fiber' },
+    { feature: line([[-86.9, 34.1], [-86.89, 34.1]], { cable_name: 'ORPHAN', fiber_count: '12' }), category: 'Main Line' }
+  ],
+  msts: [point(-86.98, 34.0002, { equipmentn: 'MST-42' })],
+  splitters: [point(-86.995, 34.00005, { equipmentn: 'SPL-3', outputport: '32' })],
+  slackLoops: [point(-86.95, 34.01, { structure: 'FAR-AWAY' })],
+  huts: [point(-87.0003, 34.0, { name: 'Hut A' })]
+});
+
+describe('FiberTraceService.traceUpstream', () => {
+  const service = new FiberTraceService({});
+
+  it('walks from a subscriber through its MST and a splice back to the hut', () => {
+    const subscriber = point(-86.9795, 34.0006, { name: 'Jane', mst: 'mst-42' });
+    const result = service.traceUpstream({ feature: subscriber, kind: 'subscriber', ...plant() });
+
+    expect(result.found).toBe(true);
+    expect(result.hut.name).toBe('Hut A');
+    expect(result.start).toMatchObject({ type: 'MST', name: 'MST-42', subscriber: 'Jane' });
+    expect(result.cables.map(c => [c.name, c.fiberCount])).toEqual([['DIST-7', 48], ['ML-1', 144]]);
+    expect(result.equipment.map(e => e.name)).toEqual(['SPL-3']);
+    // ~1.85km of cable plus a short drop
+    expect(result.cableMeters).toBeGreaterThan(1800);
+    expect(result.cableMeters).toBeLessThan(1900);
+    expect(result.totalMeters).toBeGreaterThan(result.cableMeters);
+  });
+
+  it('reports when the cable near the start never reaches a hut', () => {
+    const mst = point(-86.8901, 34.1001, { equipmentn: 'MST-9' });
+    const result = service.traceUpstream({ feature: mst, kind: 'mst', ...plant() });
+
+    expect(result.found).toBe(false);
+    expect(result.reason).toMatch(/does not reach/);
+  });
+
+  it('reuses the graph only while the plant data version is unchanged', () => {
+    const tracer = new FiberTraceService({});
+    const subscriber = point(-86.9795, 34.0006, { mst: 'mst-42' });
+
+    tracer.traceUpstream({ feature: subscriber, kind: 'subscriber', ...plant(), dataVersion: 'v1' });
+    const first = tracer.graph;
+    tracer.traceUpstream({ feature: subscriber, kind: 'subscriber', ...plant(), dataVersion: 'v1' });
+    expect(tracer.graph).toBe(first);
+
+    // Same cable count and names, new geometry
+    tracer.traceUpstream({ feature: subscriber, kind: 'subscriber', ...plant(), dataVersion: 'v2' });
+    expect(tracer.graph).not.toBe(first);
+  });
+});
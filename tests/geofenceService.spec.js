@@ -0,0 +1,58 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/services/CacheService.js', () => ({ cacheService: {} }));
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+
+import { GeofenceService } from '../src/services/GeofenceService.js';
+
+const square = (lon, lat, size) => ({
+  type: 'Polygon',
+  coordinates: [[[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]]]
+});
+
+const createService = () => {
+  const cache = {
+    getGeofences: vi.fn(async () => [{ id: 'custom:yard', name: 'Yard', geometry: square(-87.31, 34.49, 0.02), createdAt: 1 }])
+  };
+  const infrastructure = {
+    getSproutHuts: vi.fn(async () => ({
+      features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [-87.5, 34.7] }, properties: { Name: 'Hut A' } }]
+    })),
+    getFSABoundaries: vi.fn(async () => ({ features: [] }))
+  };
+  const service = new GeofenceService(cache, infrastructure);
+  service.settings = { huts: true, das: false, dwellLimitMinutes: 30 };
+  return service;
+};
+
+const truck = (lon, lat) => ({ fiber: [{ id: 'b1', name: 'Fiber 7', longitude: lon, latitude: lat }], electric: [] });
+const minute = 60000;
+
+describe('GeofenceService', () => {
+  it('seeds state on the first update, then logs enter, dwell and exit events', async () => {
+    const service = createService();
+
+    expect(await service.checkTruckData(truck(-87.3, 34.5), 0)).toEqual([]); // starts inside the yard
+    expect(await service.checkTruckData(truck(-87.3, 34.5), 31 * minute)).toMatchObject([{ type: 'dwell', fenceName: 'Yard' }]);
+
+    const moved = await service.checkTruckData(truck(-87.5001, 34.7001), 40 * minute); // left the yard for the hut
+    expect(moved.map(event => `${event.type}:${event.fenceName}`)).toEqual(['exit:Yard', 'enter:Hut A']);
+    expect(moved[0].dwellMs).toBe(40 * minute);
+
+    expect(service.getEvents('b1').map(event => event.type)).toEqual(['enter', 'exit', 'dwell']);
+    expect(service.getLoggedVehicles()).toEqual([{ id: 'b1', name: 'Fiber 7' }]);
+  });
+
+  it('does not raise dwell alerts for DA fences', async () => {
+    const service = createService();
+    service.infrastructure.getFSABoundaries = vi.fn(async () => ({
+      features: [{ type: 'Feature', geometry: square(-88, 34, 1), properties: { areaname: '12' } }]
+    }));
+    service.settings = { huts: false, das: true, dwellLimitMinutes: 30 };
+    service.cache.getGeofences = vi.fn(async () => []);
+
+    await service.checkTruckData(truck(-90, 30), 0);
+    expect(await service.checkTruckData(truck(-87.6, 34.4), minute)).toMatchObject([{ type: 'enter', fenceName: 'DA 12', source: 'da' }]);
+    expect(await service.checkTruckData(truck(-87.6, 34.4), 120 * minute)).toEqual([]);
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+
+import { InfrastructureSearchService } from '../src/services/InfrastructureSearchService.js';
+
+const point = (lon, lat, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties
+});
+
+const collection = (features) => async () => ({ features });
+
+const source = () => ({
+  getSproutHuts: vi.fn(collection([point(-86.8, 34.2, { name: 'Cullman Hut' })])),
+  getFSABoundaries: vi.fn(collection([{
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: [[[-87, 34], [-86, 34], [-86, 35], [-87, 35], [-87, 34]]] },
+    properties: { areaname: 'CULLMAN-DA-12' }
+  }])),
+  getMSTTerminals: vi.fn(collection([point(-86.9, 34.1, { equipmentn: '02-HP072-125-SAA-01', distributi: 'CULLMAN-DA-12' })])),
+  getSplitters: vi.fn(collection([
+    point(-86.9, 34.1, { equipmentn: 'SPL-HP072-2', outputport: '32' }),
+    point(-86.9, 34.1, { equipmentn: 'HP072', outputport: '8' })
+  ])),
+  getSlackLoops: vi.fn(collection([point(-86.7, 34.0, { structure: 'SL-400', cable: 'HP072 DIST' })])),
+  getPoles: vi.fn(collection([point(-86.6, 34.0, { wmElementN: 'P12345' })]))
+});
+
+describe('InfrastructureSearchService', () => {
+  it('parses type prefixes', () => {
+    const service = new InfrastructureSearchService(source());
+    expect(service.parsePrefix('splitter: HP072')).toEqual({ type: 'splitter', query: 'HP072' });
+    expect(service.parsePrefix('DA:cullman')).toEqual({ type: 'da', query: 'cullman' });
+    expect(service.parsePrefix('sub:Jane')).toEqual({ type: 'subscriber', query: 'Jane' });
+    expect(service.parsePrefix('123 Main St')).toBeNull();
+    expect(service.parsePrefix('unknown:thing')).toBeNull();
+  });
+
+  it('returns matches grouped in type order, best match first, without loading poles', async () => {
+    const infrastructure = source();
+    const service = new InfrastructureSearchService(infrastructure);
+
+    const results = await service.search('hp072');
+    expect(results.map(result => `${result.type}:${result.name}`)).toEqual([
+      'mst:02-HP072-125-SAA-01',
+      'splitter:HP072',
+      'splitter:SPL-HP072-2',
+      'slack:SL-400'
+    ]);
+    expect(results[1]).toMatchObject({ latitude: 34.1, longitude: -86.9, details: [{ label: 'Ports', value: '8' }] });
+    expect(infrastructure.getPoles).not.toHaveBeenCalled();
+
+    const areas = await service.search('cullman-da', { types: ['da'] });
+    expect(areas).toHaveLength(1);
+    expect(areas[0]).toMatchObject({ name: 'CULLMAN-DA-12', zoom: 14, latitude: 34.4, longitude: -86.6 });
+
+    expect((await service.search('p123', { types: ['pole'] }))[0].name).toBe('P12345');
+    await service.search('cullman');
+    expect(infrastructure.getSproutHuts).toHaveBeenCalledTimes(1); // indexed once
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseCoordinates, parseMgrs, parseIntersection } from '../src/services/LocationSearchService.js';
+
+const bounds = { xmin: -87.35, ymin: 33.8, xmax: -86.5, ymax: 34.45 };
+
+describe('LocationSearchService', () => {
+  it('parses decimal, DMS and degrees decimal minutes coordinates', () => {
+    expect(parseCoordinates('34.1234, -86.9876', bounds)).toEqual({ latitude: 34.1234, longitude: -86.9876, format: 'decimal' });
+    expect(parseCoordinates('-86.9876 34.1234', bounds)).toMatchObject({ latitude: 34.1234, longitude: -86.9876 });
+    // Longitude radioed without its sign lands in the service area
+    expect(parseCoordinates('34.1234 86.9876', bounds)).toMatchObject({ longitude: -86.9876 });
+
+    const dms = parseCoordinates('86°55\'12"W 34°07\'30"N', bounds);
+    expect(dms.format).toBe('dms');
+    expect(dms.latitude).toBeCloseTo(34.125, 6);
+    expect(dms.longitude).toBeCloseTo(-86.92, 6);
+
+    expect(parseCoordinates('34°07\'30"N 86°55\'12"W', bounds)).toEqual(dms);
+
+    const ddm = parseCoordinates('W86 55.2 N34 07.5', bounds);
+    expect(ddm.latitude).toBeCloseTo(34.125, 6);
+    expect(ddm.longitude).toBeCloseTo(-86.92, 6);
+    expect(parseCoordinates('N34 07.5 W86 55.2', bounds)).toEqual(ddm);
+  });
+
+  it('ignores searches that only look numeric', () => {
+    expect(parseCoordinates('2 3', bounds)).toBeNull();
+    expect(parseCoordinates('123 N Main St', bounds)).toBeNull();
+    expect(parseCoordinates('12345', bounds)).toBeNull();
+    expect(parseCoordinates('95.5, 190.1', bounds)).toBeNull();
+  });
+
+  it('converts USNG / MGRS grid references', () => {
+    // Washington Monument
+    const monument = parseMgrs('18S UJ 23487 06483');
+    expect(monument.latitude).toBeCloseTo(38.8895, 3);
+    expect(monument.longitude).toBeCloseTo(-77.0352, 3);
+    expect(parseMgrs('18SUJ2348706483')).toEqual(monument);
+
+    // Four-digit reference resolves to the middle of its 1 km square
+    const square = parseMgrs('18S UJ 23 06');
+    expect(square.latitude).toBeCloseTo(monument.latitude, 2);
+    expect(parseMgrs('18S UJ 234 06')).toBeNull();
+  });
+
+  it('splits street intersections', () => {
+    expect(parseIntersection('Main St & 2nd Ave')).toEqual(['Main St', '2nd Ave']);
+    expect(parseIntersection('main street and 2nd avenue')).toEqual(['main street', '2nd avenue']);
+    expect(parseIntersection('Smith and Sons')).toBeNull();
+    expect(parseIntersection('AT&T')).toBeNull();
+    expect(parseIntersection('Main / 2nd')).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/utils/noticeContainer.js', () => ({ getOrCreateNoticeContainer: () => ({ appendChild: () => {} }) }));
+
+import { NodeAlertService } from '../src/services/NodeAlertService.js';
+
+const config = {
+  GLOBAL: { critical: 50, warning: 25, fair: 10 },
+  PROFILES: [{ id: 'business', minBusinessCount: 25, thresholds: { critical: 30, warning: 15, fair: 5 } }],
+  NODES: { Hamilton: { critical: 40, warning: 20, fair: 8 } },
+  MIN_SUBSCRIBERS: 10,
+  RULES: [
+    { id: 'health-critical', type: 'health', level: 'critical', name: 'Node critical' },
+    { id: 'new-offline', type: 'new-offline', count: 10, minutes: 15, level: 'warning', name: 'Offline surge' }
+  ],
+  QUIET_HOURS: { start: null, end: null, allowCritical: true }
+};
+
+const row = (nodeSiteName, offlineSubscribers, healthStatus, totalSubscribers = 100) => ({
+  nodeSiteName,
+  healthStatus,
+  totalSubscribers,
+  offlineSubscribers,
+  offlinePercentage: Math.round((offlineSubscribers / totalSubscribers) * 100),
+  businessCount: 0,
+  error: null
+});
+
+const minute = 60000;
+
+describe('NodeAlertService', () => {
+  it('resolves thresholds per node, then by profile, then globally', () => {
+    const service = new NodeAlertService(config);
+
+    expect(service.getThresholds('Hamilton', { totalSubscribers: 100, businessCount: 40 })).toMatchObject({ critical: 40, source: 'node:Hamilton' });
+    expect(service.getThresholds('Waco', { totalSubscribers: 100, businessCount: 40 })).toMatchObject({ critical: 30, source: 'profile:business' });
+
+    const thresholds = service.getThresholds('Waco', { totalSubscribers: 100, businessCount: 0 });
+    expect(service.classify(30, 100, thresholds).healthStatus).toBe('warning');
+    expect(service.classify(0, 0, thresholds).healthStatus).toBe('no data');
+  });
+
+  it('fires health rules once per episode and surge rules against the window minimum', () => {
+    const service = new NodeAlertService(config);
+
+    expect(service.evaluate([row('Waco', 60, 'critical'), row('Tiny', 5, 'critical', 6)], 0).map(hit => `${hit.ruleId}:${hit.nodeSiteName}`))
+      .toEqual(['health-critical:Waco']);
+    expect(service.evaluate([row('Waco', 62, 'critical')], 5 * minute)).toEqual([]);
+    expect(service.evaluate([row('Waco', 20, 'fair')], 10 * minute)).toEqual([]);
+
+    const surge = service.evaluate([row('Waco', 31, 'warning')], 20 * minute);
+    expect(surge).toMatchObject([{ ruleId: 'new-offline', metrics: { newOffline: 11 } }]);
+  });
+
+  it('is off until the user opts in and reports only the most severe level crossed', () => {
+    const service = new NodeAlertService({
+      ...config,
+      RULES: [
+        { id: 'health-critical', type: 'health', level: 'critical', name: 'Node critical' },
+        { id: 'health-warning', type: 'health', level: 'warning', name: 'Node warning' }
+      ]
+    });
+    expect(service.settings.enabled).toBe(false);
+
+    expect(service.evaluate([row('Waco', 60, 'critical'), row('Rome', 30, 'warning')], 0).map(hit => `${hit.ruleId}:${hit.nodeSiteName}`))
+      .toEqual(['health-critical:Waco', 'health-warning:Rome']);
+    // Easing back to warning is still the same episode
+    expect(service.evaluate([row('Waco', 30, 'warning')], minute)).toEqual([]);
+  });
+
+  it('builds webhook payloads for threshold and surge hits and posts them with the session token', async () => {
+    const service = new NodeAlertService({ ...config, WEBHOOK_ENDPOINT: '/api/node-alerts' }, { session: { access_token: 'user-token' } });
+    const fetchMock = vi.fn(async () => ({ ok: true, status: 200 }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const [threshold] = service.evaluate([row('Waco', 60, 'critical')], 0);
+    expect(service.buildWebhookPayload(threshold)).toEqual({
+      type: 'node_alert',
+      text: '[CRITICAL] Waco is critical: 60 of 100 offline (60%)',
+      rule: { id: 'health-critical', name: 'Node critical', type: 'health' },
+      node_site: 'Waco',
+      level: 'critical',
+      message: 'Waco is critical: 60 of 100 offline (60%)',
+      metrics: { total_subscribers: 100, offline_subscribers: 60, offline_percentage: 60, new_offline: null },
+      thresholds: { critical: 50, warning: 25, fair: 10, source: 'global' },
+      time: '1970-01-01T00:00:00.000Z',
+      source: 'fiberoms-insight'
+    });
+
+    service.evaluate([row('Rome', 5, 'excellent')], 20 * minute);
+    const [surge] = service.evaluate([row('Rome', 17, 'fair')], 30 * minute);
+    expect(service.buildWebhookPayload(surge)).toMatchObject({
+      text: '[WARNING] Rome: 12 new offline in the last 15 min (17 offline)',
+      rule: { id: 'new-offline', name: 'Offline surge', type: 'new-offline' },
+      node_site: 'Rome',
+      level: 'warning',
+      metrics: { offline_subscribers: 17, new_offline: 12 }
+    });
+
+    await service.notify([surge]);
+    expect(fetchMock).toHaveBeenCalledWith('/api/node-alerts', expect.objectContaining({
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer user-token' }
+    }));
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).node_site).toBe('Rome');
+    vi.unstubAllGlobals();
+  });
+
+  it('holds non-critical hits during quiet hours that wrap past midnight', () => {
+    const service = new NodeAlertService(config);
+    service.settings.quietHours = { start: '22:00', end: '06:00', allowCritical: true };
+
+    expect(service.isQuietHours(new Date(2026, 0, 1, 23, 30))).toBe(true);
+    expect(service.isQuietHours(new Date(2026, 0, 1, 12, 0))).toBe(false);
+
+    const night = new Date(2026, 0, 1, 2, 0).getTime();
+    service.evaluate([row('Waco', 0, 'excellent')], night);
+    const hits = service.evaluate([row('Waco', 60, 'critical')], night + minute);
+    expect(hits.map(hit => [hit.ruleId, hit.suppressed])).toEqual([['health-critical', false], ['new-offline', true]]);
+  });
+});
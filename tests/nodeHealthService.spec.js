@@ -0,0 +1,61 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/services/NodeSiteMetricsService.js', () => ({ nodeSiteMetricsService: {} }));
+vi.mock('../src/services/StatusHistoryService.js', () => ({ statusHistoryService: {} }));
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+vi.mock('../src/services/NodeAlertService.js', () => ({ nodeAlertService: {} }));
+
+import { NodeHealthService } from '../src/services/NodeHealthService.js';
+
+const site = (nodeSiteName, offlineSubscribers, healthStatus, ta5kNodes) => ({
+  nodeSiteName,
+  totalSubscribers: 100,
+  offlineSubscribers,
+  offlinePercentage: offlineSubscribers,
+  healthStatus,
+  healthColor: '#000',
+  ta5kNodes
+});
+
+describe('NodeHealthService', () => {
+  it('builds per-site offline trends from keyframes and deltas', () => {
+    const service = new NodeHealthService({}, {}, {});
+    const snapshots = [
+      { type: 'keyframe', timestamp: 100, offline: [{ id: 'a', ta5k: 'Hamilton_1' }, { id: 'b', ta5k: 'Waco' }] },
+      { type: 'delta', timestamp: 200, wentOffline: [{ id: 'c', ta5k: 'Hamilton_2' }], restored: ['b'] }
+    ];
+    const ta5kToSite = new Map([['Hamilton_1', 'Hamilton'], ['Hamilton_2', 'Hamilton'], ['Waco', 'waco']]);
+
+    const trends = service.buildTrends(snapshots, [50, 150, 250], ta5kToSite);
+
+    expect(trends.get('Hamilton')).toEqual([null, 1, 2]);
+    expect(trends.get('waco')).toEqual([null, 1, 0]);
+  });
+
+  it('reports the offline change since the previous poll and sorts worst first', async () => {
+    let offline = { 'Bear Creek Hut': 5, 'Hamilton': 60 };
+    const metrics = {
+      getMultipleNodeSiteMetrics: vi.fn(async () => ({
+        'Bear Creek Hut': site('Bear Creek Hut', offline['Bear Creek Hut'], 'excellent', ['Bearcreek']),
+        'Hamilton': site('Hamilton', offline.Hamilton, 'critical', ['Hamilton_1', 'Hamilton_2'])
+      }))
+    };
+    const history = { getTimeline: vi.fn(async () => ({ start: 0, end: 1000, snapshots: [] })) };
+    const infrastructure = {
+      getSproutHuts: vi.fn(async () => ({ features: [{ properties: { Name: 'Hamilton' } }, { properties: { Name: 'Bear Creek Hut' } }] }))
+    };
+    const alerts = { settings: { enabled: true }, evaluate: vi.fn(() => []), notify: vi.fn() };
+    const service = new NodeHealthService(metrics, history, infrastructure, alerts);
+
+    const first = await service.poll();
+    expect(first.data.every(row => row.offlineDelta === null)).toBe(true);
+
+    offline = { 'Bear Creek Hut': 2, 'Hamilton': 64 };
+    const second = await service.poll();
+    const sorted = service.sortRows(second.data, 'health', 'desc');
+
+    expect(sorted.map(row => [row.nodeSiteName, row.offlineDelta])).toEqual([['Hamilton', 4], ['Bear Creek Hut', -3]]);
+    expect(service.sortRows(second.data, 'name', 'asc')[0].nodeSiteName).toBe('Bear Creek Hut');
+    expect(alerts.evaluate).toHaveBeenCalledTimes(2);
+  });
+});
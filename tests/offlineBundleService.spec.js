@@ -0,0 +1,96 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const point = (lon, lat, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties
+});
+
+const subscribers = (status, ...points) => ({
+  count: points.length,
+  features: points.map(([lon, lat, account]) => point(lon, lat, { account, status })),
+  lastUpdated: new Date().toISOString(),
+  fromCache: false
+});
+
+vi.mock('../src/services/CacheService.js', () => ({ cacheService: {} }));
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+vi.mock('../src/dataService.js', () => ({
+  subscriberDataService: {
+    getOfflineSubscribers: async () => subscribers('Offline', [-86.95, 34.05, '1'], [-86.5, 34.05, '2']),
+    getElectricOfflineSubscribers: async () => subscribers('Offline'),
+    getOnlineSubscribers: async () => subscribers('Online', [-86.91, 34.01, '3'])
+  }
+}));
+
+import { OfflineBundleService } from '../src/services/OfflineBundleService.js';
+
+const da = {
+  type: 'Feature',
+  geometry: { type: 'Polygon', coordinates: [[[-87.0, 34.0], [-86.9, 34.0], [-86.9, 34.1], [-87.0, 34.1], [-87.0, 34.0]]] },
+  properties: { areaname: 'DA-1' }
+};
+
+describe('OfflineBundleService', () => {
+  let stored;
+  let service;
+
+  beforeEach(() => {
+    stored = [];
+    const cache = {
+      putOfflineBundle: vi.fn(async (bundle) => { stored = stored.filter(b => b.id !== bundle.id).concat(bundle); return true; }),
+      getOfflineBundles: vi.fn(async () => stored),
+      deleteOfflineBundle: vi.fn(async (id) => { stored = stored.filter(b => b.id !== id); })
+    };
+    const layer = (...features) => async () => ({ count: features.length, features });
+    const infrastructure = {
+      getFSABoundaries: layer(da),
+      getMainLineFiber: layer(
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [[-87.2, 34.05], [-86.95, 34.05]] }, properties: { cable_name: 'IN' } },
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [[-86.5, 34.5], [-86.4, 34.5]] }, properties: { cable_name: 'OUT' } }
+      ),
+      getMSTFiber: layer(),
+      getMSTTerminals: layer(point(-86.95, 34.05, { equipmentn: 'MST-1' }), point(-86.0, 34.05, { equipmentn: 'MST-2' })),
+      getSplitters: layer(),
+      getClosures: layer(),
+      getSlackLoops: layer(),
+      getSproutHuts: layer(),
+      getPoles: async () => ({ count: 0, features: [], error: true, errorMessage: 'offline' })
+    };
+    service = new OfflineBundleService(cache, infrastructure);
+  });
+
+  it('stores only the subscribers and infrastructure inside the chosen DA', async () => {
+    const summary = await service.downloadArea('da-1');
+    expect(summary).toMatchObject({ id: 'DA-1', name: 'da-1', subscriberCount: 2, tileCount: 0 });
+    expect(summary.sizeBytes).toBeGreaterThan(0);
+
+    const bundle = stored[0];
+    expect(bundle.subscribers.offline.map(f => f.properties.account)).toEqual(['1']);
+    expect(bundle.infrastructure.mainFiber_sprout_v2.map(f => f.properties.cable_name)).toEqual(['IN']);
+    expect(bundle.infrastructure.mstTerminals_sprout_v2).toHaveLength(1);
+    // Layers that failed to load are left out rather than stored empty
+    expect(bundle.infrastructure.poles_sprout_v1).toBeUndefined();
+  });
+
+  it('serves bundled subscribers merged across areas and marked as bundle data', async () => {
+    await service.downloadArea('DA-1');
+    const result = await service.getBundledSubscribers('online');
+    expect(result).toMatchObject({ count: 1, fromCache: true, offlineBundle: true });
+    expect(await service.getBundledInfrastructure('poles_sprout_v1')).toBeNull();
+
+    await service.deleteBundle('DA-1');
+    expect(await service.getBundledSubscribers('online')).toBeNull();
+  });
+
+  it('caps basemap tiles to the budget by dropping the deepest zoom levels', () => {
+    const bounds = { minLon: -87.0, minLat: 34.0, maxLon: -86.9, maxLat: 34.1 };
+    const all = service.getTilesForBounds(bounds, { minZoom: 10, maxZoom: 14, maxTiles: 10000 });
+    const capped = service.getTilesForBounds(bounds, { minZoom: 10, maxZoom: 14, maxTiles: 40 });
+
+    expect(Math.max(...all.map(t => t.z))).toBe(14);
+    expect(capped.length).toBeLessThanOrEqual(40);
+    expect(Math.max(...capped.map(t => t.z))).toBeLessThan(14);
+    expect(service.lonLatToTile(0, 0, 1)).toEqual({ x: 1, y: 1 });
+  });
+});
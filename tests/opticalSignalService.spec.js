@@ -0,0 +1,60 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/dataService.js', () => ({ subscriberDataService: {} }));
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+
+import { OpticalSignalService, parseFiberDistanceKm, parseLightLevel } from '../src/services/OpticalSignalService.js';
+import { OutageClusterService } from '../src/services/OutageClusterService.js';
+
+const subscriber = (account, light, distance, mst, lon = -87.5, lat = 34.5) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties: { account, light, fiber_distance: distance, mst }
+});
+
+const terminal = (name, lon, lat) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties: { equipmentn: name, distributi: 'DA 7' }
+});
+
+const createService = () => new OpticalSignalService({}, {}, new OutageClusterService({}, {}));
+
+describe('OpticalSignalService', () => {
+  it('parses light readings and fiber distances in their reported units', () => {
+    expect(parseLightLevel('-23.4 dBm')).toBe(-23.4);
+    expect(parseLightLevel('0')).toBeNull();
+    expect(parseLightLevel('N/A')).toBeNull();
+
+    expect(parseFiberDistanceKm('4.2 km')).toBe(4.2);
+    expect(parseFiberDistanceKm('3,280 ft')).toBeCloseTo(1, 2);
+    expect(parseFiberDistanceKm('2500')).toBe(2.5);
+    expect(parseFiberDistanceKm('6.1')).toBe(6.1);
+  });
+
+  it('classifies by light level and by loss beyond the budget for the distance', () => {
+    const service = createService();
+
+    expect(service.classify('-28.1', '5 km').signalClass).toBe('critical');
+    expect(service.classify('-26', '5 km').signalClass).toBe('low');
+    expect(service.classify('-6', '0.5 km').signalClass).toBe('hot');
+    expect(service.classify('-18.5', '2 km').signalClass).toBe('ok'); // budget: 3 - 19 - 0.7 = -16.7
+    expect(service.classify('-21.5', '2 km')).toMatchObject({ signalClass: 'high-loss', expectedDbm: -16.7, excessLossDb: 4.8 });
+    expect(service.classify('', '2 km').signalClass).toBe('unknown');
+  });
+
+  it('groups degraded subscribers that share an MST', () => {
+    const service = createService();
+    const online = [
+      subscriber('1', '-27.5', '3 km', 'MST-1'),
+      subscriber('2', '-22', '1 km', 'MST-1'),
+      subscriber('3', '-19', '3 km', 'MST-1'),
+      subscriber('4', '-26', '3 km', 'MST-2', -87.6, 34.6)
+    ];
+
+    const { subscribers, clusters } = service.findDegraded(online, [terminal('MST-1', -87.5, 34.5), terminal('MST-2', -87.6, 34.6)]);
+
+    expect(subscribers.map(s => [s.account, s.signalClass])).toEqual([['1', 'critical'], ['4', 'low'], ['2', 'high-loss']]);
+    expect(clusters).toMatchObject([{ name: 'MST-1', degradedCount: 2, onlineCount: 3, worstClass: 'critical', minDbm: -27.5 }]);
+  });
+});
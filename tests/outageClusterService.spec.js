@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/dataService.js', () => ({ subscriberDataService: {} }));
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+
+import { OutageClusterService } from '../src/services/OutageClusterService.js';
+
+const point = (lon, lat, properties = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties
+});
+
+const square = (name, lon, lat, size) => ({
+  type: 'Feature',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]]]
+  },
+  properties: { areaname: name }
+});
+
+// ~0.0005 degrees is ~50m, well inside the drop distance
+const around = (lon, lat, count, props = {}) =>
+  Array.from({ length: count }, (_, i) => point(lon + 0.0002 * i, lat + 0.0002, { id: `${lon}-${i}`, ...props }));
+
+describe('OutageClusterService.inferFailurePoints', () => {
+  const service = new OutageClusterService({}, {});
+  const boundaries = [square('DA-1', -87.0, 34.0, 0.1), square('DA-2', -86.8, 34.0, 0.1)];
+
+  it('flags a single MST when its subscribers go offline together', () => {
+    const msts = [
+      point(-86.95, 34.05, { equipmentn: 'MST-A', distributi: 'DA-1', outputport: 8 }),
+      point(-86.92, 34.05, { equipmentn: 'MST-B', distributi: 'DA-1', outputport: 8 })
+    ];
+
+    const suspects = service.inferFailurePoints({
+      offline: around(-86.95, 34.05, 4),
+      msts,
+      splitters: [],
+      boundaries
+    });
+
+    expect(suspects).toHaveLength(1);
+    expect(suspects[0]).toMatchObject({ level: 'mst', name: 'MST-A', da: 'DA-1', subscriberCount: 4, confidence: 0.5 });
+  });
+
+  it('ignores isolated offline subscribers below the MST threshold', () => {
+    const suspects = service.inferFailurePoints({
+      offline: around(-86.95, 34.05, 2),
+      msts: [point(-86.95, 34.05, { equipmentn: 'MST-A', distributi: 'DA-1' })],
+      boundaries
+    });
+
+    expect(suspects).toEqual([]);
+  });
+
+  it('uses the MST recorded on the subscriber before falling back to distance', () => {
+    const suspects = service.inferFailurePoints({
+      // Subscribers are physically near MST-A but provisioned on MST-B
+      offline: around(-86.95, 34.05, 3, { mst: 'mst-b' }),
+      msts: [
+        point(-86.95, 34.05, { equipmentn: 'MST-A', distributi: 'DA-1' }),
+        point(-86.92, 34.05, { equipmentn: 'MST-B', distributi: 'DA-1' })
+      ],
+      boundaries
+    });
+
+    expect(suspects[0].name).toBe('MST-B');
+  });
+
+  it('escalates to the splitter when several MSTs in one DA are dark', () => {
+    const msts = [
+      point(-86.95, 34.05, { equipmentn: 'MST-A', distributi: 'DA-1' }),
+      point(-86.93, 34.05, { equipmentn: 'MST-B', distributi: 'DA-1' }),
+      point(-86.91, 34.05, { equipmentn: 'MST-C', distributi: 'DA-1' }),
+      point(-86.97, 34.08, { equipmentn: 'MST-D', distributi: 'DA-1' }),
+      point(-86.75, 34.05, { equipmentn: 'MST-E', distributi: 'DA-2' })
+    ];
+
+    const suspects = service.inferFailurePoints({
+      offline: [...around(-86.95, 34.05, 3), ...around(-86.93, 34.05, 4)],
+      msts,
+      splitters: [
+        point(-86.94, 34.04, { equipmentn: 'SPL-1', distributi: 'DA-1' }),
+        point(-86.75, 34.04, { equipmentn: 'SPL-2', distributi: 'DA-2' })
+      ],
+      boundaries
+    });
+
+    expect(suspects).toHaveLength(1);
+    expect(suspects[0]).toMatchObject({ level: 'splitter', name: 'SPL-1', mstCount: 2, subscriberCount: 7, confidence: 0.5 });
+    expect(suspects[0].affectedMsts).toEqual(expect.arrayContaining(['MST-A', 'MST-B']));
+  });
+
+  it('keeps separate MST suspects when two are dark and no splitter serves them', () => {
+    const msts = [
+      point(-86.95, 34.05, { equipmentn: 'MST-A', distributi: 'DA-1' }),
+      point(-86.93, 34.05, { equipmentn: 'MST-B', distributi: 'DA-1' }),
+      point(-86.91, 34.05, { equipmentn: 'MST-C', distributi: 'DA-1' }),
+      point(-86.97, 34.08, { equipmentn: 'MST-D', distributi: 'DA-1' })
+    ];
+
+    const suspects = service.inferFailurePoints({
+      offline: [...around(-86.95, 34.05, 3), ...around(-86.93, 34.05, 4)],
+      msts,
+      splitters: [point(-86.75, 34.04, { equipmentn: 'SPL-2', distributi: 'DA-2' })],
+      boundaries
+    });
+
+    expect(suspects.map(suspect => [suspect.level, suspect.name])).toEqual([['mst', 'MST-B'], ['mst', 'MST-A']]);
+  });
+
+  it('escalates to the DA when most of its MSTs are dark', () => {
+    const msts = [
+      point(-86.95, 34.05, { equipmentn: 'MST-A' }),
+      point(-86.93, 34.05, { equipmentn: 'MST-B' }),
+      point(-86.91, 34.05, { equipmentn: 'MST-C' })
+    ];
+
+    const suspects = service.inferFailurePoints({
+      offline: [...around(-86.95, 34.05, 3), ...around(-86.93, 34.05, 3), ...around(-86.91, 34.05, 3)],
+      msts,
+      splitters: [point(-86.94, 34.04, { equipmentn: 'SPL-1', distributi: 'DA-1' })],
+      boundaries
+    });
+
+    // MSTs without a DA attribute are placed by the boundary polygons
+    expect(suspects).toHaveLength(1);
+    expect(suspects[0]).toMatchObject({ level: 'da', name: 'DA-1', mstCount: 3, subscriberCount: 9, confidence: 1 });
+  });
+
+  it('reports suspects that were not present in the previous run', () => {
+    const previous = [{ id: 'mst:MST-A' }];
+    const current = [{ id: 'mst:MST-A' }, { id: 'splitter:SPL-1' }];
+    expect(service.getNewSuspects(previous, current)).toEqual([{ id: 'splitter:SPL-1' }]);
+  });
+});
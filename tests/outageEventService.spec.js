@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../src/services/CacheService.js', () => ({ cacheService: {} }));
+
+import { OutageEventService } from '../src/services/OutageEventService.js';
+
+const MINUTE = 60 * 1000;
+const provider = { id: 'cullman', name: 'Cullman Electric' };
+const outage = (id, customers, extra = {}) => ({
+  outage_id: id, customers_affected: customers, cause: 'Tree', substation: 'Hanceville', feeder: 'F2', ...extra
+});
+
+describe('OutageEventService', () => {
+  let stored;
+  let service;
+
+  // IndexedDB stand-in shared by every service built from it, like tabs of the same origin
+  const createCache = () => ({
+    putOutageEvents: vi.fn(async (events) => events.forEach(event => stored.set(event.key, { ...event }))),
+    getOutageEvents: vi.fn(async () => [...stored.values()]),
+    getOpenOutageEvents: vi.fn(async (providerId, restoredSince = Infinity) => [...stored.values()]
+      .filter(event => event.providerId === providerId && (!event.restoredAt || event.restoredAt >= restoredSince))
+      .map(event => ({ ...event }))),
+    pruneOutageEvents: vi.fn(async () => 0)
+  });
+
+  beforeEach(() => {
+    stored = new Map();
+    service = new OutageEventService(createCache());
+  });
+
+  it('tracks an outage from start through peak, crew assignment and restoration', async () => {
+    const start = Date.UTC(2026, 9, 1, 12);
+    const first = await service.recordOutages(provider, [outage('A', 40, { cause: 'N/A' })], start);
+    expect(first.started).toHaveLength(1);
+
+    await service.recordOutages(provider, [outage('A', 120, { crew_assigned: true })], start + 10 * MINUTE);
+    await service.linkSubscribers({ 'cullman:A': { subscriberIds: ['1001', '1002'] } });
+    await service.recordOutages(provider, [outage('A', 0)], start + 15 * MINUTE); // zero customers counts as restored
+    const restored = await service.recordOutages(provider, [], start + 20 * MINUTE);
+
+    expect(restored.restored).toHaveLength(0);
+    const [event] = await service.getEvents();
+    expect(event).toMatchObject({
+      startedAt: start, peakAffected: 120, peakAt: start + 10 * MINUTE, crewAssignedAt: start + 10 * MINUTE,
+      restoredAt: start + 15 * MINUTE, restoreTimeEstimated: false, cause: 'Tree', linkedSubscribers: ['1001', '1002']
+    });
+    expect(stored.get(event.key).restoredAt).toBe(start + 15 * MINUTE);
+  });
+
+  it('uses the last sighting when the restore was missed and reports MTTR by group', async () => {
+    const start = Date.UTC(2026, 9, 1, 12);
+    await service.recordOutages(provider, [outage('A', 10), outage('B', 5, { cause: 'Vehicle', feeder: 'N/A' })], start);
+    await service.recordOutages(provider, [outage('A', 10)], start + 30 * MINUTE);
+    await service.recordOutages(provider, [], start + 5 * 60 * MINUTE);
+    // Same ID reported again later is a separate outage
+    await service.recordOutages(provider, [outage('A', 3)], start + 6 * 60 * MINUTE);
+
+    const events = await service.getEvents();
+    expect(events).toHaveLength(3);
+    expect(events[0]).toMatchObject({ outageId: 'A', restoredAt: start + 30 * MINUTE, restoreTimeEstimated: true });
+
+    // The estimated restore of A is counted but kept out of MTTR
+    const report = service.getReliabilityReport(events);
+    expect(report).toMatchObject({ outages: 3, restored: 2, estimatedRestores: 1, mttrMinutes: 30 });
+    expect(report.byCause).toEqual([
+      expect.objectContaining({ value: 'Tree', outages: 2, restored: 1, estimatedRestores: 1, mttrMinutes: null }),
+      expect.objectContaining({ value: 'Vehicle', outages: 1, mttrMinutes: 30 })
+    ]);
+    expect(report.byFeeder.map(entry => entry.value)).toEqual(['Hanceville / F2', 'Unknown']);
+    expect(service.formatReportRows(report)[0]).toMatchObject({ Group: 'All outages', 'Estimated Restores': '1', 'MTTR (minutes)': '30' });
+  });
+
+  it('shares one record per outage between tabs', async () => {
+    const start = Date.UTC(2026, 9, 1, 12);
+    const otherTab = new OutageEventService(createCache());
+    await otherTab.load();
+
+    await service.recordOutages(provider, [outage('A', 10)], start);
+    const second = await otherTab.recordOutages(provider, [outage('A', 25)], start + 5 * MINUTE);
+    expect(second.started).toHaveLength(0);
+
+    await service.recordOutages(provider, [], start + 10 * MINUTE);
+    const late = await otherTab.recordOutages(provider, [], start + 15 * MINUTE);
+    expect(late.restored).toHaveLength(0);
+
+    expect([...stored.values()]).toEqual([
+      expect.objectContaining({ outageId: 'A', peakAffected: 25, restoredAt: start + 10 * MINUTE })
+    ]);
+  });
+});
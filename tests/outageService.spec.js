@@ -0,0 +1,64 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { API_CONFIG } from '../src/config/apiConfig.js';
+import { OutageService } from '../src/services/OutageService.js';
+
+const loadFixture = (providerId) => JSON.parse(
+  readFileSync(join(process.cwd(), 'tests/fixtures/outages', `${providerId}.geojson`), 'utf8')
+);
+
+describe('OutageService providers', () => {
+  const service = new OutageService();
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it.each(service.getProviders({ includeDisabled: true }).map(p => [p.id, p]))(
+    'maps the %s fixture onto the common outage fields',
+    (providerId, provider) => {
+      const fixture = loadFixture(providerId);
+      const result = service.normalizeOutages(fixture, provider);
+
+      expect(result.count).toBe(fixture.features.length);
+      result.data.forEach(outage => {
+        expect(outage.outage_id).toBeTruthy();
+        expect(outage.company).toBe(providerId);
+        expect(Number.isInteger(outage.customers_affected)).toBe(true);
+        expect(Number.isFinite(outage.latitude)).toBe(true);
+        expect(Number.isFinite(outage.longitude)).toBe(true);
+      });
+      result.features.forEach(feature => expect(feature.properties.company).toBe(providerId));
+    }
+  );
+
+  it('keeps the Cullman Electric field semantics', () => {
+    const [point, polygon] = service.normalizeOutages(loadFixture('cullman'), API_CONFIG.OUTAGES.CULLMAN).data;
+
+    expect(point).toMatchObject({ outage_id: 'CEC-1042', comments: 'Dispatched', equipment: 'Fuse 2214', status: 'Assigned' });
+    expect(polygon).toMatchObject({ customers_affected: 212, cause: 'Equipment failure', status: 'Reported' });
+    expect(polygon.longitude).toBeCloseTo(-86.892, 3);
+  });
+
+  it('converts epoch timestamps from providers that publish them', () => {
+    const [outage] = service.normalizeOutages(loadFixture('alabama-power'), API_CONFIG.OUTAGES.ALABAMA_POWER).data;
+
+    expect(outage).toMatchObject({ outage_id: '880213', customers_affected: 37, crew_assigned: true });
+    expect(outage.start_time).toBe(new Date(1792411200000).toISOString());
+  });
+
+  it('fetches every enabled provider and skips ones without a feed', async () => {
+    const providers = {
+      CULLMAN: { ...API_CONFIG.OUTAGES.CULLMAN, url: '/fixtures/cullman.geojson' },
+      ALABAMA_POWER: { ...API_CONFIG.OUTAGES.ALABAMA_POWER, url: null }
+    };
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, json: async () => loadFixture('cullman') })));
+
+    const result = await new OutageService(providers).getAllOutages();
+
+    expect(Object.keys(result.providers)).toEqual(['cullman']);
+    expect(result.count).toBe(2);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
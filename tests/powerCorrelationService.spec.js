@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { PowerCorrelationService } from '../src/services/PowerCorrelationService.js';
+
+const subscriber = (account, lon, lat) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties: { account, status: 'Offline' }
+});
+
+const outagePolygon = (outageId, customersAffected = 25) => ({
+  type: 'Feature',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[-86.90, 34.20], [-86.88, 34.20], [-86.88, 34.22], [-86.90, 34.22], [-86.90, 34.20]]]
+  },
+  properties: { outage_id: outageId, customers_affected: customersAffected }
+});
+
+describe('PowerCorrelationService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new PowerCorrelationService();
+    service.setOutages({ providers: { cullman: { features: [outagePolygon('CEC-1')] } } });
+  });
+
+  it('moves subscribers inside an outage polygon to the electric offline set', () => {
+    const result = service.apply({
+      offline: { count: 2, features: [subscriber('1', -86.89, 34.21), subscriber('2', -86.70, 34.10)] },
+      electricOffline: { count: 1, features: [subscriber('3', -86.5, 34.0)] }
+    });
+
+    expect(result.offline.features.map(f => f.properties.account)).toEqual(['2']);
+    expect(result.offline.features[0].properties.truck_roll).toBe('Yes');
+    expect(result.electricOffline.count).toBe(2);
+    expect(result.electricOffline.features[1].properties).toMatchObject({ power_outage_id: 'CEC-1', power_provider: 'cullman' });
+    expect(service.getSubscriberCount('cullman', 'CEC-1')).toBe(1);
+  });
+
+  it('counts subscribers already flagged electric offline in the outage they sit in', () => {
+    const result = service.apply({
+      offline: { count: 1, features: [subscriber('1', -86.89, 34.21)] },
+      electricOffline: { count: 2, features: [subscriber('3', -86.885, 34.215), subscriber('4', -86.5, 34.0)] }
+    });
+
+    expect(service.getSubscriberCount('cullman', 'CEC-1')).toBe(2);
+    expect(service.lastResult.byOutage['cullman:CEC-1'].subscriberIds).toEqual(['1', '3']);
+    expect(service.getPowerRelatedCount()).toBe(1);
+    // The flagged subscriber stays as it was; only the offline one is reclassified
+    expect(result.electricOffline.features.map(f => [f.properties.account, f.properties.power_correlated])).toEqual([['3', undefined], ['4', undefined], ['1', 'Yes']]);
+  });
+
+  it('ignores resolved outages and keeps areas when a provider feed fails', () => {
+    expect(service.setOutages({ providers: { cullman: { features: [], error: true } } })).toBe(false);
+    expect(service.outageAreas).toHaveLength(1);
+
+    expect(service.setOutages({ providers: { cullman: { features: [outagePolygon('CEC-1', 0)] } } })).toBe(true);
+    expect(service.outageAreas).toHaveLength(0);
+  });
+
+  it('leaves the data untouched when the electric offline query failed', () => {
+    const data = {
+      offline: { count: 1, features: [subscriber('1', -86.89, 34.21)] },
+      electricOffline: { count: 0, features: [], error: true }
+    };
+    expect(service.apply(data)).toBe(data);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/services/EnhancedSearchService.js', () => ({ enhancedSearchService: {} }));
+vi.mock('../src/services/InfrastructureSearchService.js', () => ({ infrastructureSearchService: {} }));
+vi.mock('../src/services/DispatchService.js', () => ({ dispatchService: {} }));
+
+import { ProximityService, DEFAULT_RADIUS_METERS } from '../src/services/ProximityService.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+const subscribers = [
+  { account: '1001', name: 'Jane Doe', status: 'Online', latitude: '34.1', longitude: '-86.9', distanceMeters: 40 },
+  { account: '1002', name: 'Joe Roe', status: 'Offline', latitude: '34.1', longitude: '-86.9', distanceMeters: 90 },
+  { account: '1003', name: 'Acme Feed', status: 'Offline', latitude: '34.1', longitude: '-86.9', distanceMeters: 20 }
+];
+
+const deps = () => ({
+  search: {
+    initialize: vi.fn(async () => {}),
+    nearestSubscribers: vi.fn(() => subscribers)
+  },
+  infrastructure: {
+    types: { pole: { label: 'Poles' }, mst: { label: 'MST Terminals' }, splitter: { label: 'Splitters' }, slack: { label: 'Slack Loops & Closures' } },
+    nearest: vi.fn(async () => [
+      { id: 'mst:HP072', type: 'mst', name: 'HP072', latitude: 34.1, longitude: -86.9, distanceMeters: 55 },
+      { id: 'pole:P1', type: 'pole', name: 'P1', latitude: 34.1, longitude: -86.9, distanceMeters: 12 }
+    ])
+  },
+  dispatch: {
+    getRankedTrucks: vi.fn(async () => ({
+      count: 2,
+      data: [
+        { truck: { id: 'b2', name: 'Fiber 2', vehicle_type: 'fiber', latitude: 34.1, longitude: -86.9 }, status: 'Idle', meters: 300 },
+        { truck: { id: 'b9', name: 'Electric 9', vehicle_type: 'electric', latitude: 34.2, longitude: -86.9 }, status: 'Online', meters: 5000 }
+      ]
+    }))
+  }
+});
+
+describe('ProximityService', () => {
+  it('groups subscribers by status, then poles, MSTs and trucks inside the radius', async () => {
+    const sources = deps();
+    const service = new ProximityService(sources, memoryStorage());
+
+    const result = await service.findNearby([-86.9, 34.1], { radiusMeters: 402.336, limit: 1 });
+
+    expect(sources.search.nearestSubscribers).toHaveBeenCalledWith({ latitude: 34.1, longitude: -86.9 }, Infinity, 402.336);
+    expect(result.groups.map(group => [group.label, group.total, group.items.map(item => item.name)])).toEqual([
+      ['Offline Subscribers', 2, ['Acme Feed']],
+      ['Online Subscribers', 1, ['Jane Doe']],
+      ['Poles', 1, ['P1']],
+      ['MST Terminals', 1, ['HP072']],
+      ['Trucks', 1, ['Fiber 2']]
+    ]);
+    expect(result.count).toBe(6);
+    expect(result.groups[3].items[0].feature).toEqual({ layerId: 'mst-terminals', field: 'equipmentn', value: 'HP072' });
+    expect(result.groups[4].items[0].feature).toEqual({ layerId: 'fiber-trucks', field: 'id', value: 'b2' });
+  });
+
+  it('leaves out trucks when asked and survives a failing source', async () => {
+    const sources = deps();
+    sources.search.initialize = vi.fn(async () => { throw new Error('offline'); });
+    const service = new ProximityService(sources, memoryStorage());
+
+    const result = await service.findNearby([-86.9, 34.1], { radiusMeters: 804.672, includeTrucks: false });
+    expect(result.groups.map(group => group.key)).toEqual(['pole', 'mst']);
+    expect(sources.dispatch.getRankedTrucks).not.toHaveBeenCalled();
+  });
+
+  it('remembers the chosen radius', () => {
+    const service = new ProximityService(deps(), memoryStorage());
+    expect(service.getRadius()).toBe(DEFAULT_RADIUS_METERS);
+    service.setRadius(1609.344);
+    service.setRadius(1234);
+    expect(service.getRadius()).toBe(1609.344);
+  });
+});
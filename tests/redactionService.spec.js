@@ -0,0 +1,36 @@
+import { describe, it, expect, vi } from 'vitest';
+import { RedactionService, REDACTION_MASK } from '../src/services/RedactionService.js';
+
+const memoryStorage = () => {
+  const values = new Map();
+  return { getItem: key => values.get(key) ?? null, setItem: (key, value) => values.set(key, value) };
+};
+
+describe('RedactionService', () => {
+  it('masks names, phone numbers and accounts but keeps addresses and status', () => {
+    const service = new RedactionService(memoryStorage());
+    const subscriber = { account: '1001', customer_name: 'Jane Doe', phone_number: '555-0100', full_address: '1 Main St', status: 'Offline' };
+
+    expect(service.maskAttributes(subscriber)).toBe(subscriber);
+
+    service.toggle();
+    expect(service.maskAttributes(subscriber)).toEqual({
+      account: REDACTION_MASK, customer_name: REDACTION_MASK, phone_number: REDACTION_MASK, full_address: '1 Main St', status: 'Offline'
+    });
+    expect(service.maskAttributes({ 'Subscriber Name': 'Jane Doe', 'Account Number': '', Address: '1 Main St' }))
+      .toEqual({ 'Subscriber Name': REDACTION_MASK, 'Account Number': '', Address: '1 Main St' });
+    expect(subscriber.customer_name).toBe('Jane Doe');
+  });
+
+  it('persists the setting and announces changes', () => {
+    const storage = memoryStorage();
+    const listener = vi.fn();
+    document.addEventListener('redactionChanged', listener);
+
+    new RedactionService(storage).setEnabled(true);
+    expect(new RedactionService(storage).enabled).toBe(true);
+    expect(listener.mock.calls[0][0].detail).toEqual({ enabled: true });
+
+    document.removeEventListener('redactionChanged', listener);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { SavedViewService } from '../src/services/SavedViewService.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+const state = {
+  center: [-87.4912345, 34.5198765],
+  zoom: 14.256,
+  layers: ['offline-subscribers', 'mst-terminals'],
+  businessFilter: true,
+  feature: { layerId: 'mst-terminals', field: 'equipmentn', value: 'MST:12-A' },
+  tab: 'tools'
+};
+
+describe('SavedViewService', () => {
+  it('round-trips a view state through URL parameters', () => {
+    const service = new SavedViewService(memoryStorage());
+
+    const query = service.encode(state);
+    expect(query).toBe('c=-87.49123,34.51988&z=14.26&l=offline-subscribers,mst-terminals&b=1&f=mst-terminals:equipmentn:MST:12-A&t=tools');
+    expect(service.decode(`?${query}`)).toEqual({ ...state, center: [-87.49123, 34.51988], zoom: 14.26 });
+
+    expect(service.decode('?debug=1')).toBeNull();
+    expect(service.decode('l=&t=nowhere')).toMatchObject({ layers: [], tab: null, center: null, businessFilter: false });
+    expect(service.stripViewParams('?debug=1&c=1,2&t=osp')).toBe('debug=1');
+  });
+
+  it('saves named views, replacing one with the same name', () => {
+    const service = new SavedViewService(memoryStorage());
+
+    const first = service.saveView('North staging', state);
+    service.saveView('South', { ...state, tab: 'layers' });
+    service.saveView('north staging', { ...state, zoom: 10 });
+
+    expect(service.listViews().map(view => [view.name, view.state.zoom])).toEqual([['north staging', 10], ['South', 14.256]]);
+    expect(service.getView(first.id)).toBeNull();
+    expect(() => service.saveView('  ', state)).toThrow();
+
+    service.deleteView(service.listViews()[1].id);
+    expect(service.listViews().map(view => view.name)).toEqual(['north staging']);
+  });
+});
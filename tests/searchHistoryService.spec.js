@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/dataService.js', () => ({ subscriberDataService: {} }));
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+
+import { SearchHistoryService, isStorableTerm } from '../src/services/SearchHistoryService.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+};
+
+const subscriber = { id: '1001', customer_name: 'Jane Doe', customer_number: '1001', address: '12 Main St', city: 'Cullman', status: 'Offline', latitude: 34.17, longitude: -86.84, service_type: 'Residential', distanceMeters: 120 };
+const mst = { id: 'mst:02-HP072-125-SAA-01', type: 'mst', infrastructure: true, name: '02-HP072-125-SAA-01', typeLabel: 'MST', latitude: 34.1, longitude: -86.9, details: [], originalData: { equipmentn: '02-HP072-125-SAA-01' } };
+const pole = { id: 'P12345', type: 'pole', name: 'P12345', wmElementN: 'P12345', latitude: 34.0, longitude: -86.6 };
+
+describe('SearchHistoryService', () => {
+  it('keeps recent searches and selections newest first without duplicates', () => {
+    const service = new SearchHistoryService(memoryStorage());
+
+    service.addRecentSearch('status:offline');
+    service.addRecentSelection(subscriber);
+    service.addRecentSelection(pole);
+    service.addRecentSearch('Status:Offline ');
+    service.addRecentSearch('x');
+
+    const subscriberKey = service.getKey(subscriber);
+    expect(service.listRecents().map(recent => recent.key)).toEqual(['search:status:offline', 'pole:P12345', subscriberKey]);
+    expect(service.listRecents()[0].term).toBe('Status:Offline');
+    // Only the key and location are stored; names, addresses and accounts are looked up when listed
+    expect(service.listRecents()[2]).toEqual({ key: subscriberKey, latitude: 34.17, longitude: -86.84, at: expect.any(String) });
+    expect(subscriberKey).toMatch(/^subscriber:#/);
+    expect(subscriberKey).not.toContain('1001');
+
+    service.clearRecents();
+    expect(service.listRecents()).toEqual([]);
+  });
+
+  it('does not keep typed searches that may name a customer', () => {
+    const service = new SearchHistoryService(memoryStorage());
+
+    ['name:"Jane Doe"', 'Jane Doe', 'status:offline account:1001', 'addr:main'].forEach(term => service.addRecentSearch(term));
+    expect(service.listRecents()).toEqual([]);
+    expect(isStorableTerm('ta5k:CULLMAN-1 light<-27')).toBe(true);
+  });
+
+  it('pins subscribers, MSTs and huts only, and refreshes a pin when it is opened again', () => {
+    const service = new SearchHistoryService(memoryStorage());
+
+    expect(service.toggleFavorite(subscriber)).toBe(true);
+    expect(service.toggleFavorite(mst)).toBe(true);
+    expect(service.canFavorite(pole)).toBe(false);
+    expect(() => service.toggleFavorite(pole)).toThrow();
+
+    const subscriberKey = service.getKey(subscriber);
+    expect(service.listFavorites().map(favorite => favorite.key)).toEqual(['mst:02-HP072-125-SAA-01', subscriberKey]);
+
+    service.addRecentSelection({ ...subscriber, latitude: 34.2 });
+    expect(service.listFavorites()[1].latitude).toBe(34.2);
+
+    const resolve = (favorite) => (favorite.key === subscriberKey ? { customer_name: 'Jane Doe', customer_number: '1001' } : null);
+    expect(service.formatFavoriteRows(resolve).map(row => [row.Type, row.Name, row.Account, row.Equipment])).toEqual([
+      ['MST', '', '', '02-HP072-125-SAA-01'],
+      ['Subscriber', 'Jane Doe', '1001', '']
+    ]);
+    // A subscriber that no longer resolves is exported without its account
+    expect(service.formatFavoriteRows().map(row => row.Account)).toEqual(['', '']);
+
+    expect(service.toggleFavorite(mst)).toBe(false);
+    expect(service.isFavorite(mst)).toBe(false);
+    expect(service.isFavorite(subscriber)).toBe(true);
+  });
+
+  it('drops stored names and typed customer searches from older history', () => {
+    const storage = memoryStorage();
+    storage.setItem('search-recents', JSON.stringify([
+      { key: 'search:name:"jane doe"', term: 'name:"Jane Doe"', at: '2026-10-01T12:00:00Z' },
+      { key: 'subscriber:1001', result: { customer_name: 'Jane Doe', customer_number: '1001', latitude: 34.17, longitude: -86.84 }, at: '2026-10-01T12:00:00Z' }
+    ]));
+    const service = new SearchHistoryService(storage);
+
+    service.migrate();
+    expect(storage.getItem('search-recents')).not.toContain('Jane');
+    expect(storage.getItem('search-recents')).not.toContain('1001');
+    expect(service.listRecents()).toEqual([{ key: service.getKey(subscriber), latitude: 34.17, longitude: -86.84, at: '2026-10-01T12:00:00Z' }]);
+  });
+
+  it('finds the subscriber behind a key until the salt is replaced', () => {
+    const service = new SearchHistoryService(memoryStorage());
+    const subscribers = [{ account: '1002' }, { account: '1001', name: 'Jane Doe' }];
+    const key = service.getKey(subscriber);
+
+    expect(service.findSubscriber(key, subscribers)).toBe(subscribers[1]);
+    service.clearAll();
+    expect(service.getKey(subscriber)).not.toBe(key);
+    expect(service.findSubscriber(key, subscribers)).toBeNull();
+  });
+
+  it('clears both lists on sign-out and role changes', () => {
+    const service = new SearchHistoryService(memoryStorage());
+    const target = new EventTarget();
+    const authChanged = (reason) => target.dispatchEvent(new CustomEvent('authChanged', { detail: { reason } }));
+    const stop = service.watchAuth(target);
+
+    service.addRecentSelection(pole);
+    service.toggleFavorite(mst);
+    authChanged('signed-in');
+    expect(service.listFavorites()).toHaveLength(1);
+
+    authChanged('role-changed');
+    expect([service.listRecents(), service.listFavorites()]).toEqual([[], []]);
+
+    service.toggleFavorite(mst);
+    stop();
+    authChanged('signed-out');
+    expect(service.listFavorites()).toHaveLength(1);
+  });
+
+  it('relays changes made in another tab', () => {
+    const service = new SearchHistoryService(memoryStorage());
+    const target = new EventTarget();
+    const changes = [];
+    const listener = (event) => changes.push(event.detail.list);
+    document.addEventListener('searchHistoryChanged', listener);
+
+    const stop = service.watchStorage(target);
+    target.dispatchEvent(Object.assign(new Event('storage'), { key: 'search-favorites' }));
+    target.dispatchEvent(Object.assign(new Event('storage'), { key: 'unrelated' }));
+    stop();
+    target.dispatchEvent(Object.assign(new Event('storage'), { key: 'search-recents' }));
+    document.removeEventListener('searchHistoryChanged', listener);
+
+    expect(changes).toEqual(['favorites']);
+  });
+});
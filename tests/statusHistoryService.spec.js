@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../src/services/CacheService.js', () => ({ cacheService: {} }));
+
+import { StatusHistoryService } from '../src/services/StatusHistoryService.js';
+
+const offlineResult = (...accounts) => ({
+  features: accounts.map((account, i) => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [-86.9 + i * 0.01, 34.1] },
+    properties: { account, name: `Customer ${account}`, status: 'Offline' }
+  }))
+});
+
+describe('StatusHistoryService', () => {
+  let cache;
+  let service;
+
+  beforeEach(() => {
+    const stored = [];
+    cache = {
+      stored,
+      addStatusSnapshot: vi.fn(async (snapshot) => { stored.push(snapshot); return stored.length; }),
+      getStatusSnapshots: vi.fn(async () => stored),
+      pruneStatusSnapshots: vi.fn(async () => 0),
+      clearStatusSnapshots: vi.fn(async () => { stored.length = 0; })
+    };
+    service = new StatusHistoryService(cache);
+  });
+
+  it('writes a keyframe first, then only deltas when the offline set changes', async () => {
+    const first = await service.recordSnapshot(offlineResult('100', '101'));
+    expect(first.type).toBe('keyframe');
+    expect(first.offline.map(r => r.id)).toEqual(['100', '101']);
+
+    const unchanged = await service.recordSnapshot(offlineResult('100', '101'));
+    expect(unchanged).toBeNull();
+
+    const delta = await service.recordSnapshot(offlineResult('101', '102'));
+    expect(delta).toMatchObject({ type: 'delta', restored: ['100'], counts: { offline: 2 } });
+    expect(delta.wentOffline.map(r => r.id)).toEqual(['102']);
+    expect(cache.addStatusSnapshot).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips failed fetches so errors do not look like mass restorations', async () => {
+    const result = await service.recordSnapshot({ features: [], error: true });
+    expect(result).toBeNull();
+    expect(cache.addStatusSnapshot).not.toHaveBeenCalled();
+  });
+
+  it('reconstructs the offline set at any recorded moment', () => {
+    const snapshots = [
+      { type: 'keyframe', timestamp: 1000, offline: [{ id: 'a' }, { id: 'b' }] },
+      { type: 'delta', timestamp: 2000, wentOffline: [{ id: 'c' }], restored: ['a'] },
+      { type: 'delta', timestamp: 3000, wentOffline: [], restored: ['b'] }
+    ];
+
+    expect(service.reconstructAt(snapshots, 500)).toBeNull();
+    expect([...service.reconstructAt(snapshots, 1500).keys()]).toEqual(['a', 'b']);
+    expect([...service.reconstructAt(snapshots, 2500).keys()]).toEqual(['b', 'c']);
+    expect([...service.reconstructAt(snapshots, 3000).keys()]).toEqual(['c']);
+  });
+
+  it('converts reconstructed records back into point features', () => {
+    const records = service.toRecordMap(offlineResult('200').features);
+    const geojson = service.toGeoJSON(records);
+    expect(geojson.count).toBe(1);
+    expect(geojson.features[0].geometry.coordinates).toEqual([-86.9, 34.1]);
+    expect(geojson.features[0].properties).toMatchObject({ id: '200', account: '200', status: 'Offline' });
+  });
+
+  it('stores no customer names and fills them in from a live lookup on playback', async () => {
+    cache.stored.push({ type: 'keyframe', timestamp: 1, offline: [{ id: '1', name: 'Old Name' }], counts: { offline: 1 } });
+
+    const keyframe = await service.recordSnapshot(offlineResult('300'));
+    expect(cache.clearStatusSnapshots).toHaveBeenCalledTimes(1);
+    expect(cache.stored).toEqual([keyframe]);
+    expect(keyframe.offline[0]).not.toHaveProperty('name');
+
+    const lookup = (id) => (id === '300' ? { name: 'Customer 300', status: 'Online' } : null);
+    expect(service.toGeoJSON(service.reconstructAt(cache.stored, Date.now()), lookup).features[0].properties)
+      .toMatchObject({ id: '300', name: 'Customer 300', status: 'Offline' });
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { StormModeService } from '../src/services/StormModeService.js';
+
+const MINUTE = 60 * 1000;
+
+describe('StormModeService', () => {
+  it('reports trends against the sample from the start of the trend window', () => {
+    const service = new StormModeService({ trendWindowMs: 15 * MINUTE });
+    const start = Date.UTC(2026, 9, 1, 12);
+
+    service.updateSummary({ offline: 100, outages: 2 }, start);
+    expect(service.getTrend('offline', start)).toBeNull();
+
+    service.updateSummary({ offline: 140 }, start + 10 * MINUTE);
+    expect(service.getTrend('offline', start + 10 * MINUTE)).toEqual({ change: 40, minutes: 10 });
+
+    service.updateSummary({ offline: 90 }, start + 20 * MINUTE);
+    expect(service.getTrend('offline', start + 20 * MINUTE)).toEqual({ change: -10, minutes: 20 });
+    expect(service.summary.outages).toBe(2);
+  });
+
+  it('collapses queued updates into one digest', () => {
+    const service = new StormModeService({ maxDigestMessages: 2 });
+    service.queueCountChange('offline', 'Offline subscribers', 500, 520);
+    service.queueCountChange('offline', 'Offline subscribers', 520, 610);
+    service.queueCountChange('online', 'Online subscribers', 9000, 9000);
+    service.queueMessage('success', 'Cullman Electric outage resolved');
+    service.queueMessage('success', 'Cullman Electric outage resolved');
+    service.queueMessage('info', 'A');
+    service.queueMessage('info', 'B');
+
+    expect(service.takeDigest()).toEqual({
+      kind: 'warning',
+      lines: ['Offline subscribers: 500 → 610 (+110)', 'Cullman Electric outage resolved', 'A', '…and 1 more update(s)']
+    });
+    expect(service.takeDigest()).toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { applySubscriberSetFilter, classifySubscriberRecord, isElectricOut } from '../src/utils/subscriberFilters.js';
+
+// Records the PostgREST filters a query would send
+const recordingQuery = () => {
+  const filters = [];
+  const query = {};
+  ['eq', 'not', 'ilike', 'or'].forEach(method => {
+    query[method] = (...args) => { filters.push([method, ...args]); return query; };
+  });
+  return { query, filters };
+};
+
+const row = (Status, electricOut) => ({ Status, electricOut, lat: 34.1, lon: -86.9 });
+
+describe('subscriberFilters', () => {
+  it('treats electricOut like ilike yes%', () => {
+    expect(['YES', 'Yes', 'yes', 'yes - partial'].map(isElectricOut)).toEqual([true, true, true, true]);
+    expect(['No', 'NO', '', ' yes', 'y', null, undefined, true].map(isElectricOut)).toEqual([false, false, false, false, false, false, false, false]);
+  });
+
+  it('puts boundary rows in exactly one set', () => {
+    expect(classifySubscriberRecord(row('Offline', 'Yes'))).toBe('electricOffline');
+    expect(classifySubscriberRecord(row('Offline', 'no'))).toBe('offline');
+    expect(classifySubscriberRecord(row('Offline', null))).toBe('offline');
+    expect(classifySubscriberRecord(row('Offline', ''))).toBe('offline');
+    // Status matches exactly, as .eq('Status', ...) does
+    expect(classifySubscriberRecord(row('offline', 'YES'))).toBeNull();
+    expect(classifySubscriberRecord(row('Offline ', 'No'))).toBeNull();
+    expect(classifySubscriberRecord(row('Online', 'YES'))).toBe('online');
+    expect(classifySubscriberRecord({ ...row('Offline', 'No'), lon: null })).toBeNull();
+    expect(classifySubscriberRecord({ ...row('Online'), lat: 0, lon: 0 })).toBe('online');
+  });
+
+  it('builds the queries from the same rules', () => {
+    const filtersFor = (setName) => {
+      const { query, filters } = recordingQuery();
+      applySubscriberSetFilter(query, setName);
+      return filters;
+    };
+
+    expect(filtersFor('offline')).toEqual([
+      ['eq', 'Status', 'Offline'], ['not', 'lat', 'is', null], ['not', 'lon', 'is', null],
+      ['or', 'electricOut.is.null,electricOut.not.ilike.yes%']
+    ]);
+    expect(filtersFor('electricOffline')).toContainEqual(['ilike', 'electricOut', 'yes%']);
+    expect(filtersFor('online')).toEqual([['eq', 'Status', 'Online'], ['not', 'lat', 'is', null], ['not', 'lon', 'is', null]]);
+  });
+});
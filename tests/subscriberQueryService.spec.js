@@ -0,0 +1,44 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/dataService.js', () => ({ subscriberDataService: {} }));
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+
+import { SubscriberQueryService } from '../src/services/SubscriberQueryService.js';
+
+const subscribers = [
+  { customer_number: '1001', customer_name: 'Jane Doe', status: 'Offline', ta5k: 'CULLMAN-1', service_type: 'Business Fiber', light: '-28.4 dBm', city: 'Cullman' },
+  { customer_number: '1002', customer_name: 'Joe Roe', status: 'Offline', ta5k: 'CULLMAN-10', service_type: 'Residential', light: '-21.0', city: 'Cullman' },
+  { customer_number: '1003', customer_name: 'Acme Feed', status: 'Online', ta5k: 'CULLMAN-1', service_type: 'Business Fiber', light: '', city: 'Hanceville' }
+];
+
+const accounts = (records) => records.map(record => record.customer_number);
+
+describe('SubscriberQueryService', () => {
+  const service = new SubscriberQueryService();
+
+  it('filters on every clause, with exact codes, contains text and numeric comparisons', () => {
+    const run = (term) => accounts(service.filter(subscribers, service.parse(term)));
+
+    expect(run('status:offline ta5k:CULLMAN-1 type:business')).toEqual(['1001']);
+    expect(run('ta5k:cullman-1*')).toEqual(['1001', '1002', '1003']);
+    expect(run('light<-27')).toEqual(['1001']);
+    expect(run('light>=-25')).toEqual(['1002']); // no reading never matches a comparison
+    expect(run('status!=offline acme')).toEqual(['1003']);
+    expect(run('city:"cull"')).toEqual(['1001', '1002']);
+  });
+
+  it('recognizes queries and reports clauses it cannot run', () => {
+    expect(service.isQuery('status:offline')).toBe(true);
+    expect(service.isQuery('123 Main St')).toBe(false);
+    expect(service.isQuery('status:')).toBe(false);
+    expect(service.parse('light<low status>1').errors).toEqual(['light needs a number', "status can't be compared with >"]);
+  });
+
+  it('suggests field names after a clause and common values without listing customer fields', () => {
+    expect(service.suggest('jane', subscribers)).toEqual([]);
+    expect(service.suggest('status:offline ta', subscribers).map(suggestion => suggestion.term)).toEqual(['status:offline ta5k:']);
+    expect(service.suggest('ta5k:c', subscribers)[0]).toEqual({ label: 'ta5k:CULLMAN-1', description: '2 subscriber(s)', term: 'ta5k:CULLMAN-1 ' });
+    expect(service.suggest('type:res', subscribers)[0].term).toBe('type:Residential ');
+    expect(service.suggest('name:j', subscribers)).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('../src/dataService.js', () => ({
+  supabase: {},
+  subscriberDataService: {
+    _mapDatabaseRecord: (record) => ({ ...record, id: record.account, latitude: record.lat, longitude: record.lon, status: record.Status })
+  }
+}));
+vi.mock('../src/services/StatusHistoryService.js', () => ({ statusHistoryService: { isReplaying: false } }));
+
+import { SubscriberRealtimeService } from '../src/services/SubscriberRealtimeService.js';
+
+const feature = (account, status) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [-86.9, 34.1] },
+  properties: { account, status }
+});
+
+describe('SubscriberRealtimeService', () => {
+  let service;
+  let layerManager;
+
+  beforeEach(() => {
+    layerManager = {
+      layerConfigs: new Map(),
+      getLayer: vi.fn(() => ({})),
+      updateGeoJSONLayer: vi.fn(async () => true)
+    };
+    service = new SubscriberRealtimeService();
+    service.layerManager = layerManager;
+  });
+
+  it('classifies rows the same way as the subscriber queries', () => {
+    expect(service.classifyRecord({ Status: 'Offline', electricOut: 'No', lat: 34, lon: -86 })).toBe('offline');
+    expect(service.classifyRecord({ Status: 'Offline', electricOut: 'YES', lat: 34, lon: -86 })).toBe('electricOffline');
+    expect(service.classifyRecord({ Status: 'Online', lat: 34, lon: -86 })).toBe('online');
+    expect(service.classifyRecord({ Status: 'Offline', lat: null, lon: -86 })).toBeNull();
+  });
+
+  it('hands a restored subscriber to the caller, which writes each layer once', async () => {
+    const onUpdate = vi.fn(async (data) => service.applyToLayers(data));
+    service.callbacks = { onUpdate };
+    service.seed({
+      offline: { features: [feature(1, 'Offline'), feature(2, 'Offline')] },
+      electricOffline: { features: [] },
+      online: { features: [feature(3, 'Online')] }
+    });
+
+    service.queueChange({ eventType: 'UPDATE', new: { account: 1, Status: 'Online', lat: 34.1, lon: -86.9 } });
+    clearTimeout(service.flushTimer);
+    await service.flush();
+
+    expect(onUpdate).toHaveBeenCalledWith({ offline: expect.objectContaining({ count: 1 }), online: expect.objectContaining({ count: 2 }), changed: 1 });
+    const updatedLayers = layerManager.updateGeoJSONLayer.mock.calls.map(([layerId, , data]) => [layerId, data.count]);
+    expect(updatedLayers).toEqual([['offline-subscribers', 1], ['online-subscribers', 2]]);
+  });
+
+  it('does not patch a set that has no polling baseline yet', async () => {
+    const onUpdate = vi.fn();
+    service.callbacks = { onUpdate };
+    service.queueChange({ eventType: 'INSERT', new: { account: 5, Status: 'Offline', lat: 34.1, lon: -86.9 } });
+    clearTimeout(service.flushTimer);
+    await service.flush();
+
+    expect(onUpdate).not.toHaveBeenCalled();
+    expect(layerManager.updateGeoJSONLayer).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/dataService.js', () => ({ subscriberDataService: {} }));
+vi.mock('../src/services/InfrastructureService.js', () => ({ infrastructureService: {} }));
+
+import { SubscriberSelectionService } from '../src/services/SubscriberSelectionService.js';
+
+const point = (account, lon, lat, extra = {}) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates: [lon, lat] },
+  properties: { account, customer_name: `Customer ${account}`, service_type: 'RESIDENTIAL INTERNET', ...extra }
+});
+
+// Triangle - (-87.45, 34.55) is inside its bounding box but outside the shape
+const triangle = { type: 'Polygon', coordinates: [[[-87.5, 34.5], [-87.4, 34.5], [-87.5, 34.6], [-87.5, 34.5]]] };
+
+describe('SubscriberSelectionService', () => {
+  it('selects subscribers inside the drawn shape from every status set', async () => {
+    const subscriberData = {
+      getOfflineSubscribers: vi.fn(async () => ({ features: [point('1', -87.48, 34.51), point('2', -87.45, 34.58)] })),
+      getElectricOfflineSubscribers: vi.fn(async () => ({ features: [point('3', -87.49, 34.52, { service_type: 'BUSINESS INTERNET' })] })),
+      getOnlineSubscribers: vi.fn(async () => ({ features: [point('4', -87.47, 34.53), point('1', -87.48, 34.51)] }))
+    };
+    const service = new SubscriberSelectionService(subscriberData, {});
+
+    const selection = await service.selectInArea(triangle, { label: 'Storm cell' });
+
+    expect(selection.data.map(s => [s.account, s.selectionStatus])).toEqual([['1', 'Offline'], ['3', 'Electric Offline'], ['4', 'Online']]);
+    expect(selection.summary).toEqual({
+      total: 3,
+      byStatus: { 'Offline': 1, 'Electric Offline': 1, 'Online': 1 },
+      byServiceType: { 'Residential': 2, 'Business': 1 }
+    });
+
+    await service.selectInArea(triangle);
+    expect(subscriberData.getOnlineSubscribers).toHaveBeenCalledTimes(1); // reused within the TTL
+
+    const lines = service.formatClipboardText().split('\n');
+    expect(lines[0]).toBe('Account\tName\tAddress\tStatus\tService Type\tTA5K\tMST');
+    expect(lines[1].split('\t').slice(0, 2)).toEqual(['1', 'Customer 1']);
+  });
+
+  it('selects a DA by name and reports a missing one as an error result', async () => {
+    const subscriberData = {
+      getOfflineSubscribers: vi.fn(async () => ({ features: [point('1', -87.48, 34.51)] })),
+      getElectricOfflineSubscribers: vi.fn(async () => ({ features: [] })),
+      getOnlineSubscribers: vi.fn(async () => ({ features: [] }))
+    };
+    const infrastructure = {
+      getFSABoundaries: vi.fn(async () => ({ features: [{ geometry: triangle, properties: { areaname: '12' } }] }))
+    };
+    const service = new SubscriberSelectionService(subscriberData, infrastructure);
+
+    expect(await service.selectDa('12')).toMatchObject({ count: 1, label: 'DA 12' });
+    expect(await service.selectDa('99')).toMatchObject({ count: 0, error: true });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+vi.mock('../src/services/CacheService.js', () => ({ cacheService: {} }));
+
+import { TicketService } from '../src/services/TicketService.js';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: String(status),
+  json: async () => body
+});
+
+describe('TicketService', () => {
+  let queue;
+  let service;
+
+  beforeEach(() => {
+    queue = [];
+    let nextId = 1;
+    const cache = {
+      addQueuedTicket: vi.fn(async (entry) => { queue.push({ id: nextId++, ...entry }); }),
+      getQueuedTickets: vi.fn(async () => [...queue]),
+      updateQueuedTicket: vi.fn(async (id, changes) => Object.assign(queue.find(e => e.id === id), changes)),
+      deleteQueuedTicket: vi.fn(async (id) => { queue = queue.filter(e => e.id !== id); })
+    };
+    service = new TicketService(cache, { ENDPOINT: 'https://tickets.example/api', FORMAT: 'rest', RETRY_INTERVAL: 60000 }, { session: null });
+  });
+
+  afterEach(() => {
+    service.stopRetry();
+    vi.unstubAllGlobals();
+  });
+
+  it('pre-fills subscriber and infrastructure drafts from popup attributes', () => {
+    const subscriber = service.buildDraft(
+      { account: 4411, name: 'Jane Doe', full_address: '12 Main St', status: 'Offline', ta5k: 'TA-1', ont: 'ONT-9', light: '-31.2', mst: 'MST-42' },
+      { layerId: 'offline-subscribers', details: 'Name: Jane Doe', location: { latitude: 34.1, longitude: -86.9 } }
+    );
+    expect(subscriber).toMatchObject({
+      asset_type: 'subscriber', asset_id: '4411', account: '4411', address: '12 Main St',
+      ta5k: 'TA-1', ont: 'ONT-9', light: '-31.2', mst: 'MST-42', latitude: 34.1, details: 'Name: Jane Doe'
+    });
+    expect(subscriber.summary).toBe('Offline issue - Jane Doe (4411)');
+
+    const pole = service.buildDraft({ wmElementN: 'P-778', name: 'ignored' }, { layerId: 'poles' });
+    expect(pole).toMatchObject({ asset_type: 'pole', pole_id: 'P-778', customer_name: null, summary: 'Pole P-778 issue' });
+  });
+
+  it('queues tickets when the endpoint is unreachable and sends them on retry', async () => {
+    const fetchMock = vi.fn().mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await service.createTicket({ summary: 'MST-42 damaged', priority: 'high' });
+    expect(result).toEqual({ queued: true, queueLength: 1 });
+    expect(queue[0].ticket).toMatchObject({ summary: 'MST-42 damaged', priority: 'high', source: 'fiberoms-insight' });
+
+    fetchMock.mockResolvedValueOnce(jsonResponse(201, { id: 'T-9' }));
+    expect(await service.flushQueue()).toEqual({ sent: 1, dropped: 0, remaining: 0 });
+    // The retry resends the same ticket so the endpoint can de-duplicate
+    const [first, retry] = fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body));
+    expect(retry.client_ticket_id).toBe(first.client_ticket_id);
+  });
+
+  it('authenticates with the signed-in user\'s session rather than a bundled token', async () => {
+    const fetchMock = vi.fn().mockResolvedValue(jsonResponse(201, { id: 'T-10' }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    await service.createTicket({ summary: 'Anonymous' });
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBeUndefined();
+
+    service.auth = { session: { access_token: 'user-jwt' } };
+    await service.createTicket({ summary: 'Signed in' });
+    expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe('Bearer user-jwt');
+  });
+
+  it('does not retry tickets the endpoint rejects', async () => {
+    vi.stubGlobal('fetch', vi.fn().mockResolvedValue(jsonResponse(422, { error: 'bad' })));
+
+    const result = await service.createTicket({ summary: 'Bad ticket' });
+    expect(result.error).toBe(true);
+    expect(queue).toHaveLength(0);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../src/services/GeotabService.js', () => ({ geotabService: {} }));
+
+import { TripHistoryService } from '../src/services/TripHistoryService.js';
+
+const at = (minutes) => new Date(Date.UTC(2025, 0, 15, 14, 0) + minutes * 60000).toISOString();
+// ~0.001 deg latitude is ~111 m
+const record = (minutes, latOffset, speedKmh) => ({
+  dateTime: at(minutes),
+  latitude: 34.5 + latOffset,
+  longitude: -87.3,
+  speed: speedKmh
+});
+
+describe('TripHistoryService', () => {
+  const service = new TripHistoryService({});
+
+  it('finds a parked stop from sparse records and measures dwell until the vehicle leaves', () => {
+    const trip = service.buildTrip([
+      record(0, 0, 50),
+      record(2, 0.01, 40),
+      record(3, 0.0201, 0),   // parks at the outage site
+      record(48, 0.0202, 15), // pulls away 45 minutes later
+      record(50, 0.03, 50),
+      record(51, 0.031, 0)    // brief pause at a light
+    ], { from: new Date(at(0)), to: new Date(at(52)) });
+
+    expect(trip.points).toHaveLength(6);
+    expect(trip.distanceMeters).toBeGreaterThan(3000);
+    expect(trip.stops).toHaveLength(1);
+    expect(trip.stops[0].arrival).toBe(Date.parse(at(3)));
+    expect(trip.stops[0].dwellMs).toBe(45 * 60000);
+    expect(trip.stops[0].ongoing).toBe(false);
+    expect(service.formatDuration(trip.stops[0].dwellMs)).toBe('45m');
+  });
+
+  it('keeps a stop open until the end of the window and skips records without a fix', () => {
+    const trip = service.buildTrip([
+      record(0, 0, 60),
+      { dateTime: at(1), latitude: 0, longitude: 0, speed: 0 },
+      record(5, 0.02, 0)
+    ], { from: new Date(at(0)), to: new Date(at(80)) });
+
+    expect(trip.points).toHaveLength(2);
+    expect(trip.stops).toHaveLength(1);
+    expect(trip.stops[0].ongoing).toBe(true);
+    expect(service.formatDuration(trip.stops[0].dwellMs)).toBe('1h 15m');
+  });
+});
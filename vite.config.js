@@ -211,6 +211,14 @@ export default defineConfig({
               }
             }
           },
+          {
+            // Sign-in and session checks must never be answered from cache
+            urlPattern: /^https:\/\/.*\.supabase\.co\/auth\/v1\/.*$/i,
+            handler: 'NetworkOnly',
+            options: {
+              cacheName: 'supabase-auth-skip'
+            }
+          },
           {
             urlPattern: /^https:\/\/.*\.supabase\.co\/.*$/i,
             handler: 'NetworkFirst',
@@ -236,6 +244,35 @@ export default defineConfig({
       }
     }),
 
+    {
+      // Local stand-in for the ticketing system (API_CONFIG.TICKETS points here in dev)
+      name: 'mock-ticket-endpoint',
+      configureServer(server) {
+        let nextTicket = 1000;
+        server.middlewares.use('/api/mock-tickets', (req, res) => {
+          if (req.method !== 'POST') {
+            res.statusCode = 405;
+            res.end();
+            return;
+          }
+          let body = '';
+          req.on('data', chunk => { body += chunk; });
+          req.on('end', () => {
+            try {
+              JSON.parse(body || '{}');
+            } catch {
+              res.statusCode = 400;
+              res.end(JSON.stringify({ error: 'Invalid JSON' }));
+              return;
+            }
+            res.statusCode = 201;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ id: `MOCK-${nextTicket++}` }));
+          });
+        });
+      }
+    },
+
     {
       name: 'no-cache-headers',
       configureServer(server) {